@@ -0,0 +1,47 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// --- 审计日志 (JSON Lines，每次请求一行) 与用量计数 ---
+
+export const createAuditLog = (file) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  return {
+    append: (entry) => stream.write(`${JSON.stringify(entry)}\n`),
+    close: () => new Promise(resolve => stream.end(resolve)),
+  };
+};
+
+const emptyUsage = () => ({ requests: 0, failed: 0, rateLimited: 0, promptTokens: 0, responseTokens: 0, lastRequestAt: null });
+
+export const createUsageCounter = () => {
+  const byUser = new Map();
+  const of = (user) => {
+    if (!byUser.has(user)) byUser.set(user, emptyUsage());
+    return byUser.get(user);
+  };
+
+  return {
+    record: (user, { ok, rateLimited = false, usage, ts }) => {
+      const u = of(user);
+      if (rateLimited) {
+        u.rateLimited++;
+        return;
+      }
+      u.requests++;
+      if (!ok) u.failed++;
+      u.promptTokens += usage?.promptTokenCount ?? 0;
+      u.responseTokens += usage?.candidatesTokenCount ?? 0;
+      u.lastRequestAt = ts;
+    },
+    snapshot: () => {
+      const users = Object.fromEntries(byUser);
+      const total = emptyUsage();
+      for (const u of byUser.values()) {
+        for (const key of ['requests', 'failed', 'rateLimited', 'promptTokens', 'responseTokens']) total[key] += u[key];
+        total.lastRequestAt = Math.max(total.lastRequestAt ?? 0, u.lastRequestAt ?? 0) || null;
+      }
+      return { total, users };
+    },
+  };
+};
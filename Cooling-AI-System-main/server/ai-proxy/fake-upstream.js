@@ -0,0 +1,71 @@
+import http from 'node:http';
+
+// --- 本地假上游: 模拟 Gemini streamGenerateContent，用于联调 AI 代理 ---
+// 回复为确定的回显文本；提问包含 "读数" 且请求带 tools 时先返回一次 functionCall。
+// FAKE_FAIL_FIRST=n 让前 n 个请求返回错误，用于验证代理的重试；状态码由 FAKE_FAIL_STATUS 依次轮换 (默认 503，如 "429,503")。
+
+const port = Number(process.env.FAKE_UPSTREAM_PORT || 8090);
+let failRemaining = Number(process.env.FAKE_FAIL_FIRST || 0);
+const failStatuses = (process.env.FAKE_FAIL_STATUS || '503').split(',').map(Number);
+let failed = 0;
+
+const lastUserParts = (contents) => [...contents].reverse().find(c => c.role === 'user')?.parts ?? [];
+
+const replyFor = (body) => {
+  const parts = lastUserParts(body.contents ?? []);
+  const toolResult = parts.find(p => p.functionResponse);
+  if (toolResult) return { text: `工具 ${toolResult.functionResponse.name} 返回: ${JSON.stringify(toolResult.functionResponse.response)}` };
+  const question = parts.map(p => p.text ?? '').join('');
+  const toolsAllowed = body.tools?.length && body.toolConfig?.functionCallingConfig?.mode !== 'NONE';
+  if (toolsAllowed && question.includes('读数')) {
+    return { functionCall: { name: 'get_current_readings', args: { equipment: 'compressor' } } };
+  }
+  return { text: `收到: ${question}` };
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  if (req.method !== 'POST' || !pathname.endsWith(':streamGenerateContent')) {
+    res.writeHead(404).end();
+    return;
+  }
+  if (!searchParams.get('key')) {
+    res.writeHead(403, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { message: 'API key missing' } }));
+    return;
+  }
+  if (failRemaining > 0) {
+    failRemaining--;
+    res.writeHead(failStatuses[failed++ % failStatuses.length], { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { message: 'fake overload' } }));
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    const reply = replyFor(body);
+    const promptTokenCount = JSON.stringify(body.contents).length;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const send = (obj) => res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    if (reply.functionCall) {
+      send({ candidates: [{ content: { role: 'model', parts: [{ functionCall: reply.functionCall }] } }], usageMetadata: { promptTokenCount, candidatesTokenCount: 5 } });
+    } else {
+      // 分三段输出，模拟流式
+      const size = Math.ceil(reply.text.length / 3);
+      for (let i = 0; i < reply.text.length; i += size) {
+        const last = i + size >= reply.text.length;
+        send({
+          candidates: [{ content: { role: 'model', parts: [{ text: reply.text.slice(i, i + size) }] } }],
+          ...(last ? { usageMetadata: { promptTokenCount, candidatesTokenCount: reply.text.length } } : {}),
+        });
+      }
+    }
+    res.end();
+  });
+});
+
+server.listen(port, () => console.log(`[fake-upstream] 假 Gemini 上游监听 :${port}`));
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,157 @@
+import http from 'node:http';
+import { fetchWithRetry, readSse } from '../../src/lib/llm/common.js';
+import { createRateLimiter } from './rate-limiter.js';
+import { createAuditLog, createUsageCounter } from './audit-log.js';
+import { authSecret, requestUser } from '../auth/tokens.js';
+import { can } from '../../src/lib/auth.js';
+
+// --- AI 代理: 持有 Gemini API Key，前端只访问本服务 ---
+// POST /api/ai/chat   请求体为 Gemini generateContent 格式 (contents / systemInstruction / tools / toolConfig)，
+//                     响应原样转发上游的 SSE 流；出错时返回 { error: { message } }
+// GET  /api/ai/usage  按用户统计的请求数与 token 用量 (仅工程师)
+// GET  /api/ai/health
+// 除 health 外都要求认证服务签发的令牌 (Authorization: Bearer)，限流与审计按令牌中的用户名。
+
+const config = {
+  port: Number(process.env.AI_PROXY_PORT || 8082),
+  apiKey: process.env.GEMINI_API_KEY || '',
+  model: process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025',
+  authSecret: authSecret(),
+  upstream: process.env.GEMINI_UPSTREAM || 'https://generativelanguage.googleapis.com/v1beta',
+  rateLimit: Number(process.env.AI_RATE_LIMIT || 20),
+  rateWindowMs: Number(process.env.AI_RATE_WINDOW_MS || 60000),
+  auditLog: process.env.AI_AUDIT_LOG || 'logs/ai-audit.jsonl',
+  retryDelays: (process.env.AI_RETRY_DELAYS || '1000,2000,4000,8000,16000').split(',').filter(Boolean).map(Number),
+};
+const MAX_BODY_BYTES = 1024 * 1024;
+// 只转发这些字段，客户端不能改模型或注入 key
+const FORWARDED_FIELDS = ['contents', 'systemInstruction', 'tools', 'toolConfig'];
+
+if (!config.apiKey) console.warn('[ai-proxy] 未设置 GEMINI_API_KEY，上游请求将被拒绝');
+if (!config.authSecret) console.warn('[ai-proxy] 未设置 AUTH_SECRET，无法校验登录令牌，所有请求将被拒绝');
+
+const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+const audit = createAuditLog(config.auditLog);
+const usage = createUsageCounter();
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const handleChat = async (req, res, user) => {
+  const started = Date.now();
+  const entry = { ts: started, user: user.sub, role: user.role, ip: req.socket.remoteAddress, model: config.model };
+
+  const quota = limiter.check(user.sub, started);
+  if (!quota.allowed) {
+    usage.record(user.sub, { rateLimited: true });
+    audit.append({ ...entry, status: 429 });
+    sendJson(res, 429, { error: { message: `请求过于频繁，请 ${Math.ceil(quota.retryAfterMs / 1000)} 秒后再试` } }, {
+      'Retry-After': String(Math.ceil(quota.retryAfterMs / 1000)),
+    });
+    return;
+  }
+
+  let payload;
+  try {
+    const body = JSON.parse(await readBody(req));
+    if (!Array.isArray(body.contents) || body.contents.length === 0) throw Object.assign(new Error('contents 不能为空'), { status: 400 });
+    payload = Object.fromEntries(FORWARDED_FIELDS.filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+  } catch (error) {
+    const status = error.status ?? 400;
+    audit.append({ ...entry, status, error: error.message });
+    sendJson(res, status, { error: { message: error.message } });
+    return;
+  }
+  entry.request = payload;
+
+  // 客户端断开时中止上游请求
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const url = `${config.upstream}/models/${config.model}:streamGenerateContent?alt=sse&key=${config.apiKey}`;
+  let text = '';
+  const functionCalls = [];
+  let usageMetadata;
+  try {
+    const upstream = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    }, { delays: config.retryDelays, signal: controller.signal });
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache' });
+    for await (const data of readSse(upstream)) {
+      res.write(`data: ${data}\n\n`);
+      const chunk = JSON.parse(data);
+      for (const part of chunk.candidates?.[0]?.content?.parts ?? []) {
+        if (part.text) text += part.text;
+        if (part.functionCall) functionCalls.push(part.functionCall);
+      }
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    }
+    res.end();
+    usage.record(user.sub, { ok: true, usage: usageMetadata, ts: started });
+    audit.append({ ...entry, status: 200, durationMs: Date.now() - started, response: { text, functionCalls }, usage: usageMetadata });
+  } catch (error) {
+    const aborted = error.name === 'AbortError';
+    usage.record(user.sub, { ok: false, usage: usageMetadata, ts: started });
+    audit.append({
+      ...entry,
+      status: aborted ? 499 : 502,
+      durationMs: Date.now() - started,
+      response: { text, functionCalls },
+      error: aborted ? '客户端中止' : error.message,
+    });
+    if (res.headersSent) res.end();
+    else if (!aborted) sendJson(res, 502, { error: { message: error.message } });
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  try {
+    if (req.method === 'GET' && pathname === '/api/ai/health') return sendJson(res, 200, { ok: true, model: config.model, keyConfigured: Boolean(config.apiKey) });
+    const user = requestUser(req, config.authSecret);
+    if (!user) return sendJson(res, 401, { error: { message: '未登录或登录已过期，请重新登录' } });
+    if (req.method === 'POST' && pathname === '/api/ai/chat') {
+      if (!can(user.role, 'assistant.use')) return sendJson(res, 403, { error: { message: '当前角色无权使用 AI 助手' } });
+      return await handleChat(req, res, user);
+    }
+    if (req.method === 'GET' && pathname === '/api/ai/usage') {
+      if (!can(user.role, 'assistant.usage')) return sendJson(res, 403, { error: { message: '只有工程师可以查看用量统计' } });
+      return sendJson(res, 200, usage.snapshot());
+    }
+    sendJson(res, 404, { error: { message: 'Not Found' } });
+  } catch (error) {
+    console.error('[ai-proxy]', error);
+    if (!res.headersSent) sendJson(res, 500, { error: { message: '代理内部错误' } });
+    else res.end();
+  }
+});
+
+server.listen(config.port, () => console.log(`[ai-proxy] 监听 :${config.port}，上游 ${config.upstream}，模型 ${config.model}`));
+
+const shutdown = () => {
+  server.close();
+  audit.close().then(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
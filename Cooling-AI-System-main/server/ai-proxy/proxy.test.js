@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { signToken } from '../auth/tokens.js';
+
+// 在临时端口上启动假上游与 AI 代理，按真实 HTTP 请求验证代理行为
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const SECRET = 'proxy-test-secret';
+const API_KEY = 'fake-key-never-forwarded';
+const engineer = signToken({ username: 'eng', name: '工程师', role: 'engineer' }, SECRET).token;
+const operator = signToken({ username: 'op', name: '操作员', role: 'operator' }, SECRET).token;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const children = [];
+
+// 启动脚本并等到输出监听日志
+const start = (script, env) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(DIR, script)], { env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+  children.push(child);
+  let output = '';
+  const onData = (chunk) => {
+    output += chunk;
+    if (output.includes('监听')) resolve(child);
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  child.on('exit', (code) => reject(new Error(`${script} 退出 (${code}): ${output}`)));
+});
+
+const startPair = async ({ upstream = {}, proxy = {} } = {}, logDir) => {
+  const upstreamPort = await freePort();
+  const proxyPort = await freePort();
+  await start('fake-upstream.js', { FAKE_UPSTREAM_PORT: String(upstreamPort), ...upstream });
+  await start('index.js', {
+    AI_PROXY_PORT: String(proxyPort),
+    GEMINI_API_KEY: API_KEY,
+    GEMINI_UPSTREAM: `http://127.0.0.1:${upstreamPort}`,
+    AUTH_SECRET: SECRET,
+    AI_AUDIT_LOG: path.join(logDir, `audit-${proxyPort}.jsonl`),
+    AI_RETRY_DELAYS: '0',
+    ...proxy,
+  });
+  return `http://127.0.0.1:${proxyPort}/api/ai`;
+};
+
+const chat = (base, token, text = '你好') => fetch(`${base}/chat`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+  body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text }] }], key: 'client-injected', model: 'other' }),
+});
+
+const exposesKey = (response, body) => body.includes(API_KEY) || [...response.headers.values()].some(v => v.includes(API_KEY));
+
+let logDir;
+let base;
+let flaky;
+
+beforeAll(async () => {
+  logDir = mkdtempSync(path.join(tmpdir(), 'ai-proxy-test-'));
+  base = await startPair({}, logDir);
+  // 前 3 次失败 (429、503 轮换)，重试间隔 50ms × 2：第一次请求重试用尽，第二次在一次重试后成功
+  flaky = await startPair({ upstream: { FAKE_FAIL_FIRST: '4', FAKE_FAIL_STATUS: '429,503' }, proxy: { AI_RETRY_DELAYS: '50,50' } }, logDir);
+}, 20000);
+
+afterAll(() => {
+  for (const child of children) {
+    child.removeAllListeners('exit');
+    child.kill();
+  }
+  rmSync(logDir, { recursive: true, force: true });
+});
+
+describe('AI 代理', () => {
+  it('没有有效令牌时返回 401，角色不足时返回 403', async () => {
+    expect((await chat(base, null)).status).toBe(401);
+    expect((await chat(base, `${engineer}x`)).status).toBe(401);
+    expect((await chat(base, signToken({ username: 'eng', role: 'engineer' }, 'other-secret').token)).status).toBe(401);
+    expect((await chat(base, operator)).status).toBe(403);
+  });
+
+  it('原样转发上游的 SSE 流，响应中不出现 API key', async () => {
+    const response = await chat(base, engineer, '冷站现在怎么样');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+    const body = await response.text();
+    const events = body.split('\n\n').filter(Boolean).map(e => JSON.parse(e.replace(/^data: /, '')));
+    expect(events.length).toBe(3);
+    expect(events.map(e => e.candidates[0].content.parts[0].text).join('')).toBe('收到: 冷站现在怎么样');
+    expect(events[2].usageMetadata).toBeDefined();
+    expect(exposesKey(response, body)).toBe(false);
+  });
+
+  it('上游 429 / 5xx 时退避重试，重试用尽返回 502 且不带 API key', async () => {
+    let started = Date.now();
+    const failed = await chat(flaky, engineer);
+    const failedBody = await failed.text();
+    expect(failed.status).toBe(502);
+    expect(JSON.parse(failedBody).error.message).toBe('fake overload');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(100);
+    expect(exposesKey(failed, failedBody)).toBe(false);
+
+    started = Date.now();
+    const recovered = await chat(flaky, engineer);
+    expect(recovered.status).toBe(200);
+    expect(await recovered.text()).toContain('收到');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(50);
+  });
+});
@@ -0,0 +1,30 @@
+// --- 按用户的滑动窗口限流 ---
+// 每过一个窗口清理一次整窗内没有请求的键，键的数量不随历史用户 / IP 增长。
+
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const hits = new Map();
+  let lastSweep = 0;
+
+  const sweep = (now) => {
+    for (const [key, list] of hits) {
+      if (now - list[list.length - 1] >= windowMs) hits.delete(key);
+    }
+    lastSweep = now;
+  };
+
+  return {
+    // 返回 { allowed, remaining, retryAfterMs }，允许时记一次请求
+    check: (key, now = Date.now()) => {
+      if (now - lastSweep >= windowMs) sweep(now);
+      const recent = (hits.get(key) ?? []).filter(ts => now - ts < windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return { allowed: false, remaining: 0, retryAfterMs: windowMs - (now - recent[0]) };
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+    },
+    size: () => hits.size,
+  };
+};
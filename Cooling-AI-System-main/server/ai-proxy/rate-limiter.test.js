@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter } from './rate-limiter.js';
+
+describe('createRateLimiter', () => {
+  it('超出窗口内次数时拒绝并给出等待时间', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+    expect(limiter.check('eng', 0).allowed).toBe(true);
+    expect(limiter.check('eng', 100).allowed).toBe(true);
+    expect(limiter.check('eng', 200)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 800 });
+    expect(limiter.check('eng', 1000).allowed).toBe(true);
+  });
+
+  it('清理整窗内没有请求的键', () => {
+    const limiter = createRateLimiter({ limit: 5, windowMs: 1000 });
+    for (let i = 0; i < 100; i++) limiter.check(`10.0.0.${i}`, 500 + i);
+    limiter.check('eng', 1400);
+    expect(limiter.size()).toBe(101);
+    limiter.check('eng', 2600);
+    expect(limiter.size()).toBe(1);
+  });
+});
@@ -0,0 +1,23 @@
+import readline from 'node:readline/promises';
+import { createUserStore } from './users.js';
+
+// --- 添加或重置用户: npm run auth:user -- <用户名> <viewer|operator|engineer> [显示名] ---
+// 密码从标准输入读取 (可用管道传入)，不出现在命令行参数与 shell 历史中。
+
+const [username, role, name] = process.argv.slice(2);
+if (!username || !role) {
+  console.error('用法: npm run auth:user -- <用户名> <viewer|operator|engineer> [显示名]');
+  process.exit(1);
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+const password = await rl.question(`${username} 的密码: `);
+rl.close();
+
+try {
+  const user = createUserStore(process.env.AUTH_USERS || 'data/users.json').put({ username, password, name, role });
+  console.log(`已保存用户 ${user.username} (${user.role})`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
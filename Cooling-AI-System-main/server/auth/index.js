@@ -0,0 +1,140 @@
+import http from 'node:http';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { createUserStore } from './users.js';
+import { authSecret, signToken } from './tokens.js';
+import { createRateLimiter } from '../ai-proxy/rate-limiter.js';
+
+// --- 认证服务: 校验用户名密码并签发登录令牌，网关与 AI 代理凭令牌识别用户 ---
+// POST /api/auth/login  { username, password } → { user: { username, name, role }, token, expiresAt }
+// GET  /api/auth/status → { setupRequired }  用户库为空时需要初始化
+// POST /api/auth/setup  { username, password, name, setupToken } → 同 login；仅在用户库为空时创建第一个工程师账号并登录，
+//                       setupToken 为启动时打印在日志中的一次性初始化令牌，只有能看到服务日志的人才能初始化
+// 出错时返回 { error: { message, code? } }，code 与前端 AuthError 的 code 一致，页面按 code 显示本地化文案
+// 其他用户用 npm run auth:user 添加 (见 add-user.js)。
+
+const config = {
+  port: Number(process.env.AUTH_PORT || 8083),
+  secret: authSecret(),
+  usersFile: process.env.AUTH_USERS || 'data/users.json',
+  // 同一来源 IP 的登录尝试次数上限
+  loginLimit: Number(process.env.AUTH_LOGIN_LIMIT || 10),
+  loginWindowMs: Number(process.env.AUTH_LOGIN_WINDOW_MS || 5 * 60000),
+};
+const MAX_BODY_BYTES = 16 * 1024;
+
+if (!config.secret) {
+  console.error('[auth] 未设置 AUTH_SECRET，无法签发令牌');
+  process.exit(1);
+}
+
+const users = createUserStore(config.usersFile);
+// 一次性初始化令牌：用户库为空时启动打印，初始化成功后作废
+let setupToken = users.isEmpty() ? randomBytes(12).toString('base64url') : null;
+const loginLimiter = createRateLimiter({ limit: config.loginLimit, windowMs: config.loginWindowMs });
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(Object.assign(new Error('请求体不是有效的 JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const session = (user) => ({ user, ...signToken(user, config.secret) });
+
+// 登录与初始化共用按 IP 的尝试次数限制，超限时已回复 429 并返回 false
+const allowAttempt = (req, res) => {
+  const quota = loginLimiter.check(req.socket.remoteAddress);
+  if (quota.allowed) return true;
+  const seconds = Math.ceil(quota.retryAfterMs / 1000);
+  sendJson(res, 429, { error: { message: `登录尝试过多，请 ${seconds} 秒后再试`, code: 'rate_limited' } }, { 'Retry-After': String(seconds) });
+  return false;
+};
+
+const handleLogin = async (req, res) => {
+  const ip = req.socket.remoteAddress;
+  if (!allowAttempt(req, res)) return;
+  const { username, password } = await readJson(req);
+  const user = users.verify(String(username ?? '').trim(), password);
+  if (!user) {
+    console.log(`[auth] 登录失败 ${username} (${ip})`);
+    sendJson(res, 401, { error: { message: '用户名或密码错误', code: 'invalid' } });
+    return;
+  }
+  console.log(`[auth] 登录 ${user.username} (${ip})`);
+  sendJson(res, 200, session(user));
+};
+
+const setupTokenMatches = (value) => {
+  if (!setupToken || typeof value !== 'string') return false;
+  const actual = Buffer.from(value.trim());
+  const expected = Buffer.from(setupToken);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+// 首次部署时用户库为空，凭启动日志中的初始化令牌创建工程师账号；之后一律拒绝
+const handleSetup = async (req, res) => {
+  if (!allowAttempt(req, res)) return;
+  const { username, password, name, setupToken: token } = await readJson(req);
+  if (!users.isEmpty()) {
+    sendJson(res, 409, { error: { message: '已存在用户，不能重复初始化', code: 'setup_done' } });
+    return;
+  }
+  if (!setupTokenMatches(token)) {
+    console.log(`[auth] 初始化令牌无效 (${req.socket.remoteAddress})`);
+    sendJson(res, 403, { error: { message: '初始化令牌无效', code: 'setup_token' } });
+    return;
+  }
+  let user;
+  try {
+    user = users.put({ username: String(username ?? '').trim(), password: String(password ?? ''), name: String(name ?? '').trim().slice(0, 64), role: 'engineer' });
+  } catch (err) {
+    sendJson(res, 400, { error: { message: err.message, code: 'rejected' } });
+    return;
+  }
+  setupToken = null;
+  console.log(`[auth] 初始化管理员 ${user.username} (${req.socket.remoteAddress})`);
+  sendJson(res, 200, session(user));
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  try {
+    if (req.method === 'POST' && pathname === '/api/auth/login') return await handleLogin(req, res);
+    if (req.method === 'GET' && pathname === '/api/auth/status') return sendJson(res, 200, { setupRequired: users.isEmpty() });
+    if (req.method === 'POST' && pathname === '/api/auth/setup') return await handleSetup(req, res);
+    sendJson(res, 404, { error: { message: 'Not Found' } });
+  } catch (error) {
+    if (error.status) return sendJson(res, error.status, { error: { message: error.message } });
+    console.error('[auth]', error);
+    sendJson(res, 500, { error: { message: '认证服务内部错误' } });
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`[auth] 监听 :${config.port}，用户库 ${config.usersFile}`);
+  if (setupToken) console.log(`[auth] 用户库为空，在登录页创建第一个工程师账号时填写初始化令牌: ${setupToken}`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
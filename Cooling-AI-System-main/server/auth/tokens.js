@@ -0,0 +1,40 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// --- 登录令牌 ---
+// 令牌为 base64url(声明).base64url(HMAC-SHA256)，声明 { sub, name, role, exp }。
+// 认证服务签发，网关与 AI 代理用同一个 AUTH_SECRET 校验，不需要共享会话存储。
+
+// 与前端会话的绝对有效期一致
+export const TOKEN_TTL_MS = 8 * 3600000;
+
+export const authSecret = () => process.env.AUTH_SECRET || '';
+
+const signature = (body, secret) => createHmac('sha256', secret).update(body).digest();
+
+export const signToken = (user, secret, now = Date.now()) => {
+  const claims = { sub: user.username, name: user.name, role: user.role, exp: now + TOKEN_TTL_MS };
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return { token: `${body}.${signature(body, secret).toString('base64url')}`, expiresAt: claims.exp };
+};
+
+// 校验通过返回声明，签名不符、过期或未配置密钥时返回 null
+export const verifyToken = (token, secret, now = Date.now()) => {
+  if (!secret || typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = signature(body, secret);
+  const actual = Buffer.from(sig, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return typeof claims.sub === 'string' && claims.exp > now ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+// 从请求头 Authorization: Bearer <token> 取出已登录用户
+export const requestUser = (req, secret) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? '');
+  return match ? verifyToken(match[1], secret) : null;
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { signToken, verifyToken, requestUser, TOKEN_TTL_MS } from './tokens.js';
+
+const user = { username: 'eng', name: '工程师', role: 'engineer' };
+
+describe('登录令牌', () => {
+  it('签发的令牌可校验出用户', () => {
+    const { token, expiresAt } = signToken(user, 'secret', 1000);
+    expect(expiresAt).toBe(1000 + TOKEN_TTL_MS);
+    expect(verifyToken(token, 'secret', 2000)).toEqual({ sub: 'eng', name: '工程师', role: 'engineer', exp: expiresAt });
+  });
+
+  it('拒绝过期、密钥不符与被篡改的令牌', () => {
+    const { token, expiresAt } = signToken(user, 'secret', 1000);
+    expect(verifyToken(token, 'secret', expiresAt)).toBeNull();
+    expect(verifyToken(token, 'other', 2000)).toBeNull();
+    expect(verifyToken(token, '', 2000)).toBeNull();
+    const [, sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'eng', role: 'engineer', exp: Infinity })).toString('base64url');
+    expect(verifyToken(`${forged}.${sig}`, 'secret', 2000)).toBeNull();
+  });
+
+  it('从 Authorization 头取用户，忽略其他请求头', () => {
+    const { token } = signToken(user, 'secret');
+    expect(requestUser({ headers: { authorization: `Bearer ${token}` } }, 'secret')?.sub).toBe('eng');
+    expect(requestUser({ headers: { 'x-user': 'eng' } }, 'secret')).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import { ROLES, USERNAME_PATTERN, PASSWORD_MIN_LENGTH } from '../../src/lib/auth.js';
+
+// --- 用户库: JSON 文件，每个用户 { username, name, role, salt, hash }，密码以 scrypt 加盐哈希保存 ---
+
+const hashPassword = (password, salt) => scryptSync(password, salt, 32).toString('hex');
+
+export const createUserStore = (file) => {
+  const load = () => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+  let users = load();
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // 先写临时文件再改名，避免进程中断留下半个文件
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(users, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  return {
+    isEmpty: () => users.length === 0,
+
+    // 新增或覆盖同名用户 (重置密码)
+    put: ({ username, password, name, role }) => {
+      if (!USERNAME_PATTERN.test(username ?? '')) throw new Error('用户名只能包含字母、数字、点、下划线和连字符 (2~32 位)');
+      if (!ROLES[role]) throw new Error(`未知角色 ${role} (可选 ${Object.keys(ROLES).join(' / ')})`);
+      if (String(password ?? '').length < PASSWORD_MIN_LENGTH) throw new Error(`密码至少 ${PASSWORD_MIN_LENGTH} 位`);
+      const salt = randomBytes(16).toString('hex');
+      const user = { username, name: name || username, role, salt, hash: hashPassword(password, salt) };
+      users = [...users.filter(u => u.username !== username), user];
+      save();
+      return { username, name: user.name, role };
+    },
+
+    // 用户名与密码匹配时返回 { username, name, role }，否则 null
+    verify: (username, password) => {
+      const user = users.find(u => u.username === username);
+      if (!user || !ROLES[user.role]) return null;
+      const actual = Buffer.from(hashPassword(String(password ?? ''), user.salt), 'hex');
+      return timingSafeEqual(actual, Buffer.from(user.hash, 'hex')) ? { username: user.username, name: user.name, role: user.role } : null;
+    },
+  };
+};
@@ -0,0 +1,184 @@
+import { WebSocketServer } from 'ws';
+import { createModbusClient } from './modbus-client.js';
+import { loadRegisterMap, planReads, buildSnapshot, encodePoint } from './register-map.js';
+import { createSetpointStore } from './setpoint-store.js';
+import { authSecret, verifyToken } from '../auth/tokens.js';
+import { can } from '../../src/lib/auth.js';
+import { SETPOINT_FIELDS, validateSetpoints, applyChanges, createAuditEntry } from '../../src/lib/setpoints.js';
+
+// --- 实时数据网关: 轮询 PLC (Modbus TCP) 并通过 WebSocket 推送标准化快照 ---
+// 消息格式:
+//   { type: 'status', plc: 'online' | 'offline', error?: string }
+//   { type: 'snapshot', ts: number, data: { compressor: {...}, ... } }
+//   { type: 'setpoints', config, audit }   设定值配置与修改记录，带点位的字段为 PLC 回读值
+// 登录 (客户端 -> 网关)，令牌由认证服务签发:
+//   { type: 'auth', token }  ->  { type: 'authResult', ok: boolean }
+// 修改设定值 (需登录且有 setpoints.adjust 权限)，网关按回读值校验、写入 PLC 并记录操作人:
+//   { type: 'applySetpoints', id, next, reason?, rollbackOf? }
+//   { type: 'applyResult', id, ok: true, entry } | { type: 'applyResult', id, ok: false, code, error?, errors? }
+//   code: setpoints_forbidden / plc_offline / setpoints_invalid / no_change / gateway_error，页面按 code 显示本地化文案
+
+const map = loadRegisterMap(process.env.REGISTER_MAP);
+const modbusConfig = {
+  ...map.modbus,
+  host: process.env.MODBUS_HOST || map.modbus.host,
+  port: Number(process.env.MODBUS_PORT || map.modbus.port),
+};
+const wsPort = Number(process.env.GATEWAY_PORT || map.ws.port);
+const pollInterval = Number(process.env.POLL_INTERVAL || map.pollInterval);
+const secret = authSecret();
+if (!secret) console.warn('[gateway] 未设置 AUTH_SECRET，所有设定值修改都将被拒绝');
+const setpoints = createSetpointStore(process.env.SETPOINT_STATE || 'data/setpoints.json');
+
+const client = createModbusClient(modbusConfig);
+const reads = planReads(map.points, map.maxGap);
+const wss = new WebSocketServer({ port: wsPort });
+
+let plcStatus = { type: 'status', plc: 'offline' };
+let lastSnapshot = null;
+// 各连接登录时提交的令牌，每次修改前重新校验 (令牌可能已过期)
+const tokens = new WeakMap();
+
+const broadcast = (message) => {
+  const payload = JSON.stringify(message);
+  for (const ws of wss.clients) {
+    if (ws.readyState === ws.OPEN) ws.send(payload);
+  }
+};
+
+const setPlcStatus = (plc, error) => {
+  if (plcStatus.plc === plc && plcStatus.error === error) return;
+  plcStatus = error ? { type: 'status', plc, error } : { type: 'status', plc };
+  console.log(`[gateway] PLC ${plc}${error ? `: ${error}` : ''}`);
+  broadcast(plcStatus);
+};
+
+// 只允许写寄存器映射中标记 writable 的点位，并在网关侧再做一次量程校验
+const writePoint = async (key, value) => {
+  const point = map.points[key];
+  if (!point?.writable) throw new Error(`点位 ${key} 不可写`);
+  if (!Number.isFinite(value)) throw new Error('写入值必须是数字');
+  if ((point.min !== undefined && value < point.min) || (point.max !== undefined && value > point.max)) {
+    throw new Error(`写入值超出量程 ${point.min} ~ ${point.max}`);
+  }
+  await client.writeMultipleRegisters(point.address, encodePoint(point, value));
+  // 写入成功即视为新的回读值，不必等下一次轮询
+  if (lastSnapshot) {
+    const [group, field] = key.split('.');
+    lastSnapshot = { ...lastSnapshot, data: { ...lastSnapshot.data, [group]: { ...lastSnapshot.data[group], [field]: value } } };
+  }
+};
+
+// 带点位的设定值以 PLC 回读为准 (现场或其他系统可能直接改过 PLC)，寄存器映射里没有的点位沿用存档值
+const readback = () => {
+  const values = {};
+  for (const f of SETPOINT_FIELDS) {
+    if (!f.point) continue;
+    const [group, key] = f.point.split('.');
+    const value = lastSnapshot?.data[group]?.[key];
+    if (Number.isFinite(value)) values[f.key] = value;
+  }
+  return values;
+};
+
+const liveConfig = () => ({ ...setpoints.config(), ...readback() });
+const setpointsMessage = () => ({ type: 'setpoints', config: liveConfig(), audit: setpoints.audit() });
+
+// 以回读值为基准校验、写入并记录；各连接的修改排队执行，避免基于同一份旧值并发写入
+let applying = Promise.resolve();
+
+const applySetpoints = async (user, { next, reason, rollbackOf }) => {
+  if (!user || !can(user.role, 'setpoints.adjust')) return { ok: false, code: 'setpoints_forbidden', error: '未登录或无权修改设定值' };
+  if (plcStatus.plc !== 'online') return { ok: false, code: 'plc_offline', error: 'PLC 离线，无法确认当前设定值' };
+  const before = liveConfig();
+  const target = { ...before };
+  for (const f of SETPOINT_FIELDS) {
+    if (next?.[f.key] !== undefined) target[f.key] = Number(next[f.key]);
+  }
+  const now = Date.now();
+  const errors = validateSetpoints(target, before, setpoints.audit(), now, user.role);
+  if (Object.keys(errors).length > 0) return { ok: false, code: 'setpoints_invalid', errors };
+
+  const { changes, after, error, errorField } = await applyChanges(before, target, writePoint);
+  if (changes.length === 0) return { ok: false, code: 'no_change', error: '设定值没有变化' };
+  const entry = createAuditEntry({
+    ts: now, user: user.name, role: user.role, reason: String(reason ?? '').slice(0, 500),
+    changes, before, after, error, errorField, rollbackOf: typeof rollbackOf === 'string' ? rollbackOf : null,
+  });
+  setpoints.record(after, entry);
+  console.log(`[gateway] ${user.sub} 修改设定值 ${changes.map(c => `${c.key} ${c.from} -> ${c.to}${c.ok ? '' : ' (未执行)'}`).join(', ')}${error ? `: ${error}` : ''}`);
+  broadcast(setpointsMessage());
+  return { ok: true, entry };
+};
+
+const handleMessage = async (ws, raw) => {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  if (msg.type === 'auth') {
+    const ok = !!verifyToken(msg.token, secret);
+    if (ok) tokens.set(ws, msg.token);
+    else tokens.delete(ws);
+    ws.send(JSON.stringify({ type: 'authResult', ok }));
+  }
+  if (msg.type === 'applySetpoints') {
+    const run = applying.then(() => applySetpoints(verifyToken(tokens.get(ws), secret), msg));
+    applying = run.catch(() => {});
+    let result;
+    try {
+      result = await run;
+    } catch (err) {
+      console.error('[gateway] 修改设定值出错', err);
+      result = { ok: false, code: 'gateway_error', error: err.message };
+    }
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'applyResult', id: msg.id, ...result }));
+  }
+};
+
+// 新连接先收到当前 PLC 状态、最近一帧快照和设定值，避免页面空白等待下一次轮询
+wss.on('connection', (ws) => {
+  ws.send(JSON.stringify(plcStatus));
+  if (lastSnapshot) ws.send(JSON.stringify(lastSnapshot));
+  ws.send(JSON.stringify(setpointsMessage()));
+  ws.on('message', (raw) => handleMessage(ws, raw));
+});
+
+// 回读的设定值变化时 (含网关外部的修改) 推送最新配置
+let lastReadback = '';
+const publishReadback = () => {
+  const values = JSON.stringify(readback());
+  if (values === lastReadback) return;
+  lastReadback = values;
+  broadcast(setpointsMessage());
+};
+
+const poll = async () => {
+  try {
+    const blocks = [];
+    for (const block of reads) {
+      blocks.push({ ...block, registers: await client.readHoldingRegisters(block.address, block.quantity) });
+    }
+    lastSnapshot = { type: 'snapshot', ts: Date.now(), data: buildSnapshot(map.points, blocks) };
+    setPlcStatus('online');
+    broadcast(lastSnapshot);
+    publishReadback();
+  } catch (err) {
+    setPlcStatus('offline', err.message);
+  } finally {
+    timer = setTimeout(poll, pollInterval);
+  }
+};
+
+let timer = setTimeout(poll, 0);
+console.log(`[gateway] ws://0.0.0.0:${wsPort} <- modbus://${modbusConfig.host}:${modbusConfig.port} (${reads.length} 个读取块, ${pollInterval}ms)`);
+
+const shutdown = () => {
+  clearTimeout(timer);
+  client.close();
+  wss.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,154 @@
+import net from 'node:net';
+
+// --- Modbus TCP 客户端 (仅实现网关需要的功能码) ---
+// MBAP 报文头: 事务号(2) + 协议号(2, 固定 0) + 长度(2) + 单元号(1)
+
+const FC_READ_HOLDING = 0x03;
+const FC_WRITE_MULTIPLE = 0x10;
+const MAX_READ_QUANTITY = 125;
+const MAX_WRITE_QUANTITY = 123;
+
+const EXCEPTION_MESSAGES = {
+  1: '非法功能码',
+  2: '非法数据地址',
+  3: '非法数据值',
+  4: '从站设备故障',
+  6: '从站设备忙',
+};
+
+export class ModbusError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ModbusError';
+    this.code = code;
+  }
+}
+
+export const createModbusClient = ({ host, port = 502, unitId = 1, timeout = 2000 }) => {
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  let nextTransaction = 1;
+  const pending = new Map();
+
+  const failAll = (err) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    pending.clear();
+  };
+
+  // 按 MBAP 长度字段切帧，TCP 可能把多个响应粘在一起或拆成多段
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 7) {
+      const frameLength = 6 + buffer.readUInt16BE(4);
+      if (buffer.length < frameLength) return;
+      const frame = buffer.subarray(0, frameLength);
+      buffer = buffer.subarray(frameLength);
+
+      const transactionId = frame.readUInt16BE(0);
+      const request = pending.get(transactionId);
+      if (!request) continue;
+      pending.delete(transactionId);
+      clearTimeout(request.timer);
+
+      const fc = frame.readUInt8(7);
+      if (fc & 0x80) {
+        const code = frame.readUInt8(8);
+        request.reject(new ModbusError(`Modbus 异常响应: ${EXCEPTION_MESSAGES[code] || code}`, code));
+      } else {
+        request.resolve(frame.subarray(8));
+      }
+    }
+  };
+
+  const connect = () => {
+    if (socket) return Promise.resolve();
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      const s = net.createConnection({ host, port });
+      s.setTimeout(timeout);
+      s.once('connect', () => {
+        s.setTimeout(0);
+        socket = s;
+        connecting = null;
+        resolve();
+      });
+      s.once('timeout', () => s.destroy(new ModbusError(`连接 ${host}:${port} 超时`)));
+      s.on('data', onData);
+      s.on('error', (err) => {
+        if (connecting) {
+          connecting = null;
+          reject(err);
+        }
+      });
+      s.on('close', () => {
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failAll(new ModbusError('Modbus 连接已断开'));
+      });
+    });
+    return connecting;
+  };
+
+  const request = async (pdu) => {
+    await connect();
+    const transactionId = nextTransaction;
+    nextTransaction = (nextTransaction % 0xffff) + 1;
+
+    const header = Buffer.alloc(7);
+    header.writeUInt16BE(transactionId, 0);
+    header.writeUInt16BE(0, 2);
+    header.writeUInt16BE(pdu.length + 1, 4);
+    header.writeUInt8(unitId, 6);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(transactionId);
+        reject(new ModbusError(`请求超时 (事务 ${transactionId})`));
+      }, timeout);
+      pending.set(transactionId, { resolve, reject, timer });
+      socket.write(Buffer.concat([header, pdu]));
+    });
+  };
+
+  const readHoldingRegisters = async (address, quantity) => {
+    if (quantity < 1 || quantity > MAX_READ_QUANTITY) {
+      throw new ModbusError(`单次读取数量需在 1-${MAX_READ_QUANTITY} 之间`);
+    }
+    const pdu = Buffer.alloc(5);
+    pdu.writeUInt8(FC_READ_HOLDING, 0);
+    pdu.writeUInt16BE(address, 1);
+    pdu.writeUInt16BE(quantity, 3);
+    const body = await request(pdu);
+    const byteCount = body.readUInt8(0);
+    const registers = [];
+    for (let i = 0; i < byteCount / 2; i++) registers.push(body.readUInt16BE(1 + i * 2));
+    return registers;
+  };
+
+  const writeMultipleRegisters = async (address, values) => {
+    if (values.length < 1 || values.length > MAX_WRITE_QUANTITY) {
+      throw new ModbusError(`单次写入数量需在 1-${MAX_WRITE_QUANTITY} 之间`);
+    }
+    const pdu = Buffer.alloc(6 + values.length * 2);
+    pdu.writeUInt8(FC_WRITE_MULTIPLE, 0);
+    pdu.writeUInt16BE(address, 1);
+    pdu.writeUInt16BE(values.length, 3);
+    pdu.writeUInt8(values.length * 2, 5);
+    values.forEach((v, i) => pdu.writeUInt16BE(v, 6 + i * 2));
+    await request(pdu);
+  };
+
+  const close = () => {
+    failAll(new ModbusError('客户端已关闭'));
+    socket?.destroy();
+    socket = null;
+  };
+
+  return { readHoldingRegisters, writeMultipleRegisters, close, get connected() { return socket !== null; } };
+};
+
+export { MAX_READ_QUANTITY };
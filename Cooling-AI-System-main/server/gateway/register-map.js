@@ -0,0 +1,94 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { MAX_READ_QUANTITY } from './modbus-client.js';
+
+// --- 寄存器映射: 点位路径 (如 compressor.power) <-> 保持寄存器 ---
+
+const TYPE_WIDTH = { uint16: 1, int16: 1, float32: 2 };
+
+export const DEFAULT_MAP_PATH = fileURLToPath(new URL('./register-map.json', import.meta.url));
+
+export const loadRegisterMap = (path = DEFAULT_MAP_PATH) => {
+  const map = JSON.parse(readFileSync(path, 'utf8'));
+  for (const [key, point] of Object.entries(map.points)) {
+    if (!TYPE_WIDTH[point.type]) throw new Error(`点位 ${key} 的类型 ${point.type} 不受支持`);
+    if (!key.includes('.')) throw new Error(`点位 ${key} 需写成 "设备.字段" 形式`);
+  }
+  return map;
+};
+
+// 把点位按地址合并成读取块，减少轮询请求次数；间隙不超过 maxGap 的相邻点位一并读取
+// (部分 PLC 读到未定义地址会返回非法地址异常，此时把 maxGap 设为 0)
+export const planReads = (points, maxGap = 4) => {
+  const ranges = Object.values(points)
+    .map(p => [p.address, p.address + TYPE_WIDTH[p.type]])
+    .sort((a, b) => a[0] - b[0]);
+  const blocks = [];
+  for (const [start, end] of ranges) {
+    const last = blocks[blocks.length - 1];
+    if (last && start <= last.address + last.quantity + maxGap && end - last.address <= MAX_READ_QUANTITY) {
+      last.quantity = Math.max(last.quantity, end - last.address);
+    } else {
+      blocks.push({ address: start, quantity: end - start });
+    }
+  }
+  return blocks;
+};
+
+const round = (value, precision = 2) => {
+  const f = 10 ** precision;
+  return Math.round(value * f) / f;
+};
+
+export const decodePoint = (point, words) => {
+  switch (point.type) {
+    case 'uint16': {
+      const raw = words[0];
+      return point.enum ? (point.enum[raw] ?? `Unknown(${raw})`) : raw * (point.scale ?? 1);
+    }
+    case 'int16': {
+      const raw = words[0] > 0x7fff ? words[0] - 0x10000 : words[0];
+      return round(raw * (point.scale ?? 1), point.precision);
+    }
+    case 'float32': {
+      const buf = Buffer.alloc(4);
+      buf.writeUInt16BE(words[0], 0);
+      buf.writeUInt16BE(words[1], 2);
+      return round(buf.readFloatBE(0), point.precision);
+    }
+    default:
+      throw new Error(`未知类型 ${point.type}`);
+  }
+};
+
+export const encodePoint = (point, value) => {
+  switch (point.type) {
+    case 'uint16': {
+      const raw = point.enum ? point.enum.indexOf(value) : Math.round(value / (point.scale ?? 1));
+      return [Math.max(0, raw) & 0xffff];
+    }
+    case 'int16':
+      return [Math.round(value / (point.scale ?? 1)) & 0xffff];
+    case 'float32': {
+      const buf = Buffer.alloc(4);
+      buf.writeFloatBE(value, 0);
+      return [buf.readUInt16BE(0), buf.readUInt16BE(2)];
+    }
+    default:
+      throw new Error(`未知类型 ${point.type}`);
+  }
+};
+
+// 把各读取块的寄存器值解码成与前端 realtimeData 同构的嵌套对象
+export const buildSnapshot = (points, blocks) => {
+  const snapshot = {};
+  for (const [key, point] of Object.entries(points)) {
+    const block = blocks.find(b => point.address >= b.address && point.address + TYPE_WIDTH[point.type] <= b.address + b.registers.length);
+    if (!block) continue;
+    const offset = point.address - block.address;
+    const [group, field] = key.split('.');
+    snapshot[group] ??= {};
+    snapshot[group][field] = decodePoint(point, block.registers.slice(offset, offset + TYPE_WIDTH[point.type]));
+  }
+  return snapshot;
+};
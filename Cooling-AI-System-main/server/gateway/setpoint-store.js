@@ -0,0 +1,38 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_SETPOINT_CONFIG, SETPOINT_AUDIT_LIMIT } from '../../src/lib/setpoints.js';
+
+// --- 设定值存档: JSON 文件 { config, audit }，所有客户端共用同一份配置与修改记录 ---
+
+export const createSetpointStore = (file) => {
+  const load = () => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  };
+  const saved = load();
+  let config = { ...DEFAULT_SETPOINT_CONFIG, ...saved.config };
+  let audit = saved.audit ?? [];
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // 先写临时文件再改名，避免进程中断留下半个文件
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ config, audit }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  return {
+    config: () => config,
+    audit: () => audit,
+
+    // 记录一次修改 (含部分失败的)，新记录在前
+    record: (after, entry) => {
+      config = after;
+      audit = [entry, ...audit].slice(0, SETPOINT_AUDIT_LIMIT);
+      save();
+    },
+  };
+};
@@ -0,0 +1,114 @@
+import net from 'node:net';
+import { loadRegisterMap, encodePoint, decodePoint } from './register-map.js';
+import { simulateAt } from '../../src/lib/plantModel.js';
+
+// --- 本地 Modbus TCP 仿真从站: 无真实 PLC 时用于联调网关 ---
+
+const FC_READ_HOLDING = 0x03;
+const FC_WRITE_MULTIPLE = 0x10;
+const REGISTER_COUNT = 1000;
+
+const map = loadRegisterMap(process.env.REGISTER_MAP);
+const port = Number(process.env.MODBUS_PORT || map.modbus.port);
+const registers = new Uint16Array(REGISTER_COUNT);
+
+const writePoint = (key, value) => {
+  const point = map.points[key];
+  if (!point) return;
+  encodePoint(point, value).forEach((word, i) => { registers[point.address + i] = word; });
+};
+
+const readPoint = (key) => {
+  const point = map.points[key];
+  return decodePoint(point, Array.from(registers.subarray(point.address, point.address + 2)));
+};
+
+// 由冷站物理模型按当前时刻求解工况，设定值取自寄存器 (可被网关写回)，求解结果不覆盖设定值
+const tick = () => {
+  const { snapshot } = simulateAt(new Date(), {
+    setPoint: readPoint('userSide.setPoint'),
+    cwSetPoint: readPoint('coolingTower.setPoint'),
+    pumpFrequency: readPoint('pump.setPoint'),
+  });
+  for (const [group, fields] of Object.entries(snapshot)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const key = `${group}.${field}`;
+      if (!map.points[key]?.writable) writePoint(key, value);
+    }
+  }
+};
+
+const exception = (header, fc, code) => {
+  const res = Buffer.alloc(9);
+  header.copy(res, 0, 0, 4);
+  res.writeUInt16BE(3, 4);
+  res.writeUInt8(header.readUInt8(6), 6);
+  res.writeUInt8(fc | 0x80, 7);
+  res.writeUInt8(code, 8);
+  return res;
+};
+
+const handleWrite = (frame) => {
+  const fc = frame.readUInt8(7);
+  const address = frame.readUInt16BE(8);
+  const quantity = frame.readUInt16BE(10);
+  if (quantity < 1 || quantity > 123) return exception(frame, fc, 3);
+  if (address + quantity > REGISTER_COUNT) return exception(frame, fc, 2);
+
+  for (let i = 0; i < quantity; i++) registers[address + i] = frame.readUInt16BE(13 + i * 2);
+  console.log(`[simulator] 写入寄存器 ${address}..${address + quantity - 1}`);
+  tick();
+
+  const res = Buffer.alloc(12);
+  frame.copy(res, 0, 0, 12);
+  res.writeUInt16BE(6, 4);
+  return res;
+};
+
+const handleFrame = (frame) => {
+  const fc = frame.readUInt8(7);
+  if (fc === FC_WRITE_MULTIPLE) return handleWrite(frame);
+  if (fc !== FC_READ_HOLDING) return exception(frame, fc, 1);
+
+  const address = frame.readUInt16BE(8);
+  const quantity = frame.readUInt16BE(10);
+  if (quantity < 1 || quantity > 125) return exception(frame, fc, 3);
+  if (address + quantity > REGISTER_COUNT) return exception(frame, fc, 2);
+
+  const res = Buffer.alloc(9 + quantity * 2);
+  frame.copy(res, 0, 0, 4);
+  res.writeUInt16BE(3 + quantity * 2, 4);
+  res.writeUInt8(frame.readUInt8(6), 6);
+  res.writeUInt8(fc, 7);
+  res.writeUInt8(quantity * 2, 8);
+  for (let i = 0; i < quantity; i++) res.writeUInt16BE(registers[address + i], 9 + i * 2);
+  return res;
+};
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 7) {
+      const frameLength = 6 + buffer.readUInt16BE(4);
+      if (buffer.length < frameLength) return;
+      socket.write(handleFrame(buffer.subarray(0, frameLength)));
+      buffer = buffer.subarray(frameLength);
+    }
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+writePoint('userSide.setPoint', 7);
+writePoint('coolingTower.setPoint', 28);
+writePoint('pump.setPoint', 45);
+tick();
+const timer = setInterval(tick, 1000);
+server.listen(port, () => console.log(`[simulator] Modbus TCP 仿真从站监听 :${port}`));
+
+const shutdown = () => {
+  clearInterval(timer);
+  server.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
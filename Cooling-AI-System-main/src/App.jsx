@@ -1,16 +1,12 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { 
-  Activity, 
   Wind, 
   Droplets, 
   Settings, 
   TrendingUp, 
-  Thermometer, 
   Zap, 
   Factory, 
-  Cpu,
   RefreshCw,
-  BarChart3,
   LayoutDashboard,
   MessageSquare,
   Send,
@@ -23,7 +19,18 @@ import {
   Save,
   Bell,
   List,
-  ChevronRight,
+  Pencil,
+  Square,
+  Upload,
+  FileText,
+  Workflow,
+  MapPin,
+  Stethoscope,
+  Download,
+  LogOut,
+  Lock,
+  FlaskConical,
+  Wrench,
   PieChart as PieChartIcon
 } from 'lucide-react';
 import {
@@ -34,281 +41,242 @@ import {
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
-  AreaChart,
-  Area,
   BarChart,
   Bar,
-  PieChart,
-  Pie,
-  Cell,
-  Legend,
   ReferenceLine
 } from 'recharts';
+import CustomTooltip from './components/CustomTooltip';
+import { connectTelemetry, mergeSnapshot, gatewayBaseline, CONNECTION_STATES } from './lib/telemetry';
+import { simulateAt } from './lib/plantModel';
+import { generateHistory } from './lib/syntheticHistory';
+import { useTimeSeries, useSeriesRange } from './hooks/useTimeSeries';
+import { pickAlarmLimits, SETPOINT_FIELDS } from './lib/setpoints';
+import { useAlarms } from './hooks/useAlarms';
+import { useSetpoints } from './hooks/useSetpoints';
+import AlarmPanel from './components/AlarmPanel';
+import ControlPanel from './components/ControlPanel';
+import LoadForecastCard from './components/LoadForecastCard';
+import OptimizationCard from './components/OptimizationCard';
+import MiniChart from './components/MiniChart';
+import RangePicker from './components/RangePicker';
+import ExportButtons from './components/ExportButtons';
+import ImportWizard from './components/ImportWizard';
+import ReportsPanel from './components/ReportsPanel';
+import PlantSchematic from './components/PlantSchematic';
+import EquipmentDrawer from './components/EquipmentDrawer';
+import Markdown from './components/Markdown';
+import ThreadList from './components/ThreadList';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import LoginScreen from './components/LoginScreen';
+import PreferencesMenu from './components/PreferencesMenu';
+import TariffPanel from './components/TariffPanel';
+import ScenarioPanel from './components/ScenarioPanel';
+import MaintenancePanel from './components/MaintenancePanel';
+import Dashboard from './components/Dashboard';
+import { useReports } from './hooks/useReports';
+import { useDiagnostics } from './hooks/useDiagnostics';
+import { useThreads } from './hooks/useThreads';
+import { useTariff, useCosts } from './hooks/useTariff';
+import { useScenarios } from './hooks/useScenarios';
+import { useMaintenance } from './hooks/useMaintenance';
+import { useDashboardLayout } from './hooks/useDashboardLayout';
+import { useAuth } from './hooks/useAuth';
+import { usePreferences } from './hooks/usePreferences';
+import { currentRoute, useRouteSync } from './hooks/useRoute';
+import { tableOf, formatDateTime, downloadBlob } from './lib/exportData';
+import { createProvider } from './lib/llm';
+import { errorText } from './lib/i18n';
+import { assistantTools, createToolRunner, chartPoints } from './lib/assistantTools';
+import { threadToMarkdown, threadFilename } from './lib/threads';
+import { trimHistory } from './lib/conversation';
+import { SITES, DEFAULT_SITE_ID, siteById, siteSimulation, siteStoreName, availableUnits } from './lib/sites';
+import { summarizeUnits } from './lib/sequencing';
+import { loadJSON, saveJSON } from './lib/storage';
+import { DEFAULT_RANGE } from './lib/routes';
+import { TARIFF_PERIODS, periodRanges } from './lib/tariff';
+import { scenarioConditions, scenarioPrompt } from './lib/scenarios';
+import { openEvents, ordersForLink, workOrderDraft } from './lib/maintenance';
 
 // --- 配置与常量 ---
-const apiKey = import.meta.env.VITE_GEMINI_API_KEY || "";
-const TEXT_MODEL = "gemini-2.5-flash-preview-09-2025";
-
-// --- 实用工具函数 ---
-
-// 移除 Markdown 符号以便在图表等纯文本环境显示
-const stripMarkdown = (text) => {
-  if (typeof text !== 'string') return text;
-  return text.replace(/\*\*(.*?)\*\*/g, '$1').replace(/\*(.*?)\*/g, '$1').replace(/`/g, '');
-};
-
-// --- 模拟数据生成 ---
-const generateTimeData = (points = 24) => {
-  const data = [];
-  const now = new Date();
-  for (let i = 0; i < points; i++) {
-    const time = new Date(now.getTime() - (points - i) * 3600000);
-    const hour = time.getHours();
-    data.push({
-      time: `${hour}:00`,
-      power: 400 + Math.random() * 200 + (hour > 8 && hour < 18 ? 300 : 0),
-      demand: 1200 + Math.random() * 400,
-      optimizedPower: 350 + Math.random() * 150 + (hour > 8 && hour < 18 ? 200 : 0),
-      efficiency: 3.5 + Math.random() * 1.5
-    });
-  }
-  return data;
+// 数据源: gateway 连接实时数据网关；simulator 由前端物理仿真模型驱动 (培训与演示)
+const DATA_SOURCE = import.meta.env.VITE_DATA_SOURCE || 'gateway';
+const SIMULATOR_TICK_MS = 5000;
+// 负荷预测与 AI 工具使用的逐时历史天数 (负荷预测至少需要 8 天)
+const HISTORY_DAYS = 14;
+// 范围图表最多绘制的柱数
+const BAR_CHART_POINTS = 24;
+
+// 仿真模式下时序库为空时导入的合成逐时历史，保证首次打开即可预测与对比；截止到上一个整点，
+// 当前小时由实时采样汇总。连接网关时不导入，历史只来自实测或导入的数据
+const seedHistory = (site) => generateHistory({ points: HISTORY_DAYS * 24, end: new Date(Date.now() - 3600000), ...siteSimulation(site) })
+  .map(p => ({ ts: p.ts, values: Object.fromEntries(Object.entries(p).filter(([k, v]) => k !== 'ts' && Number.isFinite(v))) }));
+
+// 页脚健康指示，随当前最高等级告警变化 (状态码风格的英文标签，不随语言切换)
+const HEALTH_STATES = {
+  ok: { label: 'SYSTEM_HEALTH_OK', dot: 'bg-green-500 shadow-[0_0_10px_#22c55e]' },
+  info: { label: 'SYSTEM_NOTICE', dot: 'bg-blue-500 shadow-[0_0_10px_#3b82f6]' },
+  warning: { label: 'SYSTEM_WARNING', dot: 'bg-amber-500 shadow-[0_0_10px_#f59e0b]' },
+  critical: { label: 'SYSTEM_CRITICAL', dot: 'bg-red-500 shadow-[0_0_10px_#ef4444]' },
 };
 
-const ENERGY_DISTRIBUTION = [
-  { name: '压缩机组', value: 65, color: '#3b82f6' },
-  { name: '冷却泵', value: 15, color: '#6366f1' },
-  { name: '冷却塔风机', value: 12, color: '#10b981' },
-  { name: '照明与辅助', value: 8, color: '#f59e0b' },
+// 侧边导航；permission 为进入该页所需的权限
+const NAV_ITEMS = [
+  { id: 'dashboard', icon: LayoutDashboard },
+  { id: 'schematic', icon: Workflow },
+  { id: 'forecast', icon: TrendingUp },
+  { id: 'scenarios', icon: FlaskConical },
+  { id: 'assistant', icon: MessageSquare, permission: 'assistant.use' },
+  { id: 'reports', icon: FileText },
+  { id: 'diagnostics', icon: Stethoscope },
+  { id: 'alarms', icon: Bell },
+  { id: 'maintenance', icon: Wrench },
+  { id: 'control', icon: Settings, permission: 'setpoints.adjust' },
 ];
 
-const INITIAL_REALTIME_DATA = {
-  compressor: { status: 'Running', power: 245.5, cop: 4.2, inTemp: 12.1, outTemp: 7.2 },
-  coolingTower: { status: 'Running', fanSpeed: 85, inTemp: 32.5, outTemp: 28.1, humidity: 65 },
-  pump: { status: 'Running', frequency: 45.2, flow: 120, pressure: 0.35 },
-  userSide: { load: 1450, setPoint: 7.0, returnTemp: 12.5, deltaT: 5.5 },
-  environment: { temp: 31.2, humidity: 55, wetBulb: 24.5 }
-};
-
-// --- 通用 AI 调用函数 ---
-const callGemini = async (prompt, systemInstruction) => {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${TEXT_MODEL}:generateContent?key=${apiKey}`;
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    systemInstruction: { parts: [{ text: systemInstruction }] }
-  };
-
-  const delays = [1000, 2000, 4000, 8000, 16000];
-  for (let i = 0; i <= delays.length; i++) {
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!response.ok) throw new Error(`API Error: ${response.status}`);
-      const result = await response.json();
-      return result.candidates?.[0]?.content?.parts?.[0]?.text;
-    } catch (error) {
-      if (i === delays.length) throw new Error("AI服务不可用，请稍后再试。");
-      await new Promise(r => setTimeout(r, delays[i]));
-    }
-  }
-};
-
-// --- 精细化渲染组件 ---
-
-// 1. 数学公式渲染器 (支持 LaTeX)
-const LatexRenderer = ({ children }) => {
-  const containerRef = useRef(null);
-  
-  useEffect(() => {
-    if (window.katex && containerRef.current) {
-      try {
-        window.katex.render(children, containerRef.current, {
-          throwOnError: false,
-          displayMode: false
-        });
-      } catch (e) {
-        console.error("KaTeX error:", e);
-      }
-    }
-  }, [children]);
+// 助手使用的 LLM 提供方 (VITE_LLM_PROVIDER: gemini / openai / mock)
+const llm = createProvider();
 
-  return <span ref={containerRef}>{children}</span>;
+// 初始工况取自物理仿真模型，网关或仿真器推送后被实时数据覆盖；网关模式去掉网关不推送的仿真字段
+const initialSnapshot = (site) => {
+  const { snapshot } = simulateAt(new Date(), siteSimulation(site));
+  return DATA_SOURCE === 'gateway' ? gatewayBaseline(snapshot) : snapshot;
 };
 
-// 2. 通用混合文本渲染组件 (支持 LaTeX + Markdown 加粗)
-const FormattedText = ({ content }) => {
-  if (!content) return null;
-  // 同时支持 $...$ 数学公式和 **...** 加粗
-  const regex = /(\$.*?\$|\*\*.*?\*\*)/g;
-  const parts = content.split(regex);
-
-  return parts.map((part, i) => {
-    if (part.startsWith('$') && part.endsWith('$')) {
-      return <LatexRenderer key={i}>{part.slice(1, -1)}</LatexRenderer>;
-    } else if (part.startsWith('**') && part.endsWith('**')) {
-      return <strong key={i} className="text-blue-400 font-bold">{part.slice(2, -2)}</strong>;
-    }
-    return part;
+// 系统提示词中的电价、本月电费与近期设定值修改 (数值为公制)，模型据此回答电费与节省问题，
+// 具体时间窗口的电费再由 get_energy_cost 查询
+const RECENT_CHANGES_MS = 48 * 3600000;
+const costContext = ({ tariff, summary, audit, t, now }) => {
+  const ranges = periodRanges(tariff.schedule);
+  const hours = (p) => ranges[p].map(([from, to]) => `${from}:00–${to}:00`).join(t('common.nameSeparator')) || '-';
+  const changes = audit
+    .filter(e => now - e.ts < RECENT_CHANGES_MS)
+    .flatMap(e => e.changes.filter(c => c.ok).map(c => t('assistant.systemChange', {
+      time: new Date(e.ts).toLocaleString(t.locale),
+      name: t(`setpoint.${c.key}`),
+      from: c.from,
+      to: c.to,
+      unit: SETPOINT_FIELDS.find(f => f.key === c.key)?.unit ?? '',
+      user: e.user,
+    })));
+  return t('assistant.systemCost', {
+    currency: tariff.currency,
+    prices: TARIFF_PERIODS.map(p => `${t(`tariff.periods.${p}`)} ${tariff.prices[p]} (${hours(p)})`).join(t('common.listSeparator')),
+    weekend: tariff.weekendOffPeak ? t('assistant.systemWeekend') : '',
+    demandCharge: tariff.demandCharge,
+    factor: tariff.emissionFactor,
+    energy: Math.round(summary.energy),
+    cost: summary.totalCost.toFixed(2),
+    demand: summary.demand.cost.toFixed(2),
+    carbon: Math.round(summary.carbon),
+    savings: summary.savings.cost.toFixed(2),
+    savingsCarbon: Math.round(summary.savings.carbon),
+    changes: changes.length ? changes.join(t('common.listSeparator')) : t('assistant.systemNoChanges'),
   });
 };
 
-// 3. 增强型 Markdown 解析
-const MarkdownRenderer = ({ text }) => {
-  const blocks = useMemo(() => {
-    const res = [];
-    const lines = text.split('\n');
-    let currentBlock = [];
-    let isTable = false;
-
-    lines.forEach((line) => {
-      const isTableLine = line.trim().startsWith('|');
-      if (isTableLine && !isTable) {
-        if (currentBlock.length > 0) res.push({ type: 'text', content: currentBlock.join('\n') });
-        currentBlock = [line];
-        isTable = true;
-      } else if (!isTableLine && isTable) {
-        if (currentBlock.length > 0) res.push({ type: 'table', content: currentBlock.join('\n') });
-        currentBlock = [line];
-        isTable = false;
-      } else {
-        currentBlock.push(line);
-      }
-    });
-    if (currentBlock.length > 0) res.push({ type: isTable ? 'table' : 'text', content: currentBlock.join('\n') });
-    return res;
-  }, [text]);
+// 链接中的时间范围只作用于对应页面的主图表
+const rangeFor = (route, tab) => (route.tab === tab && route.range) || DEFAULT_RANGE;
 
-  return (
-    <div className="space-y-2">
-      {blocks.map((block, idx) => {
-        if (block.type === 'table') return <MarkdownTable key={idx} content={block.content} />;
-        return (
-          <div key={idx} className="space-y-1">
-            {block.content.split('\n').map((line, i) => {
-              if (line.startsWith('### ')) return <h3 key={i} className="text-sm font-bold text-blue-400 mt-4 mb-2 flex items-center gap-2"><ChevronRight size={14} /> <FormattedText content={line.replace('### ', '')} /></h3>;
-              if (line.startsWith('## ')) return <h2 key={i} className="text-base font-bold text-white mt-5 mb-3 border-b border-slate-700 pb-1"><FormattedText content={line.replace('## ', '')} /></h2>;
-              if (line.trim().startsWith('- ')) return <div key={i} className="flex gap-2 ml-2 my-0.5 text-slate-300"><span className="text-blue-500 mt-1.5 shrink-0 w-1 h-1 rounded-full bg-blue-500"></span><span><FormattedText content={line.trim().substring(2)} /></span></div>;
-              return <p key={i} className="min-h-[1rem]"><FormattedText content={line} /></p>;
-            })}
-          </div>
-        );
-      })}
-    </div>
-  );
-};
+// 链接指定的站点优先，其次是上次选择的站点
+const initialSiteId = (route) => (SITES.some(s => s.id === route.site) ? route.site : loadJSON('site', DEFAULT_SITE_ID));
 
-const MarkdownTable = ({ content }) => {
-  const rows = content.trim().split('\n').filter(r => r.includes('|') && !r.match(/^\|?\s*[:\-|\s]+\s*\|?$/));
-  if (rows.length < 1) return null;
-  const parseRow = (r) => r.split('|').map(c => c.trim()).filter((c, i, a) => !((i === 0 || i === a.length-1) && c === ''));
-  const header = parseRow(rows[0]);
-  const body = rows.slice(1).map(parseRow);
+const initialConnection = () => ({ state: DATA_SOURCE === 'simulator' ? 'simulated' : 'connecting', error: null, lastUpdate: null });
 
-  return (
-    <div className="my-4 overflow-hidden rounded-xl border border-slate-700/50 bg-slate-900/20 shadow-inner">
-      <table className="w-full text-[11px] text-left border-collapse">
-        <thead className="bg-slate-800/50 text-slate-400">
-          <tr>{header.map((h, i) => <th key={i} className="px-4 py-2 font-bold uppercase tracking-widest"><FormattedText content={h} /></th>)}</tr>
-        </thead>
-        <tbody className="divide-y divide-slate-800/50">
-          {body.map((row, i) => (
-            <tr key={i} className="hover:bg-blue-500/5 transition-colors">
-              {row.map((cell, j) => (
-                <td key={j} className="px-4 py-2 text-slate-300">
-                  <FormattedText content={cell} />
-                </td>
-              ))}
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
-  );
-};
-
-// 4. 自定义 Tooltip (自动清洗标签)
-const CustomTooltip = ({ active, payload, label }) => {
-  if (active && payload && payload.length) {
-    return (
-      <div className="bg-slate-900/95 border border-slate-700 p-3 rounded-xl shadow-2xl backdrop-blur-md">
-        <p className="text-[10px] text-slate-500 font-bold uppercase mb-2 tracking-tighter">{label} 运行记录</p>
-        <div className="space-y-1.5">
-          {payload.map((entry, index) => (
-            <div key={index} className="flex items-center justify-between gap-4">
-              <span className="flex items-center gap-2">
-                <div className="w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }}></div>
-                <span className="text-xs text-slate-300">{stripMarkdown(entry.name)}</span>
-              </span>
-              <span className="text-xs font-mono font-bold text-white">
-                {entry.value.toFixed(1)} <span className="text-[10px] text-slate-500">{entry.unit || ''}</span>
-              </span>
-            </div>
-          ))}
-        </div>
-      </div>
-    );
-  }
-  return null;
-};
-
-const MiniChart = ({ data, type = "power" }) => (
-  <div className="h-40 w-full mt-4 bg-slate-950/50 rounded-2xl p-4 border border-slate-800/50 group">
-    <ResponsiveContainer width="100%" height="100%">
-      <AreaChart data={data}>
-        <defs>
-          <linearGradient id={`grad-${type}`} x1="0" y1="0" x2="0" y2="1">
-            <stop offset="0%" stopColor="#3b82f6" stopOpacity={0.4}/>
-            <stop offset="100%" stopColor="#3b82f6" stopOpacity={0}/>
-          </linearGradient>
-        </defs>
-        <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
-        <Tooltip content={<CustomTooltip />} />
-        <Area type="monotone" dataKey={type} stroke="#3b82f6" strokeWidth={2} fill={`url(#grad-${type})`} />
-      </AreaChart>
-    </ResponsiveContainer>
-  </div>
+// 系统提示词中的 LaTeX 温度示例，单位跟随用户设置
+const latexExample = (unitSystem) => (
+  `$${unitSystem.display('temperature', 7).toFixed(1)}^\\circ\\text{${unitSystem.unit('temperature').replace('°', '')}}$`
 );
 
 // --- 主应用组件 ---
 
 const App = () => {
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [realtimeData, setRealtimeData] = useState(INITIAL_REALTIME_DATA);
-  const [historyData, setHistoryData] = useState(generateTimeData(24));
+  const prefs = usePreferences();
+  const { t, unitSystem } = prefs;
+  const auth = useAuth();
+  // 页面、站点、时间范围、设备与对话线程的初值取自地址，之后的变化同步回地址 (见 useRouteSync)
+  const [initialRoute] = useState(currentRoute);
+  const [activeTab, setActiveTab] = useState(initialRoute.tab);
+  // 无权限的页面 (如换了低权限账号登录) 显示提示，不渲染内容
+  const tabPermission = NAV_ITEMS.find(item => item.id === activeTab)?.permission;
+  const tabDenied = tabPermission ? auth.reason(tabPermission) : null;
+  const tab = tabDenied ? 'denied' : activeTab;
+  const [siteId, setSiteId] = useState(() => initialSiteId(initialRoute));
+  const site = siteById(siteId);
+  const [realtimeData, setRealtimeData] = useState(() => initialSnapshot(site));
+  const telemetryRef = useRef(null);
+  // 寻优与优化功率按站点配置的机组计算；数据源没有机组明细时各机组视为可用
+  const optimizerUnits = useMemo(() => availableUnits(site, realtimeData), [site, realtimeData]);
+  const seedSite = useMemo(() => (DATA_SOURCE === 'simulator' ? () => seedHistory(site) : undefined), [site]);
+  const series = useTimeSeries(realtimeData, { name: siteStoreName(site), units: optimizerUnits, seed: seedSite, historyDays: HISTORY_DAYS });
+  const historyData = series.hourly;
+  const [trendRange, setTrendRange] = useState(() => rangeFor(initialRoute, 'dashboard'));
+  const [savingRange, setSavingRange] = useState(() => rangeFor(initialRoute, 'forecast'));
+  const saving = useSeriesRange(series, savingRange, BAR_CHART_POINTS);
+  const savingChartRef = useRef(null);
+  const [showImport, setShowImport] = useState(false);
+  const reports = useReports(series.store, llm, site);
+  // 升级前的报告没有站点信息，归入默认站点
+  const siteReports = useMemo(() => reports.archive.filter(r => (r.site?.id ?? DEFAULT_SITE_ID) === site.id), [reports.archive, site.id]);
+  const unitSummary = useMemo(() => summarizeUnits(realtimeData), [realtimeData]);
+  const diagnostics = useDiagnostics(series, site);
+  const { tariff, setTariff } = useTariff();
+  const costs = useCosts(series, tariff);
+  const [selectedEquipment, setSelectedEquipment] = useState(initialRoute.tab === 'schematic' ? initialRoute.equipment : null);
+  const [equipmentRange, setEquipmentRange] = useState(() => rangeFor(initialRoute, 'schematic'));
+
+  // 设定值修改：仿真模式直接改写仿真工况；网关模式整体交给网关校验、写入 PLC 并保存修改记录
+  const writeSimulator = useCallback(async (point, value) => {
+    const [group, field] = point.split('.');
+    setRealtimeData(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  }, []);
+  const applyOnGateway = useCallback(async (request) => {
+    if (!telemetryRef.current) throw new Error(t('header.gatewayDisconnected'));
+    return telemetryRef.current.applySetpoints(request);
+  }, [t]);
+
+  const {
+    config: setpointConfig, audit: setpointAudit, apply: applySetpoints, receive: receiveSetpoints,
+  } = useSetpoints(DATA_SOURCE === 'gateway' ? { remote: applyOnGateway } : { writePoint: writeSimulator });
+  const alarmLimits = useMemo(() => pickAlarmLimits(setpointConfig), [setpointConfig]);
+  // 情景模拟以当前实测工况与在用设定为基准，助手的 simulate_scenario 工具共用
+  const scenarioBase = useMemo(() => scenarioConditions(realtimeData, setpointConfig, optimizerUnits), [realtimeData, setpointConfig, optimizerUnits]);
+  const scenarios = useScenarios(site.id);
+  // 寻优建议带到控制页，仍走确认弹窗与校验
+  const [proposal, setProposal] = useState(null);
+  const { alarms, rules: alarmRules, health, acknowledge, acknowledgeAll, clearHistory } = useAlarms(realtimeData, alarmLimits);
+  const maintenance = useMaintenance(site, realtimeData, auth.user?.name);
+  const dashboardLayout = useDashboardLayout(auth.user?.username);
+  // 从告警或诊断进入维保页时要打开的工单或新建表单的预填内容，经侧边导航切换页面时清除
+  const [maintenanceFocus, setMaintenanceFocus] = useState(null);
+  const maintenanceEvents = useMemo(() => openEvents(alarms, diagnostics.openSince), [alarms, diagnostics.openSince]);
+  const [connection, setConnection] = useState(initialConnection);
+  // 网关模式下未配置网关地址的站点直接显示离线
+  const connectionStatus = DATA_SOURCE === 'gateway' && !site.telemetryUrl ? { state: 'offline', error: t('header.noGateway', { site: site.name }), lastUpdate: null } : connection;
+
+  // 切换站点：实时数据回到该站初始工况，历史库随库名切换
+  const switchSite = (id) => {
+    const next = siteById(id);
+    setSiteId(next.id);
+    saveJSON('site', next.id);
+    setRealtimeData(initialSnapshot(next));
+    setConnection(initialConnection());
+    setSelectedEquipment(null);
+  };
   
-  const [messages, setMessages] = useState([
-    { 
-      role: 'assistant', 
-      text: '你好！我是您的智控助手。检测到系统出口温度略有波动。\n\n## 当前运行概览\n系统出口温度设定值为 $7.0^\\circ\\text{C}$，实际温度为 $7.2^\\circ\\text{C}$。\n\n| 关键指标 | 读数 | 状态 |\n|---|---|---|\n| 出口温度 | $7.2^\\circ\\text{C}$ | 🟡 观察 |\n| 环境湿球温度 | $24.5^\\circ\\text{C}$ | 🟢 优 |\n\n### AI 洞察\n- 建议提高 **被冷却介质出口温度** 的监控频率，确保波动范围在 $\\pm 0.1^\\circ\\text{C}$ 以内。',
-      chartData: historyData.slice(0, 15),
-      chartType: "power"
-    }
-  ]);
+  const chat = useThreads(site.id, initialRoute.thread);
+  const messages = chat.active.messages;
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const abortRef = useRef(null);
   const chatEndRef = useRef(null);
 
-  // 挂载 KaTeX 和 Tailwind
+  // 挂载 Tailwind 与全局样式 (KaTeX 在首次渲染公式时按需加载)
   useEffect(() => {
     // Tailwind
     const tw = document.createElement('script');
     tw.src = "https://cdn.tailwindcss.com";
     document.head.appendChild(tw);
 
-    // KaTeX CSS
-    const ktCss = document.createElement('link');
-    ktCss.rel = "stylesheet";
-    ktCss.href = "https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.9/katex.min.css";
-    document.head.appendChild(ktCss);
-
-    // KaTeX JS
-    const ktJs = document.createElement('script');
-    ktJs.src = "https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.9/katex.min.js";
-    document.head.appendChild(ktJs);
-
     const style = document.createElement('style');
     style.innerHTML = `
       body, html, #root { margin: 0; padding: 0; height: 100%; width: 100%; background-color: #060a11; color: #e2e8f0; overflow: hidden; }
@@ -320,63 +288,214 @@ const App = () => {
     document.head.appendChild(style);
   }, []);
 
+  // 订阅实时数据网关；换账号登录后重连，网关按新令牌识别操作人
+  const authToken = auth.token;
+  useEffect(() => {
+    if (DATA_SOURCE !== 'gateway' || !site.telemetryUrl) return;
+    const telemetry = connectTelemetry({
+      url: site.telemetryUrl,
+      token: authToken,
+      onSnapshot: (snapshot, ts) => {
+        setRealtimeData(prev => mergeSnapshot(prev, snapshot));
+        setConnection(prev => ({ ...prev, lastUpdate: ts }));
+      },
+      onStatus: (state, error = null) => setConnection(prev => ({ ...prev, state, error })),
+      onSetpoints: receiveSetpoints,
+    });
+    telemetryRef.current = telemetry;
+    return () => {
+      telemetry.close();
+      telemetryRef.current = null;
+    };
+  }, [site, authToken, receiveSetpoints]);
+
+  // 仿真模式: 物理模型按当前设定值推进实时工况 (历史由时序库记录)
+  useEffect(() => {
+    if (DATA_SOURCE !== 'simulator') return;
+    const timer = setInterval(() => {
+      const now = new Date();
+      setRealtimeData(prev => simulateAt(now, {
+        ...siteSimulation(site),
+        setPoint: prev.userSide.setPoint,
+        cwSetPoint: prev.coolingTower.setPoint,
+        pumpFrequency: prev.pump.setPoint,
+        running: prev.units?.filter(u => u.status === 'Running').map(u => u.id),
+      }).snapshot);
+      setConnection(prev => ({ ...prev, lastUpdate: now.getTime() }));
+    }, SIMULATOR_TICK_MS);
+    return () => clearInterval(timer);
+  }, [site]);
+
   // 优化自动滚动逻辑：确保定位到消息框的最底部
   useEffect(() => {
-    if (activeTab === 'assistant') {
+    if (tab === 'assistant') {
       // 使用 block: 'end' 确保底部对齐，避免页面整体上移
       chatEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
     }
-  }, [messages, isTyping, activeTab]);
-
-  const handleSendMessage = async () => {
-    if (!input.trim() || isTyping) return;
-    const userText = input.trim();
-    setMessages(prev => [...prev, { role: 'user', text: userText }]);
-    setInput('');
+  }, [messages, isTyping, tab]);
+
+  // history 以本次提问结尾，整段对话按 token 预算截断后作为多轮上下文发送；
+  // 回复写回提问所在的线程，生成过程中切换线程不受影响
+  const runAssistant = async (history) => {
+    const threadId = chat.active.id;
+    const updateLastMessage = (patch) => chat.update(threadId, prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...patch }]);
+    chat.update(threadId, () => [...history, { role: 'assistant', text: '', streaming: true }]);
     setIsTyping(true);
 
-    const systemPrompt = `你是一个专业的工业制冷系统AI管家。
-    当前参数：主机功率 ${realtimeData.compressor.power}kW, COP ${realtimeData.compressor.cop}。
-    请使用 Markdown 格式回答：
-    1. 数学单位、科学计数法、温度符号必须包裹在 $ 符号中，例如 $7.0^\\circ\\text{C}$。
-    2. 如果提到具体的设备名称（如 **被冷却介质出口温度**），请根据上下文判断是否需要加粗。
-    3. 严禁在图表或表格的 Key 中使用 Markdown 格式，确保数据标签纯净。`;
+    // 提示词使用界面语言；工具结果为公制，要求模型按用户单位作答
+    const systemPrompt = t('assistant.system', {
+      now: new Date().toLocaleString(t.locale),
+      site: site.name,
+      count: site.units.length,
+      units: site.units.map(u => `${u.name} ${unitSystem.format('cooling', u.capacity, 'kW')}`).join(t('common.nameSeparator')),
+      running: unitSummary ? t('assistant.systemRunning', { running: unitSummary.running }) : '',
+      displayUnits: ['temperature', 'cooling', 'efficiency', 'flow'].map(q => unitSystem.unit(q) || 'COP').join(t('common.nameSeparator')),
+      example: latexExample(unitSystem),
+      cost: costContext({ tariff, summary: costs.monthToDate, audit: setpointAudit, t, now: Date.now() }),
+    });
 
+    // 工具执行器绑定提问时刻的数据快照，回复所附图表由模型的查询决定；提问附带的情景作为 simulate_scenario 的缺省输入
+    const scenario = { conditions: scenarioBase, inputs: history[history.length - 1].scenario };
+    const tools = createToolRunner({ realtimeData, history: historyData, diagnoses: diagnostics.diagnoses, openSince: diagnostics.openSince, tariff, scenario, t });
+    // 图表随回复保存取数结果
+    const chart = () => {
+      const spec = tools.chart();
+      return spec && { ...spec, points: chartPoints(historyData, spec) };
+    };
+    const controller = new AbortController();
+    abortRef.current = controller;
     try {
-      const response = await callGemini(userText, systemPrompt);
-      setMessages(prev => [...prev, { 
-        role: 'assistant', 
-        text: response, 
-        chartData: historyData.slice(0, 15),
-        chartType: 'power'
-      }]);
+      const response = await llm.chat({
+        history: trimHistory(history),
+        system: systemPrompt,
+        tools: assistantTools(t),
+        onToolCall: tools.run,
+        onText: (text) => updateLastMessage({ text }),
+        signal: controller.signal,
+        locale: t.locale,
+        token: auth.token,
+      });
+      updateLastMessage({ text: response, chart: chart(), streaming: false });
     } catch (err) {
-      setMessages(prev => [...prev, { role: 'assistant', text: `通讯异常: ${err.message}` }]);
+      if (err.name === 'AbortError') {
+        updateLastMessage({ streaming: false, stopped: true, chart: chart() });
+      } else {
+        updateLastMessage({ text: t('assistant.error', { error: errorText(t, err) }), error: true, streaming: false });
+      }
     } finally {
+      abortRef.current = null;
       setIsTyping(false);
     }
   };
 
+  // 提问附带当时的实时数据，之后回看或导出时可复现；extra 为附加到提问的字段 (如情景输入)
+  const ask = (text, extra = {}) => runAssistant([...messages, { role: 'user', text, ts: Date.now(), snapshot: realtimeData, ...extra }]);
+
+  const handleSendMessage = () => {
+    if (!input.trim() || isTyping) return;
+    const userText = input.trim();
+    setInput('');
+    ask(userText);
+  };
+
+  // 从诊断页带着故障结论转到助手提问
+  const explainDiagnosis = (diagnosis) => {
+    if (isTyping || !auth.can('assistant.use')) return;
+    setActiveTab('assistant');
+    ask(t('assistant.explainDiagnosis', { label: diagnosis.label, summary: diagnosis.summary }));
+  };
+
+  // 从情景模拟页带着预测结果转到助手评估
+  const evaluateScenario = (name, baseline, scenario) => {
+    if (isTyping || !auth.can('assistant.use')) return;
+    setActiveTab('assistant');
+    ask(scenarioPrompt(name, baseline, scenario, prefs), { scenario: scenario.inputs });
+  };
+
+  // 事件已有未关闭的工单时打开该工单，否则预填新建表单
+  const workOrderFor = (link) => ordersForLink(maintenance.orders, link)[0];
+  const openWorkOrder = (link) => {
+    const order = workOrderFor(link);
+    setMaintenanceFocus(order ? { orderId: order.id } : { draft: workOrderDraft(link, maintenance.assets, t) });
+    setActiveTab('maintenance');
+  };
+
+  const siteName = (id) => SITES.find(s => s.id === id)?.name ?? id;
+  const exportThread = (thread) => downloadBlob(
+    new Blob([threadToMarkdown(thread, siteName(thread.siteId), prefs)], { type: 'text/markdown;charset=utf-8' }),
+    `${threadFilename(thread)}.md`
+  );
+
+  const closeEquipment = () => {
+    setSelectedEquipment(null);
+    setEquipmentRange(DEFAULT_RANGE);
+  };
+
+  // 地址只记录当前页用到的参数；多站点时总是带上站点，分享的链接不依赖对方上次选择的站点
+  const route = useMemo(() => ({
+    tab: activeTab,
+    site: SITES.length > 1 ? site.id : null,
+    range: { dashboard: trendRange, forecast: savingRange, schematic: selectedEquipment && equipmentRange }[activeTab] ?? null,
+    equipment: activeTab === 'schematic' ? selectedEquipment : null,
+    thread: activeTab === 'assistant' ? chat.active.id : null,
+  }), [activeTab, site.id, trendRange, savingRange, selectedEquipment, equipmentRange, chat.active.id]);
+
+  // 浏览器后退 / 前进：按地址还原页面状态
+  useRouteSync(route, (next) => {
+    if (SITES.some(s => s.id === next.site) && next.site !== site.id) switchSite(next.site);
+    setActiveTab(next.tab);
+    setMaintenanceFocus(null);
+    const range = next.range ?? DEFAULT_RANGE;
+    if (next.tab === 'dashboard') setTrendRange(range);
+    if (next.tab === 'forecast') setSavingRange(range);
+    if (next.tab === 'schematic') {
+      setSelectedEquipment(next.equipment);
+      setEquipmentRange(range);
+    }
+    if (next.tab === 'assistant' && chat.threads.some(t => t.id === next.thread)) chat.select(next.thread);
+  });
+
+  const stopGenerating = () => abortRef.current?.abort();
+
+  // 丢弃最后一条回复，用同样的上下文重新生成
+  const regenerate = () => {
+    if (isTyping || messages[messages.length - 1]?.role !== 'assistant') return;
+    runAssistant(messages.slice(0, -1));
+  };
+
+  // 把最后一条提问放回输入框，并移除它及之后的回复
+  const editLastMessage = () => {
+    const index = messages.findLastIndex(m => m.role === 'user');
+    if (isTyping || index < 0) return;
+    setInput(messages[index].text);
+    chat.update(chat.active.id, () => messages.slice(0, index));
+  };
+
+  if (!auth.user) return <LoginScreen expired={auth.expired} setupRequired={auth.setupRequired} onLogin={auth.login} onSetup={auth.setup} />;
+
   return (
     <div className="flex w-full h-full bg-[#060a11] text-slate-200 overflow-hidden font-sans">
       {/* 侧边导航 */}
       <aside className="w-20 flex-shrink-0 flex flex-col items-center py-8 bg-slate-950 border-r border-slate-800/50 z-50">
         <div className="mb-12 text-blue-500"><Factory size={32} /></div>
         <nav className="flex flex-col gap-8">
-          {[
-            { id: 'dashboard', icon: LayoutDashboard },
-            { id: 'forecast', icon: TrendingUp },
-            { id: 'assistant', icon: MessageSquare },
-            { id: 'control', icon: Settings }
-          ].map(item => (
-            <button 
-              key={item.id}
-              onClick={() => setActiveTab(item.id)}
-              className={`p-3.5 rounded-2xl transition-all duration-500 ${activeTab === item.id ? 'bg-blue-600 text-white' : 'text-slate-600 hover:text-slate-300'}`}
-            >
-              <item.icon size={22} />
-            </button>
-          ))}
+          {NAV_ITEMS.map(item => {
+            const denied = item.permission ? auth.reason(item.permission) : null;
+            return (
+              <button
+                key={item.id}
+                onClick={() => {
+                  setActiveTab(item.id);
+                  setMaintenanceFocus(null);
+                }}
+                disabled={Boolean(denied)}
+                title={denied ?? t(`nav.${item.id}`)}
+                className={`p-3.5 rounded-2xl transition-all duration-500 disabled:opacity-30 disabled:cursor-not-allowed ${tab === item.id ? 'bg-blue-600 text-white' : 'text-slate-600 hover:text-slate-300'}`}
+              >
+                <item.icon size={22} />
+              </button>
+            );
+          })}
         </nav>
       </aside>
 
@@ -385,83 +504,148 @@ const App = () => {
         <header className="h-20 flex-shrink-0 border-b border-slate-800 bg-slate-950/20 backdrop-blur-2xl flex items-center px-8 md:px-12 justify-between z-40">
           <div className="flex flex-col">
             <h1 className="text-xl font-black text-white tracking-tight flex items-center gap-3">
-              CHILLER-INTEL <span className="text-[10px] bg-blue-500/20 text-blue-400 px-2 py-0.5 rounded border border-blue-500/30">Node_Active</span>
+              CHILLER-INTEL <span
+                title={connectionStatus.error || (connectionStatus.lastUpdate ? t('header.lastUpdate', { time: new Date(connectionStatus.lastUpdate).toLocaleTimeString(t.locale) }) : '')}
+                className={`text-[10px] px-2 py-0.5 rounded border ${CONNECTION_STATES[connectionStatus.state].className}`}
+              >{t(`connection.${connectionStatus.state}`)}</span>
             </h1>
+            <label className="flex items-center gap-1.5 mt-1 text-[11px] text-slate-500 font-bold" title={t('header.switchSite')}>
+              <MapPin size={12} />
+              <select value={site.id} onChange={(e) => switchSite(e.target.value)} className="bg-transparent text-slate-300 focus:outline-none cursor-pointer">
+                {SITES.map(s => <option key={s.id} value={s.id} className="bg-slate-900">{s.name} · {t('header.siteUnits', { count: s.units.length })}</option>)}
+              </select>
+            </label>
           </div>
-          <div className="text-right">
-             <div className="text-[10px] text-slate-500 uppercase font-bold">系统能效 COP</div>
-             <div className="text-2xl font-mono font-black text-blue-400 leading-none">{realtimeData.compressor.cop}</div>
+          <div className="flex items-center gap-8">
+            <button onClick={() => setShowImport(true)} disabled={!auth.can('data.import')} className="p-2 text-slate-400 hover:text-white disabled:opacity-30" title={auth.reason('data.import') ?? t('import.title')}>
+              <Upload size={20} />
+            </button>
+            <button onClick={() => setActiveTab('alarms')} className="relative p-2 text-slate-400 hover:text-white" title={t('header.alarms')}>
+              <Bell size={20} className={health.unacked > 0 ? 'animate-pulse text-amber-400' : ''} />
+              {health.unacked > 0 && <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-[10px] font-black text-white flex items-center justify-center">{health.unacked}</span>}
+            </button>
+            <PreferencesMenu />
+            <div className="text-right">
+               <div className="text-[10px] text-slate-500 uppercase font-bold">{t('header.efficiency', { unit: unitSystem.unit('efficiency') || 'COP' })}</div>
+               <div className="text-2xl font-mono font-black text-blue-400 leading-none">{unitSystem.display('efficiency', realtimeData.compressor.cop)}</div>
+            </div>
+            <div className="flex items-center gap-3 pl-8 border-l border-slate-800" title={t('header.session', { deadline: formatDateTime(auth.deadline) })}>
+              <div className="text-right">
+                <div className="text-xs font-bold text-white">{auth.user.name}</div>
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t(`roles.${auth.user.role}`)}</div>
+              </div>
+              <button onClick={auth.logout} className="p-2 text-slate-400 hover:text-white" title={t('header.logout')}>
+                <LogOut size={18} />
+              </button>
+            </div>
           </div>
         </header>
 
         <main className="flex-grow overflow-y-auto px-6 md:px-12 py-8 custom-scrollbar">
           <div className="max-w-screen-2xl mx-auto space-y-10 pb-20">
+            {tab === 'denied' && (
+              <div className="max-w-md mx-auto mt-20 p-10 bg-slate-900/20 border border-slate-800 rounded-[2.5rem] text-center space-y-3">
+                <Lock size={32} className="mx-auto text-slate-600" />
+                <div className="text-sm font-bold text-white">{tabDenied}</div>
+                <div className="text-xs text-slate-500">{t('header.denied', { name: auth.user.name, role: t(`roles.${auth.user.role}`) })}</div>
+              </div>
+            )}
             
-            {activeTab === 'dashboard' && (
-              <div className="animate-in fade-in duration-500">
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-10">
-                  {[
-                    { label: '压缩机功率', value: realtimeData.compressor.power, unit: 'kW', icon: Cpu, color: '#3b82f6' },
-                    { label: '能效比 COP', value: realtimeData.compressor.cop, unit: '', icon: Zap, color: '#10b981' },
-                    { label: '末端总负载', value: realtimeData.userSide.load, unit: 'kW', icon: Activity, color: '#f59e0b' },
-                    { label: '室外气温', value: realtimeData.environment.temp, unit: '°C', icon: Thermometer, color: '#6366f1' }
-                  ].map((stat, i) => (
-                    <div key={i} className="p-6 bg-slate-900/30 border border-slate-800/60 rounded-3xl">
-                      <div className="text-[11px] font-bold text-slate-500 uppercase tracking-widest mb-1">{stat.label}</div>
-                      <div className="text-3xl font-mono font-black" style={{ color: stat.color }}>{stat.value} <span className="text-xs font-sans text-slate-600">{stat.unit}</span></div>
-                    </div>
-                  ))}
-                </div>
+            {tab === 'dashboard' && (
+              <Dashboard
+                layout={dashboardLayout}
+                realtimeData={realtimeData}
+                series={series}
+                history={historyData}
+                range={trendRange}
+                onRangeChange={setTrendRange}
+                site={site}
+                costs={costs}
+                tariff={tariff}
+                alarms={alarms}
+                alarmRules={alarmRules}
+                health={health}
+                onNavigate={setActiveTab}
+              />
+            )}
 
-                <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
-                  <h3 className="text-xl font-bold text-white mb-10 flex items-center gap-3"><BarChart3 size={24} className="text-blue-500" /> 实时负荷趋势</h3>
-                  <div className="h-[450px] w-full">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <AreaChart data={historyData}>
-                        <defs>
-                          <linearGradient id="mainGrad" x1="0" y1="0" x2="0" y2="1">
-                            <stop offset="5%" stopColor="#3b82f6" stopOpacity={0.3}/>
-                            <stop offset="95%" stopColor="#3b82f6" stopOpacity={0}/>
-                          </linearGradient>
-                        </defs>
-                        <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
-                        <XAxis dataKey="time" stroke="#475569" fontSize={11} />
-                        <YAxis stroke="#475569" fontSize={11} />
-                        <Tooltip content={<CustomTooltip />} />
-                        <Area type="monotone" name="实时能耗" dataKey="power" stroke="#3b82f6" strokeWidth={4} fill="url(#mainGrad)" />
-                      </AreaChart>
-                    </ResponsiveContainer>
+            {tab === 'schematic' && (
+              <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 animate-in fade-in duration-500">
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                  <h3 className="text-xl font-bold text-white flex items-center gap-3"><Workflow size={24} className="text-blue-500" /> {t('schematic.title')}</h3>
+                  <div className="flex flex-wrap items-center gap-4 text-[10px] text-slate-500 font-bold uppercase tracking-widest">
+                    {[['#38bdf8', 'cwSupply'], ['#f97316', 'cwReturn'], ['#3b82f6', 'chwSupply'], ['#f59e0b', 'chwReturn']].map(([color, key]) => (
+                      <span key={key} className="flex items-center gap-2"><span className="w-4 h-1 rounded" style={{ backgroundColor: color }} />{t(`schematic.legend.${key}`)}</span>
+                    ))}
+                    <span>{t('schematic.hint')}</span>
                   </div>
                 </div>
+                <PlantSchematic realtimeData={realtimeData} selected={selectedEquipment} onSelect={setSelectedEquipment} />
               </div>
             )}
 
-            {activeTab === 'assistant' && (
-              <div className="h-[calc(100vh-16rem)] flex flex-col max-w-5xl mx-auto animate-in slide-in-from-right-8 duration-500">
+            {tab === 'assistant' && (
+              <div className="h-[calc(100vh-16rem)] flex gap-6 max-w-7xl mx-auto animate-in slide-in-from-right-8 duration-500">
+                <ThreadList
+                  threads={chat.threads}
+                  activeId={chat.active.id}
+                  siteName={siteName}
+                  onSelect={chat.select}
+                  onCreate={chat.create}
+                  onRename={chat.rename}
+                  onRemove={chat.remove}
+                  onExport={exportThread}
+                />
                 <div className="flex-1 bg-slate-900/20 border border-slate-800 rounded-[2.5rem] overflow-hidden flex flex-col shadow-2xl">
                   <div className="p-6 border-b border-slate-800 bg-slate-950/40 backdrop-blur-xl flex items-center gap-4">
                     <div className="w-12 h-12 rounded-2xl bg-blue-600 flex items-center justify-center"><Bot size={28} className="text-white" /></div>
-                    <div>
-                      <h3 className="font-black text-white text-lg tracking-tight uppercase">Seeing Assistant</h3>
-                      <p className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">Latex & MD Enabled</p>
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-black text-white text-lg tracking-tight uppercase">{t('assistant.title')}</h3>
+                      <p className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{llm.label}</p>
+                    </div>
+                    <div className="min-w-0 text-right">
+                      <div className="text-xs font-bold text-slate-300 truncate">{chat.active.title || t('threads.untitled')}</div>
+                      <button onClick={() => exportThread(chat.active)} className="mt-1 inline-flex items-center gap-1 text-[10px] text-slate-500 hover:text-slate-300 font-bold uppercase tracking-widest">
+                        <Download size={12} /> {t('assistant.exportMarkdown')}
+                      </button>
                     </div>
                   </div>
 
                   <div className="flex-1 overflow-y-auto p-8 space-y-12 custom-scrollbar">
-                    {messages.map((msg, idx) => (
-                      <div key={idx} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} w-full`}>
-                        <div className={`flex gap-4 max-w-[90%] ${msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
-                          <div className={`w-8 h-8 rounded-lg flex-shrink-0 flex items-center justify-center ${msg.role === 'user' ? 'bg-slate-700' : 'bg-blue-600/20 text-blue-400 border border-blue-500/20'}`}>
-                            {msg.role === 'user' ? <User size={16} /> : <Bot size={16} />}
-                          </div>
-                          <div className={`p-6 rounded-3xl text-sm leading-relaxed ${msg.role === 'user' ? 'bg-blue-600 text-white rounded-tr-none' : 'bg-slate-800/60 text-slate-200 rounded-tl-none border border-slate-800'}`}>
-                            <MarkdownRenderer text={msg.text} />
-                            {msg.chartData && <MiniChart data={msg.chartData} type={msg.chartType} />}
+                    {messages.map((msg, idx) => {
+                      if (msg.streaming && !msg.text) return null;
+                      const isLast = idx === messages.length - 1;
+                      const isLastUser = msg.role === 'user' && !messages.slice(idx + 1).some(m => m.role === 'user');
+                      return (
+                        <div key={idx} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} w-full`}>
+                          <div className={`flex gap-4 max-w-[90%] ${msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
+                            <div className={`w-8 h-8 rounded-lg flex-shrink-0 flex items-center justify-center ${msg.role === 'user' ? 'bg-slate-700' : 'bg-blue-600/20 text-blue-400 border border-blue-500/20'}`}>
+                              {msg.role === 'user' ? <User size={16} /> : <Bot size={16} />}
+                            </div>
+                            <div className="min-w-0 space-y-2">
+                              <div className={`p-6 rounded-3xl text-sm leading-relaxed ${msg.role === 'user' ? 'bg-blue-600 text-white rounded-tr-none' : 'bg-slate-800/60 text-slate-200 rounded-tl-none border border-slate-800'}`}>
+                                <Markdown text={msg.text} />
+                                {msg.streaming && <span className="inline-block w-2 h-4 ml-1 bg-blue-500 animate-pulse align-middle" />}
+                                {msg.stopped && <div className="mt-3 text-[10px] text-amber-400 font-bold uppercase tracking-widest">{t('assistant.stopped')}</div>}
+                                {msg.chart && <MiniChart spec={msg.chart} history={historyData} />}
+                                {msg.snapshot && <div className="mt-2 text-[10px] text-blue-200/70" title={t('assistant.snapshotHint')}>{formatDateTime(msg.ts)} · {t('assistant.snapshot')}</div>}
+                              </div>
+                              {!isTyping && isLastUser && (
+                                <button onClick={editLastMessage} className="ml-auto flex items-center gap-1 text-[10px] text-slate-500 hover:text-slate-300 font-bold uppercase tracking-widest">
+                                  <Pencil size={12} /> {t('assistant.edit')}
+                                </button>
+                              )}
+                              {!isTyping && isLast && msg.role === 'assistant' && idx > 0 && (
+                                <button onClick={regenerate} className="flex items-center gap-1 text-[10px] text-slate-500 hover:text-slate-300 font-bold uppercase tracking-widest">
+                                  <RefreshCw size={12} /> {t('assistant.regenerate')}
+                                </button>
+                              )}
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    ))}
-                    {isTyping && <div className="flex justify-start gap-4 items-center"><Loader2 size={16} className="animate-spin text-blue-500" /><span className="text-xs text-slate-500 font-bold uppercase tracking-widest animate-pulse">深度分析中...</span></div>}
+                      );
+                    })}
+                    {isTyping && !messages[messages.length - 1]?.text && <div className="flex justify-start gap-4 items-center"><Loader2 size={16} className="animate-spin text-blue-500" /><span className="text-xs text-slate-500 font-bold uppercase tracking-widest animate-pulse">{t('assistant.thinking')}</span></div>}
                     {/* 滚动锚点 */}
                     <div ref={chatEndRef} className="h-4" />
                   </div>
@@ -473,49 +657,69 @@ const App = () => {
                         value={input} 
                         onChange={(e) => setInput(e.target.value)} 
                         onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()} 
-                        placeholder="输入关于出口温度、COP或负荷预测的问题..." 
+                        placeholder={t('assistant.placeholder')}
                         className="w-full bg-slate-950 border border-slate-800 rounded-2xl py-5 pl-8 pr-24 focus:outline-none focus:border-blue-500/50 text-sm" 
                       />
-                      <button 
-                        onClick={handleSendMessage} 
-                        disabled={isTyping}
-                        className="absolute right-3 top-3 bottom-3 px-8 bg-blue-600 hover:bg-blue-500 rounded-xl text-white flex items-center gap-2 disabled:opacity-50"
-                      >
-                        <Send size={18} />
-                      </button>
+                      {isTyping ? (
+                        <button
+                          onClick={stopGenerating}
+                          title={t('assistant.stop')}
+                          className="absolute right-3 top-3 bottom-3 px-8 bg-slate-700 hover:bg-slate-600 rounded-xl text-white flex items-center gap-2"
+                        >
+                          <Square size={16} />
+                        </button>
+                      ) : (
+                        <button 
+                          onClick={handleSendMessage} 
+                          className="absolute right-3 top-3 bottom-3 px-8 bg-blue-600 hover:bg-blue-500 rounded-xl text-white flex items-center gap-2 disabled:opacity-50"
+                        >
+                          <Send size={18} />
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
               </div>
             )}
             
-            {activeTab === 'forecast' && (
+            {tab === 'forecast' && (
               <div className="grid grid-cols-1 xl:grid-cols-2 gap-8 animate-in slide-in-from-bottom-8 duration-500">
+                 <OptimizationCard
+                   realtimeData={realtimeData}
+                   units={optimizerUnits}
+                   config={setpointConfig}
+                   adoptDenied={auth.reason('setpoints.adjust')}
+                   onAdopt={(values, reason) => {
+                     setProposal({ values, reason });
+                     setActiveTab('control');
+                   }}
+                 />
+                 <LoadForecastCard history={historyData} />
                  <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 shadow-2xl">
-                   <h3 className="text-lg font-bold mb-10 text-amber-400 flex items-center gap-3 uppercase tracking-wider"><TrendingUp size={24} /> 24h 负荷预测</h3>
-                   <div className="h-[450px] w-full">
-                      <ResponsiveContainer width="100%" height="100%">
-                        <AreaChart data={historyData}>
-                          <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
-                          <XAxis dataKey="time" stroke="#475569" fontSize={11} />
-                          <YAxis stroke="#475569" fontSize={11} />
-                          <Tooltip content={<CustomTooltip />} />
-                          <Area type="monotone" dataKey="demand" stroke="#f59e0b" strokeWidth={4} fill="#f59e0b" fillOpacity={0.1} />
-                        </AreaChart>
-                      </ResponsiveContainer>
+                   <div className="flex flex-wrap items-center justify-between gap-4 mb-10">
+                     <h3 className="text-lg font-bold text-teal-400 flex items-center gap-3 uppercase tracking-wider"><Zap size={24} /> {t('dashboard.savingTitle')}</h3>
+                     <div className="flex flex-wrap items-center gap-3">
+                       <RangePicker value={savingRange} onChange={setSavingRange} />
+                       <ExportButtons
+                         filename="optimization-saving"
+                         chartRef={savingChartRef}
+                         table={() => tableOf(saving.rows, [
+                           { label: t('chart.time'), value: r => formatDateTime(r.ts) },
+                           { label: `${t('dashboard.originalPower')} (kW)`, value: r => r.power },
+                           { label: `${t('dashboard.optimizedPower')} (kW)`, value: r => r.optimizedPower },
+                         ])}
+                       />
+                     </div>
                    </div>
-                 </div>
-                 <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 shadow-2xl">
-                   <h3 className="text-lg font-bold mb-10 text-teal-400 flex items-center gap-3 uppercase tracking-wider"><Zap size={24} /> 优化增效空间</h3>
-                   <div className="h-[450px] w-full">
+                   <div ref={savingChartRef} className="h-[450px] w-full">
                       <ResponsiveContainer width="100%" height="100%">
-                        <BarChart data={historyData.slice(0, 12)}>
+                        <BarChart data={saving.rows}>
                           <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
                           <XAxis dataKey="time" stroke="#475569" fontSize={11} />
                           <YAxis stroke="#475569" fontSize={11} />
                           <Tooltip cursor={{fill: '#1e293b', opacity: 0.4}} content={<CustomTooltip />} />
-                          <Bar dataKey="power" fill="#3b82f6" radius={[6, 6, 0, 0]} name="原始能耗" />
-                          <Bar dataKey="optimizedPower" fill="#10b981" radius={[6, 6, 0, 0]} name="优化能耗" />
+                          <Bar dataKey="power" fill="#3b82f6" radius={[6, 6, 0, 0]} name={t('dashboard.originalPower')} />
+                          <Bar dataKey="optimizedPower" fill="#10b981" radius={[6, 6, 0, 0]} name={t('dashboard.optimizedPower')} />
                         </BarChart>
                       </ResponsiveContainer>
                    </div>
@@ -523,22 +727,81 @@ const App = () => {
               </div>
             )}
             
-            {activeTab === 'control' && (
-              <div className="max-w-4xl mx-auto p-10 bg-slate-900/20 border border-slate-800 rounded-[3rem]">
-                <h2 className="text-2xl font-black text-white flex items-center gap-3 mb-10"><Settings className="text-blue-500" /> 系统全局策略</h2>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
-                  <div className="space-y-4">
-                    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">目标出水温度 (°C)</label>
-                    <input type="number" defaultValue="7.0" className="w-full bg-slate-950 border border-slate-800 rounded-2xl px-6 py-4 text-blue-400 font-mono font-bold" />
-                  </div>
-                  <div className="space-y-4">
-                    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">COP 告警阈值</label>
-                    <input type="number" defaultValue="3.5" className="w-full bg-slate-950 border border-slate-800 rounded-2xl px-6 py-4 text-amber-400 font-mono font-bold" />
-                  </div>
-                </div>
-                <button className="mt-12 w-full py-5 bg-blue-600 hover:bg-blue-500 text-white rounded-2xl font-black uppercase tracking-widest text-xs transition-all shadow-xl shadow-blue-500/20 flex items-center justify-center gap-2">
-                  <Save size={18} /> 保存并同步配置
-                </button>
+            {tab === 'scenarios' && (
+              <ScenarioPanel
+                conditions={scenarioBase}
+                scenarios={scenarios}
+                askDenied={auth.reason('assistant.use')}
+                adoptDenied={auth.reason('setpoints.adjust')}
+                onAsk={evaluateScenario}
+                onAdopt={(values, reason) => {
+                  setProposal({ values, reason });
+                  setActiveTab('control');
+                }}
+              />
+            )}
+
+            {tab === 'reports' && (
+              <ReportsPanel
+                schedule={reports.schedule}
+                onScheduleChange={reports.setSchedule}
+                archive={siteReports}
+                generating={reports.generating}
+                deny={auth.reason}
+                onGenerate={reports.generate}
+                onRemove={reports.remove}
+              />
+            )}
+
+            {tab === 'diagnostics' && (
+              <DiagnosticsPanel
+                diagnoses={diagnostics.diagnoses}
+                openSince={diagnostics.openSince}
+                evaluatedAt={diagnostics.evaluatedAt}
+                askDenied={auth.reason('assistant.use')}
+                onAsk={explainDiagnosis}
+                orderDenied={auth.reason('maintenance.manage')}
+                workOrderFor={workOrderFor}
+                onWorkOrder={openWorkOrder}
+              />
+            )}
+
+            {tab === 'alarms' && (
+              <AlarmPanel
+                alarms={alarms}
+                rules={alarmRules}
+                limits={alarmLimits}
+                deny={auth.reason}
+                onEditLimits={() => setActiveTab('control')}
+                onAcknowledge={acknowledge}
+                onAcknowledgeAll={acknowledgeAll}
+                onClearHistory={clearHistory}
+                workOrderFor={workOrderFor}
+                onWorkOrder={openWorkOrder}
+              />
+            )}
+
+            {tab === 'maintenance' && (
+              <MaintenancePanel
+                maintenance={maintenance}
+                events={maintenanceEvents}
+                focus={maintenanceFocus}
+                deny={auth.reason}
+              />
+            )}
+
+            {tab === 'control' && (
+              <div className="max-w-4xl mx-auto space-y-8">
+                <ControlPanel
+                  user={auth.user}
+                  config={setpointConfig}
+                  audit={setpointAudit}
+                  realtimeData={realtimeData}
+                  onApply={applySetpoints}
+                  proposal={proposal}
+                  onProposalDone={() => setProposal(null)}
+                />
+                <TariffPanel tariff={tariff} onSave={setTariff} denied={auth.reason('tariff.configure')} />
               </div>
             )}
 
@@ -546,14 +809,25 @@ const App = () => {
         </main>
       </div>
 
+      {tab === 'schematic' && selectedEquipment && (
+        <EquipmentDrawer
+          equipment={selectedEquipment}
+          realtimeData={realtimeData}
+          series={series}
+          range={equipmentRange}
+          onRangeChange={setEquipmentRange}
+          onClose={closeEquipment}
+        />
+      )}
+      {showImport && <ImportWizard units={availableUnits(site, {})} onImport={series.importHourly} onClose={() => setShowImport(false)} />}
+
       {/* 底部装饰 */}
       <footer className="fixed bottom-10 left-1/2 -translate-x-1/2 z-50 pointer-events-none">
         <div className="bg-slate-900/90 border border-slate-700/50 px-10 py-4 rounded-full backdrop-blur-3xl flex items-center gap-8 shadow-2xl border-t-2 border-t-blue-500/20">
           <div className="flex items-center gap-3 text-[10px] text-slate-400 font-black uppercase tracking-[0.3em]">
-            <span className="w-2.5 h-2.5 rounded-full bg-green-500 shadow-[0_0_10px_#22c55e] animate-pulse"></span> SYSTEM_HEALTH_OK
+            <span className={`w-2.5 h-2.5 rounded-full animate-pulse ${HEALTH_STATES[health.level].dot}`}></span> {HEALTH_STATES[health.level].label}
+            {health.firing > 0 && <span className="text-slate-500">· {t('alarms.firingCount', { count: health.firing })}</span>}
           </div>
-          <div className="w-[1px] h-4 bg-slate-800"></div>
-          <div className="text-[11px] text-blue-400 font-black uppercase tracking-[0.2em] animate-pulse">Latex & Scroll Fix Applied</div>
         </div>
       </footer>
     </div>
@@ -0,0 +1,146 @@
+import React from 'react';
+import { Bell, AlertTriangle, CheckCircle2, History, Trash2, Settings, ClipboardList } from 'lucide-react';
+import { SEVERITIES, ALARM_LIMIT_FIELDS } from '../lib/alarms';
+import { formatOrderNumber } from '../lib/maintenance';
+import { usePreferences } from '../hooks/usePreferences';
+
+const formatTime = (ts, locale) => new Date(ts).toLocaleString(locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// 按用户单位显示，未换算的量 (如 MPa) 保留两位小数
+const formatValue = (unitSystem, { quantity, unit }, value) => {
+  const label = unitSystem.unit(quantity, unit);
+  return `${unitSystem.display(quantity, Number(value), 2)}${label ? ` ${label}` : ''}`;
+};
+
+// 换算为 kW/RT 等反向单位后比较方向随之反转
+const compareSign = (unitSystem, rule) => ((rule.compare === 'above') !== unitSystem.inverted(rule.quantity) ? '>' : '<');
+
+const SeverityBadge = ({ severity }) => {
+  const { t } = usePreferences();
+  return <span className={`text-[10px] px-2 py-0.5 rounded border font-bold ${SEVERITIES[severity].className}`}>{t(`severity.${severity}`)}</span>;
+};
+
+// deny(permission): 无权限时返回提示文字，用于禁用相应按钮；
+// workOrderFor(link) 返回关联该告警的未关闭工单，onWorkOrder(link) 打开该工单或新建工单
+const AlarmPanel = ({ alarms, rules, limits, deny, onEditLimits, onAcknowledge, onAcknowledgeAll, onClearHistory, workOrderFor, onWorkOrder }) => {
+  const { t, unitSystem } = usePreferences();
+  const ackDenied = deny('alarms.ack');
+  const clearDenied = deny('alarms.clear');
+  const limitsDenied = deny('setpoints.configure');
+  const orderDenied = deny('maintenance.manage');
+  const active = Object.values(alarms.active)
+    .map(a => ({ ...a, rule: rules.find(r => r.id === a.ruleId) }))
+    .filter(a => a.rule)
+    .sort((a, b) => SEVERITIES[b.rule.severity].rank - SEVERITIES[a.rule.severity].rank);
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-8 animate-in fade-in duration-500">
+      <div className="xl:col-span-2 space-y-8">
+        <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+          <div className="flex items-center justify-between mb-8">
+            <h3 className="text-xl font-bold text-white flex items-center gap-3"><Bell size={24} className="text-amber-400" /> {t('alarms.activeTitle')}</h3>
+            <button
+              onClick={onAcknowledgeAll}
+              disabled={Boolean(ackDenied) || !active.some(a => a.status !== 'pending' && !a.acked)}
+              title={ackDenied ?? undefined}
+              className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs font-bold text-slate-300 disabled:opacity-40"
+            >
+              {t('alarms.ackAll')}
+            </button>
+          </div>
+          {active.length === 0 ? (
+            <div className="flex items-center gap-3 text-sm text-slate-500 py-6"><CheckCircle2 size={18} className="text-green-500" /> {t('alarms.allClear')}</div>
+          ) : (
+            <div className="divide-y divide-slate-800/60">
+              {active.map(a => {
+                const link = { type: 'alarm', id: a.ruleId, at: a.raisedAt ?? a.since };
+                const order = a.status === 'pending' ? null : workOrderFor(link);
+                return (
+                  <div key={a.ruleId} className={`flex items-center gap-4 py-4 ${a.status === 'pending' ? 'opacity-60' : ''}`}>
+                    <AlertTriangle size={18} style={{ color: SEVERITIES[a.rule.severity].color }} className={a.status === 'active' && !a.acked ? 'animate-pulse' : ''} />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 text-sm font-bold text-white">{t(`alarms.rules.${a.ruleId}`)} <SeverityBadge severity={a.rule.severity} /></div>
+                      <div className="text-[11px] text-slate-500 font-mono mt-1">
+                        {t('alarms.current', { value: formatValue(unitSystem, a.rule, a.value) })} · {t('alarms.limit', { sign: compareSign(unitSystem, a.rule), value: formatValue(unitSystem, a.rule, a.rule.limit) })} · {formatTime(a.raisedAt ?? a.since, t.locale)}
+                      </div>
+                    </div>
+                    <span className="text-[11px] text-slate-400">{t(`alarms.status.${a.acked ? 'acked' : a.status}`)}</span>
+                    <button
+                      onClick={() => onAcknowledge(a.ruleId)}
+                      disabled={Boolean(ackDenied) || a.status === 'pending' || a.acked}
+                      title={ackDenied ?? undefined}
+                      className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold disabled:opacity-30 disabled:bg-slate-700"
+                    >
+                      {t('alarms.ack')}
+                    </button>
+                    {order ? (
+                      <button onClick={() => onWorkOrder(link)} title={t('alarms.openWorkOrder')} className="px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700 text-slate-200 text-xs font-mono font-bold flex items-center gap-1.5">
+                        <ClipboardList size={12} /> {formatOrderNumber(order)}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => onWorkOrder(link)}
+                        disabled={Boolean(orderDenied) || a.status === 'pending'}
+                        title={orderDenied ?? undefined}
+                        className="px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700 text-slate-300 text-xs font-bold flex items-center gap-1.5 disabled:opacity-30"
+                      >
+                        <ClipboardList size={12} /> {t('alarms.createWorkOrder')}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+          <div className="flex items-center justify-between mb-8">
+            <h3 className="text-xl font-bold text-white flex items-center gap-3"><History size={24} className="text-blue-500" /> {t('alarms.historyTitle')}</h3>
+            <button onClick={onClearHistory} disabled={Boolean(clearDenied) || alarms.history.length === 0} className="p-2 rounded-lg text-slate-500 hover:text-red-400 disabled:opacity-30" title={clearDenied ?? t('alarms.clearHistory')}>
+              <Trash2 size={16} />
+            </button>
+          </div>
+          <div className="max-h-[420px] overflow-y-auto custom-scrollbar">
+            <table className="w-full text-[11px] text-left">
+              <thead className="text-slate-500 uppercase tracking-widest">
+                <tr><th className="py-2">{t('alarms.columns.time')}</th><th>{t('alarms.columns.alarm')}</th><th>{t('alarms.columns.severity')}</th><th>{t('alarms.columns.event')}</th><th className="text-right">{t('alarms.columns.value')}</th></tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/50 text-slate-300">
+                {alarms.history.map(e => (
+                  <tr key={e.id}>
+                    <td className="py-2 font-mono text-slate-500">{formatTime(e.ts, t.locale)}</td>
+                    <td>{t(`alarms.rules.${e.ruleId}`)}</td>
+                    <td><SeverityBadge severity={e.severity} /></td>
+                    <td>{t(`alarms.events.${e.type}`)}</td>
+                    <td className="text-right font-mono">{formatValue(unitSystem, rules.find(r => r.id === e.ruleId) ?? {}, e.value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {alarms.history.length === 0 && <div className="text-sm text-slate-600 py-6">{t('alarms.historyEmpty')}</div>}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 h-fit">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="text-lg font-bold text-white">{t('alarms.limitsTitle')}</h3>
+          <button onClick={onEditLimits} disabled={Boolean(limitsDenied)} className="p-2 rounded-lg text-slate-500 hover:text-blue-400 disabled:opacity-30" title={limitsDenied ?? t('alarms.editLimits')}>
+            <Settings size={16} />
+          </button>
+        </div>
+        <div className="divide-y divide-slate-800/60">
+          {ALARM_LIMIT_FIELDS.map(f => (
+            <div key={f.key} className="flex items-center justify-between py-3 text-xs">
+              <span className="text-slate-400">{t(`setpoint.${f.key}`)}</span>
+              <span className="font-mono font-bold text-amber-400">{formatValue(unitSystem, f, limits[f.key])}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlarmPanel;
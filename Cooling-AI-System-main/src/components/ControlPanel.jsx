@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Settings, Save, RotateCcw, History, CheckCircle2, AlertTriangle, X, Loader2 } from 'lucide-react';
+import { SETPOINT_FIELDS, SETPOINT_GROUPS, parseDraft, toDraft, diffConfig, validateSetpoints, fieldRange, describeSetpointError } from '../lib/setpoints';
+import { can, denyReason } from '../lib/auth';
+import { deltaQuantity } from '../lib/units';
+import { usePreferences } from '../hooks/usePreferences';
+import { errorText } from '../lib/i18n';
+
+const fieldOf = (key) => SETPOINT_FIELDS.find(f => f.key === key);
+const formatTime = (ts, locale) => new Date(ts).toLocaleString(locale, { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// 字段值按用户单位显示 (配置本身以公制保存)
+const formatValue = (unitSystem, key, v) => {
+  const f = fieldOf(key);
+  return f ? unitSystem.format(f.quantity, v, f.unit) : String(v);
+};
+
+const formatChange = ({ t, unitSystem }, c) => `${t(`setpoint.${c.key}`)} ${formatValue(unitSystem, c.key, c.from)} → ${formatValue(unitSystem, c.key, c.to)}`;
+
+// 单位换算后步长不再是整齐的小数，交给浏览器不做步长约束
+const inputStep = (unitSystem, f) => (
+  !f.quantity || unitSystem.to(deltaQuantity(f.quantity), f.step) === f.step ? f.step : 'any'
+);
+
+// 修改确认弹窗：列出原值与新值，以当前登录用户作为操作人并记录原因
+const ConfirmDialog = ({ user, changes, errors, rollbackOf, defaultReason, saving, onConfirm, onCancel }) => {
+  const prefs = usePreferences();
+  const { t, unitSystem } = prefs;
+  const [reason, setReason] = useState(rollbackOf ? t('control.rollbackReason', { time: formatTime(rollbackOf.ts, t.locale) }) : defaultReason || '');
+  const blocked = Object.keys(errors).length > 0;
+
+  const submit = () => onConfirm({ user: user.name, role: user.role, reason: reason.trim(), rollbackOf: rollbackOf?.id });
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/60 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="w-full max-w-xl bg-slate-900 border border-slate-700 rounded-3xl p-8 shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-black text-white">{rollbackOf ? t('control.confirmRollback') : t('control.confirmApply')}</h3>
+          <button onClick={onCancel} disabled={saving} className="text-slate-500 hover:text-white"><X size={18} /></button>
+        </div>
+        <table className="w-full text-xs mb-6">
+          <thead className="text-slate-500 uppercase tracking-widest text-[10px]">
+            <tr><th className="text-left py-2">{t('control.parameter')}</th><th className="text-right">{t('control.from')}</th><th className="text-right">{t('control.to')}</th><th className="text-right">{t('control.change')}</th></tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800 font-mono">
+            {changes.map(c => {
+              const f = fieldOf(c.key);
+              const diff = unitSystem.to(f.quantity, c.to) - unitSystem.to(f.quantity, c.from);
+              return (
+                <tr key={c.key}>
+                  <td className="py-2 font-sans text-slate-300">{t(`setpoint.${c.key}`)}{f.point && <span className="ml-2 text-[10px] text-blue-400">{t('control.writesPlc')}</span>}</td>
+                  <td className="text-right text-slate-500">{formatValue(unitSystem, c.key, c.from)}</td>
+                  <td className="text-right text-white font-bold">{formatValue(unitSystem, c.key, c.to)}</td>
+                  <td className={`text-right ${diff > 0 ? 'text-amber-400' : 'text-teal-400'}`}>{diff > 0 ? '+' : ''}{diff.toFixed(2)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {blocked && (
+          <div className="mb-6 p-4 rounded-2xl bg-red-500/10 border border-red-500/30 text-xs text-red-300 space-y-1">
+            {Object.entries(errors).map(([k, error]) => <div key={k}>{t(`setpoint.${k}`)}: {describeSetpointError(error, fieldOf(k), prefs, user.role)}</div>)}
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-4 mb-8">
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('control.operator')}</label>
+            <div className="w-full bg-slate-950/50 border border-slate-800 rounded-xl px-4 py-3 text-sm text-slate-300">{user.name} · {t(`roles.${user.role}`)}</div>
+          </div>
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('control.reason')}</label>
+            <input value={reason} onChange={(e) => setReason(e.target.value)} className="w-full bg-slate-950 border border-slate-800 rounded-xl px-4 py-3 text-sm" />
+          </div>
+        </div>
+        <div className="flex gap-4">
+          <button onClick={onCancel} disabled={saving} className="flex-1 py-4 rounded-2xl bg-slate-800 hover:bg-slate-700 text-xs font-black uppercase tracking-widest">{t('common.cancel')}</button>
+          <button
+            onClick={submit}
+            disabled={saving || blocked}
+            className="flex-1 py-4 rounded-2xl bg-blue-600 hover:bg-blue-500 text-white text-xs font-black uppercase tracking-widest disabled:opacity-40 flex items-center justify-center gap-2"
+          >
+            {saving ? <Loader2 size={16} className="animate-spin" /> : <CheckCircle2 size={16} />} {t('control.apply')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 写回失败的字段名按当前语言拼接
+const auditError = (t, entry) => (entry.errorField ? `${t(`setpoint.${entry.errorField}`)}: ${entry.error}` : entry.error);
+
+const valueAt = (data, path) => path.split('.').reduce((obj, key) => obj?.[key], data);
+
+const confirmationFor = (next, config, audit, role, rollbackOf = null, reason = '') => ({
+  next,
+  rollbackOf,
+  reason,
+  changes: diffConfig(config, next),
+  errors: validateSetpoints(next, config, audit, Date.now(), role),
+});
+
+// user: 当前登录用户 { name, role }，按角色限制可改字段与可调范围
+const ControlPanel = ({ user, config, audit, realtimeData, onApply, proposal, onProposalDone }) => {
+  const prefs = usePreferences();
+  const { t, unitSystem } = prefs;
+  // 从寻优建议跳转过来时，直接打开确认弹窗
+  const [draft, setDraft] = useState(() => toDraft(proposal ? { ...config, ...proposal.values } : config, unitSystem));
+  // 切换单位后按新单位重新显示输入框
+  const [draftUnits, setDraftUnits] = useState(unitSystem);
+  if (draftUnits !== unitSystem) {
+    setDraftUnits(unitSystem);
+    setDraft(toDraft(parseDraft(draft, config, draftUnits), unitSystem));
+  }
+  const [confirming, setConfirming] = useState(() => (
+    proposal ? confirmationFor({ ...config, ...proposal.values }, config, audit, user.role, null, proposal.reason) : null
+  ));
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  // 累计调整量按滑动 1 小时窗口计算，定期刷新参考时间
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (proposal) onProposalDone?.();
+  }, [proposal, onProposalDone]);
+
+  const parsed = useMemo(() => parseDraft(draft, config, unitSystem), [draft, config, unitSystem]);
+  const changes = useMemo(() => diffConfig(config, parsed), [config, parsed]);
+  const errors = useMemo(() => validateSetpoints(parsed, config, audit, now, user.role), [parsed, config, audit, now, user.role]);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const openConfirm = (target, rollbackOf = null) => {
+    const next = rollbackOf ? target : parsed;
+    setResult(null);
+    setConfirming(confirmationFor(next, config, audit, user.role, rollbackOf));
+  };
+
+  // 网关拒绝 (未登录、PLC 离线或按回读值校验未通过) 时不产生修改记录，只提示原因
+  const confirm = async (meta) => {
+    setSaving(true);
+    try {
+      const entry = await onApply(confirming.next, meta);
+      setDraft(toDraft(entry.after, unitSystem));
+      setResult(entry);
+    } catch (err) {
+      const reasons = Object.entries(err.errors ?? {}).map(([key, e]) => `${t(`setpoint.${key}`)}: ${describeSetpointError(e, fieldOf(key), prefs, user.role)}`);
+      setResult({ status: 'rejected', error: reasons.length > 0 ? reasons.join('; ') : errorText(t, err) });
+    } finally {
+      setSaving(false);
+      setConfirming(null);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      <div className="p-10 bg-slate-900/20 border border-slate-800 rounded-[3rem]">
+        <h2 className="text-2xl font-black text-white flex items-center gap-3 mb-10"><Settings className="text-blue-500" /> {t('control.title')}</h2>
+        {SETPOINT_GROUPS.map(group => (
+          <div key={group} className="mb-10">
+            <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-6">{t(`control.groups.${group}`)}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              {SETPOINT_FIELDS.filter(f => f.group === group).map(f => {
+                const changed = changes.some(c => c.key === f.key);
+                const locked = !can(user.role, f.permission);
+                const range = fieldRange(f, user.role);
+                const unit = unitSystem.unit(f.quantity, f.unit);
+                const [min, max] = unitSystem.range(f.quantity, range.min, range.max).map(v => unitSystem.display(f.quantity, v));
+                const plcValue = f.point && valueAt(realtimeData, f.point);
+                return (
+                  <div key={f.key} className="space-y-3">
+                    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest flex justify-between">
+                      <span>{t(`setpoint.${f.key}`)}{unit && ` (${unit})`}</span>
+                      {plcValue !== undefined && <span className="text-slate-600 normal-case">{t('control.plcCurrent', { value: formatValue(unitSystem, f.key, plcValue) })}</span>}
+                    </label>
+                    <input
+                      type="number"
+                      step={inputStep(unitSystem, f)}
+                      min={min}
+                      max={max}
+                      value={draft[f.key]}
+                      disabled={locked}
+                      title={denyReason(user.role, f.permission, t) ?? undefined}
+                      onChange={(e) => setDraft(prev => ({ ...prev, [f.key]: e.target.value }))}
+                      className={`w-full bg-slate-950 border rounded-2xl px-6 py-4 font-mono font-bold disabled:opacity-50 disabled:cursor-not-allowed ${errors[f.key] ? 'border-red-500/60 text-red-400' : changed ? 'border-blue-500/60 text-blue-300' : 'border-slate-800 text-blue-400'}`}
+                    />
+                    <div className="text-[11px] min-h-[1rem]">
+                      {errors[f.key]
+                        ? <span className="text-red-400 flex items-center gap-1"><AlertTriangle size={12} /> {describeSetpointError(errors[f.key], f, prefs, user.role)}</span>
+                        : locked
+                          ? <span className="text-slate-600">{denyReason(user.role, f.permission, t)}</span>
+                          : (
+                            <span className="text-slate-600">
+                              {t(range.band ? 'control.bandHint' : 'control.rangeHint', { min, max, unit })}
+                              {f.maxStep ? ` · ${t('control.stepHint', { max: unitSystem.format(deltaQuantity(f.quantity), f.maxStep, f.unit, 1) })}` : ''}
+                            </span>
+                          )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+
+        {result && (
+          <div className={`mb-6 p-4 rounded-2xl border text-xs ${result.status === 'applied' ? 'bg-green-500/10 border-green-500/30 text-green-300' : 'bg-red-500/10 border-red-500/30 text-red-300'}`}>
+            {result.status === 'applied'
+              ? t('control.applied', { count: result.changes.length })
+              : t('control.failed', { error: auditError(t, result) })}
+          </div>
+        )}
+
+        <div className="flex gap-4">
+          <button
+            onClick={() => setDraft(toDraft(config, unitSystem))}
+            disabled={changes.length === 0}
+            className="px-8 py-5 bg-slate-800 hover:bg-slate-700 rounded-2xl text-xs font-black uppercase tracking-widest disabled:opacity-40 flex items-center gap-2"
+          >
+            <RotateCcw size={16} /> {t('control.discard')}
+          </button>
+          <button
+            onClick={() => openConfirm(parsed)}
+            disabled={changes.length === 0 || hasErrors}
+            className="flex-1 py-5 bg-blue-600 hover:bg-blue-500 text-white rounded-2xl font-black uppercase tracking-widest text-xs transition-all shadow-xl shadow-blue-500/20 flex items-center justify-center gap-2 disabled:opacity-40"
+          >
+            <Save size={18} /> {t('control.save')}{changes.length > 0 && ` (${changes.length})`}
+          </button>
+        </div>
+      </div>
+
+      <div className="p-10 bg-slate-900/20 border border-slate-800 rounded-[3rem]">
+        <h3 className="text-lg font-black text-white flex items-center gap-3 mb-8"><History className="text-blue-500" size={20} /> {t('control.auditTitle')}</h3>
+        {audit.length === 0 ? (
+          <div className="text-sm text-slate-600">{t('control.auditEmpty')}</div>
+        ) : (
+          <div className="divide-y divide-slate-800/60 max-h-[480px] overflow-y-auto custom-scrollbar">
+            {audit.map(entry => (
+              <div key={entry.id} className="py-4 flex items-start gap-4">
+                <div className="flex-1 min-w-0 space-y-1">
+                  <div className="flex items-center gap-3 text-xs">
+                    <span className="font-mono text-slate-500">{formatTime(entry.ts, t.locale)}</span>
+                    <span className="font-bold text-white">{entry.user}{entry.role && <span className="ml-1 font-normal text-slate-500">· {t(`roles.${entry.role}`)}</span>}</span>
+                    <span className={`text-[10px] px-2 py-0.5 rounded border ${entry.status === 'applied' ? 'bg-green-500/20 text-green-400 border-green-500/30' : 'bg-red-500/20 text-red-400 border-red-500/30'}`}>
+                      {t(`control.status.${entry.status}`)}
+                    </span>
+                    {entry.rollbackOf && <span className="text-[10px] text-amber-400">{t('control.rollback')}</span>}
+                  </div>
+                  <div className="text-xs text-slate-300">{entry.changes.map(c => formatChange(prefs, c)).join(t('common.listSeparator'))}</div>
+                  {entry.reason && <div className="text-[11px] text-slate-500">{t('control.reasonLine', { reason: entry.reason })}</div>}
+                  {entry.error && <div className="text-[11px] text-red-400">{auditError(t, entry)}</div>}
+                </div>
+                <button
+                  onClick={() => openConfirm(entry.before, entry)}
+                  disabled={diffConfig(config, entry.before).length === 0}
+                  title={t('control.rollbackTitle')}
+                  className="px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700 text-xs font-bold text-slate-300 disabled:opacity-30 flex items-center gap-1"
+                >
+                  <RotateCcw size={12} /> {t('control.rollback')}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {confirming && (
+        <ConfirmDialog
+          user={user}
+          changes={confirming.changes}
+          errors={confirming.errors}
+          rollbackOf={confirming.rollbackOf}
+          defaultReason={confirming.reason}
+          saving={saving}
+          onConfirm={confirm}
+          onCancel={() => setConfirming(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ControlPanel;
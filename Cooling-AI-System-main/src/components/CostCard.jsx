@@ -0,0 +1,153 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Wallet } from 'lucide-react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import ExportButtons from './ExportButtons';
+import { usePreferences } from '../hooks/usePreferences';
+import { SUBSYSTEMS } from '../lib/reports';
+import { TARIFF_PERIODS, TARIFF_PERIOD_COLORS, formatMoney, formatCarbon } from '../lib/tariff';
+import { tableOf } from '../lib/exportData';
+
+const round = (v, digits = 2) => (Number.isFinite(v) ? Math.round(v * 10 ** digits) / 10 ** digits : null);
+const percent = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : '--');
+
+// 日电费图的两种视图：电费 (货币) / 碳排放 (kg)
+const VIEWS = {
+  cost: { actual: 'cost', optimized: 'optimizedCost', cumulative: 'cumulativeSavings' },
+  carbon: { actual: 'carbon', optimized: 'optimizedCarbon', cumulative: 'cumulativeCarbonSavings' },
+};
+const CHART_KEYS = Object.values(VIEWS).flatMap(v => Object.values(v));
+
+// 占比条：名称、金额与占比
+const Breakdown = ({ title, items, currency }) => {
+  const { t } = usePreferences();
+  const total = items.reduce((sum, i) => sum + i.cost, 0);
+  return (
+    <div className="space-y-3">
+      <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{title}</div>
+      {items.map(i => (
+        <div key={i.key} className="space-y-1">
+          <div className="flex justify-between text-xs">
+            <span className="text-slate-300">{i.label}</span>
+            <span className="font-mono text-slate-400">{formatMoney(i.cost, currency, t.locale)} · {percent(total > 0 ? i.cost / total : NaN)}</span>
+          </div>
+          <div className="h-1.5 rounded-full bg-slate-800 overflow-hidden">
+            <div className="h-full rounded-full" style={{ width: `${total > 0 ? (i.cost / total) * 100 : 0}%`, backgroundColor: i.color }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// --- 电费与碳排放：本月累计电费 (含需量电费)、碳排放、寻优节省潜力，日电费趋势与分项占比 ---
+// costs 为 useCosts 的返回值
+const CostCard = ({ costs, tariff }) => {
+  const { t } = usePreferences();
+  const [view, setView] = useState('cost');
+  const chartRef = useRef(null);
+  const mtd = costs.monthToDate;
+  const money = (v) => formatMoney(v, tariff.currency, t.locale);
+  const keys = VIEWS[view];
+  const unit = view === 'cost' ? tariff.currency : 'kg';
+  const rows = useMemo(() => costs.daily.map(d => ({
+    ...d,
+    time: new Date(d.ts).toLocaleDateString(t.locale, { month: '2-digit', day: '2-digit' }),
+    ...Object.fromEntries(CHART_KEYS.map(k => [k, round(d[k])])),
+  })), [costs.daily, t.locale]);
+
+  return (
+    <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h3 className="text-xl font-bold text-white flex items-center gap-3"><Wallet size={24} className="text-teal-400" /> {t('tariff.cardTitle')}</h3>
+        <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">
+          {t('tariff.monthToDate', { from: new Date(costs.from).toLocaleDateString(t.locale), hours: mtd.hours })}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-5 gap-4">
+        {[
+          { label: t('tariff.kpi.total'), value: money(mtd.totalCost), sub: t('tariff.kpi.energyCost', { cost: money(mtd.energyCost) }), color: '#e2e8f0' },
+          {
+            label: t('tariff.kpi.demand'),
+            value: money(mtd.demand.cost),
+            sub: mtd.demand.peak ? t('tariff.kpi.demandPeak', { power: mtd.demand.peak.power.toFixed(0), time: new Date(mtd.demand.peak.ts).toLocaleString(t.locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }) }) : '--',
+            color: '#f59e0b',
+          },
+          { label: t('tariff.kpi.energy'), value: Math.round(mtd.energy).toLocaleString(t.locale), sub: 'kWh', color: '#3b82f6' },
+          { label: t('tariff.kpi.carbon'), value: formatCarbon(mtd.carbon, t), sub: t('tariff.kpi.factor', { factor: tariff.emissionFactor }), color: '#a855f7' },
+          {
+            label: t('tariff.kpi.savings'),
+            value: money(mtd.savings.cost),
+            sub: `${formatCarbon(mtd.savings.carbon, t)} · ${percent(mtd.totalCost > 0 ? mtd.savings.cost / mtd.totalCost : NaN)}`,
+            color: '#10b981',
+          },
+        ].map(k => (
+          <div key={k.label} className="p-5 bg-slate-900/30 border border-slate-800/60 rounded-2xl">
+            <div className="text-[10px] font-bold text-slate-500 uppercase tracking-widest mb-1">{k.label}</div>
+            <div className="text-2xl font-mono font-black" style={{ color: k.color }}>{k.value}</div>
+            <div className="text-[10px] text-slate-600 mt-1">{k.sub}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+        <div className="xl:col-span-2 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex bg-slate-950 border border-slate-800 rounded-xl p-1">
+              {Object.keys(VIEWS).map(key => (
+                <button
+                  key={key}
+                  onClick={() => setView(key)}
+                  className={`px-3 py-1.5 rounded-lg text-[11px] font-bold ${view === key ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-300'}`}
+                >
+                  {t(`tariff.views.${key}`)}
+                </button>
+              ))}
+            </div>
+            <ExportButtons
+              filename="energy-cost"
+              chartRef={chartRef}
+              table={() => tableOf(costs.daily, [
+                { label: t('tariff.export.date'), value: r => new Date(r.ts).toLocaleDateString(t.locale) },
+                { label: t('tariff.export.energy'), value: r => round(r.energy, 1) },
+                { label: t('tariff.export.cost', { currency: tariff.currency }), value: r => round(r.cost) },
+                { label: t('tariff.export.optimizedCost', { currency: tariff.currency }), value: r => round(r.optimizedCost) },
+                { label: t('tariff.export.carbon'), value: r => round(r.carbon, 1) },
+                { label: t('tariff.export.optimizedCarbon'), value: r => round(r.optimizedCarbon, 1) },
+              ])}
+            />
+          </div>
+          <div ref={chartRef} className="h-80 w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                <XAxis dataKey="time" stroke="#475569" fontSize={11} />
+                <YAxis yAxisId="daily" stroke="#475569" fontSize={11} />
+                <YAxis yAxisId="cumulative" orientation="right" stroke="#f59e0b" fontSize={11} />
+                <Tooltip cursor={{ fill: '#1e293b', opacity: 0.4 }} content={<CustomTooltip />} />
+                <Bar yAxisId="daily" dataKey={keys.actual} name={t(`tariff.series.${keys.actual}`)} fill="#3b82f6" radius={[4, 4, 0, 0]} unit={unit} />
+                <Bar yAxisId="daily" dataKey={keys.optimized} name={t(`tariff.series.${keys.optimized}`)} fill="#10b981" fillOpacity={0.6} radius={[4, 4, 0, 0]} unit={unit} />
+                <Line yAxisId="cumulative" type="monotone" dataKey={keys.cumulative} name={t(`tariff.series.${keys.cumulative}`)} stroke="#f59e0b" strokeWidth={2} dot={false} unit={unit} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div className="space-y-8">
+          <Breakdown
+            title={t('tariff.bySubsystem')}
+            currency={tariff.currency}
+            items={SUBSYSTEMS.map(s => ({ key: s.key, label: t(`reports.subsystems.${s.key}`), color: s.color, cost: mtd.bySubsystem[s.key].cost }))}
+          />
+          <Breakdown
+            title={t('tariff.byPeriod')}
+            currency={tariff.currency}
+            items={TARIFF_PERIODS.map(p => ({ key: p, label: t(`tariff.periods.${p}`), color: TARIFF_PERIOD_COLORS[p], cost: mtd.byPeriod[p].cost }))}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CostCard;
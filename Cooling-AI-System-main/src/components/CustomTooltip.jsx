@@ -0,0 +1,40 @@
+import React from 'react';
+import { usePreferences } from '../hooks/usePreferences';
+
+// 移除 Markdown 符号以便在图表等纯文本环境显示
+const stripMarkdown = (text) => {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\*\*(.*?)\*\*/g, '$1').replace(/\*(.*?)\*/g, '$1').replace(/`/g, '');
+};
+
+// 区间类序列 (如置信带) 的值是 [下限, 上限]；小于 1 的值 (如 kW/RT、MPa) 多保留两位
+const formatNumber = (v) => v.toFixed(Math.abs(v) < 1 ? 3 : 1);
+const formatValue = (value) => (Array.isArray(value) ? value.map(formatNumber).join(' ~ ') : formatNumber(value));
+
+// 自定义 Tooltip (自动清洗标签)；数值已由调用方换算为用户单位
+const CustomTooltip = ({ active, payload, label }) => {
+  const { t } = usePreferences();
+  if (active && payload && payload.length) {
+    return (
+      <div className="bg-slate-900/95 border border-slate-700 p-3 rounded-xl shadow-2xl backdrop-blur-md">
+        <p className="text-[10px] text-slate-500 font-bold uppercase mb-2 tracking-tighter">{t('chart.tooltipTitle', { label })}</p>
+        <div className="space-y-1.5">
+          {payload.filter(entry => entry.value !== null && entry.value !== undefined).map((entry, index) => (
+            <div key={index} className="flex items-center justify-between gap-4">
+              <span className="flex items-center gap-2">
+                <div className="w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }}></div>
+                <span className="text-xs text-slate-300">{stripMarkdown(entry.name)}</span>
+              </span>
+              <span className="text-xs font-mono font-bold text-white">
+                {formatValue(entry.value)} <span className="text-[10px] text-slate-500">{entry.unit || ''}</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+  return null;
+};
+
+export default CustomTooltip;
@@ -0,0 +1,183 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { LayoutGrid, Plus, Download, Upload, RotateCcw, Check, ChevronLeft, ChevronRight, Maximize2, SlidersHorizontal, X } from 'lucide-react';
+import SequencingPanel from './SequencingPanel';
+import CostCard from './CostCard';
+import { StatWidget, TrendWidget, EnergyPieWidget, AlarmSummaryWidget, ForecastSummaryWidget } from './DashboardWidgets';
+import { usePreferences } from '../hooks/usePreferences';
+import {
+  WIDGET_TYPES, WIDGET_SIZES, STAT_COLORS, TREND_SERIES, MAX_TREND_SERIES, dataPaths, pointLabel, serializeLayout, parseLayout,
+} from '../lib/dashboard';
+import { downloadBlob } from '../lib/exportData';
+
+const CONFIGURABLE = ['stat', 'trend'];
+
+const inputClass = 'w-full bg-slate-950 border border-slate-800 rounded-lg px-3 py-2 text-xs text-slate-300 focus:outline-none focus:border-blue-500/50';
+const toolClass = 'p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 disabled:opacity-30';
+
+// 数值卡片配置：绑定路径、自定义名称与颜色
+const StatConfig = ({ widget, realtimeData, onChange }) => {
+  const { t } = usePreferences();
+  const paths = useMemo(() => {
+    const list = dataPaths(realtimeData);
+    return list.includes(widget.path) ? list : [widget.path, ...list];
+  }, [realtimeData, widget.path]);
+  return (
+    <div className="space-y-3">
+      <select value={widget.path} onChange={(e) => onChange({ path: e.target.value })} className={inputClass}>
+        {paths.map(p => <option key={p} value={p}>{pointLabel(p, realtimeData, t)}{pointLabel(p, realtimeData, t) === p ? '' : ` (${p})`}</option>)}
+      </select>
+      <input value={widget.label} onChange={(e) => onChange({ label: e.target.value })} placeholder={pointLabel(widget.path, realtimeData, t)} className={inputClass} />
+      <div className="flex gap-2">
+        {STAT_COLORS.map(c => (
+          <button key={c} onClick={() => onChange({ color: c })} className={`w-5 h-5 rounded-full border-2 ${widget.color === c ? 'border-white' : 'border-transparent'}`} style={{ backgroundColor: c }} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// 趋势图配置：勾选历史指标，至少一条、最多 MAX_TREND_SERIES 条
+const TrendConfig = ({ widget, onChange }) => {
+  const { t } = usePreferences();
+  const toggle = (key) => onChange({ series: widget.series.includes(key) ? widget.series.filter(k => k !== key) : [...widget.series, key] });
+  return (
+    <div className="space-y-2">
+      <div className="text-[10px] text-slate-500">{t('dashboard.widgets.seriesHint', { max: MAX_TREND_SERIES })}</div>
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-x-4 gap-y-1">
+        {TREND_SERIES.map(key => {
+          const checked = widget.series.includes(key);
+          return (
+            <label key={key} className="flex items-center gap-2 text-xs text-slate-300">
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={checked ? widget.series.length === 1 : widget.series.length >= MAX_TREND_SERIES}
+                onChange={() => toggle(key)}
+              />
+              {t(`metrics.${key}`)}
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * --- 运行总览看板：按当前用户的布局渲染组件，编辑模式下可添加、删除、调整尺寸与顺序，导入导出布局 ---
+ * layout 为 useDashboardLayout 的返回值；range 为趋势图共用的时间范围；onNavigate(tab) 从摘要卡片跳到对应页面
+ */
+const Dashboard = ({ layout, realtimeData, series, history, range, onRangeChange, site, costs, tariff, alarms, alarmRules, health, onNavigate }) => {
+  const { t } = usePreferences();
+  const [editing, setEditing] = useState(false);
+  const [configuring, setConfiguring] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+  const { widgets } = layout;
+
+  const exportLayout = () => downloadBlob(new Blob([serializeLayout(widgets)], { type: 'application/json' }), 'dashboard-layout.json');
+
+  const importLayout = async (file) => {
+    if (!file) return;
+    const result = parseLayout(await file.text());
+    if (result.error) {
+      setMessage({ error: true, text: t(`dashboard.layout.errors.${result.error}`) });
+      return;
+    }
+    layout.replace(result.widgets);
+    setMessage({ error: false, text: t('dashboard.layout.imported', { count: result.widgets.length }) + (result.skipped ? t('dashboard.layout.skipped', { count: result.skipped }) : '') });
+  };
+
+  const reset = () => {
+    if (window.confirm(t('dashboard.layout.confirmReset'))) layout.reset();
+  };
+
+  const finish = () => {
+    setEditing(false);
+    setConfiguring(null);
+    setMessage(null);
+  };
+
+  const renderWidget = (widget) => {
+    switch (widget.type) {
+      case 'stat': return <StatWidget widget={widget} realtimeData={realtimeData} />;
+      case 'trend': return <TrendWidget widget={widget} series={series} range={range} onRangeChange={onRangeChange} tall={widget.size === 'full' || widget.size === 'lg'} />;
+      case 'energyPie': return <EnergyPieWidget realtimeData={realtimeData} />;
+      case 'alarms': return <AlarmSummaryWidget alarms={alarms} rules={alarmRules} health={health} onOpen={() => onNavigate('alarms')} />;
+      case 'forecast': return <ForecastSummaryWidget history={history} onOpen={() => onNavigate('forecast')} />;
+      case 'sequencing': return <SequencingPanel site={site} realtimeData={realtimeData} series={series} />;
+      case 'cost': return <CostCard costs={costs} tariff={tariff} />;
+      default: return null;
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-in fade-in duration-500">
+      <div className="flex flex-wrap items-center justify-end gap-3">
+        {message && <span className={`text-xs ${message.error ? 'text-red-400' : 'text-teal-400'}`}>{message.text}</span>}
+        {editing ? (
+          <>
+            <select value="" onChange={(e) => e.target.value && layout.add(e.target.value)} className="bg-slate-900 border border-slate-800 rounded-xl px-3 py-2 text-xs text-slate-300 focus:outline-none">
+              <option value="">{t('dashboard.layout.add')}</option>
+              {Object.keys(WIDGET_TYPES).map(type => <option key={type} value={type}>{t(`dashboard.widgets.types.${type}`)}</option>)}
+            </select>
+            <button onClick={exportLayout} title={t('dashboard.layout.export')} className={toolClass}><Download size={16} /></button>
+            <button onClick={() => fileRef.current?.click()} title={t('dashboard.layout.import')} className={toolClass}><Upload size={16} /></button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                importLayout(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+            <button onClick={reset} disabled={!layout.customized} title={t('dashboard.layout.reset')} className={toolClass}><RotateCcw size={16} /></button>
+            <button onClick={finish} className="px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold flex items-center gap-2"><Check size={14} /> {t('dashboard.layout.done')}</button>
+          </>
+        ) : (
+          <button onClick={() => setEditing(true)} className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-slate-300 text-xs font-bold flex items-center gap-2">
+            <LayoutGrid size={14} /> {t('dashboard.layout.edit')}
+          </button>
+        )}
+      </div>
+
+      {widgets.length === 0 && <div className="text-sm text-slate-500 py-10 text-center">{t('dashboard.layout.empty')}</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-12 gap-6">
+        {widgets.map((widget, i) => (
+          <div key={widget.id} className={`relative ${WIDGET_SIZES[widget.size]} ${editing ? 'ring-1 ring-blue-500/40 rounded-[2.5rem]' : ''}`}>
+            {editing && (
+              <div className="absolute -top-3 right-4 z-10 flex items-center gap-0.5 px-1.5 py-0.5 rounded-xl bg-slate-900 border border-slate-700 shadow-xl">
+                <span className="px-1.5 text-[10px] text-slate-500 font-bold">{t(`dashboard.widgets.types.${widget.type}`)}</span>
+                <button onClick={() => layout.move(widget.id, -1)} disabled={i === 0} title={t('dashboard.layout.moveEarlier')} className={toolClass}><ChevronLeft size={14} /></button>
+                <button onClick={() => layout.move(widget.id, 1)} disabled={i === widgets.length - 1} title={t('dashboard.layout.moveLater')} className={toolClass}><ChevronRight size={14} /></button>
+                <button onClick={() => layout.resize(widget.id)} title={t('dashboard.layout.resize', { size: t(`dashboard.widgets.sizes.${widget.size}`) })} className={toolClass}><Maximize2 size={14} /></button>
+                {CONFIGURABLE.includes(widget.type) && (
+                  <button onClick={() => setConfiguring(configuring === widget.id ? null : widget.id)} title={t('dashboard.layout.configure')} className={`${toolClass} ${configuring === widget.id ? 'text-blue-400' : ''}`}><SlidersHorizontal size={14} /></button>
+                )}
+                <button onClick={() => layout.remove(widget.id)} title={t('common.delete')} className={`${toolClass} hover:text-red-400`}><X size={14} /></button>
+              </div>
+            )}
+            {renderWidget(widget)}
+            {editing && configuring === widget.id && (
+              <div className="mt-3 p-4 rounded-2xl bg-slate-900/80 border border-slate-700">
+                {widget.type === 'stat'
+                  ? <StatConfig widget={widget} realtimeData={realtimeData} onChange={(patch) => layout.update(widget.id, patch)} />
+                  : <TrendConfig widget={widget} onChange={(patch) => layout.update(widget.id, patch)} />}
+              </div>
+            )}
+          </div>
+        ))}
+        {editing && (
+          <button onClick={() => layout.add('stat')} className="xl:col-span-3 min-h-[7rem] rounded-3xl border border-dashed border-slate-700 text-slate-500 hover:text-slate-200 hover:border-slate-500 flex items-center justify-center gap-2 text-xs font-bold">
+            <Plus size={16} /> {t('dashboard.widgets.types.stat')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
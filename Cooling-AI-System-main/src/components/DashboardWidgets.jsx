@@ -0,0 +1,222 @@
+import React, { useMemo, useRef } from 'react';
+import { BarChart3, PieChart as PieChartIcon, Bell, TrendingUp, CheckCircle2, AlertTriangle, ArrowRight } from 'lucide-react';
+import {
+  ComposedChart, AreaChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend,
+} from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import RangePicker from './RangePicker';
+import ExportButtons from './ExportButtons';
+import { useSeriesRange } from '../hooks/useTimeSeries';
+import { usePreferences } from '../hooks/usePreferences';
+import { METRICS } from '../lib/assistantTools';
+import { valueAt, pointMeta, pointLabel } from '../lib/dashboard';
+import { estimatePowerSplit } from '../lib/plantModel';
+import { SUBSYSTEMS } from '../lib/reports';
+import { SEVERITIES } from '../lib/alarms';
+import { forecastLoad } from '../lib/forecast';
+import { tableOf, formatDateTime } from '../lib/exportData';
+
+const SERIES_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ec4899'];
+const SUMMARY_ALARMS = 3;
+
+const cardClass = 'h-full bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8';
+const titleClass = 'text-lg font-bold text-white flex items-center gap-3';
+
+const percent = (v) => `${Math.round(v * 1000) / 10}%`;
+
+// --- 数值卡片：显示绑定路径的实时值，设备点位按用户单位换算 ---
+export const StatWidget = ({ widget, realtimeData }) => {
+  const { t, unitSystem } = usePreferences();
+  const meta = pointMeta(widget.path);
+  const value = valueAt(realtimeData, widget.path);
+  const shown = typeof value === 'number' ? unitSystem.display(meta.quantity, value) : null;
+  return (
+    <div className="h-full p-6 bg-slate-900/30 border border-slate-800/60 rounded-3xl">
+      <div className="text-[11px] font-bold text-slate-500 uppercase tracking-widest mb-1 truncate" title={widget.path}>{widget.label || pointLabel(widget.path, realtimeData, t)}</div>
+      <div className="text-3xl font-mono font-black" style={{ color: widget.color }}>
+        {shown ?? '--'} <span className="text-xs font-sans text-slate-600">{unitSystem.unit(meta.quantity, meta.unit)}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * 趋势图：所选历史指标的平均值曲线；只选一条时另画区间最小~最大带。
+ * 曲线按单位分左右两根纵轴，第二种及以后的单位共用右轴。时间范围为看板共用 (写入地址)。
+ */
+export const TrendWidget = ({ widget, series, range, onRangeChange, tall }) => {
+  const { t, unitSystem } = usePreferences();
+  const { rows: metricRows } = useSeriesRange(series, range);
+  const chartRef = useRef(null);
+  const keys = widget.series;
+  const rows = useMemo(() => unitSystem.rows(metricRows, Object.fromEntries(keys.map(k => [k, METRICS[k].quantity]))), [metricRows, keys, unitSystem]);
+  const lines = keys.map((key, i) => ({ key, label: t(`metrics.${key}`), unit: unitSystem.unit(METRICS[key].quantity, METRICS[key].unit), color: SERIES_COLORS[i % SERIES_COLORS.length] }));
+  const axisUnits = [...new Set(lines.map(l => l.unit))];
+  const axisOf = (line) => (line.unit === axisUnits[0] ? 'left' : 'right');
+  const single = lines.length === 1 ? lines[0] : null;
+  const gradientId = `grad-${widget.id}`;
+
+  return (
+    <div className={cardClass}>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+        <h3 className={titleClass}><BarChart3 size={22} className="text-blue-500" /> {lines.map(l => l.label).join(t('common.nameSeparator'))}</h3>
+        <div className="flex flex-wrap items-center gap-3">
+          <RangePicker value={range} onChange={onRangeChange} />
+          <ExportButtons
+            filename="dashboard-trend"
+            chartRef={chartRef}
+            table={() => tableOf(rows, [
+              { label: t('chart.time'), value: r => formatDateTime(r.ts) },
+              ...lines.map(l => ({ label: l.unit ? `${l.label} (${l.unit})` : l.label, value: r => r[l.key] })),
+            ])}
+          />
+        </div>
+      </div>
+      <div ref={chartRef} className={`${tall ? 'h-[450px]' : 'h-72'} w-full`}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={rows}>
+            <defs>
+              <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+                <stop offset="5%" stopColor={lines[0]?.color} stopOpacity={0.3} />
+                <stop offset="95%" stopColor={lines[0]?.color} stopOpacity={0} />
+              </linearGradient>
+            </defs>
+            <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+            <XAxis dataKey="time" stroke="#475569" fontSize={11} minTickGap={30} />
+            <YAxis yAxisId="left" stroke="#475569" fontSize={11} domain={['auto', 'auto']} />
+            {axisUnits.length > 1 && <YAxis yAxisId="right" orientation="right" stroke="#475569" fontSize={11} domain={['auto', 'auto']} />}
+            <Tooltip content={<CustomTooltip />} />
+            {single ? [
+              <Area key="range" yAxisId="left" type="monotone" name={t('equipmentPoints.range')} dataKey={`${single.key}Range`} stroke="none" fill={single.color} fillOpacity={0.1} unit={single.unit} />,
+              <Area key={single.key} yAxisId="left" type="monotone" name={single.label} dataKey={single.key} stroke={single.color} strokeWidth={4} fill={`url(#${gradientId})`} unit={single.unit} connectNulls />,
+            ] : lines.map(l => (
+              <Line key={l.key} yAxisId={axisOf(l)} type="monotone" name={l.label} dataKey={l.key} stroke={l.color} strokeWidth={2} dot={false} unit={l.unit} connectNulls />
+            ))}
+            {!single && <Legend formatter={(value) => <span className="text-xs text-slate-400">{value}</span>} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+// --- 能耗分布：实时功率按压缩机、冷却泵、风机与辅助拆分 ---
+export const EnergyPieWidget = ({ realtimeData }) => {
+  const { t } = usePreferences();
+  const split = useMemo(() => estimatePowerSplit(realtimeData), [realtimeData]);
+  const shares = SUBSYSTEMS.map(s => ({ ...s, label: t(`reports.subsystems.${s.key}`), kw: Math.round(split[s.key] * 10) / 10, ratio: split.total > 0 ? split[s.key] / split.total : 0 }));
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h3 className={titleClass}><PieChartIcon size={22} className="text-blue-500" /> {t('dashboard.widgets.types.energyPie')}</h3>
+        <span className="text-sm font-mono font-black text-white">{split.total.toFixed(1)} kW</span>
+      </div>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie data={shares} dataKey="kw" nameKey="label" innerRadius="55%" outerRadius="85%" paddingAngle={2} stroke="none" isAnimationActive={false}>
+              {shares.map(s => <Cell key={s.key} fill={s.color} />)}
+            </Pie>
+            <Tooltip content={<CustomTooltip />} />
+            <Legend formatter={(value, entry) => <span className="text-xs text-slate-400">{value} {percent(entry.payload.ratio)}</span>} />
+          </PieChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+// --- 告警摘要：健康等级、触发与未确认数和最严重的几条告警 ---
+export const AlarmSummaryWidget = ({ alarms, rules, health, onOpen }) => {
+  const { t } = usePreferences();
+  const active = Object.values(alarms.active)
+    .filter(a => a.status !== 'pending')
+    .map(a => ({ ...a, rule: rules.find(r => r.id === a.ruleId) }))
+    .filter(a => a.rule)
+    .sort((a, b) => SEVERITIES[b.rule.severity].rank - SEVERITIES[a.rule.severity].rank);
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center justify-between gap-4 mb-6">
+        <h3 className={titleClass}><Bell size={22} className="text-amber-400" /> {t('dashboard.widgets.types.alarms')}</h3>
+        <button onClick={onOpen} title={t('dashboard.widgets.openAlarms')} className="p-1.5 text-slate-500 hover:text-white"><ArrowRight size={16} /></button>
+      </div>
+      <div className="flex gap-8 mb-6">
+        <div>
+          <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('dashboard.widgets.firing')}</div>
+          <div className="text-3xl font-mono font-black" style={{ color: health.level === 'ok' ? '#22c55e' : SEVERITIES[health.level].color }}>{health.firing}</div>
+        </div>
+        <div>
+          <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('dashboard.widgets.unacked')}</div>
+          <div className={`text-3xl font-mono font-black ${health.unacked > 0 ? 'text-amber-400' : 'text-slate-400'}`}>{health.unacked}</div>
+        </div>
+      </div>
+      {active.length === 0 ? (
+        <div className="flex items-center gap-2 text-xs text-slate-500"><CheckCircle2 size={14} className="text-green-500" /> {t('alarms.allClear')}</div>
+      ) : (
+        <ul className="space-y-2">
+          {active.slice(0, SUMMARY_ALARMS).map(a => (
+            <li key={a.ruleId} className="flex items-center gap-2 text-xs text-slate-300">
+              <AlertTriangle size={14} style={{ color: SEVERITIES[a.rule.severity].color }} />
+              <span className="flex-1 truncate">{t(`alarms.rules.${a.ruleId}`)}</span>
+              <span className="text-[10px] text-slate-500">{t(`alarms.status.${a.acked ? 'acked' : a.status}`)}</span>
+            </li>
+          ))}
+          {active.length > SUMMARY_ALARMS && <li className="text-[10px] text-slate-500">{t('dashboard.widgets.moreAlarms', { count: active.length - SUMMARY_ALARMS })}</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// --- 负荷预测摘要：未来 24h 预测峰值、下一小时预测与回测误差 ---
+export const ForecastSummaryWidget = ({ history, onOpen }) => {
+  const { t, unitSystem } = usePreferences();
+  const result = useMemo(() => forecastLoad(history), [history]);
+  const unit = unitSystem.unit('cooling', 'kW');
+  const load = (v) => unitSystem.display('cooling', v, 1);
+  const rows = useMemo(() => (result.error ? [] : unitSystem.rows(
+    result.points.map(p => ({ ts: p.ts, time: p.time, forecast: p.forecast, band: [p.lower, p.upper] })),
+    { forecast: 'cooling', band: 'cooling' },
+  )), [result, unitSystem]);
+  const peak = result.points?.reduce((max, p) => (p.forecast > max.forecast ? p : max), result.points[0]);
+
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center justify-between gap-4 mb-6">
+        <h3 className={titleClass}><TrendingUp size={22} className="text-amber-400" /> {t('forecast.title')}</h3>
+        <button onClick={onOpen} title={t('dashboard.widgets.openForecast')} className="p-1.5 text-slate-500 hover:text-white"><ArrowRight size={16} /></button>
+      </div>
+      {result.error ? (
+        <div className="flex items-center gap-2 text-xs text-slate-500"><AlertTriangle size={14} className="text-amber-500" /> {t(`forecast.errors.${result.error}`, result)}</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-6 text-xs">
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{t('dashboard.widgets.nextHour')}</div>
+              <div className="font-mono font-bold text-white">{load(result.points[0].forecast)} {unit}</div>
+            </div>
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{t('forecast.peak')}</div>
+              <div className="font-mono font-bold text-white">{load(peak.forecast)} {unit} <span className="text-slate-500">@ {peak.time}</span></div>
+            </div>
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">MAPE</div>
+              <div className="font-mono font-bold text-white">{Number.isFinite(result.mape) ? `${(result.mape * 100).toFixed(1)}%` : '--'}</div>
+            </div>
+          </div>
+          <div className="h-40">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={rows}>
+                <XAxis dataKey="time" stroke="#475569" fontSize={10} minTickGap={30} />
+                <YAxis stroke="#475569" fontSize={10} width={40} domain={['auto', 'auto']} />
+                <Tooltip content={<CustomTooltip />} />
+                <Area type="monotone" dataKey="band" name={t('forecast.band', { level: Math.round(result.bandLevel * 100) })} stroke="none" fill="#f59e0b" fillOpacity={0.15} unit={unit} />
+                <Area type="monotone" dataKey="forecast" name={t('forecast.forecast')} stroke="#f59e0b" strokeWidth={2} fill="none" unit={unit} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
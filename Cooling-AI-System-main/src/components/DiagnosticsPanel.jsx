@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import { Stethoscope, AlertTriangle, CheckCircle2, HelpCircle, ChevronDown, ChevronRight, MessageSquare, ClipboardList } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import { CONFIDENCE_LEVELS, FDD_WINDOWS, localizeDiagnosis } from '../lib/fdd';
+import { formatOrderNumber } from '../lib/maintenance';
+import { usePreferences } from '../hooks/usePreferences';
+
+const STATUS_STYLES = {
+  fault: { icon: AlertTriangle, className: 'text-red-400' },
+  ok: { icon: CheckCircle2, className: 'text-green-500' },
+  insufficient: { icon: HelpCircle, className: 'text-slate-500' },
+};
+const STATUS_ORDER = { fault: 0, insufficient: 1, ok: 2 };
+
+const formatTime = (ts, locale) => new Date(ts).toLocaleString(locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+const EvidenceChart = ({ evidence }) => (
+  <div className="h-56">
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={evidence.rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+        <XAxis dataKey="time" stroke="#475569" fontSize={10} minTickGap={30} />
+        <YAxis stroke="#475569" fontSize={10} width={40} domain={['auto', 'auto']} />
+        <Tooltip content={<CustomTooltip />} />
+        {evidence.reference?.map(r => (
+          <ReferenceLine key={r.label} y={r.y} stroke="#ef4444" strokeDasharray="4 4" label={{ value: r.label, fill: '#ef4444', fontSize: 10, position: 'insideTopRight' }} />
+        ))}
+        {evidence.series.map((s, i) => (
+          <Line
+            key={s.key}
+            type={s.step ? 'stepAfter' : 'monotone'}
+            dataKey={s.key}
+            name={s.label}
+            unit={s.unit}
+            stroke={s.color}
+            strokeWidth={2}
+            strokeDasharray={i > 0 && !s.step ? '5 5' : undefined}
+            dot={false}
+            connectNulls
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+// diagnosis 为 localizeDiagnosis 展开后的结果
+const DiagnosisCard = ({ diagnosis: d, since, askDenied, onAsk, orderDenied, workOrderFor, onWorkOrder }) => {
+  const { t } = usePreferences();
+  const [expanded, setExpanded] = useState(d.status === 'fault');
+  const status = STATUS_STYLES[d.status];
+  const level = CONFIDENCE_LEVELS[d.level];
+  const link = since ? { type: 'fdd', id: d.ruleId, at: since } : null;
+  const order = link && workOrderFor(link);
+
+  return (
+    <div className={`bg-slate-900/20 border rounded-[2rem] p-6 ${d.status === 'fault' ? 'border-red-500/30' : 'border-slate-800'}`}>
+      <button onClick={() => setExpanded(v => !v)} className="w-full flex items-center gap-4 text-left">
+        <status.icon size={20} className={status.className} />
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2 text-sm font-bold text-white">
+            {d.label}
+            <span className={`text-[10px] ${status.className}`}>{t(`fdd.status.${d.status}`)}</span>
+            {d.status === 'fault' && <span className={`text-[10px] px-2 py-0.5 rounded border font-bold ${level.className}`}>{t('fdd.confidenceBadge', { level: d.confidenceLabel, percent: Math.round(d.confidence * 100) })}</span>}
+          </div>
+          <div className="text-[11px] text-slate-500 mt-1">{d.summary}{since ? ` · ${t('fdd.since', { time: formatTime(since, t.locale) })}` : ''}</div>
+        </div>
+        {expanded ? <ChevronDown size={16} className="text-slate-500" /> : <ChevronRight size={16} className="text-slate-500" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-6 space-y-6">
+          <p className="text-xs text-slate-400 leading-relaxed">{d.description}</p>
+          {d.metrics.length > 0 && (
+            <div className="flex flex-wrap gap-8">
+              {d.metrics.map(m => (
+                <div key={m.label}>
+                  <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{m.label}</div>
+                  <div className="text-lg font-mono font-black text-slate-200">{m.value}{m.unit && <span className="text-[10px] text-slate-500 ml-1">{m.unit}</span>}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          {d.evidence && <EvidenceChart evidence={d.evidence} />}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-xs">
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-2">{t('fdd.causes')}</div>
+              <ul className="list-disc pl-4 space-y-1 text-slate-400">{d.causes.map(c => <li key={c}>{c}</li>)}</ul>
+            </div>
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-2">{t('fdd.checks')}</div>
+              <ul className="list-disc pl-4 space-y-1 text-slate-400">{d.checks.map(c => <li key={c}>{c}</li>)}</ul>
+            </div>
+          </div>
+          {d.status === 'fault' && (
+            <div className="flex flex-wrap gap-3">
+              <button onClick={() => onAsk(d)} disabled={Boolean(askDenied)} title={askDenied ?? undefined} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-500 text-xs font-bold text-white disabled:opacity-40">
+                <MessageSquare size={14} /> {t('fdd.ask')}
+              </button>
+              {link && (
+                <button
+                  onClick={() => onWorkOrder(link)}
+                  disabled={!order && Boolean(orderDenied)}
+                  title={order ? t('fdd.openWorkOrder') : orderDenied ?? undefined}
+                  className="flex items-center gap-2 px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs font-bold text-slate-200 disabled:opacity-40"
+                >
+                  <ClipboardList size={14} /> {order ? formatOrderNumber(order) : t('fdd.createWorkOrder')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- 故障诊断：按规则列出结论、置信度与证据曲线 ---
+// askDenied: 无权使用 AI 助手时的提示；onAsk 收到展开后的诊断结果；
+// workOrderFor(link) 返回关联该故障的未关闭工单，onWorkOrder(link) 打开该工单或新建工单，orderDenied 为无权新建时的提示
+const DiagnosticsPanel = ({ diagnoses, openSince, evaluatedAt, askDenied, onAsk, orderDenied, workOrderFor, onWorkOrder }) => {
+  const prefs = usePreferences();
+  const { t } = prefs;
+  const localized = useMemo(() => diagnoses.map(d => localizeDiagnosis(d, prefs)), [diagnoses, prefs]);
+  const sorted = [...localized].sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || b.confidence - a.confidence);
+  const faults = diagnoses.filter(d => d.status === 'fault').length;
+
+  return (
+    <div className="space-y-8 animate-in fade-in duration-500">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-white flex items-center gap-3"><Stethoscope size={24} className="text-blue-500" /> {t('fdd.title')}</h3>
+          <p className="text-xs text-slate-500 mt-2">
+            {t('fdd.windowNote', { days: FDD_WINDOWS.hourlyDays, hours: FDD_WINDOWS.rawHours })}
+            {evaluatedAt ? ` · ${t('fdd.lastEvaluated', { time: formatTime(evaluatedAt, t.locale) })}` : ''}
+          </p>
+        </div>
+        <div className="text-right">
+          <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('fdd.faultCount')}</div>
+          <div className={`text-3xl font-mono font-black ${faults > 0 ? 'text-red-400' : 'text-green-500'}`}>{faults}</div>
+        </div>
+      </div>
+      {diagnoses.length === 0 ? (
+        <div className="text-sm text-slate-500 py-6">{t('fdd.loading')}</div>
+      ) : (
+        sorted.map(d => (
+          <DiagnosisCard
+            key={d.ruleId}
+            diagnosis={d}
+            since={openSince[d.ruleId]}
+            askDenied={askDenied}
+            onAsk={onAsk}
+            orderDenied={orderDenied}
+            workOrderFor={workOrderFor}
+            onWorkOrder={onWorkOrder}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
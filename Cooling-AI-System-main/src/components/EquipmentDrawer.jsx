@@ -0,0 +1,90 @@
+import React, { useMemo } from 'react';
+import { X } from 'lucide-react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import RangePicker from './RangePicker';
+import { useSeriesRange } from '../hooks/useTimeSeries';
+import { usePreferences } from '../hooks/usePreferences';
+import { EQUIPMENT_POINTS, statusStyle } from '../lib/equipment';
+import { METRICS } from '../lib/assistantTools';
+
+const TREND_POINTS = 120;
+
+// --- 设备详情抽屉：实时点位 + 各历史字段趋势 (平均值曲线与区间最小~最大带) ---
+// 时间范围由上层保存 (写入地址，可分享)
+const EquipmentDrawer = ({ equipment, realtimeData, series, range, onRangeChange, onClose }) => {
+  const { t, unitSystem } = usePreferences();
+  const { rows: metricRows } = useSeriesRange(series, range, TREND_POINTS);
+  const def = EQUIPMENT_POINTS[equipment];
+  const values = realtimeData[equipment];
+  const status = values.status && statusStyle(values.status, t);
+  const effLabel = unitSystem.unit('efficiency') || 'COP';
+  const rows = useMemo(
+    () => unitSystem.rows(metricRows, Object.fromEntries(def.trends.map(key => [key, METRICS[key].quantity]))),
+    [metricRows, def, unitSystem],
+  );
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-[55] w-full max-w-lg bg-slate-950/95 border-l border-slate-800 backdrop-blur-2xl shadow-2xl flex flex-col animate-in slide-in-from-right-8 duration-300">
+      <div className="p-6 border-b border-slate-800 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-black text-white">{t(`equipmentPoints.${equipment}.title`)}</h3>
+          {status && <div className="text-[10px] font-bold uppercase tracking-widest mt-1" style={{ color: status.color }}>{status.label}</div>}
+        </div>
+        <button onClick={onClose} className="text-slate-500 hover:text-white"><X size={18} /></button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar p-6 space-y-8">
+        <div className="grid grid-cols-2 gap-3">
+          {def.points.map(p => (
+            <div key={p.key} className="p-3 bg-slate-900/50 border border-slate-800 rounded-xl">
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{t(`equipmentPoints.${equipment}.${p.key}`)}</div>
+              <div className="text-lg font-mono font-black text-white">{unitSystem.display(p.quantity, values[p.key]) ?? '--'} <span className="text-[10px] font-sans text-slate-600">{unitSystem.unit(p.quantity, p.unit)}</span></div>
+            </div>
+          ))}
+        </div>
+
+        {equipment === 'compressor' && realtimeData.units && (
+          <div className="space-y-1">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-2">{t('equipmentPoints.units')}</div>
+            {realtimeData.units.map(u => {
+              const unitStatus = statusStyle(u.status, t);
+              return (
+                <div key={u.id} className="flex items-center justify-between gap-3 px-3 py-2 bg-slate-900/50 border border-slate-800 rounded-xl text-xs">
+                  <span className="font-bold text-white">{u.name}</span>
+                  <span style={{ color: unitStatus.color }}>{unitStatus.label}</span>
+                  <span className="font-mono text-slate-400">{unitSystem.display('cooling', u.load)} / {unitSystem.format('cooling', u.capacity, 'kW')} · {effLabel} {unitSystem.display('efficiency', u.cop) ?? '--'}</span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <RangePicker value={range} onChange={onRangeChange} />
+
+        {def.trends.map(key => {
+          const metric = METRICS[key];
+          const label = t(`metrics.${key}`);
+          const unit = unitSystem.unit(metric.quantity, metric.unit);
+          return (
+            <div key={key} className="h-40">
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{label}{unit ? ` (${unit})` : ''}</div>
+              <ResponsiveContainer width="100%" height="85%">
+                <ComposedChart data={rows}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                  <XAxis dataKey="time" stroke="#475569" fontSize={10} minTickGap={30} />
+                  <YAxis stroke="#475569" fontSize={10} domain={['auto', 'auto']} width={40} />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Area type="monotone" dataKey={`${key}Range`} name={t('equipmentPoints.range')} stroke="none" fill="#3b82f6" fillOpacity={0.12} unit={unit} />
+                  <Line type="monotone" dataKey={key} name={label} stroke="#3b82f6" strokeWidth={2} dot={false} unit={unit} connectNulls />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default EquipmentDrawer;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { downloadCsv, chartToPng, tableToPng } from '../lib/exportData';
+import { usePreferences } from '../hooks/usePreferences';
+
+/**
+ * 导出按钮组。
+ * table:    () => 二维表 (首行表头)，CSV 与无图表时的 PNG 都用它
+ * chartRef: 可选，指向包含 recharts 图表的容器，PNG 导出图表本身
+ */
+const ExportButtons = ({ filename, table, chartRef, className = '' }) => {
+  const { t } = usePreferences();
+  const exportPng = () => {
+    const task = chartRef ? chartToPng(chartRef.current, filename) : tableToPng(table(), filename);
+    task.catch(err => console.warn('导出 PNG 失败:', err));
+  };
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      <Download size={12} className="text-slate-600" />
+      <button onClick={() => downloadCsv(table(), filename)} title={t('export.csv')} className="px-2 py-1 rounded-md text-[10px] font-bold text-slate-500 hover:text-slate-200 hover:bg-slate-800">CSV</button>
+      <button onClick={exportPng} title={t('export.png')} className="px-2 py-1 rounded-md text-[10px] font-bold text-slate-500 hover:text-slate-200 hover:bg-slate-800">PNG</button>
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,219 @@
+import React, { useState, useMemo } from 'react';
+import { X, Upload, Loader2, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import { parseCsv } from '../lib/csv';
+import { readXlsx } from '../lib/xlsx';
+import { IMPORT_FIELDS, QUANTITIES, TIME_FORMATS, guessMapping, guessUnit, buildImport, withOptimizedPower } from '../lib/historianImport';
+import { toHourlyRows } from '../lib/timeseries';
+import { formatDateTime } from '../lib/exportData';
+import { usePreferences } from '../hooks/usePreferences';
+
+const PREVIEW_ROWS = 8;
+
+const readFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) return readXlsx(await file.arrayBuffer());
+  return parseCsv(await file.text());
+};
+
+const selectClass = 'bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-xs text-slate-300 focus:outline-none focus:border-blue-500/50';
+
+// --- 历史数据导入向导：选择文件 → 列映射 → 预览并确认 ---
+// 预览保持入库的公制数值；units 为目标站点的机组配置，用于补算优化功率
+const ImportWizard = ({ units, onImport, onClose }) => {
+  const { t } = usePreferences();
+  const [file, setFile] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [status, setStatus] = useState({ state: 'idle', message: '' });
+
+  const loadFile = async (f) => {
+    if (!f) return;
+    setStatus({ state: 'loading', message: '' });
+    try {
+      const parsed = await readFile(f);
+      if (parsed.length < 2) throw new Error(t('import.noRows'));
+      setFile(f);
+      setRows(parsed);
+      setOptions({ ...guessMapping(parsed[0]), timeFormat: 'auto', utc: false, gapFill: 'linear', maxGapHours: 3 });
+      setStatus({ state: 'idle', message: '' });
+    } catch (err) {
+      setStatus({ state: 'error', message: t('import.readFailed', { error: err.message }) });
+    }
+  };
+
+  const result = useMemo(() => (options ? buildImport(rows, options) : null), [rows, options]);
+  const previewRows = useMemo(() => (result ? toHourlyRows(result.records) : []), [result]);
+
+  const headers = rows[0] ?? [];
+  const mappedCount = options?.mapping.filter(m => m.path).length ?? 0;
+
+  const setMapping = (column, path) => setOptions(prev => ({
+    ...prev,
+    mapping: prev.mapping.map(m => (m.column === column ? { column, path, unit: path ? guessUnit(String(headers[column]), IMPORT_FIELDS[path].quantity) : '' } : m)),
+  }));
+  const setUnit = (column, unit) => setOptions(prev => ({ ...prev, mapping: prev.mapping.map(m => (m.column === column ? { ...m, unit } : m)) }));
+
+  const confirm = async () => {
+    setStatus({ state: 'saving', message: '' });
+    try {
+      await onImport(withOptimizedPower(result.records, { units }));
+      setStatus({ state: 'done', message: t('import.done', { hours: result.records.length }) });
+    } catch (err) {
+      setStatus({ state: 'error', message: t('import.failed', { error: err.message }) });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/60 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="w-full max-w-5xl max-h-full overflow-y-auto custom-scrollbar bg-slate-900 border border-slate-700 rounded-3xl p-8 shadow-2xl space-y-6">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-black text-white flex items-center gap-3"><Upload size={20} className="text-blue-500" /> {t('import.title')}</h3>
+          <button onClick={onClose} disabled={status.state === 'saving'} className="text-slate-500 hover:text-white"><X size={18} /></button>
+        </div>
+
+        <label className="flex items-center justify-between gap-4 p-4 rounded-2xl border border-dashed border-slate-700 hover:border-blue-500/50 cursor-pointer">
+          <span className="text-sm text-slate-300">{file ? file.name : t('import.choose')}</span>
+          <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{file ? t('import.rows', { count: rows.length - 1 }) : t('import.browse')}</span>
+          <input type="file" accept=".csv,.txt,.xlsx" className="hidden" onChange={(e) => loadFile(e.target.files[0])} />
+        </label>
+
+        {status.state === 'loading' && <div className="flex items-center gap-2 text-xs text-slate-500"><Loader2 size={14} className="animate-spin" /> {t('import.reading')}</div>}
+
+        {options && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-xs">
+              <label className="space-y-1">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('import.timeColumn')}</div>
+                <select value={options.timeColumn} onChange={(e) => setOptions({ ...options, timeColumn: Number(e.target.value) })} className={`${selectClass} w-full`}>
+                  {headers.map((h, i) => <option key={i} value={i}>{String(h) || t('import.column', { n: i + 1 })}</option>)}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('import.timeFormat')}</div>
+                <select value={options.timeFormat} onChange={(e) => setOptions({ ...options, timeFormat: e.target.value })} className={`${selectClass} w-full`}>
+                  {TIME_FORMATS.map(k => <option key={k} value={k}>{t(`import.timeFormats.${k}`)}</option>)}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('import.timezone')}</div>
+                <select value={options.utc ? 'utc' : 'local'} onChange={(e) => setOptions({ ...options, utc: e.target.value === 'utc' })} className={`${selectClass} w-full`}>
+                  <option value="local">{t('import.localTime')}</option>
+                  <option value="utc">UTC</option>
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('import.gaps')}</div>
+                <div className="flex gap-2">
+                  <select value={options.gapFill} onChange={(e) => setOptions({ ...options, gapFill: e.target.value })} className={`${selectClass} flex-1`}>
+                    <option value="none">{t('import.gapNone')}</option>
+                    <option value="linear">{t('import.gapLinear')}</option>
+                  </select>
+                  {options.gapFill === 'linear' && (
+                    <input type="number" min={1} max={24} value={options.maxGapHours} onChange={(e) => setOptions({ ...options, maxGapHours: Math.max(1, Number(e.target.value) || 1) })} title={t('import.maxGap')} className={`${selectClass} w-16`} />
+                  )}
+                </div>
+              </label>
+            </div>
+
+            <table className="w-full text-xs">
+              <thead className="text-slate-500 uppercase tracking-widest text-[10px]">
+                <tr><th className="text-left py-2">{t('import.columns.source')}</th><th className="text-left">{t('import.columns.sample')}</th><th className="text-left">{t('import.columns.target')}</th><th className="text-left">{t('import.columns.unit')}</th></tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800">
+                {options.mapping.filter(m => m.column !== options.timeColumn).map(m => (
+                  <tr key={m.column}>
+                    <td className="py-2 text-slate-300">{String(headers[m.column]) || t('import.column', { n: m.column + 1 })}</td>
+                    <td className="font-mono text-slate-500">{String(rows[1]?.[m.column] ?? '')}</td>
+                    <td>
+                      <select value={m.path} onChange={(e) => setMapping(m.column, e.target.value)} className={selectClass}>
+                        <option value="">{t('import.ignore')}</option>
+                        {Object.keys(IMPORT_FIELDS).map(path => <option key={path} value={path}>{t(`import.fields.${path}`)} · {path}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      {m.path && (
+                        <select value={m.unit} onChange={(e) => setUnit(m.column, e.target.value)} className={selectClass}>
+                          {Object.keys(QUANTITIES[IMPORT_FIELDS[m.path].quantity]).map(u => <option key={u} value={u}>{u}</option>)}
+                        </select>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {result && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    { label: t('import.stats.range'), value: result.stats.from ? `${formatDateTime(result.stats.from)} ~ ${formatDateTime(result.stats.to)}` : '--' },
+                    { label: t('import.stats.hours'), value: t('import.stats.hoursValue', { hours: result.stats.hours, filled: result.stats.filled }) },
+                    { label: t('import.stats.skipped'), value: `${result.stats.badTime} / ${result.stats.emptyCells}` },
+                    { label: t('import.stats.gaps'), value: result.stats.gaps.length ? t('import.stats.gapsValue', { count: result.stats.gaps.length, hours: result.stats.gaps.reduce((a, g) => a + g.hours, 0) }) : t('import.stats.none') },
+                  ].map(s => (
+                    <div key={s.label} className="p-3 bg-slate-950/50 border border-slate-800 rounded-xl">
+                      <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{s.label}</div>
+                      <div className="text-xs font-mono text-slate-200">{s.value}</div>
+                    </div>
+                  ))}
+                </div>
+                {result.stats.badTime > 0 && (
+                  <div className="flex items-center gap-2 text-xs text-amber-400"><AlertTriangle size={14} /> {t('import.badTime', { count: result.stats.badTime })}</div>
+                )}
+
+                {previewRows.length > 0 && (
+                  <>
+                    <div className="h-40 w-full">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={previewRows}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                          <XAxis dataKey="time" stroke="#475569" fontSize={10} />
+                          <YAxis stroke="#475569" fontSize={10} />
+                          <Tooltip content={<CustomTooltip />} />
+                          <Line type="monotone" dataKey="demand" name={t('import.fields.userSide.load')} stroke="#f59e0b" strokeWidth={2} dot={false} unit="kW" />
+                          <Line type="monotone" dataKey="power" name={t('import.fields.plant.power')} stroke="#3b82f6" strokeWidth={2} dot={false} unit="kW" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <table className="w-full text-[11px] font-mono">
+                      <thead className="text-slate-500 text-[10px]">
+                        <tr><th className="text-left py-1">{t('chart.time')}</th>{Object.keys(previewRows[0]).filter(k => k !== 'ts' && k !== 'time').map(k => <th key={k} className="text-right">{k}</th>)}</tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-800 text-slate-300">
+                        {previewRows.slice(0, PREVIEW_ROWS).map(r => (
+                          <tr key={r.ts}>
+                            <td className="py-1">{formatDateTime(r.ts)}</td>
+                            {Object.keys(previewRows[0]).filter(k => k !== 'ts' && k !== 'time').map(k => <td key={k} className="text-right">{r[k] ?? '--'}</td>)}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        {status.state === 'error' && <div className="flex items-center gap-2 text-xs text-red-400"><AlertTriangle size={14} /> {status.message}</div>}
+        {status.state === 'done' && <div className="flex items-center gap-2 text-xs text-emerald-400"><CheckCircle2 size={14} /> {status.message}</div>}
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onClose} disabled={status.state === 'saving'} className="px-6 py-3 rounded-xl text-xs font-bold text-slate-400 hover:text-white">{t(status.state === 'done' ? 'common.close' : 'common.cancel')}</button>
+          {status.state !== 'done' && (
+            <button
+              onClick={confirm}
+              disabled={!result || result.records.length === 0 || mappedCount === 0 || status.state === 'saving'}
+              className="px-6 py-3 bg-blue-600 hover:bg-blue-500 rounded-xl text-xs font-bold text-white flex items-center gap-2 disabled:opacity-50"
+            >
+              {status.state === 'saving' && <Loader2 size={14} className="animate-spin" />} {t('import.confirm', { hours: result?.records.length ?? 0 })}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
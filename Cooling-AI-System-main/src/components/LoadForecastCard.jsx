@@ -0,0 +1,97 @@
+import React, { useMemo, useRef } from 'react';
+import { TrendingUp, AlertTriangle } from 'lucide-react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import ExportButtons from './ExportButtons';
+import { usePreferences } from '../hooks/usePreferences';
+import { forecastLoad } from '../lib/forecast';
+import { tableOf, formatDateTime } from '../lib/exportData';
+
+const ACTUAL_HOURS = 24;
+
+const LoadForecastCard = ({ history }) => {
+  const { t, unitSystem } = usePreferences();
+  const result = useMemo(() => forecastLoad(history), [history]);
+  const unit = unitSystem.unit('cooling', 'kW');
+  const load = (v) => unitSystem.display('cooling', v, 1);
+  const chartRef = useRef(null);
+
+  // 最近 24h 实测与未来 24h 预测拼在一条时间轴上，预测起点处两条线相接
+  const chartData = useMemo(() => {
+    if (result.error) return [];
+    const recent = history.slice(-ACTUAL_HOURS).map(p => ({ ts: p.ts, time: p.time, actual: p.demand }));
+    const last = recent[recent.length - 1];
+    if (last) last.forecast = last.actual;
+    return unitSystem.rows([
+      ...recent,
+      ...result.points.map(p => ({ ts: p.ts, time: p.time, forecast: p.forecast, band: [p.lower, p.upper] })),
+    ], { actual: 'cooling', forecast: 'cooling', band: 'cooling' });
+  }, [history, result, unitSystem]);
+
+  const peak = result.points?.reduce((max, p) => (p.forecast > max.forecast ? p : max), result.points[0]);
+
+  return (
+    <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 shadow-2xl">
+      <div className="flex items-start justify-between mb-10 gap-4">
+        <h3 className="text-lg font-bold text-amber-400 flex items-center gap-3 uppercase tracking-wider"><TrendingUp size={24} /> {t('forecast.title')}</h3>
+        {!result.error && (
+          <div className="text-right space-y-1">
+            <ExportButtons
+              filename="load-forecast"
+              chartRef={chartRef}
+              className="justify-end"
+              table={() => tableOf(chartData, [
+                { label: t('chart.time'), value: r => formatDateTime(r.ts) },
+                { label: `${t('forecast.actual')} (${unit})`, value: r => r.actual },
+                { label: `${t('forecast.forecast')} (${unit})`, value: r => (r.band ? r.forecast : undefined) },
+                { label: `${t('forecast.lower')} (${unit})`, value: r => r.band?.[0] },
+                { label: `${t('forecast.upper')} (${unit})`, value: r => r.band?.[1] },
+              ])}
+            />
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('forecast.mape', { folds: result.folds })}</div>
+            <div className="text-xl font-mono font-black text-white leading-none">{Number.isFinite(result.mape) ? `${(result.mape * 100).toFixed(1)}%` : '--'}</div>
+          </div>
+        )}
+      </div>
+
+      {result.error ? (
+        <div className="h-[450px] flex items-center justify-center gap-3 text-sm text-slate-500"><AlertTriangle size={18} className="text-amber-500" /> {t(`forecast.errors.${result.error}`, result)}</div>
+      ) : (
+        <>
+          <div ref={chartRef} className="h-[450px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                <XAxis dataKey="time" stroke="#475569" fontSize={11} />
+                <YAxis stroke="#475569" fontSize={11} />
+                <Tooltip content={<CustomTooltip />} />
+                <Area type="monotone" dataKey="band" name={t('forecast.band', { level: Math.round(result.bandLevel * 100) })} stroke="none" fill="#f59e0b" fillOpacity={0.15} unit={unit} />
+                <Line type="monotone" dataKey="actual" name={t('forecast.actual')} stroke="#94a3b8" strokeWidth={2} dot={false} unit={unit} />
+                <Line type="monotone" dataKey="forecast" name={t('forecast.forecast')} stroke="#f59e0b" strokeWidth={3} strokeDasharray="6 4" dot={false} unit={unit} />
+                <ReferenceLine x={chartData[ACTUAL_HOURS - 1]?.time} stroke="#475569" strokeDasharray="2 2" label={{ value: t('forecast.now'), fill: '#64748b', fontSize: 10 }} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="mt-6 grid grid-cols-3 gap-4 text-xs">
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{t('forecast.peak')}</div>
+              <div className="font-mono font-bold text-white">{load(peak.forecast)} {unit} <span className="text-slate-500">@ {peak.time}</span></div>
+            </div>
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{t('forecast.peakRange')}</div>
+              <div className="font-mono font-bold text-white">{load(peak.lower)} ~ {load(peak.upper)} {unit}</div>
+            </div>
+            <div>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-1">{t('forecast.bandSource')}</div>
+              <div className={result.bandSource === 'backtest' ? 'text-slate-300' : 'text-amber-400'}>
+                {t(`forecast.sources.${result.bandSource}`)}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoadForecastCard;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Factory, LogIn, UserPlus, Loader2, AlertTriangle } from 'lucide-react';
+import { DEV_ACCOUNTS, USERNAME_PATTERN, PASSWORD_MIN_LENGTH, authConfig } from '../lib/auth';
+import { usePreferences } from '../hooks/usePreferences';
+import { errorText } from '../lib/i18n';
+
+const inputClass = 'w-full bg-slate-950 border border-slate-800 rounded-xl px-4 py-3 text-sm focus:outline-none focus:border-blue-500/50';
+
+const Field = ({ label, ...props }) => (
+  <div className="space-y-2">
+    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{label}</label>
+    <input {...props} className={inputClass} />
+  </div>
+);
+
+// 首次使用时创建第一个工程师账号，先在本地检查用户名与密码规则；连接认证服务时还需填写初始化令牌
+const setupError = (t, { username, password, confirm, setupToken }) => {
+  if (authConfig().mode !== 'local' && !setupToken.trim()) return t('login.setupTokenRequired');
+  if (!USERNAME_PATTERN.test(username.trim())) return t('login.usernameRule');
+  if (password.length < PASSWORD_MIN_LENGTH) return t('login.passwordRule', { min: PASSWORD_MIN_LENGTH });
+  if (password !== confirm) return t('login.passwordMismatch');
+  return null;
+};
+
+// 登录页；expired 为会话过期后回到登录页时的提示，setupRequired 时改为显示初始化表单
+const LoginScreen = ({ expired, setupRequired, onLogin, onSetup }) => {
+  const { t } = usePreferences();
+  const [username, setUsername] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [setupToken, setSetupToken] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const invalid = setupRequired ? setupError(t, { username, password, confirm, setupToken }) : null;
+    setError(invalid);
+    if (invalid) return;
+    setBusy(true);
+    try {
+      if (setupRequired) await onSetup({ username, password, name, setupToken });
+      else await onLogin(username, password);
+    } catch (err) {
+      setError(errorText(t, err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex w-full h-full items-center justify-center bg-[#060a11] text-slate-200 font-sans p-6">
+      <form onSubmit={submit} className="w-full max-w-sm bg-slate-900/40 border border-slate-800 rounded-[2.5rem] p-10 shadow-2xl space-y-6">
+        <div className="flex items-center gap-3">
+          <Factory size={32} className="text-blue-500" />
+          <div>
+            <h1 className="text-xl font-black text-white tracking-tight">CHILLER-INTEL</h1>
+            <p className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t(setupRequired ? 'login.setupTitle' : 'login.subtitle')}</p>
+          </div>
+        </div>
+        {expired && !setupRequired && (
+          <div className="p-3 rounded-xl bg-amber-500/10 border border-amber-500/30 text-xs text-amber-300">{t('login.expired')}</div>
+        )}
+        {setupRequired && (
+          <div className="p-3 rounded-xl bg-blue-500/10 border border-blue-500/30 text-xs text-blue-300">{t('login.setupHint')}</div>
+        )}
+        {setupRequired && authConfig().mode !== 'local' && (
+          <Field label={t('login.setupToken')} value={setupToken} onChange={(e) => setSetupToken(e.target.value)} autoComplete="off" spellCheck={false} />
+        )}
+        <Field label={t('login.username')} value={username} onChange={(e) => setUsername(e.target.value)} autoFocus autoComplete="username" />
+        {setupRequired && <Field label={t('login.displayName')} value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" />}
+        <Field label={t('login.password')} type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete={setupRequired ? 'new-password' : 'current-password'} />
+        {setupRequired && <Field label={t('login.confirmPassword')} type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} autoComplete="new-password" />}
+        {error && <div className="flex items-center gap-2 text-xs text-red-400"><AlertTriangle size={14} className="shrink-0" /> {error}</div>}
+        <button
+          type="submit"
+          disabled={busy || !username.trim() || !password}
+          className="w-full py-4 rounded-2xl bg-blue-600 hover:bg-blue-500 text-white text-xs font-black uppercase tracking-widest disabled:opacity-40 flex items-center justify-center gap-2"
+        >
+          {busy ? <Loader2 size={16} className="animate-spin" /> : setupRequired ? <UserPlus size={16} /> : <LogIn size={16} />} {t(setupRequired ? 'login.setupSubmit' : 'login.submit')}
+        </button>
+        {import.meta.env.DEV && authConfig().mode === 'local' && !setupRequired && (
+          <div className="pt-4 border-t border-slate-800 text-[11px] text-slate-500 space-y-1">
+            <div className="font-bold">{t('login.devAccounts')}</div>
+            {DEV_ACCOUNTS.map(a => (
+              <button
+                key={a.username}
+                type="button"
+                onClick={() => { setUsername(a.username); setPassword(a.password); }}
+                className="block w-full text-left font-mono hover:text-slate-300"
+              >
+                {a.username} / {a.password} · {t(`roles.${a.role}`)}
+              </button>
+            ))}
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
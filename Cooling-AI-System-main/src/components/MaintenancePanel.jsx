@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Wrench, Pencil, Check, X } from 'lucide-react';
+import { usePreferences } from '../hooks/usePreferences';
+import { assetName, plansFor, planProgress, serviceKey } from '../lib/maintenance';
+import WorkOrders from './WorkOrders';
+
+const HOUR_MS = 3600000;
+
+const formatDate = (ts, locale) => new Date(ts).toLocaleDateString(locale, { year: 'numeric', month: '2-digit', day: '2-digit' });
+
+// 到期红色，即将到期琥珀色
+const progressColor = (p) => (p.due ? 'bg-red-500' : p.soon ? 'bg-amber-500' : 'bg-blue-500');
+
+const PlanProgress = ({ plan, progress }) => {
+  const { t } = usePreferences();
+  return (
+    <div className="min-w-[9rem]" title={progress.lastService ? t('maintenance.lastService', { date: formatDate(progress.lastService, t.locale) }) : t('maintenance.neverServiced')}>
+      <div className="flex items-center justify-between gap-2 text-[10px]">
+        <span className={progress.due ? 'text-red-400 font-bold' : 'text-slate-400'}>{t(`maintenance.plans.${plan.id}`)}</span>
+        <span className="font-mono text-slate-500">{t(`maintenance.progress.${progress.by}`, { used: Math.floor(progress.used), limit: progress.limit })}</span>
+      </div>
+      <div className="h-1.5 mt-1 rounded-full bg-slate-800 overflow-hidden">
+        <div className={`h-full ${progressColor(progress)}`} style={{ width: `${Math.min(100, progress.ratio * 100)}%` }} />
+      </div>
+    </div>
+  );
+};
+
+// --- 维保：各设备运行小时、启动次数与保养进度，下方为工单 ---
+// maintenance 为 useMaintenance 的返回值；events 为可关联的未关闭告警与诊断 (见 openEvents)；
+// focus 为进入本页时要打开的工单 { orderId } 或新建工单的预填内容 { draft }；deny(permission) 返回无权限提示
+const MaintenancePanel = ({ maintenance, events, focus, deny }) => {
+  const { t } = usePreferences();
+  const { assets, runtime } = maintenance;
+  const calibrateDenied = deny('maintenance.configure');
+  const [editing, setEditing] = useState(null);
+  // 日历天数按最近一次采样时间计算
+  const now = Math.max(0, ...Object.values(runtime.assets).map(c => c.lastTs));
+
+  const commitCalibration = () => {
+    const runHours = Number(editing.runHours);
+    const starts = Math.round(Number(editing.starts));
+    if (runHours >= 0 && starts >= 0) maintenance.calibrate(assets.find(a => a.id === editing.id), { runHours, starts });
+    setEditing(null);
+  };
+
+  return (
+    <div className="space-y-8 animate-in fade-in duration-500">
+      <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+        <div className="mb-8">
+          <h3 className="text-xl font-bold text-white flex items-center gap-3"><Wrench size={24} className="text-blue-500" /> {t('maintenance.title')}</h3>
+          <p className="text-xs text-slate-500 mt-2 max-w-3xl">{t('maintenance.hint')}</p>
+        </div>
+        <div className="overflow-x-auto custom-scrollbar">
+          <table className="w-full text-xs text-left">
+            <thead className="text-[10px] text-slate-500 uppercase tracking-widest">
+              <tr>
+                <th className="py-3 pr-4">{t('maintenance.columns.asset')}</th>
+                <th className="py-3 pr-4">{t('maintenance.columns.status')}</th>
+                <th className="py-3 pr-4 text-right">{t('maintenance.columns.runHours')}</th>
+                <th className="py-3 pr-4 text-right">{t('maintenance.columns.starts')}</th>
+                <th className="py-3 pr-4">{t('maintenance.columns.plans')}</th>
+                <th className="py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/50 text-slate-300">
+              {assets.map(asset => {
+                const counter = runtime.assets[asset.id];
+                const isEditing = editing?.id === asset.id;
+                return (
+                  <tr key={asset.id}>
+                    <td className="py-3 pr-4">
+                      <div className="font-bold text-white">{assetName(asset, t)}</div>
+                      {counter && <div className="text-[10px] text-slate-600 mt-0.5">{t('maintenance.countingSince', { date: formatDate(counter.since, t.locale) })}</div>}
+                    </td>
+                    <td className="py-3 pr-4">
+                      {counter ? <span className={counter.running ? 'text-green-400' : 'text-slate-500'}>{t(counter.running ? 'maintenance.running' : 'maintenance.stopped')}</span> : '--'}
+                    </td>
+                    {isEditing ? (
+                      <>
+                        <td className="py-3 pr-4 text-right">
+                          <input type="number" min={0} step={1} value={editing.runHours} onChange={(e) => setEditing({ ...editing, runHours: e.target.value })} className="w-24 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-right font-mono focus:outline-none focus:border-blue-500/50" />
+                        </td>
+                        <td className="py-3 pr-4 text-right">
+                          <input type="number" min={0} step={1} value={editing.starts} onChange={(e) => setEditing({ ...editing, starts: e.target.value })} className="w-20 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-right font-mono focus:outline-none focus:border-blue-500/50" />
+                        </td>
+                      </>
+                    ) : (
+                      <>
+                        <td className="py-3 pr-4 text-right font-mono">{counter ? (counter.runMs / HOUR_MS).toFixed(1) : '--'}</td>
+                        <td className="py-3 pr-4 text-right font-mono">{counter ? counter.starts : '--'}</td>
+                      </>
+                    )}
+                    <td className="py-3 pr-4">
+                      {counter ? (
+                        <div className="flex flex-wrap gap-4">
+                          {plansFor(asset).map(plan => (
+                            <PlanProgress key={plan.id} plan={plan} progress={planProgress(counter, runtime.services[serviceKey(asset.id, plan.id)], plan, now)} />
+                          ))}
+                        </div>
+                      ) : <span className="text-slate-600">{t('maintenance.waiting')}</span>}
+                    </td>
+                    <td className="py-3 text-right whitespace-nowrap">
+                      {isEditing ? (
+                        <>
+                          <button onClick={commitCalibration} title={t('common.save')} className="p-1.5 text-slate-400 hover:text-white"><Check size={14} /></button>
+                          <button onClick={() => setEditing(null)} title={t('common.cancel')} className="p-1.5 text-slate-400 hover:text-white"><X size={14} /></button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => setEditing({ id: asset.id, runHours: (counter.runMs / HOUR_MS).toFixed(1), starts: counter.starts })}
+                          disabled={Boolean(calibrateDenied) || !counter}
+                          title={calibrateDenied ?? t('maintenance.calibrate')}
+                          className="p-1.5 text-slate-500 hover:text-slate-200 disabled:opacity-30"
+                        >
+                          <Pencil size={14} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <WorkOrders orders={maintenance.orders} assets={assets} events={events} focus={focus} deny={deny} onCreate={maintenance.create} onAction={maintenance.act} />
+    </div>
+  );
+};
+
+export default MaintenancePanel;
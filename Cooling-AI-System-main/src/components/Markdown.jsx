@@ -0,0 +1,143 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ChevronRight, Copy, Check } from 'lucide-react';
+import ExportButtons from './ExportButtons';
+import { usePreferences } from '../hooks/usePreferences';
+import { parseMarkdown, inlineText } from '../lib/markdown';
+import { loadKatex, KATEX_OPTIONS } from '../lib/katex';
+
+// --- 助手回复渲染：语法树 (lib/markdown) → React 元素，公式交给 KaTeX ---
+
+// 先显示 TeX 源码，KaTeX 加载完成后替换；节点不含 React 子元素，避免与 KaTeX 的 DOM 改写冲突
+const TexMath = ({ tex, display }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const el = ref.current;
+    let cancelled = false;
+    el.textContent = tex;
+    loadKatex()
+      .then(katex => {
+        if (!cancelled) katex.render(tex, el, { ...KATEX_OPTIONS, displayMode: display });
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [tex, display]);
+
+  return <span ref={ref} className={display ? 'block my-3 overflow-x-auto overflow-y-hidden text-center' : undefined} />;
+};
+
+const CodeBlock = ({ lang, text }) => {
+  const { t } = usePreferences();
+  const [copied, setCopied] = useState(false);
+  const copy = () => {
+    navigator.clipboard?.writeText(text).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    }).catch(() => {});
+  };
+
+  return (
+    <div className="my-3 rounded-xl border border-slate-700/50 bg-slate-950/60 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 border-b border-slate-800 text-[10px] text-slate-500 font-mono">
+        <span>{lang || 'text'}</span>
+        <button onClick={copy} title={t('markdown.copy')} className="p-1 rounded hover:text-slate-200">{copied ? <Check size={12} /> : <Copy size={12} />}</button>
+      </div>
+      <pre className="px-4 py-3 text-[11px] leading-relaxed text-slate-300 overflow-x-auto"><code>{text}</code></pre>
+    </div>
+  );
+};
+
+const Inline = ({ nodes }) => {
+  const { t } = usePreferences();
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case 'text': return <React.Fragment key={i}>{n.value}</React.Fragment>;
+      case 'strong': return <strong key={i} className="text-blue-400 font-bold"><Inline nodes={n.children} /></strong>;
+      case 'em': return <em key={i} className="italic text-slate-200"><Inline nodes={n.children} /></em>;
+      case 'del': return <del key={i} className="text-slate-500"><Inline nodes={n.children} /></del>;
+      case 'code': return <code key={i} className="px-1.5 py-0.5 rounded bg-slate-800 text-[0.9em] font-mono text-amber-300">{n.value}</code>;
+      case 'math': return <TexMath key={i} tex={n.tex} display={n.display} />;
+      case 'br': return <br key={i} />;
+      case 'link':
+        // 不安全的地址只显示文字
+        return n.href
+          ? <a key={i} href={n.href} title={n.title} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-400 underline underline-offset-2 hover:text-blue-300"><Inline nodes={n.children} /></a>
+          : <React.Fragment key={i}><Inline nodes={n.children} /></React.Fragment>;
+      case 'image':
+        // 不直接加载模型给出的外部图片，显示为链接
+        return n.src
+          ? <a key={i} href={n.src} title={n.title} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-400 underline underline-offset-2">[{t('markdown.image')}] {n.alt}</a>
+          : <React.Fragment key={i}>[{t('markdown.image')}] {n.alt}</React.Fragment>;
+      default: return null;
+    }
+  });
+};
+
+const Table = ({ node }) => {
+  const table = () => [node.header, ...node.rows].map(row => row.map(inlineText));
+  const alignOf = (j) => (node.align[j] ? { textAlign: node.align[j] } : undefined);
+
+  return (
+    <div className="my-4 overflow-hidden rounded-xl border border-slate-700/50 bg-slate-900/20 shadow-inner">
+      <ExportButtons filename="assistant-table" table={table} className="justify-end px-2 pt-1" />
+      <div className="overflow-x-auto">
+        <table className="w-full text-[11px] text-left border-collapse">
+          <thead className="bg-slate-800/50 text-slate-400">
+            <tr>{node.header.map((h, j) => <th key={j} style={alignOf(j)} className="px-4 py-2 font-bold uppercase tracking-widest"><Inline nodes={h} /></th>)}</tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800/50">
+            {node.rows.map((row, i) => (
+              <tr key={i} className="hover:bg-blue-500/5 transition-colors">
+                {row.map((cell, j) => <td key={j} style={alignOf(j)} className="px-4 py-2 text-slate-300"><Inline nodes={cell} /></td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const List = ({ node }) => {
+  const Tag = node.ordered ? 'ol' : 'ul';
+  const tasks = node.items.some(item => item.checked !== null);
+  return (
+    <Tag start={node.ordered && node.start !== 1 ? node.start : undefined} className={`my-1 space-y-0.5 text-slate-300 ${tasks ? 'list-none pl-1' : node.ordered ? 'list-decimal pl-6 marker:text-blue-500' : 'list-disc pl-5 marker:text-blue-500'}`}>
+      {node.items.map((item, i) => (
+        <li key={i} className={node.loose ? 'my-2' : undefined}>
+          {item.checked !== null && <input type="checkbox" checked={item.checked} readOnly className="mr-2 align-middle accent-blue-500" />}
+          <Blocks blocks={item.children} tight={!node.loose} />
+        </li>
+      ))}
+    </Tag>
+  );
+};
+
+// tight: 紧凑列表项内的段落不单独成段
+const Blocks = ({ blocks, tight = false }) => blocks.map((b, i) => {
+  switch (b.type) {
+    case 'heading':
+      if (b.level <= 1) return <h1 key={i} className="text-lg font-black text-white mt-5 mb-3"><Inline nodes={b.children} /></h1>;
+      if (b.level === 2) return <h2 key={i} className="text-base font-bold text-white mt-5 mb-3 border-b border-slate-700 pb-1"><Inline nodes={b.children} /></h2>;
+      if (b.level === 3) return <h3 key={i} className="text-sm font-bold text-blue-400 mt-4 mb-2 flex items-center gap-2"><ChevronRight size={14} /> <span><Inline nodes={b.children} /></span></h3>;
+      return <h4 key={i} className="text-sm font-bold text-slate-200 mt-3 mb-1"><Inline nodes={b.children} /></h4>;
+    case 'paragraph':
+      return tight
+        ? <span key={i} className={i > 0 ? 'block mt-1' : undefined}><Inline nodes={b.children} /></span>
+        : <p key={i} className="my-2"><Inline nodes={b.children} /></p>;
+    case 'code': return <CodeBlock key={i} lang={b.lang} text={b.text} />;
+    case 'math': return <TexMath key={i} tex={b.tex} display />;
+    case 'list': return <List key={i} node={b} />;
+    case 'blockquote': return <blockquote key={i} className="my-3 pl-4 border-l-2 border-blue-500/50 text-slate-400"><Blocks blocks={b.children} /></blockquote>;
+    case 'table': return <Table key={i} node={b} />;
+    case 'hr': return <hr key={i} className="my-4 border-slate-700" />;
+    default: return null;
+  }
+});
+
+const Markdown = ({ text }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return <div className="leading-relaxed [&>*:first-child]:mt-0"><Blocks blocks={blocks} /></div>;
+};
+
+export default Markdown;
@@ -0,0 +1,60 @@
+import React, { useMemo, useRef } from 'react';
+import { ComposedChart, Area, Line, Bar, XAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import ExportButtons from './ExportButtons';
+import { METRICS, chartPoints } from '../lib/assistantTools';
+import { tableOf, formatDateTime } from '../lib/exportData';
+import { usePreferences } from '../hooks/usePreferences';
+
+// 对话回复附带的小图，按图表规格 { metric, hours, end, chartType, points } 渲染；
+// 已保存 points 的用保存的数据，否则从历史数据取数；数值按用户单位显示
+const MiniChart = ({ spec, history }) => {
+  const { t, unitSystem } = usePreferences();
+  const metric = METRICS[spec.metric];
+  const chartRef = useRef(null);
+  const data = useMemo(
+    () => (spec.points ?? chartPoints(history, spec)).map(p => ({ ts: p.ts, time: formatDateTime(p.ts), [spec.metric]: unitSystem.to(metric?.quantity, p.value) })),
+    [history, spec, metric, unitSystem]
+  );
+  if (!metric || data.length === 0) return null;
+
+  const label = t(`metrics.${spec.metric}`);
+  const unit = unitSystem.unit(metric.quantity, metric.unit);
+  const series = { dataKey: spec.metric, name: label, unit };
+  const gradientId = `grad-${spec.metric}`;
+
+  return (
+    <div ref={chartRef} className="h-44 w-full mt-4 bg-slate-950/50 rounded-2xl p-4 border border-slate-800/50 group">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{label} · {t('chart.recentHours', { hours: spec.hours })}</div>
+        <ExportButtons
+          filename={`assistant-${spec.metric}`}
+          chartRef={chartRef}
+          className="opacity-0 group-hover:opacity-100 transition-opacity"
+          table={() => tableOf(data, [
+            { label: t('chart.time'), value: r => formatDateTime(r.ts) },
+            { label: unit ? `${label} (${unit})` : label, value: r => r[spec.metric] },
+          ])}
+        />
+      </div>
+      <ResponsiveContainer width="100%" height="80%">
+        <ComposedChart data={data}>
+          <defs>
+            <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+              <stop offset="0%" stopColor="#3b82f6" stopOpacity={0.4}/>
+              <stop offset="100%" stopColor="#3b82f6" stopOpacity={0}/>
+            </linearGradient>
+          </defs>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+          <XAxis dataKey="time" hide />
+          <Tooltip content={<CustomTooltip />} />
+          {spec.chartType === 'bar' && <Bar {...series} fill="#3b82f6" radius={[4, 4, 0, 0]} />}
+          {spec.chartType === 'line' && <Line {...series} type="monotone" stroke="#3b82f6" strokeWidth={2} dot={false} />}
+          {(spec.chartType ?? 'area') === 'area' && <Area {...series} type="monotone" stroke="#3b82f6" strokeWidth={2} fill={`url(#${gradientId})`} />}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default MiniChart;
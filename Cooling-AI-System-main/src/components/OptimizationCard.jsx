@@ -0,0 +1,124 @@
+import React, { useMemo } from 'react';
+import { Sparkles, ArrowRight, AlertTriangle } from 'lucide-react';
+import { usePreferences } from '../hooks/usePreferences';
+import { optimizeSetpoints, explainRecommendation } from '../lib/optimizer';
+import { SETPOINT_FIELDS } from '../lib/setpoints';
+
+// 寻优变量与设定值字段的对应关系
+const SETPOINT_KEYS = { setPoint: 'chwSetPoint', cwSetPoint: 'cwSetPoint', pumpFrequency: 'pumpFrequency' };
+const maxStepOf = (key) => SETPOINT_FIELDS.find(f => f.key === SETPOINT_KEYS[key])?.maxStep;
+
+const fixed = (v, digits = 1) => Number(v).toFixed(digits);
+const signed = (v, digits = 1) => `${v > 0 ? '+' : ''}${fixed(v, digits)}`;
+
+// 建议条目 → { title, detail }，温度按用户单位显示
+const describeItem = (item, t, unitSystem) => {
+  const temp = (v) => unitSystem.format('temperature', v, '°C', 1);
+  const tempDelta = (v) => unitSystem.format('temperatureDelta', v, '°C', 1);
+  switch (item.key) {
+    case 'setPoint':
+      return {
+        title: t(item.up ? 'optimizer.items.chwUp' : 'optimizer.items.chwDown', {
+          change: tempDelta(item.change),
+          from: fixed(unitSystem.to('temperature', item.from)),
+          to: fixed(unitSystem.to('temperature', item.to)),
+        }),
+        detail: t(item.up ? 'optimizer.items.chwUpDetail' : 'optimizer.items.chwDownDetail'),
+      };
+    case 'cwSetPoint':
+      return {
+        title: t(item.up ? 'optimizer.items.cwUp' : 'optimizer.items.cwDown', { to: temp(item.to), fanFrom: item.fanFrom, fanTo: item.fanTo }),
+        detail: t('optimizer.items.cwDetail', { fan: signed(item.fanPower), compressor: signed(item.compressorPower) }),
+      };
+    default:
+      return {
+        title: t('optimizer.items.pump', { from: fixed(item.from, 0), to: fixed(item.to, 0) }),
+        detail: t('optimizer.items.pumpDetail', { pump: signed(item.pumpPower), from: fixed(unitSystem.to('temperatureDelta', item.rangeFrom)), to: tempDelta(item.rangeTo) }),
+      };
+  }
+};
+
+// units: 多机组站的机组配置 (见 availableUnits)，缺省为单台设计机组；adoptDenied: 无权调整设定值时的提示
+const OptimizationCard = ({ realtimeData, units, config, adoptDenied, onAdopt }) => {
+  const { t, unitSystem } = usePreferences();
+  const { userSide, environment, coolingTower, pump } = realtimeData;
+
+  // 以当前实测负荷、气象和 PLC 在用设定为基准，单次调整幅度受设定值管理的限制
+  const result = useMemo(() => {
+    const conditions = { load: userSide.load, weather: { temp: environment.temp, humidity: environment.humidity, wetBulb: environment.wetBulb }, units };
+    const current = {
+      setPoint: userSide.setPoint ?? config.chwSetPoint,
+      cwSetPoint: coolingTower.setPoint ?? config.cwSetPoint,
+      pumpFrequency: pump.setPoint ?? config.pumpFrequency,
+    };
+    const maxSteps = Object.fromEntries(Object.keys(SETPOINT_KEYS).map(k => [k, maxStepOf(k)]));
+    const optimization = optimizeSetpoints(conditions, current, maxSteps);
+    return { ...optimization, explanation: explainRecommendation(optimization) };
+  }, [userSide, environment, coolingTower.setPoint, pump.setPoint, units, config]);
+
+  const { baseline, optimized, explanation, feasible } = result;
+  const hasProposal = explanation.items.length > 0 && explanation.saving > 0.5;
+
+  const adopt = () => {
+    const values = Object.fromEntries(Object.entries(SETPOINT_KEYS).map(([k, field]) => [field, optimized.candidate[k]]));
+    onAdopt(values, t('optimizer.adoptReason', { saving: explanation.saving.toFixed(1) }));
+  };
+
+  return (
+    <div className="xl:col-span-2 bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 shadow-2xl">
+      <div className="flex items-start justify-between mb-8 gap-4">
+        <h3 className="text-lg font-bold text-teal-400 flex items-center gap-3 uppercase tracking-wider"><Sparkles size={24} /> {t('optimizer.title')}</h3>
+        <div className="flex gap-8 text-right">
+          <div className="space-y-1">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('optimizer.baseline')}</div>
+            <div className="text-xl font-mono font-black text-white leading-none">{baseline.power.total.toFixed(1)} kW</div>
+          </div>
+          <div className="space-y-1">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('optimizer.optimized')}</div>
+            <div className="text-xl font-mono font-black text-teal-400 leading-none">{optimized.power.total.toFixed(1)} kW</div>
+          </div>
+          <div className="space-y-1">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('optimizer.saving')}</div>
+            <div className="text-xl font-mono font-black text-teal-400 leading-none">{(explanation.savingRatio * 100).toFixed(1)}%</div>
+          </div>
+        </div>
+      </div>
+
+      {!feasible ? (
+        <div className="flex items-center gap-3 text-sm text-slate-500"><AlertTriangle size={18} className="text-amber-500" /> {t(baseline.capacity === 0 ? 'optimizer.noUnits' : 'optimizer.infeasible')}</div>
+      ) : !hasProposal ? (
+        <div className="text-sm text-slate-500">{t('optimizer.optimal')}</div>
+      ) : (
+        <div className="flex flex-col lg:flex-row gap-8 items-start">
+          <div className="flex-1 space-y-4">
+            {explanation.items.map(item => {
+              const { title, detail } = describeItem(item, t, unitSystem);
+              return (
+                <div key={item.key} className="flex items-start gap-3">
+                  <ArrowRight size={16} className="text-teal-500 mt-0.5 shrink-0" />
+                  <div>
+                    <div className="text-sm font-bold text-white">{title}</div>
+                    <div className="text-xs text-slate-500 mt-1">{detail}</div>
+                  </div>
+                </div>
+              );
+            })}
+            {explanation.limitedBy.length > 0 && (
+              <div className="text-[11px] text-amber-400">{t('optimizer.limited', { fields: explanation.limitedBy.map(k => t(`setpoint.${SETPOINT_KEYS[k]}`)).join(t('common.nameSeparator')) })}</div>
+            )}
+          </div>
+          <button
+            onClick={adopt}
+            disabled={Boolean(adoptDenied)}
+            title={adoptDenied ?? undefined}
+            className="px-8 py-5 bg-teal-600 hover:bg-teal-500 text-white rounded-2xl font-black uppercase tracking-widest text-xs transition-all shadow-xl shadow-teal-500/20 flex items-center gap-2 disabled:opacity-40"
+          >
+            <Sparkles size={16} /> {t('optimizer.adopt')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OptimizationCard;
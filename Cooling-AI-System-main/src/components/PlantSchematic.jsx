@@ -0,0 +1,141 @@
+import React from 'react';
+import { PLANT_DESIGN } from '../lib/plantModel';
+import { usePreferences } from '../hooks/usePreferences';
+import { statusStyle } from '../lib/equipment';
+
+// --- 冷站工艺流程图 (P&ID 风格 SVG) ---
+// 冷却水环路：冷却塔 → 冷却泵 → 冷凝器 → 冷却塔；冷冻水环路：蒸发器 → 用户侧 → 蒸发器。
+// 管线虚线按流向移动，速度与流量成正比 (多机组站按每台机组的平均流量)；设备外框颜色取自其 status 字段。
+
+const DASH = 24;
+const PX_PER_FLOW = 0.1; // 每 m³/h 对应的虚线移动速度 (px/s)
+const COLORS = { cwSupply: '#38bdf8', cwReturn: '#f97316', chwSupply: '#3b82f6', chwReturn: '#f59e0b', neutral: '#3b82f6' };
+
+const Pipe = ({ d, color, speed }) => (
+  <g>
+    <path d={d} fill="none" stroke={color} strokeOpacity={0.2} strokeWidth={10} strokeLinejoin="round" />
+    <path d={d} fill="none" stroke={color} strokeWidth={3} strokeDasharray="10 14" strokeLinejoin="round">
+      {speed > 0 && <animate attributeName="stroke-dashoffset" from={DASH} to={0} dur={`${(DASH / speed).toFixed(2)}s`} repeatCount="indefinite" />}
+    </path>
+  </g>
+);
+
+const Label = ({ x, y, children, color = '#64748b', size = 11, weight = 400, anchor = 'middle' }) => (
+  <text x={x} y={y} fill={color} fontSize={size} fontWeight={weight} textAnchor={anchor} fontFamily="ui-monospace, monospace">{children}</text>
+);
+
+// 可点击的设备组，选中时外框加粗并发光
+const Equipment = ({ id, selected, onSelect, title, children }) => (
+  <g
+    onClick={() => onSelect(id)}
+    className="cursor-pointer"
+    role="button"
+    style={{ filter: selected === id ? 'drop-shadow(0 0 8px rgba(59,130,246,0.8))' : undefined }}
+  >
+    <title>{title}</title>
+    {children}
+  </g>
+);
+
+const PlantSchematic = ({ realtimeData, selected, onSelect }) => {
+  const { t, unitSystem } = usePreferences();
+  const { compressor, coolingTower, pump, userSide, environment } = realtimeData;
+  const tower = statusStyle(coolingTower.status, t);
+  const chiller = statusStyle(compressor.status, t);
+  const pumpStyle = statusStyle(pump.status, t);
+  // 按用户单位显示；公制单位前的空格保留给换算后的单位
+  const fmt = (v, unit = '', quantity) => {
+    const label = unitSystem.unit(quantity, unit.trim());
+    return `${unitSystem.display(quantity, v) ?? '--'}${label && unit.startsWith(' ') ? ' ' : ''}${label}`;
+  };
+  const temp = (v) => fmt(v, '°C', 'temperature');
+  const title = (id, status) => `${t(`equipmentPoints.${id}.title`)}${status ? ` · ${status.label}` : ''}`;
+
+  const running = realtimeData.units?.filter(u => u.status === 'Running').length;
+  const cwSpeed = pump.status === 'Running' ? ((pump.flow ?? 0) / Math.max(1, running ?? 1)) * PX_PER_FLOW : 0;
+  const chwSpeed = PLANT_DESIGN.chwFlow * PX_PER_FLOW;
+  const fanRunning = coolingTower.status === 'Running' && coolingTower.fanSpeed > 0;
+  const pumpRunning = pump.status === 'Running' && pump.frequency > 0;
+  const select = (id) => onSelect(selected === id ? null : id);
+
+  return (
+    <svg viewBox="0 0 1000 520" className="w-full h-auto select-none">
+      {/* 冷却水环路 */}
+      <Pipe d="M200 230 V370" color={COLORS.cwSupply} speed={cwSpeed} />
+      <Pipe d="M230 400 H380 V180 H430" color={COLORS.cwSupply} speed={cwSpeed} />
+      <Pipe d="M530 120 V50 H340 V130 H278" color={COLORS.cwReturn} speed={cwSpeed} />
+      <Label x={300} y={300} color={COLORS.cwSupply} anchor="end">{t('schematic.supply')} {temp(coolingTower.outTemp)}</Label>
+      <Label x={440} y={40} color={COLORS.cwReturn}>{t('schematic.return')} {temp(coolingTower.inTemp)}</Label>
+
+      {/* 冷冻水环路 */}
+      <Pipe d="M630 360 H800" color={COLORS.chwSupply} speed={chwSpeed} />
+      <Pipe d="M800 250 H700 V330 H630" color={COLORS.chwReturn} speed={chwSpeed} />
+      <Label x={715} y={385} color={COLORS.chwSupply}>{t('schematic.supply')} {temp(compressor.outTemp)}</Label>
+      <Label x={750} y={240} color={COLORS.chwReturn}>{t('schematic.return')} {temp(userSide.returnTemp)}</Label>
+
+      {/* 冷却塔 */}
+      <Equipment id="coolingTower" selected={selected} onSelect={select} title={title('coolingTower', tower)}>
+        <polygon points="100,200 140,80 260,80 300,200" fill="#0f172a" stroke={tower.color} strokeWidth={2} />
+        <rect x={90} y={200} width={220} height={30} rx={4} fill="#0c4a6e" fillOpacity={0.5} stroke={tower.color} strokeWidth={2} />
+        <g transform="translate(200 58)">
+          <circle r={24} fill="#0f172a" stroke={tower.color} strokeWidth={2} />
+          <g>
+            {[0, 120, 240].map(a => <ellipse key={a} rx={18} ry={5} fill="#94a3b8" transform={`rotate(${a})`} />)}
+            {fanRunning && <animateTransform attributeName="transform" type="rotate" from="0" to="360" dur={`${(60 / coolingTower.fanSpeed).toFixed(2)}s`} repeatCount="indefinite" />}
+          </g>
+        </g>
+        <Label x={200} y={125} color="#e2e8f0" size={13} weight={700}>{t('equipmentPoints.coolingTower.title')}</Label>
+        <Label x={200} y={148}>{t('schematic.fan')} {fmt(coolingTower.fanSpeed, '%')}</Label>
+        <Label x={200} y={168}>{t('schematic.setpoint')} {temp(coolingTower.setPoint)}</Label>
+        <Label x={200} y={220} color={tower.color} size={10}>{tower.label}</Label>
+      </Equipment>
+
+      {/* 冷却泵 */}
+      <Equipment id="pump" selected={selected} onSelect={select} title={title('pump', pumpStyle)}>
+        <circle cx={200} cy={400} r={30} fill="#0f172a" stroke={pumpStyle.color} strokeWidth={2} />
+        <g transform="translate(200 400)">
+          <polygon points="-12,-14 16,0 -12,14" fill={pumpStyle.color} fillOpacity={0.8} />
+          {pumpRunning && <animateTransform attributeName="transform" type="rotate" additive="sum" from="0" to="360" dur={`${(50 / pump.frequency).toFixed(2)}s`} repeatCount="indefinite" />}
+        </g>
+        <Label x={200} y={455} color="#e2e8f0" size={13} weight={700}>{t('equipmentPoints.pump.title')}</Label>
+        <Label x={200} y={475}>{fmt(pump.frequency, ' Hz')} · {fmt(pump.flow, ' m³/h', 'flow')}</Label>
+        <Label x={200} y={495}>{t('schematic.head')} {fmt(pump.pressure, ' MPa')} · <tspan fill={pumpStyle.color}>{pumpStyle.label}</tspan></Label>
+      </Equipment>
+
+      {/* 冷水主机：冷凝器、压缩机、蒸发器 */}
+      <Equipment id="compressor" selected={selected} onSelect={select} title={title('compressor', chiller)}>
+        <rect x={430} y={120} width={200} height={90} rx={12} fill="#1c1917" stroke={chiller.color} strokeWidth={2} />
+        <Label x={530} y={170} color="#fdba74" size={12}>{t('schematic.condenser')}</Label>
+        <line x1={530} y1={210} x2={530} y2={300} stroke={chiller.color} strokeWidth={2} />
+        <circle cx={530} cy={255} r={28} fill="#0f172a" stroke={chiller.color} strokeWidth={2} />
+        <Label x={530} y={259} color="#e2e8f0" size={10}>{t('schematic.compressor')}</Label>
+        <rect x={430} y={300} width={200} height={90} rx={12} fill="#0c1a3a" stroke={chiller.color} strokeWidth={2} />
+        <Label x={530} y={350} color="#93c5fd" size={12}>{t('schematic.evaporator')}</Label>
+        <Label x={530} y={420} color="#e2e8f0" size={13} weight={700}>{t('equipmentPoints.compressor.title')}{realtimeData.units ? ` · ${t('schematic.running', { running, total: realtimeData.units.length })}` : ''}</Label>
+        <Label x={530} y={440}>{fmt(compressor.power, ' kW')} · {unitSystem.unit('efficiency') ? fmt(compressor.cop, ' ', 'efficiency') : `COP ${fmt(compressor.cop, '', 'efficiency')}`}</Label>
+        <Label x={530} y={460} color={chiller.color} size={10}>{chiller.label}</Label>
+      </Equipment>
+
+      {/* 用户侧 */}
+      <Equipment id="userSide" selected={selected} onSelect={select} title={title('userSide')}>
+        <rect x={800} y={220} width={150} height={170} rx={12} fill="#0f172a" stroke={COLORS.neutral} strokeWidth={2} />
+        <path d="M820 300 l14 -14 l14 14 l14 -14 l14 14 l14 -14 l14 14 l14 -14 l14 14" fill="none" stroke="#475569" strokeWidth={2} />
+        <Label x={875} y={248} color="#e2e8f0" size={13} weight={700}>{t('schematic.userSide')}</Label>
+        <Label x={875} y={330}>{t('schematic.load')} {fmt(userSide.load, ' kW', 'cooling')}</Label>
+        <Label x={875} y={350}>ΔT {fmt(userSide.deltaT, '°C', 'temperatureDelta')}</Label>
+        <Label x={875} y={370}>{t('schematic.setpoint')} {temp(userSide.setPoint)}</Label>
+      </Equipment>
+
+      {/* 室外环境 */}
+      <Equipment id="environment" selected={selected} onSelect={select} title={title('environment')}>
+        <rect x={770} y={30} width={200} height={110} rx={12} fill="#0f172a" stroke="#334155" strokeWidth={2} strokeDasharray="4 4" />
+        <Label x={870} y={58} color="#e2e8f0" size={13} weight={700}>{t('equipmentPoints.environment.title')}</Label>
+        <Label x={870} y={82}>{t('schematic.dryBulb')} {temp(environment.temp)}</Label>
+        <Label x={870} y={102}>{t('schematic.humidity')} {fmt(environment.humidity, '%')}</Label>
+        <Label x={870} y={122}>{t('schematic.wetBulb')} {temp(environment.wetBulb)}</Label>
+      </Equipment>
+    </svg>
+  );
+};
+
+export default PlantSchematic;
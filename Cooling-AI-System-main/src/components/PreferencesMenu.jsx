@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Languages, X } from 'lucide-react';
+import { usePreferences } from '../hooks/usePreferences';
+import { LOCALES } from '../lib/i18n';
+import { UNIT_CHOICES, UNIT_SYSTEMS, choiceLabel } from '../lib/units';
+
+const selectClass = 'w-full bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-xs text-slate-300 focus:outline-none focus:border-blue-500/50';
+
+// 当前单位与某个预设完全一致时高亮该预设
+const matchesSystem = (units, system) => Object.entries(UNIT_SYSTEMS[system]).every(([k, v]) => units[k] === v);
+
+// --- 顶栏的语言与单位设置：预设一键切换公制 / 英制，也可逐项选择 ---
+const PreferencesMenu = () => {
+  const { locale, t, unitSystem, setLocale, setUnits } = usePreferences();
+  const [open, setOpen] = useState(false);
+  const units = unitSystem.prefs;
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(o => !o)} className="p-2 text-slate-400 hover:text-white" title={t('preferences.title')}>
+        <Languages size={20} />
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 p-5 bg-slate-900 border border-slate-700 rounded-2xl shadow-2xl space-y-4 z-50">
+          <div className="flex items-center justify-between">
+            <div className="text-xs font-black text-white uppercase tracking-widest">{t('preferences.title')}</div>
+            <button onClick={() => setOpen(false)} className="text-slate-500 hover:text-white"><X size={14} /></button>
+          </div>
+          <label className="block space-y-1">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('preferences.language')}</div>
+            <select value={locale} onChange={(e) => setLocale(e.target.value)} className={selectClass}>
+              {Object.entries(LOCALES).map(([key, l]) => <option key={key} value={key}>{l.label}</option>)}
+            </select>
+          </label>
+          <div className="space-y-1">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('preferences.units')}</div>
+            <div className="flex bg-slate-950 border border-slate-800 rounded-xl p-1">
+              {Object.keys(UNIT_SYSTEMS).map(system => (
+                <button
+                  key={system}
+                  onClick={() => setUnits(UNIT_SYSTEMS[system])}
+                  className={`flex-1 px-3 py-1.5 rounded-lg text-[11px] font-bold ${matchesSystem(units, system) ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-300'}`}
+                >
+                  {t(`preferences.systems.${system}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            {Object.entries(UNIT_CHOICES).map(([dimension, choices]) => (
+              <label key={dimension} className="block space-y-1">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t(`preferences.dimensions.${dimension}`)}</div>
+                <select value={units[dimension]} onChange={(e) => setUnits({ [dimension]: e.target.value })} className={selectClass}>
+                  {choices.map(c => <option key={c} value={c}>{choiceLabel(dimension, c)}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          <p className="text-[10px] text-slate-500 leading-relaxed">{t('preferences.hint')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreferencesMenu;
@@ -0,0 +1,8 @@
+import React from 'react';
+import { PreferencesContext, usePreferencesState } from '../hooks/usePreferences';
+
+const PreferencesProvider = ({ children }) => (
+  <PreferencesContext.Provider value={usePreferencesState()}>{children}</PreferencesContext.Provider>
+);
+
+export default PreferencesProvider;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { RANGE_PRESETS } from '../lib/timeseries';
+import { usePreferences } from '../hooks/usePreferences';
+
+// datetime-local 输入使用本地时间 "YYYY-MM-DDTHH:mm"
+const toLocalInput = (ts) => {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const RangePicker = ({ value, onChange }) => {
+  const { t } = usePreferences();
+  const startCustom = () => {
+    const to = Date.now();
+    onChange({ preset: 'custom', from: to - 24 * 3600000, to });
+  };
+  const setBound = (key, input) => {
+    const ts = new Date(input).getTime();
+    if (Number.isFinite(ts)) onChange({ ...value, [key]: ts });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="flex bg-slate-950 border border-slate-800 rounded-xl p-1">
+        {Object.entries(RANGE_PRESETS).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => onChange({ preset: key })}
+            className={`px-3 py-1.5 rounded-lg text-[11px] font-bold ${value.preset === key ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-300'}`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          onClick={startCustom}
+          className={`px-3 py-1.5 rounded-lg text-[11px] font-bold ${value.preset === 'custom' ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-300'}`}
+        >
+          {t('range.custom')}
+        </button>
+      </div>
+      {value.preset === 'custom' && (
+        <div className="flex items-center gap-2 text-[11px] text-slate-500">
+          <input type="datetime-local" value={toLocalInput(value.from)} max={toLocalInput(value.to)} onChange={(e) => setBound('from', e.target.value)} className="bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-slate-300" />
+          <span>{t('range.to')}</span>
+          <input type="datetime-local" value={toLocalInput(value.to)} min={toLocalInput(value.from)} onChange={(e) => setBound('to', e.target.value)} className="bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-slate-300" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RangePicker;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { FileText, Printer, Download, Trash2, Loader2, Sparkles, CalendarClock, AlertTriangle } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import { usePreferences } from '../hooks/usePreferences';
+import { REPORT_PERIODS, periodContaining, previousPeriod, reportToHtml, reportTitle } from '../lib/reports';
+import { downloadBlob } from '../lib/exportData';
+
+const inputClass = 'bg-slate-950 border border-slate-800 rounded-lg px-2 py-1.5 text-xs text-slate-300 focus:outline-none focus:border-blue-500/50';
+
+const percent = (v) => `${Math.round(v * 1000) / 10}%`;
+
+const printReport = (report, prefs) => {
+  const w = window.open('', '_blank');
+  if (!w) return;
+  w.document.write(reportToHtml(report, prefs));
+  w.document.close();
+  w.focus();
+  w.print();
+};
+
+const ReportView = ({ report, generating }) => {
+  const prefs = usePreferences();
+  const { t, unitSystem } = prefs;
+  const efficiencyUnit = unitSystem.unit('efficiency') || 'COP';
+  const efficiency = (v) => unitSystem.display('efficiency', v, 2) ?? '--';
+  const trend = unitSystem.rows(report.trend, { cop: 'efficiency' });
+  const shares = report.shares.map(s => ({ ...s, label: t(`reports.subsystems.${s.key}`) }));
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-white">{reportTitle(report, t)}</h3>
+          <div className="text-[11px] text-slate-500 mt-1">
+            {t('reports.meta', { coverage: percent(report.coverage), generated: new Date(report.generatedAt).toLocaleString(t.locale) })}{report.scheduled ? ` · ${t('reports.scheduledTag')}` : ''}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => printReport(report, prefs)} className="px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold flex items-center gap-2"><Printer size={14} /> {t('reports.print')}</button>
+          <button onClick={() => downloadBlob(new Blob([reportToHtml(report, prefs)], { type: 'text/html;charset=utf-8' }), `${report.id}.html`)} className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-slate-200 text-xs font-bold flex items-center gap-2"><Download size={14} /> HTML</button>
+        </div>
+      </div>
+
+      <div className="p-5 rounded-2xl bg-blue-500/5 border border-blue-500/20 text-sm leading-relaxed text-slate-200">
+        <div className="flex items-center gap-2 mb-2 text-[10px] font-bold uppercase tracking-widest text-blue-400">
+          <Sparkles size={12} /> {t('reports.summary')}
+          {report.narrative && <span className="text-slate-500">{t(`reports.sources.${report.narrative.source}`)}</span>}
+        </div>
+        {report.narrative ? report.narrative.text : generating ? <span className="flex items-center gap-2 text-slate-500"><Loader2 size={14} className="animate-spin" /> {t('reports.writing')}</span> : '--'}
+        {report.narrative?.error && <div className="mt-2 text-[10px] text-amber-400">{t('reports.narrativeFailed', { error: report.narrative.error })}</div>}
+      </div>
+
+      {report.coverage < 0.9 && (
+        <div className="flex items-center gap-2 text-xs text-amber-400"><AlertTriangle size={14} /> {t('reports.incomplete', { hours: report.hours })}</div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {[
+          { label: t('reports.kpi.energy'), value: report.energyKwh, unit: 'kWh', color: '#3b82f6' },
+          { label: t('reports.kpi.chillerEfficiency', { unit: efficiencyUnit }), value: efficiency(report.avgCop), unit: '', color: '#10b981' },
+          { label: t('reports.kpi.plantEfficiency'), value: efficiency(report.plantCop), unit: unitSystem.unit('efficiency') || 'kW/kW', color: '#14b8a6' },
+          { label: t('reports.kpi.cooling'), value: report.coolingKwh, unit: 'kWh', color: '#6366f1' },
+          { label: t('reports.kpi.peak'), value: report.peak ? unitSystem.display('cooling', report.peak.demand, 1) : '--', unit: report.peak ? `${unitSystem.unit('cooling', 'kW')} @ ${new Date(report.peak.ts).toLocaleString(t.locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })}` : '', color: '#f59e0b' },
+          { label: t('reports.kpi.saving'), value: report.savingKwh, unit: `kWh (${percent(report.savingRatio)})`, color: '#10b981' },
+        ].map(k => (
+          <div key={k.label} className="p-5 bg-slate-900/30 border border-slate-800/60 rounded-2xl">
+            <div className="text-[10px] font-bold text-slate-500 uppercase tracking-widest mb-1">{k.label}</div>
+            <div className="text-2xl font-mono font-black" style={{ color: k.color }}>{k.value} <span className="text-[10px] font-sans text-slate-600">{k.unit}</span></div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="h-72">
+          <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-2">{t('reports.trend', { unit: efficiencyUnit })}</div>
+          <ResponsiveContainer width="100%" height="90%">
+            <LineChart data={trend}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+              <XAxis dataKey="label" stroke="#475569" fontSize={10} />
+              <YAxis stroke="#475569" fontSize={10} domain={['auto', 'auto']} />
+              <Tooltip content={<CustomTooltip />} />
+              <Line type="monotone" dataKey="cop" name={efficiencyUnit} stroke="#10b981" strokeWidth={2} dot={false} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="h-72">
+          <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-2">{t('reports.shares')}</div>
+          <ResponsiveContainer width="100%" height="90%">
+            <PieChart>
+              <Pie data={shares} dataKey="kwh" nameKey="label" innerRadius="55%" outerRadius="85%" paddingAngle={2} stroke="none">
+                {shares.map(s => <Cell key={s.key} fill={s.color} />)}
+              </Pie>
+              <Tooltip content={<CustomTooltip />} />
+              <Legend formatter={(value, entry) => <span className="text-xs text-slate-400">{value} {percent(entry.payload.ratio)}</span>} />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 能耗报告页：手动生成、排程设置、报告存档 ---
+// deny(permission): 无权限时返回提示文字；没有管理权限时只能查看、打印与导出存档
+const ReportsPanel = ({ schedule, onScheduleChange, archive, generating, deny, onGenerate, onRemove }) => {
+  const { t } = usePreferences();
+  const manageDenied = deny('reports.manage');
+  const [period, setPeriod] = useState('daily');
+  const [date, setDate] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [error, setError] = useState(null);
+  const selected = archive.find(r => r.id === selectedId) ?? archive[0];
+
+  // 未选日期时生成上一完整周期
+  const generate = async () => {
+    setError(null);
+    const range = date ? periodContaining(period, new Date(`${date}T00:00`).getTime()) : previousPeriod(period, Date.now());
+    try {
+      setSelectedId(await onGenerate({ period, ...range }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setPeriodSchedule = (key, patch) => onScheduleChange({ ...schedule, [key]: { ...schedule[key], ...patch } });
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-8 animate-in fade-in duration-500">
+      <div className="space-y-8">
+        <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 space-y-4">
+          <h3 className="text-lg font-bold text-white flex items-center gap-3"><FileText size={22} className="text-blue-500" /> {t('reports.generateTitle')}</h3>
+          <div className="flex flex-wrap gap-2">
+            <select value={period} onChange={(e) => setPeriod(e.target.value)} className={inputClass}>
+              {REPORT_PERIODS.map(k => <option key={k} value={k}>{t(`reports.periods.${k}`)}</option>)}
+            </select>
+            <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} title={t('reports.dateHint')} />
+            <button onClick={generate} disabled={Boolean(manageDenied)} title={manageDenied ?? undefined} className="px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold disabled:opacity-40">{t('reports.generate')}</button>
+          </div>
+          <p className="text-[11px] text-slate-500">{t(`reports.previousHint.${period}`)}</p>
+          {error && <div className="text-xs text-red-400">{error}</div>}
+        </div>
+
+        <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 space-y-4">
+          <h3 className="text-lg font-bold text-white flex items-center gap-3"><CalendarClock size={22} className="text-teal-400" /> {t('reports.scheduleTitle')}</h3>
+          <fieldset disabled={Boolean(manageDenied)} title={manageDenied ?? undefined} className="space-y-4 disabled:opacity-50">
+          {REPORT_PERIODS.map(key => (
+            <div key={key} className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+              <label className="flex items-center gap-2 w-16">
+                <input type="checkbox" checked={schedule[key].enabled} onChange={(e) => setPeriodSchedule(key, { enabled: e.target.checked })} />
+                {t(`reports.periods.${key}`)}
+              </label>
+              {key === 'weekly' && (
+                <select value={schedule.weekly.weekday} onChange={(e) => setPeriodSchedule('weekly', { weekday: Number(e.target.value) })} className={inputClass}>
+                  {t('reports.weekdays').map((d, i) => <option key={d} value={i + 1}>{d}</option>)}
+                </select>
+              )}
+              {key === 'monthly' && (
+                <select value={schedule.monthly.day} onChange={(e) => setPeriodSchedule('monthly', { day: Number(e.target.value) })} className={inputClass}>
+                  {Array.from({ length: 28 }, (_, i) => <option key={i} value={i + 1}>{t('reports.dayOfMonth', { day: i + 1 })}</option>)}
+                </select>
+              )}
+              <select value={schedule[key].hour} onChange={(e) => setPeriodSchedule(key, { hour: Number(e.target.value) })} className={inputClass}>
+                {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{String(h).padStart(2, '0')}:00</option>)}
+              </select>
+            </div>
+          ))}
+          </fieldset>
+          <p className="text-[11px] text-slate-500">{t('reports.scheduleHint')}</p>
+        </div>
+
+        <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+          <h3 className="text-sm font-bold text-slate-300 uppercase tracking-widest mb-4">{t('reports.archive', { count: archive.length })}</h3>
+          <div className="space-y-1 max-h-96 overflow-y-auto custom-scrollbar">
+            {archive.length === 0 && <div className="text-xs text-slate-500">{t('reports.empty')}</div>}
+            {archive.map(r => (
+              <div key={r.id} className={`flex items-center justify-between gap-2 px-3 py-2 rounded-xl cursor-pointer ${selected?.id === r.id ? 'bg-blue-600/20 text-white' : 'text-slate-400 hover:bg-slate-800/50'}`} onClick={() => setSelectedId(r.id)}>
+                <div className="min-w-0">
+                  <div className="text-xs font-bold truncate">{reportTitle(r, t)}</div>
+                  <div className="text-[10px] text-slate-500">{r.energyKwh} kWh · {t(r.scheduled ? 'reports.scheduled' : 'reports.manual')}</div>
+                </div>
+                {generating.includes(r.id) ? (
+                  <Loader2 size={14} className="animate-spin text-slate-500" />
+                ) : (
+                  <button onClick={(e) => { e.stopPropagation(); onRemove(r.id); }} disabled={Boolean(manageDenied)} title={manageDenied ?? t('common.delete')} className="text-slate-600 hover:text-red-400 disabled:opacity-30 disabled:hover:text-slate-600"><Trash2 size={14} /></button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="xl:col-span-2 bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+        {selected ? (
+          <ReportView report={selected} generating={generating.includes(selected.id)} />
+        ) : (
+          <div className="h-96 flex items-center justify-center text-sm text-slate-500">{t('reports.select')}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportsPanel;
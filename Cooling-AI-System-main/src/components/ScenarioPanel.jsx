@@ -0,0 +1,322 @@
+import React, { useMemo, useState } from 'react';
+import { FlaskConical, RotateCcw, Save, Bot, ArrowRight, AlertTriangle, Pencil, Trash2, Check, X, Upload } from 'lucide-react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import { usePreferences } from '../hooks/usePreferences';
+import { COMPARE_LIMIT } from '../hooks/useScenarios';
+import {
+  SCENARIO_INPUTS, SCENARIO_OUTPUTS, inputBounds, clampInputs, evaluateScenario, compareScenario, changedInputs, formatInput,
+} from '../lib/scenarios';
+
+const BASELINE_COLOR = '#64748b';
+const DRAFT_COLOR = '#3b82f6';
+const COMPARE_COLORS = ['#10b981', '#f59e0b', '#a855f7'];
+
+const round = (v, digits = 1) => Math.round(v * 10 ** digits) / 10 ** digits;
+const signedPercent = (v) => `${v > 0 ? '+' : ''}${(v * 100).toFixed(1)}%`;
+// 总功率下降为节能 (绿色)
+const changeColor = (v) => (v < -0.001 ? 'text-teal-400' : v > 0.001 ? 'text-red-400' : 'text-slate-400');
+
+// --- 假设情景：滑块调整设定与工况，预测功率与 COP 并与基准、已保存情景对比 ---
+// conditions 为 scenarioConditions 的结果；scenarios 为 useScenarios 的返回值；
+// onAsk(name, baseline, scenario) 发给助手评估，onAdopt(values, reason) 把设定值带到控制页；askDenied / adoptDenied 为无权限提示
+const ScenarioPanel = ({ conditions, scenarios, askDenied, adoptDenied, onAsk, onAdopt }) => {
+  const prefs = usePreferences();
+  const { t, unitSystem } = prefs;
+  const [name, setName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const inputs = useMemo(() => clampInputs(conditions, scenarios.draft ?? conditions.baseline), [conditions, scenarios.draft]);
+  const baseline = useMemo(() => evaluateScenario(conditions, conditions.baseline), [conditions]);
+  const current = useMemo(() => evaluateScenario(conditions, inputs), [conditions, inputs]);
+  const change = compareScenario(baseline, current);
+  const changed = changedInputs(conditions.baseline, inputs);
+  const adoptable = inputs.setPoint !== conditions.baseline.setPoint || inputs.cwSetPoint !== conditions.baseline.cwSetPoint;
+
+  // 图表条目：基准、当前情景与勾选对比的已保存情景
+  const saved = useMemo(() => scenarios.scenarios.map(s => ({ ...s, evaluation: evaluateScenario(conditions, clampInputs(conditions, s.inputs)) })), [conditions, scenarios.scenarios]);
+  const entries = [
+    { key: 'baseline', label: t('scenarios.baseline'), color: BASELINE_COLOR, evaluation: baseline },
+    { key: 'draft', label: t('scenarios.current'), color: DRAFT_COLOR, evaluation: current },
+    ...scenarios.compared.map((s, i) => ({ key: s.id, label: s.name, color: COMPARE_COLORS[i], evaluation: saved.find(x => x.id === s.id).evaluation })),
+  ];
+  const powerRows = SCENARIO_OUTPUTS.map(k => ({
+    name: t(`scenarios.outputs.${k}`),
+    ...Object.fromEntries(entries.map(e => [e.key, round(e.evaluation.power[k])])),
+  }));
+  const copRows = entries.map(e => ({ name: e.label, cop: round(unitSystem.to('efficiency', e.evaluation.cop), unitSystem.digits('efficiency', 2)), color: e.color }));
+  const efficiencyUnit = unitSystem.unit('efficiency') || 'COP';
+
+  const setInput = (key, value) => scenarios.setDraft({ ...inputs, [key]: value });
+
+  const save = () => {
+    scenarios.save(name.trim() || t('scenarios.defaultName', { n: scenarios.scenarios.length + 1 }), inputs);
+    setName('');
+  };
+
+  const commitRename = () => {
+    if (editing.name.trim()) scenarios.rename(editing.id, editing.name.trim());
+    setEditing(null);
+  };
+
+  const remove = (scenario) => {
+    if (window.confirm(t('scenarios.confirmDelete', { name: scenario.name }))) scenarios.remove(scenario.id);
+  };
+
+  const adopt = () => onAdopt(
+    { chwSetPoint: inputs.setPoint, cwSetPoint: inputs.cwSetPoint },
+    t('scenarios.adoptReason', { change: signedPercent(change.totalRatio) }),
+  );
+
+  const actionClass = 'px-5 py-3 rounded-xl text-[11px] font-black uppercase tracking-widest flex items-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="space-y-8 animate-in fade-in duration-500">
+      <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+        <div className="flex flex-wrap items-start justify-between gap-6 mb-8">
+          <div>
+            <h3 className="text-xl font-bold text-white flex items-center gap-3"><FlaskConical size={24} className="text-blue-500" /> {t('scenarios.title')}</h3>
+            <p className="text-xs text-slate-500 mt-2 max-w-2xl">{t('scenarios.hint', { pump: conditions.pumpFrequency })}</p>
+          </div>
+          <div className="flex gap-8 text-right">
+            <div className="space-y-1">
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('scenarios.baseline')}</div>
+              <div className="text-xl font-mono font-black text-white leading-none">{baseline.power.total.toFixed(1)} kW</div>
+            </div>
+            <div className="space-y-1">
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('scenarios.current')}</div>
+              <div className="text-xl font-mono font-black text-blue-400 leading-none">{current.power.total.toFixed(1)} kW</div>
+            </div>
+            <div className="space-y-1">
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('scenarios.change')}</div>
+              <div className={`text-xl font-mono font-black leading-none ${changeColor(change.totalRatio)}`}>{signedPercent(change.totalRatio)}</div>
+            </div>
+            <div className="space-y-1">
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{efficiencyUnit}</div>
+              <div className="text-xl font-mono font-black text-white leading-none">
+                {unitSystem.display('efficiency', baseline.cop)} <span className="text-slate-600">→</span> {unitSystem.display('efficiency', current.cop)}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+          <div className="space-y-6">
+            {SCENARIO_INPUTS.map(input => {
+              const { min, max } = inputBounds(input, conditions.capacity);
+              const value = inputs[input.key];
+              const auto = input.auto && value === null;
+              const isChanged = changed.includes(input);
+              return (
+                <div key={input.key} className="space-y-2">
+                  <div className="flex items-baseline justify-between gap-3">
+                    <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t(`scenarios.inputs.${input.key}`)}</label>
+                    <div className="text-right">
+                      <span className={`font-mono font-bold text-sm ${isChanged ? 'text-blue-400' : 'text-slate-300'}`}>{formatInput(input, value, prefs)}</span>
+                      {isChanged && <span className="ml-2 text-[10px] text-slate-600">{t('scenarios.was', { value: formatInput(input, conditions.baseline[input.key], prefs) })}</span>}
+                    </div>
+                  </div>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={input.step}
+                    value={auto ? current.fanSpeed : value}
+                    disabled={auto}
+                    onChange={(e) => setInput(input.key, Number(e.target.value))}
+                    className="w-full accent-blue-500 disabled:opacity-40"
+                  />
+                  {input.auto && (
+                    <label className="flex items-center gap-2 text-[11px] text-slate-500">
+                      <input type="checkbox" checked={auto} onChange={(e) => setInput(input.key, e.target.checked ? null : Math.round(current.fanSpeed))} />
+                      {t('scenarios.fanAuto', { speed: Math.round(current.fanSpeed) })}
+                    </label>
+                  )}
+                </div>
+              );
+            })}
+            <button onClick={() => scenarios.setDraft(null)} disabled={changed.length === 0} className={`${actionClass} bg-slate-800 hover:bg-slate-700 text-slate-300`}>
+              <RotateCcw size={14} /> {t('scenarios.reset')}
+            </button>
+          </div>
+
+          <div className="xl:col-span-2 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="space-y-3">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('scenarios.powerChart')}</div>
+                <div className="h-72 w-full">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={powerRows}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                      <XAxis dataKey="name" stroke="#475569" fontSize={11} />
+                      <YAxis stroke="#475569" fontSize={11} />
+                      <Tooltip cursor={{ fill: '#1e293b', opacity: 0.4 }} content={<CustomTooltip />} />
+                      {entries.map(e => <Bar key={e.key} dataKey={e.key} name={e.label} fill={e.color} radius={[4, 4, 0, 0]} unit="kW" />)}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <div className="space-y-3">
+                <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('scenarios.copChart', { unit: efficiencyUnit })}</div>
+                <div className="h-72 w-full">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={copRows}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                      <XAxis dataKey="name" stroke="#475569" fontSize={11} />
+                      <YAxis stroke="#475569" fontSize={11} domain={['auto', 'auto']} />
+                      <Tooltip cursor={{ fill: '#1e293b', opacity: 0.4 }} content={<CustomTooltip />} />
+                      <Bar dataKey="cop" name={efficiencyUnit} radius={[4, 4, 0, 0]}>
+                        {copRows.map(r => <Cell key={r.name} fill={r.color} />)}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-xs">
+              {[
+                ['chwSupply', 'temperature'],
+                ['cwSupply', 'temperature'],
+                ['cwReturn', 'temperature'],
+                ['fanSpeed'],
+              ].map(([key, quantity]) => (
+                <div key={key} className="p-4 bg-slate-900/30 border border-slate-800/60 rounded-2xl">
+                  <div className="text-[10px] font-bold text-slate-500 uppercase tracking-widest mb-1">{t(`scenarios.outputs.${key}`)}</div>
+                  <div className="font-mono font-bold text-slate-300">
+                    {[baseline, current].map(e => (quantity ? unitSystem.format(quantity, e[key], '°C', 1) : `${Math.round(e[key])}%`)).join(' → ')}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {current.warnings.length > 0 && (
+              <div className="p-4 rounded-2xl border text-xs bg-amber-500/10 border-amber-500/30 text-amber-300 space-y-1">
+                {current.warnings.map(w => <div key={w} className="flex items-center gap-2"><AlertTriangle size={14} /> {t(`scenarios.warnings.${w}`)}</div>)}
+              </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && save()}
+                placeholder={t('scenarios.namePlaceholder')}
+                className="flex-1 min-w-[12rem] bg-slate-950 border border-slate-800 rounded-xl px-4 py-3 text-xs focus:outline-none focus:border-blue-500/50"
+              />
+              <button onClick={save} className={`${actionClass} bg-blue-600 hover:bg-blue-500 text-white`}>
+                <Save size={14} /> {t('scenarios.save')}
+              </button>
+              <button
+                onClick={() => onAsk(t('scenarios.current'), baseline, current)}
+                disabled={Boolean(askDenied)}
+                title={askDenied ?? undefined}
+                className={`${actionClass} bg-slate-800 hover:bg-slate-700 text-slate-200`}
+              >
+                <Bot size={14} /> {t('scenarios.ask')}
+              </button>
+              <button
+                onClick={adopt}
+                disabled={Boolean(adoptDenied) || !adoptable}
+                title={adoptDenied ?? t('scenarios.adoptHint')}
+                className={`${actionClass} bg-teal-600 hover:bg-teal-500 text-white`}
+              >
+                <ArrowRight size={14} /> {t('scenarios.adopt')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <h3 className="text-lg font-bold text-white">{t('scenarios.savedTitle')}</h3>
+          <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('scenarios.compareHint', { max: COMPARE_LIMIT })}</div>
+        </div>
+        {saved.length === 0 ? (
+          <div className="text-sm text-slate-500">{t('scenarios.empty')}</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-[10px] text-slate-500 uppercase tracking-widest border-b border-slate-800">
+                  <th className="py-3 pr-3">{t('scenarios.compare')}</th>
+                  <th className="py-3 pr-3">{t('scenarios.name')}</th>
+                  {SCENARIO_INPUTS.map(i => <th key={i.key} className="py-3 pr-3">{t(`scenarios.inputs.${i.key}`)}</th>)}
+                  <th className="py-3 pr-3 text-right">{t('scenarios.outputs.total')}</th>
+                  <th className="py-3 pr-3 text-right">{t('scenarios.change')}</th>
+                  <th className="py-3 pr-3 text-right">{efficiencyUnit}</th>
+                  <th className="py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {saved.map(s => {
+                  const ratio = compareScenario(baseline, s.evaluation).totalRatio;
+                  const colorIndex = scenarios.compared.findIndex(c => c.id === s.id);
+                  return (
+                    <tr key={s.id} className="border-b border-slate-800/50">
+                      <td className="py-3 pr-3">
+                        <label className="flex items-center gap-2">
+                          <input type="checkbox" checked={colorIndex >= 0} onChange={() => scenarios.toggleCompare(s.id)} />
+                          {colorIndex >= 0 && <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: COMPARE_COLORS[colorIndex] }} />}
+                        </label>
+                      </td>
+                      <td className="py-3 pr-3">
+                        {editing?.id === s.id ? (
+                          <div className="flex items-center gap-1">
+                            <input
+                              autoFocus
+                              value={editing.name}
+                              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') commitRename();
+                                if (e.key === 'Escape') setEditing(null);
+                              }}
+                              className="min-w-0 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:border-blue-500/50"
+                            />
+                            <button onClick={commitRename} title={t('common.save')} className="p-1 text-slate-400 hover:text-white"><Check size={14} /></button>
+                            <button onClick={() => setEditing(null)} title={t('common.cancel')} className="p-1 text-slate-400 hover:text-white"><X size={14} /></button>
+                          </div>
+                        ) : (
+                          <div>
+                            <div className="font-bold text-slate-200">{s.name}</div>
+                            <div className="text-[10px] text-slate-600">{new Date(s.createdAt).toLocaleString(t.locale)}</div>
+                          </div>
+                        )}
+                      </td>
+                      {SCENARIO_INPUTS.map(i => <td key={i.key} className="py-3 pr-3 font-mono text-slate-400">{formatInput(i, s.evaluation.inputs[i.key], prefs)}</td>)}
+                      <td className="py-3 pr-3 text-right font-mono font-bold text-slate-200">{s.evaluation.power.total.toFixed(1)} kW</td>
+                      <td className={`py-3 pr-3 text-right font-mono font-bold ${changeColor(ratio)}`}>{signedPercent(ratio)}</td>
+                      <td className="py-3 pr-3 text-right font-mono text-slate-300">
+                        {unitSystem.display('efficiency', s.evaluation.cop)}
+                        {s.evaluation.warnings.length > 0 && (
+                          <span title={s.evaluation.warnings.map(w => t(`scenarios.warnings.${w}`)).join('\n')}><AlertTriangle size={12} className="inline ml-1 text-amber-400" /></span>
+                        )}
+                      </td>
+                      <td className="py-3">
+                        <div className="flex items-center justify-end gap-1">
+                          <button onClick={() => scenarios.setDraft(s.inputs)} title={t('scenarios.load')} className="p-1.5 text-slate-500 hover:text-slate-200"><Upload size={14} /></button>
+                          <button
+                            onClick={() => onAsk(s.name, baseline, s.evaluation)}
+                            disabled={Boolean(askDenied)}
+                            title={askDenied ?? t('scenarios.ask')}
+                            className="p-1.5 text-slate-500 hover:text-slate-200 disabled:opacity-30"
+                          >
+                            <Bot size={14} />
+                          </button>
+                          <button onClick={() => setEditing({ id: s.id, name: s.name })} title={t('scenarios.rename')} className="p-1.5 text-slate-500 hover:text-slate-200"><Pencil size={14} /></button>
+                          <button onClick={() => remove(s)} title={t('common.delete')} className="p-1.5 text-slate-500 hover:text-red-400"><Trash2 size={14} /></button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,152 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Layers, ArrowUpCircle, ArrowDownCircle, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CustomTooltip from './CustomTooltip';
+import RangePicker from './RangePicker';
+import ExportButtons from './ExportButtons';
+import { useSeriesRange } from '../hooks/useTimeSeries';
+import { usePreferences } from '../hooks/usePreferences';
+import { summarizeUnits } from '../lib/sequencing';
+import { unitSeriesKey } from '../lib/timeseries';
+import { statusStyle } from '../lib/equipment';
+import { tableOf, formatDateTime } from '../lib/exportData';
+
+const UNIT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#6366f1', '#ec4899', '#14b8a6', '#f97316', '#a855f7'];
+const TREND_POINTS = 96;
+
+const ADVICE_STYLES = {
+  up: { icon: ArrowUpCircle, className: 'bg-amber-500/10 border-amber-500/30 text-amber-300' },
+  max: { icon: AlertTriangle, className: 'bg-red-500/10 border-red-500/30 text-red-300' },
+  down: { icon: ArrowDownCircle, className: 'bg-blue-500/10 border-blue-500/30 text-blue-300' },
+  hold: { icon: CheckCircle2, className: 'bg-green-500/10 border-green-500/30 text-green-300' },
+  unavailable: { icon: AlertTriangle, className: 'bg-red-500/10 border-red-500/30 text-red-300' },
+};
+
+const fixed = (v, digits) => (Number.isFinite(v) ? v.toFixed(digits) : '--');
+
+// --- 机组群控：运行台数、各机组负载率与 COP、加减机建议及负荷分配趋势 ---
+const SequencingPanel = ({ site, realtimeData, series }) => {
+  const { t, unitSystem } = usePreferences();
+  const summary = useMemo(() => summarizeUnits(realtimeData), [realtimeData]);
+  const [range, setRange] = useState({ preset: '24h' });
+  const { rows: metricRows } = useSeriesRange(series, range, TREND_POINTS);
+  const chartRef = useRef(null);
+  const loadKey = (unit) => unitSeriesKey('load', unit.id);
+  const rows = useMemo(
+    () => unitSystem.rows(metricRows, Object.fromEntries(site.units.map(u => [unitSeriesKey('load', u.id), 'cooling']))),
+    [metricRows, site, unitSystem],
+  );
+  const cooling = unitSystem.unit('cooling');
+  const efficiency = unitSystem.unit('efficiency') || 'COP';
+  const eff = (v) => fixed(unitSystem.to('efficiency', v), unitSystem.digits('efficiency'));
+
+  if (!summary) {
+    return (
+      <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 text-sm text-slate-500">
+        <h3 className="text-xl font-bold text-white flex items-center gap-3 mb-4"><Layers size={24} className="text-blue-500" /> {t('sequencing.title')}</h3>
+        {t('sequencing.noUnits', { site: site.name, count: site.units.length })}
+      </div>
+    );
+  }
+
+  const advice = summary.advice && ADVICE_STYLES[summary.advice.action];
+
+  return (
+    <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 space-y-8">
+      <div className="flex flex-wrap items-start justify-between gap-6">
+        <h3 className="text-xl font-bold text-white flex items-center gap-3"><Layers size={24} className="text-blue-500" /> {t('sequencing.title')}</h3>
+        <div className="flex flex-wrap gap-8 text-right">
+          {[
+            { label: t('sequencing.kpi.running'), value: `${summary.running} / ${summary.total}`, color: '#e2e8f0' },
+            { label: t('sequencing.kpi.loading'), value: `${Math.round(summary.loading * 100)}%`, color: '#f59e0b' },
+            { label: t('sequencing.kpi.chillerEfficiency', { unit: efficiency }), value: eff(summary.chillerCop), color: '#10b981' },
+            { label: t('sequencing.kpi.plantEfficiency', { unit: efficiency }), value: eff(summary.plantCop), color: '#14b8a6' },
+          ].map(k => (
+            <div key={k.label}>
+              <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{k.label}</div>
+              <div className="text-2xl font-mono font-black" style={{ color: k.color }}>{k.value}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {advice && (
+        <div className={`flex items-center gap-3 px-4 py-3 rounded-2xl border text-xs ${advice.className}`}>
+          <advice.icon size={16} className="shrink-0" /> {t(`sequencing.advice.${summary.advice.action}`, summary.advice.params)}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+        <table className="w-full text-xs text-left">
+          <thead className="text-[10px] text-slate-500 uppercase tracking-widest">
+            <tr>
+              <th className="py-2 font-bold">{t('sequencing.columns.unit')}</th>
+              <th className="py-2 font-bold">{t('sequencing.columns.status')}</th>
+              <th className="py-2 font-bold text-right">{t('sequencing.columns.load')} {cooling}</th>
+              <th className="py-2 font-bold w-1/3 pl-4">{t('sequencing.columns.loading')}</th>
+              <th className="py-2 font-bold text-right">{t('sequencing.columns.power')} kW</th>
+              <th className="py-2 font-bold text-right">{efficiency}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800/50">
+            {summary.units.map((u, i) => {
+              const status = statusStyle(u.status, t);
+              return (
+                <tr key={u.id} className="text-slate-300">
+                  <td className="py-2.5">
+                    <div className="font-bold text-white flex items-center gap-2"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: UNIT_COLORS[i % UNIT_COLORS.length] }} />{u.name}</div>
+                    <div className="text-[10px] text-slate-500">{u.id} · {unitSystem.format('cooling', u.capacity, 'kW')}</div>
+                  </td>
+                  <td className="py-2.5 font-bold" style={{ color: status.color }}>{status.label}</td>
+                  <td className="py-2.5 text-right font-mono">{unitSystem.display('cooling', u.load)}</td>
+                  <td className="py-2.5 pl-4">
+                    <div className="flex items-center gap-2">
+                      <div className="flex-1 h-2 rounded-full bg-slate-800 overflow-hidden">
+                        <div className="h-full rounded-full bg-blue-500" style={{ width: `${Math.min(100, u.loading * 100)}%` }} />
+                      </div>
+                      <span className="w-9 text-right font-mono text-[10px] text-slate-400">{Math.round(u.loading * 100)}%</span>
+                    </div>
+                  </td>
+                  <td className="py-2.5 text-right font-mono">{u.power}</td>
+                  <td className={`py-2.5 text-right font-mono ${u.lagging ? 'text-amber-400' : ''}`} title={u.lagging ? t('sequencing.lagging') : undefined}>{unitSystem.display('efficiency', u.cop) ?? '--'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">{t('sequencing.loadSplit', { unit: cooling })}</div>
+            <div className="flex flex-wrap items-center gap-3">
+              <RangePicker value={range} onChange={setRange} />
+              <ExportButtons
+                filename={`${site.id}-unit-loads`}
+                chartRef={chartRef}
+                table={() => tableOf(rows, [
+                  { label: t('chart.time'), value: r => formatDateTime(r.ts) },
+                  ...summary.units.map(u => ({ label: `${u.name} (${cooling})`, value: r => r[loadKey(u)] })),
+                ])}
+              />
+            </div>
+          </div>
+          <div ref={chartRef} className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                <XAxis dataKey="time" stroke="#475569" fontSize={10} minTickGap={30} />
+                <YAxis stroke="#475569" fontSize={10} width={48} />
+                <Tooltip content={<CustomTooltip />} />
+                {summary.units.map((u, i) => (
+                  <Area key={u.id} type="stepAfter" stackId="units" dataKey={loadKey(u)} name={u.name} unit={cooling} stroke={UNIT_COLORS[i % UNIT_COLORS.length]} fill={UNIT_COLORS[i % UNIT_COLORS.length]} fillOpacity={0.3} />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SequencingPanel;
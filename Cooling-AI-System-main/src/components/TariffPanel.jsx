@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import { Wallet, Save, RotateCcw, CheckCircle2 } from 'lucide-react';
+import { usePreferences } from '../hooks/usePreferences';
+import { TARIFF_PERIODS, TARIFF_PERIOD_COLORS, TARIFF_LIMITS, CURRENCIES, validateTariff } from '../lib/tariff';
+
+const inputClass = 'w-full bg-slate-950 border rounded-2xl px-5 py-3 font-mono font-bold disabled:opacity-50 disabled:cursor-not-allowed';
+
+// 表单里数值字段保存为输入框字符串
+const toDraft = (tariff) => ({
+  ...tariff,
+  prices: Object.fromEntries(TARIFF_PERIODS.map(p => [p, String(tariff.prices[p])])),
+  demandCharge: String(tariff.demandCharge),
+  emissionFactor: String(tariff.emissionFactor),
+});
+
+const toNumber = (v) => (v === '' ? NaN : Number(v));
+
+const parseDraft = (draft) => ({
+  ...draft,
+  prices: Object.fromEntries(TARIFF_PERIODS.map(p => [p, toNumber(draft.prices[p])])),
+  demandCharge: toNumber(draft.demandCharge),
+  emissionFactor: toNumber(draft.emissionFactor),
+});
+
+const limitOf = (key) => (key.startsWith('prices.') ? TARIFF_LIMITS.price : TARIFF_LIMITS[key]);
+
+// --- 电价配置：分时电价、24 小时时段表、需量电价与电网排放因子 ---
+// denied: 无配置权限时的提示文字 (只读显示)
+const TariffPanel = ({ tariff, onSave, denied }) => {
+  const { t } = usePreferences();
+  const [draft, setDraft] = useState(() => toDraft(tariff));
+  // 时段表按 "画笔" 编辑：先选时段，再点击小时
+  const [brush, setBrush] = useState('peak');
+  const [saved, setSaved] = useState(false);
+  const parsed = useMemo(() => parseDraft(draft), [draft]);
+  const errors = useMemo(() => validateTariff(parsed), [parsed]);
+  const hasErrors = Object.keys(errors).length > 0;
+  const changed = JSON.stringify(parsed) !== JSON.stringify(tariff);
+  const locked = Boolean(denied);
+
+  const edit = (patch) => {
+    setSaved(false);
+    setDraft(prev => ({ ...prev, ...patch }));
+  };
+
+  const save = () => {
+    onSave(parsed);
+    setSaved(true);
+  };
+
+  const errorText = (key) => errors[key] && t(`tariff.errors.${errors[key]}`, limitOf(key) ?? {});
+
+  const numberField = (key, label, value, onChange) => (
+    <div key={key} className="space-y-2">
+      <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{label}</label>
+      <input
+        type="number"
+        step="any"
+        min={limitOf(key).min}
+        max={limitOf(key).max}
+        value={value}
+        disabled={locked}
+        title={denied ?? undefined}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} ${errors[key] ? 'border-red-500/60 text-red-400' : 'border-slate-800 text-blue-400'}`}
+      />
+      <div className="text-[11px] min-h-[1rem] text-red-400">{errorText(key)}</div>
+    </div>
+  );
+
+  return (
+    <div className="p-10 bg-slate-900/20 border border-slate-800 rounded-[3rem]">
+      <h3 className="text-lg font-black text-white flex items-center gap-3 mb-2"><Wallet className="text-blue-500" size={20} /> {t('tariff.title')}</h3>
+      <p className="text-xs text-slate-500 mb-8">{denied ?? t('tariff.hint')}</p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-8">
+        {TARIFF_PERIODS.map(p => numberField(
+          `prices.${p}`,
+          t('tariff.price', { period: t(`tariff.periods.${p}`), currency: draft.currency }),
+          draft.prices[p],
+          (v) => edit({ prices: { ...draft.prices, [p]: v } }),
+        ))}
+        <div className="space-y-2">
+          <label className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('tariff.currency')}</label>
+          <select
+            value={draft.currency}
+            disabled={locked}
+            onChange={(e) => edit({ currency: e.target.value })}
+            className={`${inputClass} border-slate-800 text-blue-400`}
+          >
+            {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-3 mb-8">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('tariff.schedule')}</div>
+          <div className="flex items-center gap-2">
+            {TARIFF_PERIODS.map(p => (
+              <button
+                key={p}
+                onClick={() => setBrush(p)}
+                disabled={locked}
+                className={`px-3 py-1 rounded-lg text-[11px] font-bold border disabled:opacity-40 ${brush === p ? 'border-white/60 text-white' : 'border-transparent text-slate-500 hover:text-slate-300'}`}
+              >
+                <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: TARIFF_PERIOD_COLORS[p] }} />
+                {t(`tariff.periods.${p}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="grid gap-1" style={{ gridTemplateColumns: 'repeat(24, minmax(0, 1fr))' }}>
+          {draft.schedule.map((period, hour) => (
+            <button
+              key={hour}
+              onClick={() => edit({ schedule: draft.schedule.map((p, h) => (h === hour ? brush : p)) })}
+              disabled={locked}
+              title={`${hour}:00–${hour + 1}:00 · ${t(`tariff.periods.${period}`)}`}
+              className="h-10 rounded-md text-[9px] font-mono font-bold text-slate-950 disabled:cursor-not-allowed"
+              style={{ backgroundColor: TARIFF_PERIOD_COLORS[period] }}
+            >
+              {hour}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          <input type="checkbox" checked={draft.weekendOffPeak} disabled={locked} onChange={(e) => edit({ weekendOffPeak: e.target.checked })} />
+          {t('tariff.weekendOffPeak')}
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        {numberField('demandCharge', t('tariff.demandCharge', { currency: draft.currency }), draft.demandCharge, (v) => edit({ demandCharge: v }))}
+        {numberField('emissionFactor', t('tariff.emissionFactor'), draft.emissionFactor, (v) => edit({ emissionFactor: v }))}
+      </div>
+
+      {saved && !changed && (
+        <div className="mb-6 p-4 rounded-2xl border text-xs bg-green-500/10 border-green-500/30 text-green-300 flex items-center gap-2">
+          <CheckCircle2 size={14} /> {t('tariff.saved')}
+        </div>
+      )}
+
+      <div className="flex gap-4">
+        <button
+          onClick={() => edit(toDraft(tariff))}
+          disabled={!changed || locked}
+          className="px-8 py-5 bg-slate-800 hover:bg-slate-700 rounded-2xl text-xs font-black uppercase tracking-widest disabled:opacity-40 flex items-center gap-2"
+        >
+          <RotateCcw size={16} /> {t('control.discard')}
+        </button>
+        <button
+          onClick={save}
+          disabled={!changed || locked || hasErrors}
+          className="flex-1 py-5 bg-blue-600 hover:bg-blue-500 text-white rounded-2xl font-black uppercase tracking-widest text-xs transition-all shadow-xl shadow-blue-500/20 flex items-center justify-center gap-2 disabled:opacity-40"
+        >
+          <Save size={18} /> {t('tariff.save')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TariffPanel;
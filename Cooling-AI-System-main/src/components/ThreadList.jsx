@@ -0,0 +1,94 @@
+import React, { useMemo, useState } from 'react';
+import { Plus, Search, Pencil, Trash2, Download, X, Check } from 'lucide-react';
+import { searchThreads } from '../lib/threads';
+import { usePreferences } from '../hooks/usePreferences';
+
+const formatDate = (ts, locale) => new Date(ts).toLocaleString(locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+// 对话线程列表：新建、搜索、重命名、删除与导出
+const ThreadList = ({ threads, activeId, siteName, onSelect, onCreate, onRename, onRemove, onExport }) => {
+  const { t } = usePreferences();
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const sorted = useMemo(() => [...threads].sort((a, b) => b.updatedAt - a.updatedAt), [threads]);
+  const results = useMemo(() => (query.trim() ? searchThreads(threads, query) : null), [threads, query]);
+
+  const commitRename = () => {
+    onRename(editing.id, editing.title);
+    setEditing(null);
+  };
+
+  const remove = (thread) => {
+    if (window.confirm(t('threads.confirmDelete', { title: thread.title || t('threads.untitled') }))) onRemove(thread.id);
+  };
+
+  const renderThread = (thread, hits) => {
+    const active = thread.id === activeId;
+    const questions = thread.messages.filter(m => m.role === 'user').length;
+    if (editing?.id === thread.id) {
+      return (
+        <div key={thread.id} className="flex items-center gap-1 p-2 rounded-xl bg-slate-800/60">
+          <input
+            autoFocus
+            value={editing.title}
+            onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitRename();
+              if (e.key === 'Escape') setEditing(null);
+            }}
+            className="flex-1 min-w-0 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:border-blue-500/50"
+          />
+          <button onClick={commitRename} title={t('common.save')} className="p-1 text-slate-400 hover:text-white"><Check size={14} /></button>
+          <button onClick={() => setEditing(null)} title={t('common.cancel')} className="p-1 text-slate-400 hover:text-white"><X size={14} /></button>
+        </div>
+      );
+    }
+    return (
+      <div
+        key={thread.id}
+        onClick={() => onSelect(thread.id)}
+        className={`group p-3 rounded-xl cursor-pointer transition-colors ${active ? 'bg-blue-600/20 border border-blue-500/30' : 'border border-transparent hover:bg-slate-800/40'}`}
+      >
+        <div className="flex items-center gap-2">
+          <div className={`flex-1 min-w-0 truncate text-xs font-bold ${active ? 'text-white' : 'text-slate-300'}`}>{thread.title || t('threads.untitled')}</div>
+          <div className="hidden group-hover:flex items-center gap-0.5" onClick={(e) => e.stopPropagation()}>
+            <button onClick={() => setEditing({ id: thread.id, title: thread.title })} title={t('threads.rename')} className="p-1 text-slate-500 hover:text-slate-200"><Pencil size={12} /></button>
+            <button onClick={() => onExport(thread)} title={t('threads.exportMarkdown')} className="p-1 text-slate-500 hover:text-slate-200"><Download size={12} /></button>
+            <button onClick={() => remove(thread)} title={t('common.delete')} className="p-1 text-slate-500 hover:text-red-400"><Trash2 size={12} /></button>
+          </div>
+        </div>
+        <div className="mt-1 text-[10px] text-slate-500">{siteName(thread.siteId)} · {t('threads.questions', { count: questions })} · {formatDate(thread.updatedAt, t.locale)}</div>
+        {hits?.map(h => (
+          <div key={h.index} className="mt-1.5 text-[10px] text-slate-400 leading-snug">
+            <span className="text-slate-600">{t(h.role === 'user' ? 'threads.hitQuestion' : 'threads.hitAnswer')}</span>
+            {h.before}<mark className="bg-amber-500/30 text-amber-200 rounded px-0.5">{h.match}</mark>{h.after}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="w-72 flex-shrink-0 bg-slate-900/20 border border-slate-800 rounded-[2.5rem] overflow-hidden flex flex-col">
+      <div className="p-4 space-y-3 border-b border-slate-800">
+        <button onClick={onCreate} className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl bg-blue-600 hover:bg-blue-500 text-xs font-bold text-white">
+          <Plus size={14} /> {t('threads.new')}
+        </button>
+        <label className="flex items-center gap-2 px-3 py-2 rounded-xl bg-slate-950 border border-slate-800 focus-within:border-blue-500/50">
+          <Search size={14} className="text-slate-500" />
+          <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder={t('threads.search')} className="flex-1 min-w-0 bg-transparent text-xs focus:outline-none" />
+          {query && <button onClick={() => setQuery('')} className="text-slate-500 hover:text-slate-300"><X size={12} /></button>}
+        </label>
+      </div>
+      <div className="flex-1 overflow-y-auto p-3 space-y-1 custom-scrollbar">
+        {results
+          ? (results.length === 0
+            ? <div className="p-3 text-xs text-slate-500">{t('threads.noMatch')}</div>
+            : results.map(r => renderThread(r.thread, r.hits)))
+          : sorted.map(thread => renderThread(thread))}
+      </div>
+    </div>
+  );
+};
+
+export default ThreadList;
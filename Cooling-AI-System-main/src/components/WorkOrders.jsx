@@ -0,0 +1,297 @@
+import React, { useState } from 'react';
+import { ClipboardList, Plus, X, Link2, Play, CheckCircle2, RotateCcw, Send } from 'lucide-react';
+import { usePreferences } from '../hooks/usePreferences';
+import { WORK_ORDER_STATUSES, assetName, isOpenOrder, workOrderTitle, formatOrderNumber, linkLabel } from '../lib/maintenance';
+
+const STATUS_STYLES = {
+  open: 'bg-amber-500/10 border-amber-500/30 text-amber-400',
+  inProgress: 'bg-blue-500/10 border-blue-500/30 text-blue-400',
+  closed: 'bg-slate-800 border-slate-700 text-slate-500',
+};
+
+const formatTime = (ts, locale) => new Date(ts).toLocaleString(locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+const sameLink = (a, b) => a.type === b.type && a.id === b.id && a.at === b.at;
+const linkKey = (link) => `${link.type}:${link.id}:${link.at}`;
+
+// 未关闭的排在前面，其余按最近更新
+const sortOrders = (orders) => [...orders].sort((a, b) => Number(isOpenOrder(b)) - Number(isOpenOrder(a)) || b.updatedAt - a.updatedAt);
+
+const emptyDraft = () => ({ title: '', assetId: '', assignee: '', note: '', links: [] });
+
+const StatusBadge = ({ status }) => {
+  const { t } = usePreferences();
+  return <span className={`text-[10px] px-2 py-0.5 rounded border font-bold whitespace-nowrap ${STATUS_STYLES[status]}`}>{t(`maintenance.statuses.${status}`)}</span>;
+};
+
+const LogEntry = ({ entry }) => {
+  const { t } = usePreferences();
+  const event = entry.link && linkLabel(entry.link, t);
+  return (
+    <li className="relative pl-5">
+      <span className="absolute left-0 top-1.5 w-2 h-2 rounded-full bg-slate-600" />
+      <div className="text-[10px] text-slate-500 font-mono">{formatTime(entry.ts, t.locale)} · {entry.user ?? t('maintenance.system')}</div>
+      <div className="text-xs text-slate-300 mt-0.5">{t(`maintenance.events.${entry.type}`, { assignee: entry.assignee, event })}</div>
+      {entry.text && <div className="text-xs text-slate-400 mt-1 whitespace-pre-wrap">{entry.text}</div>}
+    </li>
+  );
+};
+
+// --- 工单：列表与筛选、新建表单、详情 (指派、备注、关联事件、状态流转与日志) ---
+// onCreate(fields) 新建纠正性工单；onAction(id, action) 见 applyWorkOrderAction
+const WorkOrders = ({ orders, assets, events, focus, deny, onCreate, onAction }) => {
+  const { t } = usePreferences();
+  const manageDenied = deny('maintenance.manage');
+  const [filter, setFilter] = useState('active');
+  const [draft, setDraft] = useState(focus?.draft ? { ...emptyDraft(), ...focus.draft } : null);
+  const [selectedId, setSelectedId] = useState(focus?.orderId ?? null);
+  const [assignee, setAssignee] = useState('');
+  const [note, setNote] = useState('');
+
+  const nameOf = (assetId) => {
+    const asset = assets.find(a => a.id === assetId);
+    return asset ? assetName(asset, t) : assetId ?? '--';
+  };
+  const eventText = (link) => `${linkLabel(link, t)} · ${formatTime(link.at, t.locale)}`;
+
+  const counts = Object.fromEntries(WORK_ORDER_STATUSES.map(s => [s, orders.filter(o => o.status === s).length]));
+  const filters = ['active', ...WORK_ORDER_STATUSES, 'all'];
+  const visible = sortOrders(orders.filter(o => filter === 'all' || (filter === 'active' ? isOpenOrder(o) : o.status === filter)));
+  const selected = orders.find(o => o.id === selectedId) ?? null;
+  const linkable = selected ? events.filter(e => !selected.links.some(l => sameLink(l, e))) : [];
+
+  const select = (id) => {
+    setSelectedId(id);
+    setAssignee('');
+    setNote('');
+  };
+
+  const toggleDraftLink = (link) => setDraft(prev => ({
+    ...prev,
+    links: prev.links.some(l => sameLink(l, link)) ? prev.links.filter(l => !sameLink(l, link)) : [...prev.links, link],
+  }));
+
+  const submit = () => {
+    if (!draft.title.trim()) return;
+    onCreate({ title: draft.title.trim(), assetId: draft.assetId || null, assignee: draft.assignee.trim(), note: draft.note.trim(), links: draft.links });
+    setDraft(null);
+  };
+
+  const act = (action) => onAction(selected.id, action);
+
+  const addNote = () => {
+    if (!note.trim()) return;
+    act({ type: 'note', text: note.trim() });
+    setNote('');
+  };
+
+  // 关闭时把输入框中的备注作为处理结果一并记录
+  const close = () => {
+    act({ type: 'close', text: note.trim() });
+    setNote('');
+  };
+
+  const assign = () => {
+    if (!assignee.trim()) return;
+    act({ type: 'assign', assignee: assignee.trim() });
+    setAssignee('');
+  };
+
+  // 表单中可勾选的事件：当前未关闭的事件，加上预填但已恢复的事件
+  const draftEvents = draft ? [...events, ...draft.links.filter(l => !events.some(e => sameLink(e, l)))] : [];
+
+  const inputClass = 'w-full bg-slate-950 border border-slate-800 rounded-xl px-4 py-2.5 text-xs focus:outline-none focus:border-blue-500/50 disabled:opacity-40';
+  const actionClass = 'px-4 py-2 rounded-xl text-[11px] font-bold flex items-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+      <div className="xl:col-span-2 bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <h3 className="text-xl font-bold text-white flex items-center gap-3"><ClipboardList size={24} className="text-blue-500" /> {t('maintenance.ordersTitle')}</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            {filters.map(f => (
+              <button
+                key={f}
+                onClick={() => setFilter(f)}
+                className={`px-3 py-1.5 rounded-lg text-[11px] font-bold ${filter === f ? 'bg-blue-600 text-white' : 'bg-slate-800 text-slate-400 hover:text-slate-200'}`}
+              >
+                {t(`maintenance.filters.${f}`)}{counts[f] !== undefined ? ` ${counts[f]}` : ''}
+              </button>
+            ))}
+            <button
+              onClick={() => setDraft(emptyDraft())}
+              disabled={Boolean(manageDenied)}
+              title={manageDenied ?? undefined}
+              className={`${actionClass} bg-blue-600 hover:bg-blue-500 text-white`}
+            >
+              <Plus size={14} /> {t('maintenance.newOrder')}
+            </button>
+          </div>
+        </div>
+
+        {draft && (
+          <div className="p-6 rounded-2xl border border-blue-500/30 bg-blue-500/5 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="md:col-span-3 space-y-1">
+                <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.title')}</span>
+                <input value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} placeholder={t('maintenance.form.titlePlaceholder')} className={inputClass} />
+              </label>
+              <label className="space-y-1">
+                <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.asset')}</span>
+                <select value={draft.assetId} onChange={(e) => setDraft({ ...draft, assetId: e.target.value })} className={inputClass}>
+                  <option value="">{t('maintenance.form.noAsset')}</option>
+                  {assets.map(a => <option key={a.id} value={a.id}>{assetName(a, t)}</option>)}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.assignee')}</span>
+                <input value={draft.assignee} onChange={(e) => setDraft({ ...draft, assignee: e.target.value })} className={inputClass} />
+              </label>
+              <label className="md:col-span-3 space-y-1">
+                <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.note')}</span>
+                <textarea rows={2} value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} className={`${inputClass} resize-none`} />
+              </label>
+            </div>
+            <div className="space-y-2">
+              <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.links')}</div>
+              {draftEvents.length === 0 ? <div className="text-xs text-slate-600">{t('maintenance.noEvents')}</div> : draftEvents.map(e => (
+                <label key={linkKey(e)} className="flex items-center gap-2 text-xs text-slate-300">
+                  <input type="checkbox" checked={draft.links.some(l => sameLink(l, e))} onChange={() => toggleDraftLink(e)} />
+                  <span className="text-[10px] text-slate-500">{t(`maintenance.linkTypes.${e.type}`)}</span> {eventText(e)}
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end gap-3">
+              <button onClick={() => setDraft(null)} className={`${actionClass} bg-slate-800 hover:bg-slate-700 text-slate-300`}>{t('common.cancel')}</button>
+              <button onClick={submit} disabled={Boolean(manageDenied) || !draft.title.trim()} title={manageDenied ?? undefined} className={`${actionClass} bg-blue-600 hover:bg-blue-500 text-white`}>
+                <Plus size={14} /> {t('maintenance.form.submit')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="overflow-x-auto custom-scrollbar">
+          <table className="w-full text-xs text-left">
+            <thead className="text-[10px] text-slate-500 uppercase tracking-widest">
+              <tr>
+                <th className="py-3 pr-4">{t('maintenance.columns.number')}</th>
+                <th className="py-3 pr-4">{t('maintenance.columns.title')}</th>
+                <th className="py-3 pr-4">{t('maintenance.columns.asset')}</th>
+                <th className="py-3 pr-4">{t('maintenance.columns.status')}</th>
+                <th className="py-3 pr-4">{t('maintenance.columns.assignee')}</th>
+                <th className="py-3 text-right">{t('maintenance.columns.updated')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/50 text-slate-300">
+              {visible.map(o => (
+                <tr key={o.id} onClick={() => select(o.id)} className={`cursor-pointer hover:bg-slate-800/30 ${o.id === selectedId ? 'bg-blue-500/10' : ''}`}>
+                  <td className="py-3 pr-4 font-mono text-slate-400">{formatOrderNumber(o)}</td>
+                  <td className="py-3 pr-4">
+                    <div className="flex items-center gap-2 font-bold text-white">
+                      {workOrderTitle(o, t)}
+                      {o.links.length > 0 && <span className="flex items-center gap-0.5 text-[10px] text-slate-500"><Link2 size={12} />{o.links.length}</span>}
+                    </div>
+                    <div className="text-[10px] text-slate-500 mt-0.5">{t(`maintenance.kinds.${o.kind}`)}</div>
+                  </td>
+                  <td className="py-3 pr-4 text-slate-400">{o.assetId ? nameOf(o.assetId) : '--'}</td>
+                  <td className="py-3 pr-4"><StatusBadge status={o.status} /></td>
+                  <td className="py-3 pr-4 text-slate-400">{o.assignee || t('maintenance.unassigned')}</td>
+                  <td className="py-3 text-right font-mono text-slate-500">{formatTime(o.updatedAt, t.locale)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visible.length === 0 && <div className="text-sm text-slate-600 py-6">{t('maintenance.noOrders')}</div>}
+        </div>
+      </div>
+
+      <div className="bg-slate-900/20 border border-slate-800 rounded-[2.5rem] p-8 h-fit">
+        {!selected ? (
+          <div className="text-sm text-slate-600">{t('maintenance.selectHint')}</div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <div className="text-[10px] font-mono text-slate-500">{formatOrderNumber(selected)} · {t(`maintenance.kinds.${selected.kind}`)}</div>
+                <h4 className="text-lg font-bold text-white mt-1">{workOrderTitle(selected, t)}</h4>
+                <div className="text-[11px] text-slate-500 mt-1">{selected.assetId ? nameOf(selected.assetId) : t('maintenance.form.noAsset')}</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <StatusBadge status={selected.status} />
+                <button onClick={() => select(null)} title={t('common.close')} className="p-1 text-slate-500 hover:text-white"><X size={16} /></button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.assignee')}</div>
+              <div className="text-xs text-slate-300">{selected.assignee || t('maintenance.unassigned')}</div>
+              {isOpenOrder(selected) && (
+                <div className="flex gap-2">
+                  <input value={assignee} onChange={(e) => setAssignee(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && assign()} disabled={Boolean(manageDenied)} placeholder={t('maintenance.assignPlaceholder')} className={inputClass} />
+                  <button onClick={assign} disabled={Boolean(manageDenied) || !assignee.trim()} title={manageDenied ?? undefined} className={`${actionClass} bg-slate-800 hover:bg-slate-700 text-slate-200 whitespace-nowrap`}>{t('maintenance.assign')}</button>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.form.links')}</div>
+              {selected.links.length === 0 && <div className="text-xs text-slate-600">{t('maintenance.noLinks')}</div>}
+              {selected.links.map(l => (
+                <div key={linkKey(l)} className="flex items-center gap-2 text-xs text-slate-300">
+                  <Link2 size={12} className="text-slate-500" />
+                  <span className="flex-1">{eventText(l)}</span>
+                  <span className={`text-[10px] ${events.some(e => sameLink(e, l)) ? 'text-amber-400' : 'text-slate-600'}`}>{t(events.some(e => sameLink(e, l)) ? 'maintenance.eventOpen' : 'maintenance.eventResolved')}</span>
+                  <button onClick={() => act({ type: 'unlink', link: l })} disabled={Boolean(manageDenied)} title={manageDenied ?? t('maintenance.unlink')} className="p-1 text-slate-500 hover:text-red-400 disabled:opacity-30"><X size={12} /></button>
+                </div>
+              ))}
+              {linkable.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => act({ type: 'link', link: linkable.find(l => linkKey(l) === e.target.value) })}
+                  disabled={Boolean(manageDenied)}
+                  title={manageDenied ?? undefined}
+                  className={inputClass}
+                >
+                  <option value="">{t('maintenance.addLink')}</option>
+                  {linkable.map(l => <option key={linkKey(l)} value={linkKey(l)}>{eventText(l)}</option>)}
+                </select>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <textarea rows={2} value={note} onChange={(e) => setNote(e.target.value)} disabled={Boolean(manageDenied)} placeholder={t('maintenance.notePlaceholder')} className={`${inputClass} resize-none`} />
+              <div className="flex flex-wrap gap-2">
+                <button onClick={addNote} disabled={Boolean(manageDenied) || !note.trim()} title={manageDenied ?? undefined} className={`${actionClass} bg-slate-800 hover:bg-slate-700 text-slate-200`}>
+                  <Send size={14} /> {t('maintenance.addNote')}
+                </button>
+                {selected.status === 'open' && (
+                  <button onClick={() => act({ type: 'start' })} disabled={Boolean(manageDenied)} title={manageDenied ?? undefined} className={`${actionClass} bg-blue-600 hover:bg-blue-500 text-white`}>
+                    <Play size={14} /> {t('maintenance.start')}
+                  </button>
+                )}
+                {isOpenOrder(selected) ? (
+                  <button onClick={close} disabled={Boolean(manageDenied)} title={manageDenied ?? (selected.kind === 'preventive' ? t('maintenance.closePreventiveHint') : undefined)} className={`${actionClass} bg-teal-600 hover:bg-teal-500 text-white`}>
+                    <CheckCircle2 size={14} /> {t('maintenance.close')}
+                  </button>
+                ) : (
+                  <button onClick={() => act({ type: 'reopen' })} disabled={Boolean(manageDenied)} title={manageDenied ?? undefined} className={`${actionClass} bg-slate-800 hover:bg-slate-700 text-slate-200`}>
+                    <RotateCcw size={14} /> {t('maintenance.reopen')}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest">{t('maintenance.log')}</div>
+              <ul className="space-y-3 border-l border-slate-800 ml-1 pl-0">
+                {[...selected.log].reverse().map((entry, i) => <LogEntry key={`${entry.ts}-${i}`} entry={entry} />)}
+              </ul>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkOrders;
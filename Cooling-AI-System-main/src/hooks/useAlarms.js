@@ -0,0 +1,35 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { buildAlarmRules, createAlarmState, evaluateAlarms, acknowledgeAlarm, acknowledgeAll, summarizeHealth } from '../lib/alarms';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const ALARM_SCAN_MS = 1000;
+const HISTORY_KEY = 'alarm-history';
+
+// 按固定周期扫描最新实时数据 (延时计时不依赖数据是否刷新)，告警历史持久化到本地
+export const useAlarms = (realtimeData, limits) => {
+  const [alarms, setAlarms] = useState(() => createAlarmState(loadJSON(HISTORY_KEY, [])));
+  const rules = useMemo(() => buildAlarmRules(limits), [limits]);
+  const dataRef = useRef(realtimeData);
+
+  useEffect(() => {
+    dataRef.current = realtimeData;
+  }, [realtimeData]);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setAlarms(prev => evaluateAlarms(prev, rules, dataRef.current, Date.now()));
+    }, ALARM_SCAN_MS);
+    return () => clearInterval(timer);
+  }, [rules]);
+
+  useEffect(() => {
+    saveJSON(HISTORY_KEY, alarms.history);
+  }, [alarms.history]);
+
+  const acknowledge = useCallback((ruleId) => setAlarms(prev => acknowledgeAlarm(prev, rules, ruleId, Date.now())), [rules]);
+  const acknowledgeEvery = useCallback(() => setAlarms(prev => acknowledgeAll(prev, rules, Date.now())), [rules]);
+  const clearHistory = useCallback(() => setAlarms(prev => ({ ...prev, history: [] })), []);
+  const health = useMemo(() => summarizeHealth(alarms, rules), [alarms, rules]);
+
+  return { alarms, rules, health, acknowledge, acknowledgeAll: acknowledgeEvery, clearHistory };
+};
@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback } from 'react';
+import { authenticate, isSetupRequired, setupAdmin, createSession, isSessionValid, sessionDeadline, loadSession, saveSession, can, denyReason } from '../lib/auth';
+import { usePreferences } from './usePreferences';
+
+// 到期检查间隔与活动续期的最小间隔
+const CHECK_INTERVAL_MS = 15000;
+const TOUCH_INTERVAL_MS = 60000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown'];
+
+const initialState = () => {
+  const session = loadSession();
+  return isSessionValid(session, Date.now()) ? { session, expired: false } : { session: null, expired: Boolean(session) };
+};
+
+/**
+ * 登录会话：会话保存在本地，刷新后保留；到达有效期或长时间无操作后退出并提示重新登录。
+ * token 为认证服务签发的令牌 (本地登录为 null)，请求网关与 AI 代理时携带。
+ * 还没有任何用户时 setupRequired 为 true，由 setup({ username, password, name, setupToken }) 创建第一个工程师账号并登录。
+ * 返回 { user, token, expired, deadline, setupRequired, login, setup, logout, can(permission), reason(permission) }
+ */
+export const useAuth = () => {
+  const { t } = usePreferences();
+  const [{ session, expired }, setState] = useState(initialState);
+  const [setupRequired, setSetupRequired] = useState(false);
+
+  // 未登录时查询是否需要初始化；认证服务不可用时照常显示登录表单，登录时再提示
+  useEffect(() => {
+    if (session) return;
+    let cancelled = false;
+    isSetupRequired().then(
+      (required) => { if (!cancelled) setSetupRequired(required); },
+      () => { if (!cancelled) setSetupRequired(false); },
+    );
+    return () => { cancelled = true; };
+  }, [session]);
+
+  useEffect(() => {
+    saveSession(session);
+  }, [session]);
+
+  useEffect(() => {
+    if (!session) return;
+    const timer = setInterval(() => {
+      if (!isSessionValid(session, Date.now())) setState({ session: null, expired: true });
+    }, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [session]);
+
+  // 用户操作时续期无操作超时 (至多每分钟一次)
+  useEffect(() => {
+    if (!session) return;
+    const touch = () => {
+      const now = Date.now();
+      if (now - session.lastActive < TOUCH_INTERVAL_MS) return;
+      setState(prev => (prev.session && isSessionValid(prev.session, now)
+        ? { ...prev, session: { ...prev.session, lastActive: now } }
+        : { session: null, expired: true }));
+    };
+    ACTIVITY_EVENTS.forEach(e => window.addEventListener(e, touch));
+    return () => ACTIVITY_EVENTS.forEach(e => window.removeEventListener(e, touch));
+  }, [session]);
+
+  const login = useCallback(async (username, password) => {
+    const result = await authenticate(username, password);
+    setState({ session: createSession(result, Date.now()), expired: false });
+  }, []);
+
+  const setup = useCallback(async (fields) => {
+    const result = await setupAdmin(fields);
+    setSetupRequired(false);
+    setState({ session: createSession(result, Date.now()), expired: false });
+  }, []);
+
+  const logout = useCallback(() => setState({ session: null, expired: false }), []);
+
+  const role = session?.user.role;
+  return {
+    user: session?.user ?? null,
+    token: session?.token ?? null,
+    expired,
+    deadline: session ? sessionDeadline(session) : null,
+    setupRequired,
+    login,
+    setup,
+    logout,
+    can: (permission) => can(role, permission),
+    reason: (permission) => denyReason(role, permission, t),
+  };
+};
@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react';
+import { defaultLayout, createWidget, moveWidget, nextSize } from '../lib/dashboard';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const LAYOUTS_KEY = 'dashboard-layouts';
+
+/**
+ * 看板布局，按登录用户名分别保存 { [username]: widgets }；没有保存过的用户使用默认布局。
+ * 返回 { widgets, customized, add, remove, move, resize, update, replace, reset }
+ */
+export const useDashboardLayout = (username) => {
+  const [layouts, setLayouts] = useState(() => loadJSON(LAYOUTS_KEY, {}));
+  const [defaults] = useState(defaultLayout);
+
+  useEffect(() => {
+    saveJSON(LAYOUTS_KEY, layouts);
+  }, [layouts]);
+
+  const widgets = layouts[username] ?? defaults;
+
+  const edit = useCallback((fn) => setLayouts(prev => ({ ...prev, [username]: fn(prev[username] ?? defaults) })), [username, defaults]);
+
+  const add = useCallback((type) => edit(list => [...list, createWidget(type)]), [edit]);
+  const remove = useCallback((id) => edit(list => list.filter(w => w.id !== id)), [edit]);
+  const move = useCallback((id, offset) => edit(list => moveWidget(list, id, offset)), [edit]);
+  const resize = useCallback((id) => edit(list => list.map(w => (w.id === id ? { ...w, size: nextSize(w.size) } : w))), [edit]);
+  const update = useCallback((id, patch) => edit(list => list.map(w => (w.id === id ? { ...w, ...patch } : w))), [edit]);
+  const replace = useCallback((list) => edit(() => list), [edit]);
+
+  // 恢复默认即删除该用户保存的布局
+  const reset = useCallback(() => setLayouts(prev => {
+    const next = { ...prev };
+    delete next[username];
+    return next;
+  }), [username]);
+
+  return { widgets, customized: Boolean(layouts[username]), add, remove, move, resize, update, replace, reset };
+};
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { runDiagnostics, FDD_WINDOWS } from '../lib/fdd';
+import { RAW_INTERVAL_MS } from '../lib/timeseries';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const OPEN_KEY = 'fdd-open';
+const RUN_INTERVAL_MS = 5 * 60000;
+const NO_DIAGNOSES = [];
+
+// 各站点未关闭故障的首次诊断时间 { [siteId]: { [ruleId]: ts } }；规则恢复正常即关闭
+const trackOpen = (open, siteId, diagnoses, now) => {
+  const prev = open[siteId] ?? {};
+  const next = Object.fromEntries(diagnoses.filter(d => d.status === 'fault').map(d => [d.ruleId, prev[d.ruleId] ?? now]));
+  return { ...open, [siteId]: next };
+};
+
+/**
+ * 在时序库上定时运行诊断规则。
+ * series 为 useTimeSeries 的返回值：逐时规则用其 hourly (最近 14 天)，启停规则另查最近 FDD_WINDOWS.rawHours 小时的原始采样。
+ * 返回 { diagnoses, openSince, evaluatedAt }，openSince 为当前站点各故障的首次诊断时间。
+ */
+export const useDiagnostics = (series, site) => {
+  const [result, setResult] = useState({ siteId: null, diagnoses: NO_DIAGNOSES, evaluatedAt: null });
+  const [open, setOpen] = useState(() => loadJSON(OPEN_KEY, {}));
+  const { store, hourly } = series;
+
+  useEffect(() => {
+    saveJSON(OPEN_KEY, open);
+  }, [open]);
+
+  useEffect(() => {
+    if (!store) return;
+    let cancelled = false;
+    const run = async () => {
+      const now = Date.now();
+      const from = now - FDD_WINDOWS.rawHours * 3600000;
+      const { points } = await store.query({ from, to: now, maxPoints: Math.ceil((now - from) / RAW_INTERVAL_MS) });
+      if (cancelled) return;
+      const raw = points.map(p => ({ ts: p.ts, ...p.avg }));
+      const diagnoses = runDiagnostics({ hourly, raw, units: site.units, now });
+      setResult({ siteId: site.id, diagnoses, evaluatedAt: now });
+      setOpen(prev => trackOpen(prev, site.id, diagnoses, now));
+    };
+    const tick = () => run().catch(err => console.warn('故障诊断失败:', err));
+    tick();
+    const timer = setInterval(tick, RUN_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [store, hourly, site]);
+
+  const current = result.siteId === site.id;
+  return {
+    diagnoses: current ? result.diagnoses : NO_DIAGNOSES,
+    evaluatedAt: current ? result.evaluatedAt : null,
+    openSince: open[site.id] ?? {},
+  };
+};
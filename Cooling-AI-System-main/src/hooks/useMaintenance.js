@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import {
+  siteAssets, accumulateRuntime, raisePreventiveOrders, createWorkOrder, applyWorkOrderAction, completeService, calibrateRuntime,
+  emptyRuntime, isOpenOrder,
+} from '../lib/maintenance';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const RUNTIME_KEY = 'maintenance-runtime';
+const ORDERS_KEY = 'work-orders';
+const SCAN_MS = 10000;
+// 已关闭工单保留条数 (未关闭的全部保留)
+const CLOSED_LIMIT = 200;
+
+const trimOrders = (orders) => {
+  const closed = orders.filter(o => !isOpenOrder(o)).sort((a, b) => b.closedAt - a.closedAt).slice(0, CLOSED_LIMIT);
+  return orders.filter(o => isOpenOrder(o) || closed.includes(o));
+};
+
+/**
+ * 设备运行时间与维保工单。
+ * 定时检查实时数据，只有数据刷新过才累计 (数据中断期间不计运行时间)，并为到期的保养项目生成预防性工单。
+ * 运行计数按站点保存 { [siteId]: { assets, services } }，工单所有站点共用一个列表，按站点筛选。
+ * user 为当前登录用户名，记入工单日志。
+ */
+export const useMaintenance = (site, realtimeData, user) => {
+  const [state, setState] = useState(() => ({ runtime: loadJSON(RUNTIME_KEY, {}), orders: loadJSON(ORDERS_KEY, []) }));
+  const dataRef = useRef(realtimeData);
+  const scannedRef = useRef(null);
+
+  useEffect(() => {
+    dataRef.current = realtimeData;
+  }, [realtimeData]);
+
+  useEffect(() => {
+    saveJSON(RUNTIME_KEY, state.runtime);
+  }, [state.runtime]);
+
+  useEffect(() => {
+    saveJSON(ORDERS_KEY, state.orders);
+  }, [state.orders]);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const snapshot = dataRef.current;
+      if (snapshot === scannedRef.current) return;
+      scannedRef.current = snapshot;
+      const now = Date.now();
+      const assets = siteAssets(site, snapshot);
+      setState(prev => {
+        const current = prev.runtime[site.id] ?? emptyRuntime();
+        const siteRuntime = { ...current, assets: accumulateRuntime(current.assets, assets, snapshot, now) };
+        return {
+          runtime: { ...prev.runtime, [site.id]: siteRuntime },
+          orders: raisePreventiveOrders(prev.orders, site.id, assets, siteRuntime, now),
+        };
+      });
+    }, SCAN_MS);
+    return () => clearInterval(timer);
+  }, [site]);
+
+  const create = useCallback((fields) => setState(prev => ({
+    ...prev,
+    orders: trimOrders(createWorkOrder(prev.orders, { ...fields, siteId: site.id }, user, Date.now())),
+  })), [site.id, user]);
+
+  // 关闭预防性工单即完成一次保养，该项目从当前计数重新开始计周期
+  const act = useCallback((id, action) => setState(prev => {
+    const now = Date.now();
+    const order = prev.orders.find(o => o.id === id);
+    if (!order) return prev;
+    const updated = applyWorkOrderAction(order, action, user, now);
+    let { runtime } = prev;
+    if (action.type === 'close' && order.kind === 'preventive' && runtime[order.siteId]) {
+      runtime = { ...runtime, [order.siteId]: completeService(runtime[order.siteId], order.assetId, order.planId, now) };
+    }
+    return { runtime, orders: trimOrders(prev.orders.map(o => (o.id === id ? updated : o))) };
+  }), [user]);
+
+  const calibrate = useCallback((asset, values) => setState(prev => ({
+    ...prev,
+    runtime: { ...prev.runtime, [site.id]: calibrateRuntime(prev.runtime[site.id] ?? emptyRuntime(), asset, values, Date.now()) },
+  })), [site.id]);
+
+  const assets = useMemo(() => siteAssets(site, realtimeData), [site, realtimeData]);
+  const orders = useMemo(() => state.orders.filter(o => o.siteId === site.id), [state.orders, site.id]);
+
+  return {
+    assets,
+    runtime: state.runtime[site.id] ?? emptyRuntime(),
+    orders,
+    create,
+    act,
+    calibrate,
+  };
+};
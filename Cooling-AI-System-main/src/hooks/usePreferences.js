@@ -0,0 +1,39 @@
+import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { LOCALES, createTranslator, detectLocale } from '../lib/i18n';
+import { UNIT_SYSTEMS, createUnits } from '../lib/units';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const PREFERENCES_KEY = 'preferences';
+
+export const PreferencesContext = createContext(null);
+
+const initialPreferences = () => {
+  const saved = loadJSON(PREFERENCES_KEY, {});
+  return {
+    locale: LOCALES[saved.locale] ? saved.locale : detectLocale(),
+    units: { ...UNIT_SYSTEMS.metric, ...saved.units },
+  };
+};
+
+// 语言与单位偏好的状态，由 PreferencesProvider 提供给整个应用
+export const usePreferencesState = () => {
+  const [prefs, setPrefs] = useState(initialPreferences);
+
+  useEffect(() => {
+    saveJSON(PREFERENCES_KEY, prefs);
+    document.documentElement.lang = prefs.locale;
+  }, [prefs]);
+
+  return useMemo(() => ({
+    locale: prefs.locale,
+    t: createTranslator(prefs.locale),
+    unitSystem: createUnits(prefs.units),
+    setLocale: (locale) => setPrefs(prev => ({ ...prev, locale })),
+    setUnits: (patch) => setPrefs(prev => ({ ...prev, units: { ...prev.units, ...patch } })),
+  }), [prefs]);
+};
+
+/**
+ * 当前语言与单位：{ locale, t(key, params), unitSystem (见 createUnits), setLocale, setUnits }
+ */
+export const usePreferences = () => useContext(PreferencesContext);
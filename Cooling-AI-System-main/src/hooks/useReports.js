@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  buildReport, dueReports, narrativePrompt, narrativeSystem, templateNarrative, reportId,
+  DEFAULT_REPORT_SCHEDULE,
+} from '../lib/reports';
+import { loadJSON, saveJSON } from '../lib/storage';
+import { errorText } from '../lib/i18n';
+import { usePreferences } from './usePreferences';
+
+const SCHEDULE_KEY = 'report-schedule';
+const ARCHIVE_KEY = 'report-archive';
+const ARCHIVE_LIMIT = 60;
+const CHECK_INTERVAL_MS = 60000;
+
+/**
+ * 报告生成、排程与存档。
+ * 排程只在页面打开时执行：每分钟检查一次，错过的最近一期在下次打开时补生成。
+ * llm 为 createProvider() 的实例，用于撰写摘要；离线演示模式或调用失败时使用规则摘要。
+ * store 为 site 站点的时序库；存档包含所有站点的报告，排程只补当前站点的。
+ * 摘要按生成时的界面语言与单位撰写。
+ */
+export const useReports = (store, llm, site) => {
+  const prefs = usePreferences();
+  const [schedule, setSchedule] = useState(() => ({ ...DEFAULT_REPORT_SCHEDULE, ...loadJSON(SCHEDULE_KEY, {}) }));
+  const [archive, setArchive] = useState(() => loadJSON(ARCHIVE_KEY, []));
+  const [generating, setGenerating] = useState([]);
+  const archiveRef = useRef(archive);
+
+  useEffect(() => {
+    archiveRef.current = archive;
+    saveJSON(ARCHIVE_KEY, archive);
+  }, [archive]);
+
+  useEffect(() => {
+    saveJSON(SCHEDULE_KEY, schedule);
+  }, [schedule]);
+
+  const upsert = useCallback((report) => setArchive(prev => [report, ...prev.filter(r => r.id !== report.id)]
+    .sort((a, b) => b.from - a.from || a.period.localeCompare(b.period))
+    .slice(0, ARCHIVE_LIMIT)), []);
+
+  const writeNarrative = useCallback(async (report) => {
+    if (llm.id === 'mock') return { text: templateNarrative(report, prefs), source: 'template' };
+    try {
+      const text = await llm.chat({ history: [{ role: 'user', text: narrativePrompt(report, prefs) }], system: narrativeSystem(prefs.t), locale: prefs.locale });
+      return { text: text.trim(), source: 'ai' };
+    } catch (err) {
+      return { text: templateNarrative(report, prefs), source: 'template', error: errorText(prefs.t, err) };
+    }
+  }, [llm, prefs]);
+
+  // 先存档数字部分，摘要写好后再更新同一条
+  const generate = useCallback(async ({ period, from, to }, { scheduled = false } = {}) => {
+    const records = await store.hourly({ from, to: to - 1 });
+    const report = { ...buildReport(records, { period, from, to, site }), scheduled };
+    setGenerating(prev => [...prev, report.id]);
+    upsert(report);
+    try {
+      upsert({ ...report, narrative: await writeNarrative(report) });
+    } finally {
+      setGenerating(prev => prev.filter(id => id !== report.id));
+    }
+    return report.id;
+  }, [store, site, upsert, writeNarrative]);
+
+  const running = useRef(new Set());
+  useEffect(() => {
+    if (!store) return;
+    const check = () => {
+      for (const due of dueReports(schedule, archiveRef.current, Date.now(), site.id)) {
+        const key = reportId(due.period, due.from, site.id);
+        if (running.current.has(key)) continue;
+        running.current.add(key);
+        generate(due, { scheduled: true })
+          .catch(err => console.warn('定时报告生成失败:', err))
+          .finally(() => running.current.delete(key));
+      }
+    };
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [store, site, schedule, generate]);
+
+  const remove = useCallback((id) => setArchive(prev => prev.filter(r => r.id !== id)), []);
+
+  return { schedule, setSchedule, archive, generating, generate, remove };
+};
@@ -0,0 +1,33 @@
+import { useEffect, useEffectEvent, useRef } from 'react';
+import { parseRoute, routeUrl, isRefinement } from '../lib/routes';
+
+// 当前地址对应的路由 (用于页面状态的初始值)
+export const currentRoute = () => parseRoute(window.location);
+
+/**
+ * 页面状态与浏览器地址同步：route 变化时写入历史记录，浏览器后退 / 前进时以解析出的路由调用 onPopState。
+ * 首次打开、后退 / 前进后的规范化与微调自定义时间都替换当前记录，不产生多余的后退步骤。
+ */
+export const useRouteSync = (route, onPopState) => {
+  // 上一次写入历史的路由；为 null 时下一次同步替换当前记录
+  const lastRef = useRef(null);
+  const handlePopState = useEffectEvent(() => {
+    lastRef.current = null;
+    onPopState(currentRoute());
+  });
+
+  useEffect(() => {
+    const url = routeUrl(route);
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+      const replace = !lastRef.current || isRefinement(lastRef.current, route);
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    }
+    lastRef.current = route;
+  }, [route]);
+
+  useEffect(() => {
+    const onPop = () => handlePopState();
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, []);
+};
@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { scenarioId } from '../lib/scenarios';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const SCENARIOS_KEY = 'scenarios';
+const SCENARIO_LIMIT = 50;
+// 同时对比的已保存情景数 (另加基准与当前情景)
+export const COMPARE_LIMIT = 3;
+
+/**
+ * 假设情景：已保存的情景 (本地保存，所有站点共用一个列表，按站点筛选) 与正在编辑的情景输入。
+ * 正在编辑的输入在切换页面后保留，切换站点时回到跟随基准 (draft 为 null)。
+ * 已保存情景为 { id, name, siteId, createdAt, inputs }，inputs 见 SCENARIO_INPUTS (公制)。
+ */
+export const useScenarios = (siteId) => {
+  const [all, setAll] = useState(() => loadJSON(SCENARIOS_KEY, []));
+  const [draft, setDraftState] = useState({ siteId, inputs: null });
+  const [compared, setCompared] = useState([]);
+
+  useEffect(() => {
+    saveJSON(SCENARIOS_KEY, all);
+  }, [all]);
+
+  const scenarios = useMemo(() => all.filter(s => s.siteId === siteId).sort((a, b) => b.createdAt - a.createdAt), [all, siteId]);
+
+  const setDraft = useCallback((inputs) => setDraftState({ siteId, inputs }), [siteId]);
+
+  const save = useCallback((name, inputs) => {
+    const now = Date.now();
+    const scenario = { id: scenarioId(now), name, siteId, createdAt: now, inputs };
+    setAll(prev => [scenario, ...prev].slice(0, SCENARIO_LIMIT));
+    return scenario;
+  }, [siteId]);
+
+  const rename = useCallback((id, name) => setAll(prev => prev.map(s => (s.id === id ? { ...s, name } : s))), []);
+
+  const remove = useCallback((id) => {
+    setAll(prev => prev.filter(s => s.id !== id));
+    setCompared(prev => prev.filter(x => x !== id));
+  }, []);
+
+  // 超过上限时替换最早勾选的一个
+  const toggleCompare = useCallback((id) => setCompared(prev => (
+    prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-COMPARE_LIMIT)
+  )), []);
+
+  return {
+    scenarios,
+    draft: draft.siteId === siteId ? draft.inputs : null,
+    setDraft,
+    save,
+    rename,
+    remove,
+    compared: scenarios.filter(s => compared.includes(s.id)),
+    toggleCompare,
+  };
+};
@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_SETPOINT_CONFIG, SETPOINT_AUDIT_LIMIT, applyChanges, createAuditEntry } from '../lib/setpoints';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const CONFIG_KEY = 'setpoint-config';
+const AUDIT_KEY = 'setpoint-audit';
+
+// 仿真模式传 writePoint(point, value): 配置与修改记录保存在本地，修改时改写仿真工况
+// 网关模式传 remote({ next, reason, rollbackOf }): 配置与记录保存在网关、经 receive 接收推送，
+// 网关以 PLC 回读值为基准校验、写入并记录登录用户，resolve 审计记录；拒绝时抛错 (校验错误在 err.errors)
+export const useSetpoints = ({ writePoint, remote }) => {
+  const local = !remote;
+  const [config, setConfig] = useState(() => ({ ...DEFAULT_SETPOINT_CONFIG, ...(local ? loadJSON(CONFIG_KEY, {}) : {}) }));
+  const [audit, setAudit] = useState(() => (local ? loadJSON(AUDIT_KEY, []) : []));
+
+  useEffect(() => {
+    if (local) saveJSON(CONFIG_KEY, config);
+  }, [local, config]);
+
+  useEffect(() => {
+    if (local) saveJSON(AUDIT_KEY, audit);
+  }, [local, audit]);
+
+  const receive = useCallback(({ config: next, audit: entries }) => {
+    setConfig({ ...DEFAULT_SETPOINT_CONFIG, ...next });
+    setAudit(entries ?? []);
+  }, []);
+
+  const apply = useCallback(async (next, { user, role, reason, rollbackOf }) => {
+    if (remote) return remote({ next, reason, rollbackOf });
+    const { changes, after, error, errorField } = await applyChanges(config, next, writePoint);
+    const entry = createAuditEntry({ ts: Date.now(), user, role, reason, changes, before: config, after, error, errorField, rollbackOf });
+    setConfig(after);
+    setAudit(prev => [entry, ...prev].slice(0, SETPOINT_AUDIT_LIMIT));
+    return entry;
+  }, [config, writePoint, remote]);
+
+  return { config, audit, apply, receive };
+};
@@ -0,0 +1,56 @@
+import { useState, useEffect, useMemo } from 'react';
+import { DEFAULT_TARIFF, costRows, summarizeCost, dailyCost, monthStart } from '../lib/tariff';
+import { toHourlyRows } from '../lib/timeseries';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+const TARIFF_KEY = 'tariff';
+// 日电费图显示最近 30 天，月初至今不足 30 天时仍从月初累计节省
+const TREND_DAYS = 30;
+const DAY_MS = 24 * 3600000;
+const NO_ROWS = [];
+
+// 电价配置 (本地保存，所有站点共用)
+export const useTariff = () => {
+  const [tariff, setTariff] = useState(() => {
+    const saved = loadJSON(TARIFF_KEY, {});
+    return { ...DEFAULT_TARIFF, ...saved, prices: { ...DEFAULT_TARIFF.prices, ...saved.prices } };
+  });
+
+  useEffect(() => {
+    saveJSON(TARIFF_KEY, tariff);
+  }, [tariff]);
+
+  return { tariff, setTariff };
+};
+
+/**
+ * 当前站点的电费与碳排放。series 为 useTimeSeries 的返回值，逐时记录更新时重新查询。
+ * 返回 { rows, daily, monthToDate, from }：rows 为 costRows 的逐时结果，daily 为按日汇总 (含月初起累计节省)，
+ * monthToDate 为本月至今的 summarizeCost 结果 (含需量电费)。
+ */
+export const useCosts = (series, tariff) => {
+  const { store, hourly } = series;
+  const [records, setRecords] = useState(() => ({ store: null, rows: NO_ROWS, from: monthStart(Date.now()) }));
+
+  useEffect(() => {
+    if (!store) return;
+    let cancelled = false;
+    const now = Date.now();
+    const from = Math.min(monthStart(now), now - TREND_DAYS * DAY_MS);
+    store.hourly({ from, to: now }).then(result => {
+      if (!cancelled) setRecords({ store, rows: toHourlyRows(result), from: monthStart(now) });
+    });
+    return () => { cancelled = true; };
+  }, [store, hourly]);
+
+  const rows = records.store === store ? records.rows : NO_ROWS;
+  return useMemo(() => {
+    const costs = costRows(rows, tariff);
+    return {
+      rows: costs,
+      daily: dailyCost(costs, records.from),
+      monthToDate: summarizeCost(rows.filter(r => r.ts >= records.from), tariff, { demand: true }),
+      from: records.from,
+    };
+  }, [rows, tariff, records.from]);
+};
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createThread, titleFrom, pruneThreads } from '../lib/threads';
+import { loadJSON, saveJSON } from '../lib/storage';
+import { usePreferences } from './usePreferences';
+
+const THREADS_KEY = 'chat-threads';
+const ACTIVE_KEY = 'chat-active';
+// 流式回复每段都会更新线程，写入本地存储做防抖
+const SAVE_DELAY_MS = 800;
+
+const initialState = (siteId, prefs, requestedId) => {
+  const saved = loadJSON(THREADS_KEY, []);
+  // 上次关闭时仍在生成的回复标记为已停止
+  const threads = saved.map(t => ({
+    ...t,
+    messages: t.messages.map(m => (m.streaming ? { ...m, streaming: false, stopped: true } : m)),
+  }));
+  if (threads.length === 0) threads.push(createThread({ siteId, now: Date.now(), prefs }));
+  // 链接指定的线程优先，其次是上次打开的线程
+  const activeId = [requestedId, loadJSON(ACTIVE_KEY, null)].find(id => threads.some(t => t.id === id));
+  return { threads, activeId: activeId ?? threads[0].id };
+};
+
+/**
+ * 助手对话线程的本地持久化。
+ * update(id, fn) 按线程 id 更新消息，流式回复期间切换线程也写回提问所在的线程。
+ * initialId 为初始打开的线程 (如分享链接中的线程)，不存在时打开上次的线程。
+ */
+export const useThreads = (siteId, initialId) => {
+  const prefs = usePreferences();
+  const [state, setState] = useState(() => initialState(siteId, prefs, initialId));
+  const { threads, activeId } = state;
+  const active = threads.find(t => t.id === activeId) ?? threads[0];
+
+  useEffect(() => {
+    const timer = setTimeout(() => saveJSON(THREADS_KEY, threads), SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [threads]);
+
+  useEffect(() => {
+    saveJSON(ACTIVE_KEY, activeId);
+  }, [activeId]);
+
+  const update = useCallback((id, fn) => setState(prev => ({
+    ...prev,
+    threads: prev.threads.map(t => {
+      if (t.id !== id) return t;
+      const messages = fn(t.messages);
+      return { ...t, messages, updatedAt: Date.now(), title: t.titled ? t.title : titleFrom(messages) };
+    }),
+  })), []);
+
+  const create = useCallback(() => setState(prev => {
+    // 当前已是空白对话时不再新建
+    const current = prev.threads.find(t => t.id === prev.activeId);
+    if (current && !current.messages.some(m => m.role === 'user')) return prev;
+    const thread = createThread({ siteId, now: Date.now(), prefs });
+    return { threads: pruneThreads([thread, ...prev.threads]), activeId: thread.id };
+  }), [siteId, prefs]);
+
+  const select = useCallback((id) => setState(prev => ({ ...prev, activeId: id })), []);
+
+  const rename = useCallback((id, title) => setState(prev => ({
+    ...prev,
+    threads: prev.threads.map(t => (t.id === id ? { ...t, title: title.trim() || titleFrom(t.messages), titled: Boolean(title.trim()) } : t)),
+  })), []);
+
+  const remove = useCallback((id) => setState(prev => {
+    const rest = prev.threads.filter(t => t.id !== id);
+    if (rest.length === 0) rest.push(createThread({ siteId, now: Date.now(), prefs }));
+    return { threads: rest, activeId: prev.activeId === id ? rest[0].id : prev.activeId };
+  }), [siteId, prefs]);
+
+  return { threads, active, update, create, select, rename, remove };
+};
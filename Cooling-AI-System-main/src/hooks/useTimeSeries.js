@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  openTimeSeriesStore, snapshotToValues, resolveRange, toChartRows, toHourlyRows, hourOf, rawSampleDue,
+  DEFAULT_MAX_POINTS,
+} from '../lib/timeseries';
+
+const DAY_MS = 24 * 3600000;
+const NO_ROWS = [];
+
+/**
+ * 打开时序库并持续记录 realtimeData。
+ * name: 库名，切换站点时换库；units: 多机组站的机组配置，写入时计算优化功率用
+ * seed: () => [{ ts, values }]，逐时库为空时才调用并导入 (仿真演示)
+ * 返回 { store, version, revision, hourly, importHourly }:
+ *   version  每写入一条采样加一，用于驱动范围查询刷新
+ *   revision 每次导入历史数据加一，所有范围查询 (含自定义范围) 都重新读取
+ *   hourly   最近 historyDays 天的逐时记录
+ */
+export const useTimeSeries = (realtimeData, { name, units, seed, historyDays = 14 } = {}) => {
+  // 库与查询结果都记下所属库名，切换站点后旧库的结果不再返回
+  const [storeState, setStoreState] = useState({ name: null, store: null });
+  const [version, setVersion] = useState(0);
+  const [hourlyVersion, setHourlyVersion] = useState(0);
+  const [revision, setRevision] = useState(0);
+  const [hourlyState, setHourly] = useState({ name: null, rows: NO_ROWS });
+  const lastAppend = useRef(0);
+  const store = storeState.name === name ? storeState.store : null;
+  const hourly = hourlyState.name === name ? hourlyState.rows : NO_ROWS;
+
+  useEffect(() => {
+    let cancelled = false;
+    let opened = null;
+    lastAppend.current = 0;
+    openTimeSeriesStore({ name }).then(async (s) => {
+      opened = s;
+      const now = Date.now();
+      // 整理失败不影响继续记录与查询
+      try {
+        await s.prune(now);
+        await s.rollup(now);
+        if (seed) await s.seedHourly(seed, now);
+      } catch (err) {
+        console.warn('整理历史数据失败:', err);
+      }
+      if (cancelled) s.close();
+      else setStoreState({ name, store: s });
+    }).catch(err => console.warn('打开历史数据库失败:', err));
+    return () => {
+      cancelled = true;
+      opened?.close();
+    };
+  }, [name, seed]);
+
+  // 按 RAW_INTERVAL_MS 节流写入 (见 rawSampleDue)；跨整点时汇总上一小时
+  useEffect(() => {
+    if (!store) return;
+    const now = Date.now();
+    const previous = lastAppend.current;
+    if (!rawSampleDue(now, previous)) return;
+    lastAppend.current = now;
+    (async () => {
+      await store.append(now, snapshotToValues(realtimeData, { units }));
+      if (hourOf(now) > hourOf(previous) && await store.rollup(now) > 0) setHourlyVersion(v => v + 1);
+      setVersion(v => v + 1);
+    })().catch(err => console.warn('写入历史数据失败:', err));
+  }, [store, realtimeData, units]);
+
+  useEffect(() => {
+    if (!store) return;
+    let cancelled = false;
+    const now = Date.now();
+    store.hourly({ from: now - historyDays * DAY_MS, to: now }).then(records => {
+      if (!cancelled) setHourly({ name, rows: toHourlyRows(records) });
+    });
+    return () => { cancelled = true; };
+  }, [store, name, hourlyVersion, historyDays]);
+
+  const importHourly = useCallback(async (records) => {
+    await store.importHourly(records);
+    setHourlyVersion(v => v + 1);
+    setRevision(v => v + 1);
+  }, [store]);
+
+  return { store, version, revision, hourly, importHourly };
+};
+
+// 按时间范围查询并降采样；长范围每 12 次写入刷新一次，避免频繁扫描
+// series 为 useTimeSeries 的返回值
+export const useSeriesRange = ({ store, version, revision }, range, maxPoints = DEFAULT_MAX_POINTS) => {
+  const [result, setResult] = useState({ rows: [], bucketMs: 0 });
+  const long = range.preset === 'custom' || range.preset === '7d' || range.preset === '30d';
+  const refreshKey = `${revision}:${range.preset === 'custom' ? 0 : Math.floor(version / (long ? 12 : 1))}`;
+
+  useEffect(() => {
+    if (!store) return;
+    let cancelled = false;
+    const { from, to } = resolveRange(range, Date.now());
+    store.query({ from, to, maxPoints }).then(({ points, bucketMs }) => {
+      if (!cancelled) setResult({ rows: toChartRows(points, { from, to, bucketMs }), bucketMs });
+    });
+    return () => { cancelled = true; };
+  }, [store, range, maxPoints, refreshKey]);
+
+  return result;
+};
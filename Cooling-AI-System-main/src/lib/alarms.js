@@ -0,0 +1,133 @@
+// --- 规则告警引擎 ---
+// 每条规则读取一个实时量与限值比较：越限持续 delay 毫秒后触发，回到限值内侧 deadband 以上才恢复。
+// 告警状态: pending 越限计时中 / active 已触发 (acked 标记是否确认) / cleared 已恢复但未确认
+// 等级、限值与规则的显示名在语言目录的 severity / setpoint / alarms.rules 下；quantity 见 units.js
+
+export const SEVERITIES = {
+  critical: { rank: 3, color: '#ef4444', className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+  warning: { rank: 2, color: '#f59e0b', className: 'bg-amber-500/20 text-amber-400 border-amber-500/30' },
+  info: { rank: 1, color: '#3b82f6', className: 'bg-blue-500/20 text-blue-400 border-blue-500/30' },
+};
+
+export const DEFAULT_ALARM_LIMITS = {
+  copMin: 3.5,
+  supplyTempOffset: 1.0,
+  deltaTMin: 3.0,
+  condenserInletMax: 32,
+  pumpPressureMin: 0.15,
+  pumpPressureMax: 0.5,
+};
+
+export const ALARM_LIMIT_FIELDS = [
+  { key: 'copMin', unit: '', quantity: 'efficiency', step: 0.1, min: 1, max: 8 },
+  { key: 'supplyTempOffset', unit: '°C', quantity: 'temperatureDelta', step: 0.1, min: 0.2, max: 5 },
+  { key: 'deltaTMin', unit: '°C', quantity: 'temperatureDelta', step: 0.1, min: 0.5, max: 10 },
+  { key: 'condenserInletMax', unit: '°C', quantity: 'temperature', step: 0.5, min: 20, max: 40 },
+  { key: 'pumpPressureMin', unit: 'MPa', step: 0.01, min: 0, max: 1 },
+  { key: 'pumpPressureMax', unit: 'MPa', step: 0.01, min: 0.1, max: 1.5 },
+];
+
+export const buildAlarmRules = (limits) => [
+  { id: 'low_cop', severity: 'warning', unit: '', quantity: 'efficiency', compare: 'below', limit: limits.copMin, deadband: 0.1, delay: 60000, read: d => d.compressor.cop },
+  { id: 'high_supply_temp', severity: 'critical', unit: '°C', quantity: 'temperatureDelta', compare: 'above', limit: limits.supplyTempOffset, deadband: 0.3, delay: 120000, read: d => d.compressor.outTemp - d.userSide.setPoint },
+  { id: 'low_delta_t', severity: 'warning', unit: '°C', quantity: 'temperatureDelta', compare: 'below', limit: limits.deltaTMin, deadband: 0.3, delay: 300000, read: d => d.userSide.deltaT },
+  { id: 'high_condenser_inlet', severity: 'warning', unit: '°C', quantity: 'temperature', compare: 'above', limit: limits.condenserInletMax, deadband: 0.5, delay: 60000, read: d => d.coolingTower.outTemp },
+  { id: 'pump_pressure_low', severity: 'critical', unit: 'MPa', compare: 'below', limit: limits.pumpPressureMin, deadband: 0.02, delay: 10000, read: d => d.pump.pressure },
+  { id: 'pump_pressure_high', severity: 'warning', unit: 'MPa', compare: 'above', limit: limits.pumpPressureMax, deadband: 0.02, delay: 10000, read: d => d.pump.pressure },
+];
+
+const HISTORY_LIMIT = 200;
+
+const isViolated = (rule, value) => (rule.compare === 'above' ? value > rule.limit : value < rule.limit);
+const isRecovered = (rule, value) => (rule.compare === 'above' ? value <= rule.limit - rule.deadband : value >= rule.limit + rule.deadband);
+
+const historyEvent = (rule, type, ts, value) => ({
+  id: `${rule.id}-${type}-${ts}`,
+  ruleId: rule.id,
+  severity: rule.severity,
+  type,
+  ts,
+  value,
+});
+
+export const createAlarmState = (history = []) => ({ active: {}, history });
+
+// 纯函数：给定上一轮状态、规则与实时数据，返回新状态 (无变化时返回原对象)
+export const evaluateAlarms = (prev, rules, data, now) => {
+  const active = { ...prev.active };
+  const events = [];
+  let changed = false;
+
+  for (const rule of rules) {
+    const value = rule.read(data);
+    if (!Number.isFinite(value)) continue;
+    const current = active[rule.id];
+    const violated = isViolated(rule, value);
+
+    if (!current) {
+      if (violated) {
+        active[rule.id] = { ruleId: rule.id, status: 'pending', since: now, value };
+        changed = true;
+      }
+      continue;
+    }
+
+    if (current.status === 'pending') {
+      if (!violated) {
+        delete active[rule.id];
+        changed = true;
+      } else if (now - current.since >= rule.delay) {
+        active[rule.id] = { ...current, status: 'active', acked: false, raisedAt: now, value };
+        events.push(historyEvent(rule, 'raised', now, value));
+        changed = true;
+      } else if (current.value !== value) {
+        active[rule.id] = { ...current, value };
+        changed = true;
+      }
+    } else if (current.status === 'active') {
+      if (isRecovered(rule, value)) {
+        if (current.acked) delete active[rule.id];
+        else active[rule.id] = { ...current, status: 'cleared', clearedAt: now, value };
+        events.push(historyEvent(rule, 'cleared', now, value));
+        changed = true;
+      } else if (current.value !== value) {
+        active[rule.id] = { ...current, value };
+        changed = true;
+      }
+    } else if (current.status === 'cleared' && violated) {
+      // 未确认期间再次越限，不再计延时直接重新触发
+      active[rule.id] = { ...current, status: 'active', raisedAt: now, clearedAt: undefined, value };
+      events.push(historyEvent(rule, 'raised', now, value));
+      changed = true;
+    }
+  }
+
+  if (!changed) return prev;
+  return { active, history: [...events.reverse(), ...prev.history].slice(0, HISTORY_LIMIT) };
+};
+
+export const acknowledgeAlarm = (prev, rules, ruleId, now) => {
+  const current = prev.active[ruleId];
+  const rule = rules.find(r => r.id === ruleId);
+  if (!current || !rule || current.status === 'pending' || current.acked) return prev;
+
+  const active = { ...prev.active };
+  if (current.status === 'cleared') delete active[ruleId];
+  else active[ruleId] = { ...current, acked: true, ackAt: now };
+  const event = historyEvent(rule, 'acknowledged', now, current.value);
+  return { active, history: [event, ...prev.history].slice(0, HISTORY_LIMIT) };
+};
+
+export const acknowledgeAll = (prev, rules, now) => Object.keys(prev.active)
+  .reduce((state, ruleId) => acknowledgeAlarm(state, rules, ruleId, now), prev);
+
+// 汇总健康度：取处于触发状态告警中的最高等级
+export const summarizeHealth = (state, rules) => {
+  const firing = Object.values(state.active).filter(a => a.status === 'active');
+  const unacked = Object.values(state.active).filter(a => a.status !== 'pending' && !a.acked).length;
+  const worst = firing
+    .map(a => rules.find(r => r.id === a.ruleId)?.severity)
+    .filter(Boolean)
+    .sort((a, b) => SEVERITIES[b].rank - SEVERITIES[a].rank)[0];
+  return { level: worst || 'ok', firing: firing.length, unacked };
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ALARM_LIMITS, buildAlarmRules, createAlarmState, evaluateAlarms, acknowledgeAlarm, summarizeHealth } from './alarms';
+
+const rules = buildAlarmRules(DEFAULT_ALARM_LIMITS).filter(r => r.id === 'pump_pressure_low');
+const data = (pressure) => ({ pump: { pressure } });
+
+// 依次喂入 [时间, 压力]，返回最终状态
+const run = (samples, state = createAlarmState()) => samples.reduce((s, [ts, pressure]) => evaluateAlarms(s, rules, data(pressure), ts), state);
+
+describe('evaluateAlarms', () => {
+  it('越限未满延时就恢复的不触发', () => {
+    const state = run([[0, 0.1], [5000, 0.1], [9000, 0.2], [20000, 0.1]]);
+    expect(state.active.pump_pressure_low).toMatchObject({ status: 'pending', since: 20000 });
+    expect(state.history).toEqual([]);
+  });
+
+  it('越限持续满延时后触发，回到限值内侧死区以上才恢复', () => {
+    let state = run([[0, 0.1], [10000, 0.12]]);
+    expect(state.active.pump_pressure_low).toMatchObject({ status: 'active', acked: false, raisedAt: 10000, value: 0.12 });
+
+    // 限值 0.15、死区 0.02：0.16 仍在死区内，不恢复
+    state = run([[11000, 0.16]], state);
+    expect(state.active.pump_pressure_low.status).toBe('active');
+    state = run([[12000, 0.17]], state);
+    expect(state.active.pump_pressure_low).toMatchObject({ status: 'cleared', clearedAt: 12000 });
+    expect(state.history.map(e => e.type)).toEqual(['cleared', 'raised']);
+  });
+
+  it('未确认期间再次越限立即重新触发，确认后恢复即移除', () => {
+    let state = run([[0, 0.1], [10000, 0.1], [12000, 0.2], [13000, 0.1]]);
+    expect(state.active.pump_pressure_low).toMatchObject({ status: 'active', raisedAt: 13000 });
+
+    state = acknowledgeAlarm(state, rules, 'pump_pressure_low', 14000);
+    expect(summarizeHealth(state, rules)).toEqual({ level: 'critical', firing: 1, unacked: 0 });
+    state = run([[15000, 0.2]], state);
+    expect(state.active).toEqual({});
+    expect(state.history.map(e => e.type)).toEqual(['cleared', 'acknowledged', 'raised', 'cleared', 'raised']);
+  });
+
+  it('没有变化时返回原对象，缺失读数不参与判断', () => {
+    const state = run([[0, 0.3]]);
+    expect(evaluateAlarms(state, rules, data(0.3), 1000)).toBe(state);
+    expect(evaluateAlarms(state, rules, data(undefined), 1000)).toBe(state);
+  });
+});
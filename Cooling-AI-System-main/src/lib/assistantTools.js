@@ -0,0 +1,276 @@
+import { mean, std } from './regression';
+import { describeDiagnosis } from './fdd';
+import { summarizeCost, TARIFF_PERIODS } from './tariff';
+import { SCENARIO_INPUTS, clampInputs, scenarioToolResult } from './scenarios';
+
+// --- AI 助手可调用的数据工具 ---
+// 工具声明按 Gemini functionDeclarations 格式给出，由模型决定调用哪个；
+// 每轮回复附带一个图表规格 { metric, hours, end, chartType }，渲染时再从历史数据取数。
+// 工具说明与结果中的名称按界面语言 (t) 给出，数值一律为公制；指标与设备名在语言目录的 metrics / equipment 下。
+
+const HOUR_MS = 3600000;
+const MAX_HOURS = 14 * 24;
+const MAX_POINTS = 48;
+
+// unit 为公制单位；quantity 见 units.js，界面按用户单位换算显示
+export const METRICS = {
+  power: { unit: 'kW' },
+  optimizedPower: { unit: 'kW' },
+  demand: { unit: 'kW', quantity: 'cooling' },
+  efficiency: { unit: '', quantity: 'efficiency' },
+  chwSupply: { unit: '°C', quantity: 'temperature' },
+  cwSupply: { unit: '°C', quantity: 'temperature' },
+  approach: { unit: '°C', quantity: 'temperatureDelta' },
+  condApproach: { unit: '°C', quantity: 'temperatureDelta' },
+  fanSpeed: { unit: '%' },
+  pumpFrequency: { unit: 'Hz' },
+  temp: { unit: '°C', quantity: 'temperature' },
+  wetBulb: { unit: '°C', quantity: 'temperature' },
+  humidity: { unit: '%' },
+  compressorPower: { unit: 'kW' },
+  chwReturn: { unit: '°C', quantity: 'temperature' },
+  cwReturn: { unit: '°C', quantity: 'temperature' },
+  deltaT: { unit: '°C', quantity: 'temperatureDelta' },
+  pumpFlow: { unit: 'm³/h', quantity: 'flow' },
+  pumpPressure: { unit: 'MPa' },
+};
+
+export const EQUIPMENT = {
+  compressor: { metric: 'efficiency' },
+  coolingTower: { metric: 'approach' },
+  pump: { metric: 'pumpFrequency' },
+  userSide: { metric: 'demand' },
+  environment: { metric: 'wetBulb' },
+  units: { metric: 'efficiency' },
+};
+
+export const CHART_TYPES = ['area', 'line', 'bar'];
+
+const rangeParams = (t) => ({
+  hours: { type: 'integer', description: t('tools.params.hours', { max: MAX_HOURS }) },
+  end: { type: 'string', description: t('tools.params.end') },
+});
+
+// 情景参数 (公制)；风机转速传 0 表示自动
+const scenarioParams = (t) => Object.fromEntries(SCENARIO_INPUTS.map(i => [i.key, {
+  type: 'number',
+  description: i.auto ? t('tools.params.fanSpeed') : t('tools.params.scenarioInput', { name: t(`scenarios.inputs.${i.key}`), unit: i.unit }),
+}]));
+
+const keyList = (keys, namespace, t) => keys.map(k => `${k}=${t(`${namespace}.${k}`)}`).join(', ');
+
+// 工具声明，说明文字按 t 的语言
+export const assistantTools = (t) => [
+  {
+    name: 'get_current_readings',
+    description: t('tools.get_current_readings'),
+    parameters: {
+      type: 'object',
+      properties: {
+        equipment: { type: 'string', enum: Object.keys(EQUIPMENT), description: keyList(Object.keys(EQUIPMENT), 'equipment', t) },
+      },
+      required: ['equipment'],
+    },
+  },
+  {
+    name: 'get_metric_history',
+    description: t('tools.get_metric_history'),
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', enum: Object.keys(METRICS), description: keyList(Object.keys(METRICS), 'metrics', t) },
+        ...rangeParams(t),
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'compute_statistics',
+    description: t('tools.compute_statistics'),
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', enum: Object.keys(METRICS) },
+        ...rangeParams(t),
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'show_chart',
+    description: t('tools.show_chart'),
+    parameters: {
+      type: 'object',
+      properties: {
+        metric: { type: 'string', enum: Object.keys(METRICS) },
+        chartType: { type: 'string', enum: CHART_TYPES },
+        ...rangeParams(t),
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'get_energy_cost',
+    description: t('tools.get_energy_cost'),
+    parameters: {
+      type: 'object',
+      properties: rangeParams(t),
+    },
+  },
+  {
+    name: 'simulate_scenario',
+    description: t('tools.simulate_scenario'),
+    parameters: {
+      type: 'object',
+      properties: scenarioParams(t),
+    },
+  },
+  {
+    name: 'get_diagnostics',
+    description: t('tools.get_diagnostics'),
+    parameters: {
+      type: 'object',
+      properties: {
+        includeOk: { type: 'boolean', description: t('tools.params.includeOk') },
+      },
+    },
+  },
+];
+
+const formatTs = (ts, locale) => new Date(ts).toLocaleString(locale, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+const normalizeRange = ({ hours, end }, history) => {
+  const latest = history[history.length - 1]?.ts ?? 0;
+  const parsedEnd = end ? Date.parse(end) : NaN;
+  return {
+    hours: Math.min(MAX_HOURS, Math.max(1, Math.round(Number(hours) || 24))),
+    end: Number.isFinite(parsedEnd) ? Math.min(parsedEnd, latest) : latest,
+  };
+};
+
+// end 缺省时取最新数据时刻
+export const selectRange = (history, { hours, end = history[history.length - 1]?.ts }) => history.filter(p => p.ts <= end && p.ts > end - hours * HOUR_MS);
+
+// 图表规格对应的数据点，回复完成时随图表保存，之后重新打开对话不依赖历史库
+export const chartPoints = (history, spec) => selectRange(history, spec).map(p => ({ ts: p.ts, value: p[spec.metric] }));
+
+const downsample = (points, max = MAX_POINTS) => {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+};
+
+const statistics = (points, metric, locale) => {
+  const values = points.map(p => p[metric]).filter(Number.isFinite);
+  if (values.length === 0) return { count: 0 };
+  const minPoint = points.reduce((a, p) => (p[metric] < a[metric] ? p : a));
+  const maxPoint = points.reduce((a, p) => (p[metric] > a[metric] ? p : a));
+  const round = (v) => Math.round(v * 100) / 100;
+  return {
+    count: values.length,
+    min: minPoint[metric],
+    minAt: formatTs(minPoint.ts, locale),
+    max: maxPoint[metric],
+    maxAt: formatTs(maxPoint.ts, locale),
+    mean: round(mean(values)),
+    std: round(std(values)),
+    latest: values[values.length - 1],
+  };
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// 时间窗口的电费、碳排放与寻优节省潜力；冷量电费比 (每 kWh 冷量的电费) 用于比较负荷不同的两个窗口
+const energyCost = (points, tariff, locale) => {
+  const summary = summarizeCost(points, tariff);
+  const cooling = points.reduce((sum, p) => sum + (Number.isFinite(p.power) && Number.isFinite(p.demand) ? p.demand : 0), 0);
+  return {
+    from: points.length ? formatTs(points[0].ts, locale) : null,
+    to: points.length ? formatTs(points[points.length - 1].ts + HOUR_MS, locale) : null,
+    hours: summary.hours,
+    currency: tariff.currency,
+    energyKwh: round2(summary.energy),
+    cost: round2(summary.energyCost),
+    carbonKg: round2(summary.carbon),
+    coolingKwh: round2(cooling),
+    costPerCoolingKwh: cooling > 0 ? Math.round((summary.energyCost / cooling) * 10000) / 10000 : null,
+    peakPowerKw: summary.demand.peak?.power ?? null,
+    byPeriod: Object.fromEntries(TARIFF_PERIODS.map(p => [p, { energyKwh: round2(summary.byPeriod[p].energy), cost: round2(summary.byPeriod[p].cost) }])),
+    optimizationPotential: { hours: summary.savings.hours, energyKwh: round2(summary.savings.energy), cost: round2(summary.savings.cost), carbonKg: round2(summary.savings.carbon) },
+  };
+};
+
+/**
+ * 绑定当前数据的工具执行器。diagnoses 为 runDiagnostics 的结果，openSince 为各故障首次诊断时间，
+ * tariff 为电价配置 (见 tariff.js)，t 为界面语言的翻译函数。
+ * scenario 为 { conditions, inputs? }：conditions 见 scenarioConditions，inputs 为用户发来评估的情景输入。
+ * 返回 { run(name, args) → 结果对象, chart() → 本轮图表规格或 null }
+ */
+export const createToolRunner = ({ realtimeData, history, diagnoses = [], openSince = {}, tariff, scenario, t }) => {
+  let explicitChart = null;
+  let lastQueried = null;
+
+  const checkMetric = (metric) => {
+    if (!METRICS[metric]) throw new Error(t('tools.errors.unknownMetric', { metric }));
+  };
+
+  const handlers = {
+    get_current_readings: ({ equipment }) => {
+      if (!EQUIPMENT[equipment]) throw new Error(t('tools.errors.unknownEquipment', { equipment }));
+      if (!realtimeData[equipment]) throw new Error(t('tools.errors.noEquipmentData', { equipment: t(`equipment.${equipment}`) }));
+      lastQueried = { metric: EQUIPMENT[equipment].metric, ...normalizeRange({}, history) };
+      return { equipment: t(`equipment.${equipment}`), readings: realtimeData[equipment] };
+    },
+    get_metric_history: ({ metric, ...range }) => {
+      checkMetric(metric);
+      const r = normalizeRange(range, history);
+      lastQueried = { metric, ...r };
+      const points = downsample(selectRange(history, r));
+      return { metric: t(`metrics.${metric}`), unit: METRICS[metric].unit, points: points.map(p => ({ time: formatTs(p.ts, t.locale), value: p[metric] })) };
+    },
+    compute_statistics: ({ metric, ...range }) => {
+      checkMetric(metric);
+      const r = normalizeRange(range, history);
+      lastQueried = { metric, ...r };
+      return { metric: t(`metrics.${metric}`), unit: METRICS[metric].unit, hours: r.hours, ...statistics(selectRange(history, r), metric, t.locale) };
+    },
+    show_chart: ({ metric, chartType, ...range }) => {
+      checkMetric(metric);
+      explicitChart = { metric, chartType: CHART_TYPES.includes(chartType) ? chartType : 'area', ...normalizeRange(range, history) };
+      return { ok: true };
+    },
+    get_energy_cost: (range) => {
+      const r = normalizeRange(range, history);
+      lastQueried = { metric: 'power', ...r };
+      return energyCost(selectRange(history, r), tariff, t.locale);
+    },
+    simulate_scenario: (args) => {
+      if (!scenario) throw new Error(t('tools.errors.noScenario'));
+      const given = Object.fromEntries(SCENARIO_INPUTS.filter(i => Number.isFinite(args[i.key])).map(i => [i.key, i.auto && args[i.key] === 0 ? null : args[i.key]]));
+      const inputs = clampInputs(scenario.conditions, given, scenario.inputs ?? scenario.conditions.baseline);
+      return scenarioToolResult(scenario.conditions, inputs, t);
+    },
+    get_diagnostics: ({ includeOk = false }) => {
+      if (diagnoses.length === 0) throw new Error(t('tools.errors.noDiagnostics'));
+      const selected = diagnoses.filter(d => includeOk || d.status === 'fault');
+      return {
+        evaluatedAt: formatTs(diagnoses[0].evaluatedAt, t.locale),
+        openFaults: diagnoses.filter(d => d.status === 'fault').length,
+        diagnoses: selected.map(d => describeDiagnosis(d, openSince[d.ruleId], t)),
+      };
+    },
+  };
+
+  return {
+    run: (name, args = {}) => {
+      const handler = handlers[name];
+      if (!handler) return { error: t('tools.errors.unknownTool', { name }) };
+      try {
+        return handler(args);
+      } catch (err) {
+        return { error: err.message };
+      }
+    },
+    chart: () => explicitChart ?? (lastQueried && { ...lastQueried, chartType: 'area' }),
+  };
+};
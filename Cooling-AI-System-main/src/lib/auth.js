@@ -0,0 +1,192 @@
+// 网关、AI 代理与认证服务 (Node) 也引用本模块的角色与权限表，相对导入带扩展名
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- 登录与角色权限 ---
+// 三级角色逐级包含：查看者只看数据；操作员可确认告警、在窄幅范围内调整运行设定值；
+// 工程师拥有全部配置与 AI 助手权限。
+// 前端校验只用于界面约束，写回 PLC 的权限仍应由网关侧的认证把关。
+// 角色显示名在语言目录的 roles 下。
+
+export const ROLES = {
+  viewer: { rank: 0 },
+  operator: { rank: 1 },
+  engineer: { rank: 2 },
+};
+
+// 权限 → 所需最低角色
+export const PERMISSIONS = {
+  'alarms.ack': 'operator',
+  'setpoints.adjust': 'operator',
+  'setpoints.configure': 'engineer',
+  'alarms.clear': 'engineer',
+  'assistant.use': 'engineer',
+  'assistant.usage': 'engineer',
+  'reports.manage': 'engineer',
+  'data.import': 'engineer',
+  'tariff.configure': 'engineer',
+  'maintenance.manage': 'operator',
+  'maintenance.configure': 'engineer',
+};
+
+// 会话绝对有效期与无操作超时
+export const SESSION_TTL_MS = 8 * 3600000;
+export const IDLE_TIMEOUT_MS = 30 * 60000;
+
+// 用户名与密码规则，认证服务的用户库与本地用户库共用
+export const USERNAME_PATTERN = /^[\w.-]{2,32}$/;
+export const PASSWORD_MIN_LENGTH = 8;
+
+export const can = (role, permission) => (ROLES[role]?.rank ?? -1) >= ROLES[PERMISSIONS[permission]].rank;
+
+// 无权限时的提示文字 (用于禁用控件的 title)，有权限返回 null
+export const denyReason = (role, permission, t) => (
+  can(role, permission) ? null : t('auth.requires', { role: t(`roles.${PERMISSIONS[permission]}`) })
+);
+
+// --- 登录方式 ---
+// server (默认)：向认证服务 (server/auth) 登录，取得的令牌随请求发给网关与 AI 代理，由服务端识别用户；
+// local：浏览器本地用户库，只用于不连网关与 AI 代理的离线演示 (VITE_DATA_SOURCE=simulator、VITE_LLM_PROVIDER=mock)。
+// 配置在调用时读取，本模块在 Node 中也能加载。
+
+export const authConfig = () => ({
+  mode: import.meta.env.VITE_AUTH || 'server',
+  url: import.meta.env.VITE_AUTH_URL || '/api/auth',
+});
+
+// code: invalid 用户名或密码错误 / rejected 用户名或密码不符合要求 / setup_done 已初始化 / setup_token 初始化令牌无效 /
+// rate_limited 尝试过多 / bad_session 认证服务返回的用户无效 / unavailable 认证服务不可用 (params.detail 为原因)。
+// 界面按 code 显示语言目录 errors 下的文案
+export class AuthError extends Error {
+  constructor(message, code, params) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// 认证服务没有给出 code 时按 HTTP 状态判断
+const STATUS_CODES = { 400: 'rejected', 401: 'invalid', 403: 'setup_token', 409: 'setup_done', 429: 'rate_limited' };
+
+const requestAuth = async (path, body) => {
+  let response;
+  try {
+    response = await fetch(`${authConfig().url}${path}`, body === undefined ? {} : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new AuthError(err.message, 'unavailable', { detail: err.message });
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error?.message ?? `HTTP ${response.status}`;
+    throw new AuthError(message, data.error?.code ?? STATUS_CODES[response.status] ?? 'unavailable', { detail: message });
+  }
+  return data;
+};
+
+// --- 本地用户库 ---
+// 开发环境 (import.meta.env.DEV) 首次使用时按 DEV_ACCOUNTS 写入本地存储 (只保存加盐哈希)；
+// 其他构建不预置账号，首次打开时由 setupAdmin 创建第一个工程师账号。
+
+const USERS_KEY = 'users';
+const SESSION_KEY = 'session';
+
+export const DEV_ACCOUNTS = [
+  { username: 'viewer', password: 'viewer123', name: '值班查看', role: 'viewer' },
+  { username: 'operator', password: 'operator123', name: '运行操作员', role: 'operator' },
+  { username: 'engineer', password: 'engineer123', name: '系统工程师', role: 'engineer' },
+];
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+const hashPassword = async (password, salt) => toHex(
+  await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`))
+);
+
+const createUser = async ({ username, password, name, role }) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { username, name, role, salt, hash: await hashPassword(password, salt) };
+};
+
+const loadUsers = async () => {
+  const saved = loadJSON(USERS_KEY, null);
+  if (saved?.length || !import.meta.env.DEV) return saved ?? [];
+  const users = await Promise.all(DEV_ACCOUNTS.map(createUser));
+  saveJSON(USERS_KEY, users);
+  return users;
+};
+
+const authenticateLocal = async (username, password) => {
+  const users = await loadUsers();
+  const user = users.find(u => u.username === username);
+  if (!user || !ROLES[user.role] || await hashPassword(password, user.salt) !== user.hash) {
+    throw new AuthError('用户名或密码错误', 'invalid');
+  }
+  return { user: { username: user.username, name: user.name, role: user.role }, token: null, expiresAt: null };
+};
+
+// 认证服务返回的会话必须带令牌与有效角色
+const checkSession = ({ user, token, expiresAt }) => {
+  if (!ROLES[user?.role] || !token) throw new AuthError('认证服务返回的用户无效', 'bad_session');
+  return { user, token, expiresAt };
+};
+
+/**
+ * 校验用户名与密码，成功返回 { user: { username, name, role }, token, expiresAt }
+ * (本地登录没有令牌)，失败抛出 AuthError。
+ */
+export const authenticate = async (username, password) => {
+  const name = username.trim();
+  if (authConfig().mode === 'local') return authenticateLocal(name, password);
+  return checkSession(await requestAuth('/login', { username: name, password }));
+};
+
+// --- 首次使用: 还没有任何用户时创建第一个工程师账号 ---
+
+// 是否需要初始化；认证服务不可用时抛出 AuthError
+export const isSetupRequired = async () => {
+  if (authConfig().mode === 'local') return (await loadUsers()).length === 0;
+  return Boolean((await requestAuth('/status')).setupRequired);
+};
+
+/**
+ * 创建第一个工程师账号并直接登录，返回值同 authenticate；
+ * 已有用户时抛出 code 为 setup_done 的 AuthError (本地模式同样拒绝)，用户名与密码不合规则时 code 为 rejected。
+ * 认证服务还要求 setupToken (服务启动日志中的一次性初始化令牌)，不正确时 code 为 setup_token。
+ */
+export const setupAdmin = async ({ username, password, name, setupToken }) => {
+  const admin = { username: username.trim(), password, name: name?.trim() || username.trim(), role: 'engineer' };
+  if (!USERNAME_PATTERN.test(admin.username) || password.length < PASSWORD_MIN_LENGTH) {
+    throw new AuthError('用户名或密码不符合要求', 'rejected');
+  }
+  if (authConfig().mode !== 'local') return checkSession(await requestAuth('/setup', { ...admin, setupToken: setupToken?.trim() ?? '' }));
+  if ((await loadUsers()).length > 0) throw new AuthError('已存在用户，不能重复初始化', 'setup_done');
+  saveJSON(USERS_KEY, [await createUser(admin)]);
+  return { user: { username: admin.username, name: admin.name, role: admin.role }, token: null, expiresAt: null };
+};
+
+// --- 会话 ---
+
+// 令牌先于会话到期时以令牌为准
+export const createSession = ({ user, token, expiresAt }, now) => ({
+  user,
+  token,
+  issuedAt: now,
+  lastActive: now,
+  expiresAt: Math.min(now + SESSION_TTL_MS, expiresAt ?? Infinity),
+});
+
+// 会话到期时间取绝对有效期与无操作超时中较早者
+export const sessionDeadline = (session) => Math.min(session.expiresAt, session.lastActive + IDLE_TIMEOUT_MS);
+
+// 认证服务登录的会话必须带令牌 (升级前保存的本地会话需要重新登录)
+export const isSessionValid = (session, now) => Boolean(
+  session?.user && ROLES[session.user.role] && now < sessionDeadline(session) && (session.token || authConfig().mode === 'local')
+);
+
+export const loadSession = () => loadJSON(SESSION_KEY, null);
+
+export const saveSession = (session) => saveJSON(SESSION_KEY, session);
@@ -0,0 +1,30 @@
+// --- 对话历史 → 多轮上下文，按 token 预算截断较早的轮次 ---
+
+// 保留给历史对话的 token 预算 (不含系统提示与工具结果)
+export const HISTORY_TOKEN_BUDGET = 8000;
+
+// 粗略估算：中日韩字符约 1 token/字，其余约 4 字符/token
+export const estimateTokens = (text = '') => {
+  const cjk = (text.match(/[\u3000-\u9fff\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+};
+
+/**
+ * messages: 界面消息 [{ role: 'user' | 'assistant', text, error?, stopped? }]，最后一条为本次提问
+ * 出错的回复不进入上下文；从最新一轮往前累加，超出预算即停止，本次提问始终保留。
+ * 多数模型要求对话以 user 开头，因此丢弃截断后开头的 assistant 轮次。
+ * 返回提供方通用的 [{ role, text }]
+ */
+export const trimHistory = (messages, budget = HISTORY_TOKEN_BUDGET) => {
+  const usable = messages.filter(m => !m.error && m.text);
+  const kept = [];
+  let used = 0;
+  for (let i = usable.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(usable[i].text);
+    if (kept.length > 0 && used + cost > budget) break;
+    kept.unshift(usable[i]);
+    used += cost;
+  }
+  while (kept.length > 1 && kept[0].role !== 'user') kept.shift();
+  return kept.map(m => ({ role: m.role, text: m.text }));
+};
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { trimHistory, estimateTokens } from './conversation';
+
+const user = (text) => ({ role: 'user', text });
+const assistant = (text, extra = {}) => ({ role: 'assistant', text, ...extra });
+
+describe('trimHistory', () => {
+  it('中文按字、其余约 4 字符计 token', () => {
+    expect(estimateTokens('冷机')).toBe(2);
+    expect(estimateTokens('chiller')).toBe(2);
+    expect(estimateTokens()).toBe(0);
+  });
+
+  it('从最新一轮往前保留到预算为止，开头不留 assistant 轮次', () => {
+    const messages = [assistant('您好'), user('一'.repeat(10)), assistant('二'.repeat(10)), user('三'.repeat(10)), assistant('四'.repeat(10)), user('现在怎么样')];
+    expect(trimHistory(messages, 1000).map(m => m.text[0])).toEqual(['一', '二', '三', '四', '现']);
+    // 预算只够最近两条：截断后开头为 assistant，一并丢弃
+    expect(trimHistory(messages, 18).map(m => m.text[0])).toEqual(['现']);
+    expect(trimHistory(messages, 25).map(m => m.text[0])).toEqual(['三', '四', '现']);
+  });
+
+  it('出错与空回复不进入上下文，本次提问超出预算也保留', () => {
+    const messages = [user('上一问'), assistant('通讯异常', { error: true }), assistant(''), user('很'.repeat(50))];
+    expect(trimHistory(messages, 10)).toEqual([{ role: 'user', text: '很'.repeat(50) }]);
+    expect(trimHistory(messages, 100)).toEqual([{ role: 'user', text: '上一问' }, { role: 'user', text: '很'.repeat(50) }]);
+  });
+});
@@ -0,0 +1,59 @@
+// --- CSV 读写 (RFC 4180：双引号转义、字段内换行) ---
+
+const DELIMITERS = [',', ';', '\t'];
+
+// 按首行出现次数最多的分隔符猜测；历史库导出常见逗号、分号 (欧洲区域设置) 和制表符
+const guessDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return DELIMITERS.reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+};
+
+/**
+ * 解析 CSV 文本为二维字符串数组，去掉 BOM 和末尾空行。
+ */
+export const parseCsv = (text, delimiter = guessDelimiter(text)) => {
+  const src = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+const escapeField = (value) => {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// rows 为二维数组，首行通常是表头
+export const toCsv = (rows) => rows.map(r => r.map(escapeField).join(',')).join('\r\n');
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, toCsv } from './csv';
+
+describe('CSV', () => {
+  it('导出再解析得到原表，引号、逗号与换行原样保留', () => {
+    const rows = [['时间', '备注', '功率 (kW)'], ['2026-07-01 08:00', '说明 "A", 含逗号', '512.5'], ['2026-07-01 09:00', '第一行\n第二行', '']];
+    const text = toCsv(rows);
+    expect(text.split('\r\n')[1]).toBe('2026-07-01 08:00,"说明 ""A"", 含逗号",512.5');
+    expect(parseCsv(text)).toEqual(rows);
+  });
+
+  it('去掉 BOM 与空行，按首行猜测分隔符', () => {
+    expect(parseCsv('\uFEFFa;b\r\n1,5;2\r\n\r\n')).toEqual([['a', 'b'], ['1,5', '2']]);
+    expect(parseCsv('a\tb\n1\t2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCsv('null,"x"\n')).toEqual([['null', 'x']]);
+  });
+});
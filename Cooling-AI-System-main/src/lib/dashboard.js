@@ -0,0 +1,172 @@
+import { EQUIPMENT_POINTS } from './equipment';
+import { METRICS } from './assistantTools';
+
+// --- 可配置看板 ---
+// 看板由组件 (widget) 按顺序排成网格，每个组件 { id, type, size, ...配置 }：
+// stat 绑定一个实时数据路径的数值卡片；trend 可选多条历史曲线的趋势图；energyPie 实时功率分项饼图；
+// alarms / forecast 告警与负荷预测摘要；sequencing / cost 机组群控与电费卡片。
+// 布局按用户保存，可导出为 JSON 在其他控制室导入。组件类型、尺寸与配置项的显示名在语言目录的 dashboard.widgets 下。
+
+export const LAYOUT_VERSION = 1;
+
+// 尺寸为宽屏 12 列网格中占的列数 (3 / 6 / 9 / 12)，中等屏幕为两列，窄屏单列
+export const WIDGET_SIZES = {
+  sm: 'xl:col-span-3',
+  md: 'xl:col-span-6',
+  lg: 'md:col-span-2 xl:col-span-9',
+  full: 'md:col-span-2 xl:col-span-12',
+};
+export const SIZE_ORDER = ['sm', 'md', 'lg', 'full'];
+
+export const STAT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#6366f1', '#ec4899', '#14b8a6', '#e2e8f0'];
+
+// 趋势图最多同时显示的曲线数
+export const MAX_TREND_SERIES = 4;
+export const TREND_SERIES = Object.keys(METRICS);
+
+// defaults 为新建组件的初始配置
+export const WIDGET_TYPES = {
+  stat: { size: 'sm', defaults: { path: 'compressor.power', label: '', color: STAT_COLORS[0] } },
+  trend: { size: 'full', defaults: { series: ['power'] } },
+  energyPie: { size: 'sm', defaults: {} },
+  alarms: { size: 'sm', defaults: {} },
+  forecast: { size: 'md', defaults: {} },
+  sequencing: { size: 'full', defaults: {} },
+  cost: { size: 'full', defaults: {} },
+};
+
+export const widgetId = (now = Date.now()) => `w-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createWidget = (type, config = {}) => ({ id: widgetId(), type, size: WIDGET_TYPES[type].size, ...WIDGET_TYPES[type].defaults, ...config });
+
+// 默认布局：原看板的四张数值卡片、机组群控、电费与负荷趋势
+export const defaultLayout = () => [
+  createWidget('stat', { path: 'compressor.power', color: '#3b82f6' }),
+  createWidget('stat', { path: 'compressor.cop', color: '#10b981' }),
+  createWidget('stat', { path: 'userSide.load', color: '#f59e0b' }),
+  createWidget('stat', { path: 'environment.temp', color: '#6366f1' }),
+  createWidget('sequencing'),
+  createWidget('cost'),
+  createWidget('trend', { series: ['power'] }),
+];
+
+// --- 数据路径 ---
+// 路径为以点分隔的字段名，机组明细 (units 数组) 按机组编号取，如 "units.CH-1.load"
+
+// 机组明细字段对应的历史指标 (显示名与单位取自 METRICS)
+const UNIT_POINTS = {
+  load: 'demand',
+  power: 'compressorPower',
+  cop: 'efficiency',
+  chwSupply: 'chwSupply',
+  chwReturn: 'chwReturn',
+  cwSupply: 'cwSupply',
+  cwReturn: 'cwReturn',
+  fanSpeed: 'fanSpeed',
+  pumpFrequency: 'pumpFrequency',
+};
+
+export const valueAt = (data, path) => path.split('.').reduce((node, key) => {
+  if (Array.isArray(node)) return node.find(item => item.id === key);
+  return node?.[key];
+}, data);
+
+/**
+ * 路径的显示信息 { group, key, unit, quantity }：设备点位取 EQUIPMENT_POINTS，机组明细取对应指标，
+ * 其他数值字段没有单位，原样显示路径。
+ */
+export const pointMeta = (path) => {
+  const parts = path.split('.');
+  if (parts.length === 2 && EQUIPMENT_POINTS[parts[0]]) {
+    const point = EQUIPMENT_POINTS[parts[0]].points.find(p => p.key === parts[1]);
+    if (point) return { group: parts[0], key: parts[1], unit: point.unit, quantity: point.quantity };
+  }
+  if (parts.length === 3 && parts[0] === 'units' && UNIT_POINTS[parts[2]]) {
+    const metric = METRICS[UNIT_POINTS[parts[2]]];
+    return { group: 'units', unitId: parts[1], metric: UNIT_POINTS[parts[2]], unit: metric.unit, quantity: metric.quantity };
+  }
+  return { unit: '' };
+};
+
+export const pointLabel = (path, data, t) => {
+  const meta = pointMeta(path);
+  if (meta.metric) return `${valueAt(data, `units.${meta.unitId}.name`) ?? meta.unitId} · ${t(`metrics.${meta.metric}`)}`;
+  if (meta.group) return `${t(`equipmentPoints.${meta.group}.title`)} · ${t(`equipmentPoints.${meta.group}.${meta.key}`)}`;
+  return path;
+};
+
+// 实时数据中可绑定的数值路径，设备点位在前
+export const dataPaths = (data) => {
+  const paths = [];
+  const walk = (node, prefix) => {
+    for (const [key, value] of Object.entries(node)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (Array.isArray(value)) value.forEach(item => item?.id !== undefined && walk(item, `${path}.${item.id}`));
+      else if (value && typeof value === 'object') walk(value, path);
+      else if (typeof value === 'number') paths.push(path);
+    }
+  };
+  walk(data, '');
+  const known = (p) => Boolean(pointMeta(p).group);
+  return [...paths.filter(known), ...paths.filter(p => !known(p))];
+};
+
+// --- 布局编辑 (纯函数) ---
+
+export const moveWidget = (widgets, id, offset) => {
+  const from = widgets.findIndex(w => w.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= widgets.length) return widgets;
+  const next = [...widgets];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+};
+
+export const nextSize = (size) => SIZE_ORDER[(SIZE_ORDER.indexOf(size) + 1) % SIZE_ORDER.length];
+
+// --- 导入导出 ---
+
+// id 只在本机区分组件，不导出
+export const serializeLayout = (widgets) => JSON.stringify({
+  version: LAYOUT_VERSION,
+  widgets: widgets.map((widget) => {
+    const config = { ...widget };
+    delete config.id;
+    return config;
+  }),
+}, null, 2);
+
+// 导入的组件只保留已知类型与配置字段，缺省项取默认值；id 重新生成
+const sanitizeWidget = (raw) => {
+  const type = WIDGET_TYPES[raw?.type];
+  if (!type) return null;
+  const widget = createWidget(raw.type, { size: WIDGET_SIZES[raw.size] ? raw.size : type.size });
+  if (raw.type === 'stat') {
+    if (typeof raw.path === 'string' && raw.path) widget.path = raw.path;
+    if (typeof raw.label === 'string') widget.label = raw.label;
+    if (typeof raw.color === 'string' && /^#[0-9a-f]{3,8}$/i.test(raw.color)) widget.color = raw.color;
+  }
+  if (raw.type === 'trend' && Array.isArray(raw.series)) {
+    const series = raw.series.filter(s => TREND_SERIES.includes(s)).slice(0, MAX_TREND_SERIES);
+    if (series.length) widget.series = series;
+  }
+  return widget;
+};
+
+/**
+ * 解析导入的布局 JSON。返回 { widgets, skipped } (skipped 为不认识而跳过的组件数)
+ * 或 { error }，error 为 invalidJson / invalidFormat / unsupportedVersion / empty。
+ */
+export const parseLayout = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'invalidJson' };
+  }
+  if (!data || !Array.isArray(data.widgets)) return { error: 'invalidFormat' };
+  if (data.version > LAYOUT_VERSION) return { error: 'unsupportedVersion' };
+  const widgets = data.widgets.map(sanitizeWidget).filter(Boolean);
+  if (widgets.length === 0) return { error: 'empty' };
+  return { widgets, skipped: data.widgets.length - widgets.length };
+};
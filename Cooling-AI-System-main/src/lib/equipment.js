@@ -0,0 +1,66 @@
+// --- 设备点位定义 (工艺流程图与设备详情使用) ---
+// points 为 realtimeData[设备] 下的实时字段；trends 为时序库中的历史字段 (见 SERIES_FIELDS)。
+// 设备与点位的显示名在语言目录的 equipmentPoints 下；unit 为公制单位，quantity 见 units.js。
+
+export const EQUIPMENT_POINTS = {
+  coolingTower: {
+    points: [
+      { key: 'fanSpeed', unit: '%' },
+      { key: 'outTemp', unit: '°C', quantity: 'temperature' },
+      { key: 'inTemp', unit: '°C', quantity: 'temperature' },
+      { key: 'setPoint', unit: '°C', quantity: 'temperature' },
+      { key: 'humidity', unit: '%' },
+    ],
+    trends: ['fanSpeed', 'cwSupply', 'cwReturn', 'approach'],
+  },
+  pump: {
+    points: [
+      { key: 'frequency', unit: 'Hz' },
+      { key: 'setPoint', unit: 'Hz' },
+      { key: 'flow', unit: 'm³/h', quantity: 'flow' },
+      { key: 'pressure', unit: 'MPa' },
+    ],
+    trends: ['pumpFrequency', 'pumpFlow', 'pumpPressure'],
+  },
+  compressor: {
+    points: [
+      { key: 'power', unit: 'kW' },
+      { key: 'cop', unit: '', quantity: 'efficiency' },
+      { key: 'outTemp', unit: '°C', quantity: 'temperature' },
+      { key: 'inTemp', unit: '°C', quantity: 'temperature' },
+      { key: 'condTemp', unit: '°C', quantity: 'temperature' },
+      { key: 'evapTemp', unit: '°C', quantity: 'temperature' },
+    ],
+    trends: ['compressorPower', 'efficiency', 'chwSupply', 'chwReturn', 'condApproach'],
+  },
+  userSide: {
+    points: [
+      { key: 'load', unit: 'kW', quantity: 'cooling' },
+      { key: 'setPoint', unit: '°C', quantity: 'temperature' },
+      { key: 'returnTemp', unit: '°C', quantity: 'temperature' },
+      { key: 'deltaT', unit: '°C', quantity: 'temperatureDelta' },
+    ],
+    trends: ['demand', 'deltaT', 'chwReturn'],
+  },
+  environment: {
+    points: [
+      { key: 'temp', unit: '°C', quantity: 'temperature' },
+      { key: 'humidity', unit: '%' },
+      { key: 'wetBulb', unit: '°C', quantity: 'temperature' },
+    ],
+    trends: ['temp', 'wetBulb', 'humidity'],
+  },
+};
+
+// 设备状态 (寄存器映射中的枚举 Stopped / Running / Fault) 对应的颜色
+export const STATUS_STYLES = {
+  Running: { color: '#22c55e' },
+  Stopped: { color: '#64748b' },
+  Fault: { color: '#ef4444' },
+};
+
+// label 按语言取自 unitStatus，不认识的状态原样显示
+export const statusStyle = (status, t) => ({
+  color: STATUS_STYLES[status]?.color ?? '#f59e0b',
+  label: STATUS_STYLES[status] ? t(`unitStatus.${status}`) : status ?? '--',
+});
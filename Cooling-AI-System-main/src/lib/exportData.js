@@ -0,0 +1,110 @@
+import { toCsv } from './csv';
+
+// --- 图表与表格导出 (CSV / PNG) ---
+
+const PNG_BACKGROUND = '#0f172a';
+const PNG_SCALE = 2;
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// 带 BOM，Excel 直接打开时中文不乱码
+export const downloadCsv = (rows, filename) => downloadBlob(new Blob([`\uFEFF${toCsv(rows)}`], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+
+const pad = (n) => String(n).padStart(2, '0');
+export const formatDateTime = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/**
+ * 图表数据 → 二维表。columns: [{ label, value: (row) => 单元格 }]
+ */
+export const tableOf = (rows, columns) => [columns.map(c => c.label), ...rows.map(r => columns.map(c => c.value(r) ?? ''))];
+
+// 助手表格单元格里的 Markdown / LaTeX 标记转为纯文本
+export const stripMarkup = (text) => String(text)
+  .replace(/\\text\{([^}]*)\}/g, '$1')
+  .replace(/\^\\circ/g, '°')
+  .replace(/\\pm\s*/g, '±')
+  .replace(/\*\*|\$/g, '');
+
+const canvasToPng = (canvas, filename) => new Promise((resolve) => {
+  canvas.toBlob((blob) => {
+    downloadBlob(blob, `${filename}.png`);
+    resolve();
+  }, 'image/png');
+});
+
+// recharts 输出的是 SVG：序列化后画到画布上 (图例与悬浮提示是 HTML，不包含在内)
+export const chartToPng = async (container, filename) => {
+  const svg = container?.querySelector('svg.recharts-surface');
+  if (!svg) throw new Error('图表尚未渲染');
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('图表转换失败'));
+      image.src = url;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.fillStyle = PNG_BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+    await canvasToPng(canvas, filename);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// 二维表 (首行表头) 直接绘制为图片
+export const tableToPng = async (rows, filename) => {
+  const font = '12px sans-serif';
+  const rowHeight = 28;
+  const cellPadding = 12;
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = `bold ${font}`;
+  const widths = rows[0].map((_, j) => Math.max(...rows.map(r => ctx.measureText(String(r[j] ?? '')).width)) + cellPadding * 2);
+  const width = widths.reduce((a, b) => a + b, 0);
+  const height = rows.length * rowHeight;
+
+  const canvas = ctx.canvas;
+  canvas.width = width * PNG_SCALE;
+  canvas.height = height * PNG_SCALE;
+  ctx.scale(PNG_SCALE, PNG_SCALE);
+  ctx.fillStyle = PNG_BACKGROUND;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#1e293b';
+  ctx.fillRect(0, 0, width, rowHeight);
+  ctx.textBaseline = 'middle';
+  rows.forEach((row, i) => {
+    ctx.font = i === 0 ? `bold ${font}` : font;
+    ctx.fillStyle = i === 0 ? '#94a3b8' : '#e2e8f0';
+    let x = 0;
+    row.forEach((cell, j) => {
+      ctx.fillText(String(cell ?? ''), x + cellPadding, i * rowHeight + rowHeight / 2);
+      x += widths[j];
+    });
+    if (i > 0) {
+      ctx.fillStyle = '#334155';
+      ctx.fillRect(0, i * rowHeight, width, 1);
+    }
+  });
+  await canvasToPng(canvas, filename);
+};
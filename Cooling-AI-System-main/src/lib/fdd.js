@@ -0,0 +1,427 @@
+import { PLANT_DESIGN, CP_WATER } from './plantModel';
+import { quantile } from './regression';
+import { unitSeriesKey, RAW_INTERVAL_MS } from './timeseries';
+import { createUnits } from './units';
+
+// --- 故障检测与诊断 (FDD) 规则库 ---
+// 与 alarms.js 的单点越限不同，诊断规则在一段历史窗口上运行：逐时记录 (hourly) 看持续的性能偏离，
+// 最近的原始采样 (raw) 看启停行为。每条规则返回
+// { ruleId, status: fault 故障 / ok 正常 / insufficient 数据不足, confidence 0~1, summary, metrics, evidence }
+// evidence 为证据曲线 { rows, series, reference }，诊断页直接绘图，AI 助手用 summary 与 metrics 解释。
+// 结果不含界面文字：summary 与各标签是 { key, params } 描述，数值以公制保存并用 quantity 标明物理量，
+// 显示前由 localizeDiagnosis 按当前语言与单位展开；规则名、说明、可能原因与建议检查在语言目录的 fdd.rules 下。
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const FDD_WINDOWS = { hourlyDays: 14, rawHours: 6 };
+
+// 设计工况 (额定冷量、冷冻水定流量) 下的供回水温差
+export const DESIGN_DELTA_T = PLANT_DESIGN.chillerCapacity / ((PLANT_DESIGN.chwFlow / 3.6) * CP_WATER);
+
+export const FDD_THRESHOLDS = {
+  minLoading: 0.3,          // 只统计负载率高于该值的小时，低负载下各比值噪声大
+  minHours: 24,             // 逐时规则的最少样本
+  lowDeltaTRatio: 0.75,     // 实测温差 / 设计流量下应有的温差
+  condApproachRise: 1.5,    // K 冷凝器端差高出设计值
+  condApproachCreep: 1.0,   // K 窗口内端差的线性上升量
+  towerApproachRatio: 1.35, // 实测逼近度 / 当前排热量与风机转速下应有的逼近度
+  pumpDeviation: 0.15,      // 流量、扬程偏离相似定律的比例
+  startsPerHour: 4,         // 单台机组任意 1 小时内的启动次数上限
+  minRunMinutes: 15,        // 正常的最短连续运行时间
+};
+
+export const CONFIDENCE_LEVELS = {
+  high: { className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+  medium: { className: 'bg-amber-500/20 text-amber-400 border-amber-500/30' },
+  low: { className: 'bg-slate-500/20 text-slate-400 border-slate-500/30' },
+};
+
+export const confidenceLevel = (confidence) => (confidence >= 0.75 ? 'high' : confidence >= 0.5 ? 'medium' : 'low');
+
+const round = (v, precision = 2) => {
+  const f = 10 ** precision;
+  return Math.round(v * f) / f;
+};
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const median = (values) => quantile(values, 0.5);
+const percent = (v) => `${Math.round(v * 100)}%`;
+// 界面文字与带单位数值的描述
+const text = (key, params) => ({ key: `fdd.${key}`, params });
+const tempDelta = (value) => ({ quantity: 'temperatureDelta', value });
+const timeLabel = (ts) => {
+  const d = new Date(ts);
+  return `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+// 置信度 = 样本充分程度 × 窗口内越限样本占比 (偶发偏离不算故障)
+const confidenceOf = (samples, needed, share) => round(clamp(samples / needed, 0, 1) * clamp(share, 0, 1));
+
+// 该小时运行机组的总冷量：有机组明细时按 load@机组 > 0 判断，没有明细时按全部机组计
+const runningCapacity = (row, units) => {
+  if (!units?.length) return PLANT_DESIGN.chillerCapacity;
+  const keys = units.map(u => unitSeriesKey('load', u.id));
+  if (keys.every(k => row[k] === undefined)) return units.reduce((sum, u) => sum + u.capacity, 0);
+  return units.reduce((sum, u, i) => sum + (row[keys[i]] > 0 ? u.capacity : 0), 0);
+};
+
+// 带负载率的有效小时
+const loadedRows = (rows, units, fields) => rows
+  .map(r => ({ ...r, capacity: runningCapacity(r, units) }))
+  .filter(r => r.capacity > 0 && fields.every(f => Number.isFinite(r[f])))
+  .map(r => ({ ...r, loading: r.demand / r.capacity }))
+  .filter(r => r.loading >= FDD_THRESHOLDS.minLoading);
+
+const insufficient = (key, params) => ({ status: 'insufficient', confidence: 0, summary: text(`insufficient.${key}`, params), metrics: [], evidence: null });
+
+// 最小二乘直线 y = a + b·x，返回斜率与 R²
+const linearFit = (xs, ys) => {
+  const n = xs.length;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, intercept: my - slope * mx, r2: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0 };
+};
+
+// --- 规则 ---
+
+const lowDeltaT = {
+  id: 'low_delta_t',
+  source: 'hourly',
+  evaluate: (rows, { units }) => {
+    const samples = loadedRows(rows, units, ['deltaT', 'demand']).map(r => {
+      const expected = DESIGN_DELTA_T * Math.min(1, r.loading);
+      return { ...r, expected, ratio: r.deltaT / expected };
+    });
+    if (samples.length < FDD_THRESHOLDS.minHours) return insufficient('loadedHours', { loading: percent(FDD_THRESHOLDS.minLoading), hours: FDD_THRESHOLDS.minHours });
+    const ratio = median(samples.map(s => s.ratio));
+    const share = samples.filter(s => s.ratio < FDD_THRESHOLDS.lowDeltaTRatio).length / samples.length;
+    const fault = ratio < FDD_THRESHOLDS.lowDeltaTRatio;
+    return {
+      status: fault ? 'fault' : 'ok',
+      confidence: fault ? confidenceOf(samples.length, 72, share) : 0,
+      summary: text(`low_delta_t.${fault ? 'fault' : 'ok'}`, {
+        loading: percent(FDD_THRESHOLDS.minLoading),
+        hours: samples.length,
+        ratio: percent(ratio),
+        threshold: percent(FDD_THRESHOLDS.lowDeltaTRatio),
+      }),
+      metrics: [
+        { label: text('metrics.medianDeltaT'), value: round(median(samples.map(s => s.deltaT)), 1), quantity: 'temperatureDelta' },
+        { label: text('metrics.deltaTRatio'), value: percent(ratio), unit: '' },
+        { label: text('metrics.designDeltaT'), value: round(DESIGN_DELTA_T, 1), quantity: 'temperatureDelta' },
+      ],
+      evidence: {
+        rows: samples.map(s => ({ ts: s.ts, time: timeLabel(s.ts), deltaT: s.deltaT, expected: round(s.expected, 2) })),
+        series: [
+          { key: 'deltaT', label: text('series.deltaT'), quantity: 'temperatureDelta', color: '#3b82f6' },
+          { key: 'expected', label: text('series.expectedDeltaT'), quantity: 'temperatureDelta', color: '#64748b' },
+        ],
+      },
+    };
+  },
+};
+
+const condenserFouling = {
+  id: 'condenser_fouling',
+  source: 'hourly',
+  evaluate: (rows, { units }) => {
+    const samples = loadedRows(rows, units, ['condApproach', 'demand']);
+    if (samples.length < FDD_THRESHOLDS.minHours) return insufficient('condenser');
+    const t0 = samples[0].ts;
+    const fit = linearFit(samples.map(s => (s.ts - t0) / DAY_MS), samples.map(s => s.condApproach));
+    const spanDays = (samples[samples.length - 1].ts - t0) / DAY_MS;
+    const creep = fit.slope * spanDays;
+    const recent = median(samples.slice(-24).map(s => s.condApproach));
+    const excess = recent - PLANT_DESIGN.condApproach;
+    const high = excess >= FDD_THRESHOLDS.condApproachRise;
+    const creeping = creep >= FDD_THRESHOLDS.condApproachCreep;
+    const share = high
+      ? samples.slice(-24).filter(s => s.condApproach - PLANT_DESIGN.condApproach >= FDD_THRESHOLDS.condApproachRise).length / Math.min(24, samples.length)
+      : fit.r2;
+    const fault = high || creeping;
+    return {
+      status: fault ? 'fault' : 'ok',
+      confidence: fault ? confidenceOf(samples.length, 7 * 24, share) : 0,
+      summary: text('condenser_fouling.summary', {
+        recent: tempDelta(recent),
+        design: tempDelta(PLANT_DESIGN.condApproach),
+        days: round(spanDays, 1),
+        sign: creep >= 0 ? '+' : '',
+        creep: tempDelta(creep),
+      }),
+      metrics: [
+        { label: text('metrics.condApproach'), value: round(recent, 1), quantity: 'temperatureDelta' },
+        { label: text('metrics.condApproachCreep'), value: round(creep, 2), quantity: 'temperatureDelta' },
+        { label: text('metrics.trendR2'), value: round(fit.r2, 2), unit: '' },
+      ],
+      evidence: {
+        rows: samples.map(s => ({ ts: s.ts, time: timeLabel(s.ts), condApproach: s.condApproach, trend: round(fit.intercept + fit.slope * (s.ts - t0) / DAY_MS, 2) })),
+        series: [
+          { key: 'condApproach', label: text('series.condApproach'), quantity: 'temperatureDelta', color: '#f97316' },
+          { key: 'trend', label: text('series.trend'), quantity: 'temperatureDelta', color: '#64748b' },
+        ],
+        reference: [{ y: PLANT_DESIGN.condApproach + FDD_THRESHOLDS.condApproachRise, quantity: 'temperatureDelta', label: text('series.approachLimit') }],
+      },
+    };
+  },
+};
+
+// 冷却塔在给定排热量与风机转速下的应有逼近度 (与仿真模型同一经验式)
+const expectedTowerApproach = (heatRejection, fanSpeed, capacity) => (
+  PLANT_DESIGN.towerApproach
+  * (heatRejection / (PLANT_DESIGN.heatRejection * capacity / PLANT_DESIGN.chillerCapacity)) ** 0.7
+  * (Math.max(fanSpeed, PLANT_DESIGN.minFanSpeed) / 100) ** -0.6
+);
+
+const towerApproach = {
+  id: 'tower_approach',
+  source: 'hourly',
+  evaluate: (rows, { units }) => {
+    const samples = loadedRows(rows, units, ['approach', 'fanSpeed', 'demand', 'compressorPower']).map(r => {
+      const expected = expectedTowerApproach(r.demand + r.compressorPower, r.fanSpeed, r.capacity);
+      return { ...r, expected, ratio: r.approach / expected };
+    });
+    if (samples.length < FDD_THRESHOLDS.minHours) return insufficient('tower');
+    const ratio = median(samples.map(s => s.ratio));
+    const share = samples.filter(s => s.ratio > FDD_THRESHOLDS.towerApproachRatio).length / samples.length;
+    const fault = ratio > FDD_THRESHOLDS.towerApproachRatio;
+    return {
+      status: fault ? 'fault' : 'ok',
+      confidence: fault ? confidenceOf(samples.length, 72, share) : 0,
+      summary: text(`tower_approach.${fault ? 'fault' : 'ok'}`, {
+        hours: samples.length,
+        ratio: percent(ratio),
+        threshold: percent(FDD_THRESHOLDS.towerApproachRatio),
+      }),
+      metrics: [
+        { label: text('metrics.medianApproach'), value: round(median(samples.map(s => s.approach)), 1), quantity: 'temperatureDelta' },
+        { label: text('metrics.approachRatio'), value: percent(ratio), unit: '' },
+        { label: text('metrics.fanSpeed'), value: Math.round(samples.reduce((s, r) => s + r.fanSpeed, 0) / samples.length), unit: '%' },
+      ],
+      evidence: {
+        rows: samples.map(s => ({ ts: s.ts, time: timeLabel(s.ts), approach: s.approach, expected: round(s.expected, 2) })),
+        series: [
+          { key: 'approach', label: text('series.approach'), quantity: 'temperatureDelta', color: '#38bdf8' },
+          { key: 'expected', label: text('series.expectedApproach'), quantity: 'temperatureDelta', color: '#64748b' },
+        ],
+      },
+    };
+  },
+};
+
+// 偏离形态，对应语言目录 fdd.pump_off_curve.patterns
+const pumpPattern = (flow, head) => {
+  const d = FDD_THRESHOLDS.pumpDeviation;
+  if (flow < 1 - d && head > 1 + d) return 'resistanceHigh';
+  if (flow < 1 - d && head < 1 - d) return 'pumpWeak';
+  if (flow > 1 + d && head < 1 - d) return 'resistanceLow';
+  if (flow < 1 - d || flow > 1 + d) return flow < 1 ? 'flowLow' : 'flowHigh';
+  return head < 1 ? 'headLow' : 'headHigh';
+};
+
+const pumpOffCurve = {
+  id: 'pump_off_curve',
+  source: 'hourly',
+  evaluate: (rows, { units }) => {
+    const samples = rows
+      .map(r => ({ ...r, capacity: runningCapacity(r, units) }))
+      .filter(r => r.capacity > 0 && r.pumpFrequency > 0 && Number.isFinite(r.pumpFlow) && Number.isFinite(r.pumpPressure))
+      .map(r => {
+        const speed = r.pumpFrequency / 50;
+        const expectedFlow = PLANT_DESIGN.cwFlow * (r.capacity / PLANT_DESIGN.chillerCapacity) * speed;
+        const expectedHead = PLANT_DESIGN.pumpHead * speed ** 2;
+        return { ...r, flowRatio: r.pumpFlow / expectedFlow, headRatio: r.pumpPressure / expectedHead };
+      });
+    if (samples.length < FDD_THRESHOLDS.minHours) return insufficient('pump');
+    const flow = median(samples.map(s => s.flowRatio));
+    const head = median(samples.map(s => s.headRatio));
+    const off = (s) => Math.abs(s.flowRatio - 1) > FDD_THRESHOLDS.pumpDeviation || Math.abs(s.headRatio - 1) > FDD_THRESHOLDS.pumpDeviation;
+    const fault = off({ flowRatio: flow, headRatio: head });
+    return {
+      status: fault ? 'fault' : 'ok',
+      confidence: fault ? confidenceOf(samples.length, 72, samples.filter(off).length / samples.length) : 0,
+      summary: fault
+        ? text('pump_off_curve.fault', { flow: percent(flow), head: percent(head), pattern: text(`pump_off_curve.patterns.${pumpPattern(flow, head)}`) })
+        : text('pump_off_curve.ok', { flow: percent(flow), head: percent(head) }),
+      metrics: [
+        { label: text('metrics.flowRatio'), value: percent(flow), unit: '' },
+        { label: text('metrics.headRatio'), value: percent(head), unit: '' },
+        { label: text('metrics.pumpFrequency'), value: round(samples.reduce((s, r) => s + r.pumpFrequency, 0) / samples.length, 1), unit: 'Hz' },
+      ],
+      evidence: {
+        rows: samples.map(s => ({ ts: s.ts, time: timeLabel(s.ts), flowRatio: round(s.flowRatio * 100, 1), headRatio: round(s.headRatio * 100, 1) })),
+        series: [
+          { key: 'flowRatio', label: text('metrics.flowRatio'), unit: '%', color: '#3b82f6' },
+          { key: 'headRatio', label: text('metrics.headRatio'), unit: '%', color: '#f59e0b' },
+        ],
+        reference: [
+          { y: 100 * (1 - FDD_THRESHOLDS.pumpDeviation), label: text('series.lowLimit') },
+          { y: 100 * (1 + FDD_THRESHOLDS.pumpDeviation), label: text('series.highLimit') },
+        ],
+      },
+    };
+  },
+};
+
+// 采样间隔超过该值视为数据中断，不计启停
+const MAX_SAMPLE_GAP_MS = 3 * RAW_INTERVAL_MS;
+const CHART_POINTS = 240;
+
+// 单台机组的启动时刻与完整运行段时长
+const runHistory = (rows, key) => {
+  const starts = [];
+  const runs = [];
+  let prev = null;
+  let runStart = null;
+  for (const r of rows) {
+    const value = r[key];
+    if (!Number.isFinite(value)) continue;
+    const on = value > 0;
+    if (prev && r.ts - prev.ts <= MAX_SAMPLE_GAP_MS) {
+      if (on && !prev.on) {
+        starts.push(r.ts);
+        runStart = r.ts;
+      } else if (!on && prev.on && runStart !== null) {
+        runs.push(r.ts - runStart);
+        runStart = null;
+      }
+    } else {
+      runStart = null;
+    }
+    prev = { ts: r.ts, on };
+  }
+  const maxStartsPerHour = starts.reduce((max, ts, i) => Math.max(max, starts.slice(i).filter(t => t - ts < HOUR_MS).length), 0);
+  return { starts, runs, maxStartsPerHour };
+};
+
+const shortCycling = {
+  id: 'short_cycling',
+  source: 'raw',
+  evaluate: (rows, { units }) => {
+    if (rows.length < 2 || rows[rows.length - 1].ts - rows[0].ts < HOUR_MS) return insufficient('raw');
+    const targets = units?.length
+      ? units.map(u => ({ key: unitSeriesKey('load', u.id), label: u.name }))
+      : [{ key: 'compressorPower', label: text('series.plantChiller') }];
+    const stats = targets.map(t => ({ ...t, ...runHistory(rows, t.key) }));
+    const hasData = stats.some(s => rows.some(r => Number.isFinite(r[s.key])));
+    if (!hasData) return insufficient('units');
+    const spanHours = (rows[rows.length - 1].ts - rows[0].ts) / HOUR_MS;
+    const flagged = stats.filter(s => s.maxStartsPerHour >= FDD_THRESHOLDS.startsPerHour
+      || (s.runs.length >= 2 && median(s.runs) < FDD_THRESHOLDS.minRunMinutes * 60000));
+    const worst = stats.reduce((a, s) => (s.starts.length > a.starts.length ? s : a));
+    const fault = flagged.length > 0;
+    const step = Math.max(1, Math.ceil(rows.length / CHART_POINTS));
+    return {
+      status: fault ? 'fault' : 'ok',
+      confidence: fault ? confidenceOf(spanHours, 3, Math.max(...flagged.map(s => s.maxStartsPerHour)) / FDD_THRESHOLDS.startsPerHour) : 0,
+      summary: fault
+        ? text('short_cycling.fault', {
+          hours: round(spanHours, 1),
+          units: { list: flagged.map(s => text('short_cycling.unitStarts', { unit: s.label, starts: s.starts.length, maxPerHour: s.maxStartsPerHour })) },
+        })
+        : text('short_cycling.ok', { hours: round(spanHours, 1), unit: worst.label, starts: worst.starts.length }),
+      metrics: stats.map(s => ({ label: text('metrics.starts', { unit: s.label }), value: s.starts.length, unit: text('metrics.startsUnit') })),
+      evidence: {
+        rows: rows.filter((_, i) => i % step === 0).map(r => ({
+          ts: r.ts,
+          time: timeLabel(r.ts),
+          ...Object.fromEntries(stats.map(s => [s.key, r[s.key]])),
+        })),
+        series: stats.map((s, i) => ({ key: s.key, label: s.label, unit: 'kW', color: ['#3b82f6', '#10b981', '#f59e0b', '#6366f1', '#ec4899', '#14b8a6'][i % 6], step: true })),
+      },
+    };
+  },
+};
+
+export const FDD_RULES = [lowDeltaT, condenserFouling, towerApproach, pumpOffCurve, shortCycling];
+
+/**
+ * 在历史窗口上运行全部规则。
+ * hourly: 逐时平铺记录 ([{ ts, ...字段 }])；raw: 最近的原始采样，格式相同；units: 多机组站的机组配置
+ */
+export const runDiagnostics = ({ hourly, raw, units, now = Date.now() }) => FDD_RULES.map(rule => {
+  let result;
+  try {
+    result = rule.evaluate(rule.source === 'raw' ? raw : hourly, { units });
+  } catch (err) {
+    result = insufficient('failed', { error: err.message });
+  }
+  return {
+    ruleId: rule.id,
+    evaluatedAt: now,
+    level: confidenceLevel(result.confidence),
+    ...result,
+  };
+});
+
+// --- 按语言与单位展开 ---
+
+// 描述 { key, params } 按当前语言展开：params 中的 { quantity, value } 按用户单位格式化，{ list } 为逐项展开后拼接
+const resolve = (item, prefs) => {
+  if (item === null || typeof item !== 'object') return item;
+  if ('quantity' in item) return prefs.unitSystem.format(item.quantity, item.value);
+  if ('list' in item) return item.list.map(v => resolve(v, prefs)).join(prefs.t('common.listSeparator'));
+  if (!('key' in item)) return item;
+  const params = item.params && Object.fromEntries(Object.entries(item.params).map(([k, v]) => [k, resolve(v, prefs)]));
+  return prefs.t(item.key, params);
+};
+
+const localizeEvidence = ({ rows, series, reference }, prefs) => {
+  const { unitSystem } = prefs;
+  const quantityOf = Object.fromEntries(series.map(s => [s.key, s.quantity]));
+  return {
+    rows: rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, quantityOf[k] ? unitSystem.to(quantityOf[k], v) : v]))),
+    series: series.map(s => ({ ...s, label: resolve(s.label, prefs), unit: s.quantity ? unitSystem.unit(s.quantity) : s.unit })),
+    reference: reference?.map(r => ({ y: r.quantity ? unitSystem.to(r.quantity, r.y) : r.y, label: resolve(r.label, prefs) })),
+  };
+};
+
+/**
+ * 诊断结果的显示形式：补上规则名 label、说明 description、可能原因 causes、建议检查 checks 与置信度 confidenceLabel，
+ * summary、metrics、evidence 中的文字与数值按 prefs ({ t, unitSystem }) 展开
+ */
+export const localizeDiagnosis = (d, prefs) => {
+  const { t, unitSystem } = prefs;
+  const rule = `fdd.rules.${d.ruleId}`;
+  return {
+    ...d,
+    label: t(`${rule}.label`),
+    description: t(`${rule}.description`),
+    causes: t(`${rule}.causes`),
+    checks: t(`${rule}.checks`),
+    confidenceLabel: t(`fdd.confidence.${d.level}`),
+    summary: resolve(d.summary, prefs),
+    metrics: d.metrics.map(m => ({
+      label: resolve(m.label, prefs),
+      value: m.quantity ? unitSystem.display(m.quantity, m.value) : m.value,
+      unit: m.quantity ? unitSystem.unit(m.quantity) : resolve(m.unit, prefs),
+    })),
+    evidence: d.evidence && localizeEvidence(d.evidence, prefs),
+  };
+};
+
+// 给 AI 助手的诊断摘要 (不含证据曲线)；与其他工具结果一致使用公制单位，文字按 t 的语言
+export const describeDiagnosis = (d, since, t) => {
+  const view = localizeDiagnosis(d, { t, unitSystem: createUnits() });
+  return {
+    id: d.ruleId,
+    fault: view.label,
+    status: d.status,
+    confidence: `${view.confidenceLabel} (${d.confidence})`,
+    openSince: since ? new Date(since).toLocaleString(t.locale) : undefined,
+    finding: view.summary,
+    metrics: Object.fromEntries(view.metrics.map(m => [m.label, `${m.value}${m.unit ? ` ${m.unit}` : ''}`])),
+    explanation: view.description,
+    possibleCauses: view.causes,
+    recommendedChecks: view.checks,
+  };
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { runDiagnostics, DESIGN_DELTA_T, FDD_THRESHOLDS } from './fdd';
+import { PLANT_DESIGN } from './plantModel';
+import { RAW_INTERVAL_MS } from './timeseries';
+
+const HOUR_MS = 3600000;
+const START = Date.UTC(2026, 6, 1);
+
+// 负载率 70% 的逐时记录，fields(i) 给出第 i 小时的其余字段
+const hourly = (hours, fields) => Array.from({ length: hours }, (_, i) => ({
+  ts: START + i * HOUR_MS,
+  demand: PLANT_DESIGN.chillerCapacity * 0.7,
+  ...fields(i),
+}));
+
+const diagnose = (input) => Object.fromEntries(runDiagnostics({ hourly: [], raw: [], now: 0, ...input }).map(d => [d.ruleId, d]));
+
+describe('低温差', () => {
+  it('温差明显低于设计流量下应有值时判为故障，低负载小时不计', () => {
+    const expected = DESIGN_DELTA_T * 0.7;
+    expect(diagnose({ hourly: hourly(48, () => ({ deltaT: expected })) }).low_delta_t.status).toBe('ok');
+
+    const low = diagnose({ hourly: hourly(72, () => ({ deltaT: expected * 0.5 })) }).low_delta_t;
+    expect(low).toMatchObject({ status: 'fault', confidence: 1, level: 'high' });
+
+    const idle = hourly(48, () => ({ deltaT: 1, demand: PLANT_DESIGN.chillerCapacity * 0.2 }));
+    expect(diagnose({ hourly: idle }).low_delta_t.status).toBe('insufficient');
+  });
+});
+
+describe('冷凝器端差上升', () => {
+  it('没有冷凝温度时数据不足，端差逐日上升时判为故障', () => {
+    expect(diagnose({ hourly: hourly(72, () => ({})) }).condenser_fouling.status).toBe('insufficient');
+
+    const steady = hourly(14 * 24, () => ({ condApproach: PLANT_DESIGN.condApproach }));
+    expect(diagnose({ hourly: steady }).condenser_fouling.status).toBe('ok');
+
+    const creeping = hourly(14 * 24, (i) => ({ condApproach: PLANT_DESIGN.condApproach + (i / 24) * 0.1 }));
+    const result = diagnose({ hourly: creeping }).condenser_fouling;
+    expect(result.status).toBe('fault');
+    expect(result.evidence.rows).toHaveLength(14 * 24);
+  });
+});
+
+describe('频繁启停', () => {
+  // 1.5 小时的原始采样，机组每 period 毫秒切换一次启停
+  const raw = (period) => Array.from({ length: (1.5 * HOUR_MS) / RAW_INTERVAL_MS }, (_, i) => {
+    const ts = START + i * RAW_INTERVAL_MS;
+    return { ts, compressorPower: period && Math.floor((ts - START) / period) % 2 ? 0 : 300 };
+  });
+
+  it('按启动次数与运行时长判断，采样不足 1 小时时数据不足', () => {
+    expect(diagnose({ raw: raw(0) }).short_cycling.status).toBe('ok');
+
+    const cycling = diagnose({ raw: raw(5 * 60000) }).short_cycling;
+    expect(cycling.status).toBe('fault');
+    expect(cycling.metrics[0].value).toBeGreaterThanOrEqual(FDD_THRESHOLDS.startsPerHour);
+
+    expect(diagnose({ raw: raw(5 * 60000).slice(0, 100) }).short_cycling.status).toBe('insufficient');
+  });
+
+  it('多机组站按机组负荷分别统计', () => {
+    const units = [{ id: 'CH-1', name: '1#', capacity: 1000 }, { id: 'CH-2', name: '2#', capacity: 1000 }];
+    const rows = raw(5 * 60000).map(r => ({ ts: r.ts, 'load@CH-1': 600, 'load@CH-2': r.compressorPower }));
+    const result = diagnose({ raw: rows, units }).short_cycling;
+    expect(result.status).toBe('fault');
+    expect(result.metrics.map(m => m.value)).toEqual([0, expect.any(Number)]);
+  });
+});
@@ -0,0 +1,153 @@
+import { fitRidge, predictRidge, quantile, mean, std } from './regression';
+
+// --- 24h 负荷预测 ---
+// 岭回归，特征: 小时 / 星期 / 周末×小时 哑变量、室外温度、湿球温度、前一日同时刻负荷。
+// 未来 24h 的气象用 "近 3 日同时刻均值 + 当前偏差按 6h 时间常数衰减" 外推；
+// 回测完全复现这一流程 (只用预测起点之前的数据)，所以 MAPE 和置信带包含了气象外推误差。
+
+const HOUR_MS = 3600000;
+const DAY_HOURS = 24;
+
+export const FORECAST_HORIZON = 24;
+export const BACKTEST_FOLDS = 7;
+export const BAND_LEVEL = 0.9;
+const MIN_TRAIN_DAYS = 7;
+const WEATHER_LOOKBACK_DAYS = 3;
+const ANOMALY_DECAY_HOURS = 6;
+const RIDGE_LAMBDA = 2;
+
+const indexByHour = (history) => {
+  const map = new Map();
+  for (const p of history) map.set(Math.floor(p.ts / HOUR_MS) * HOUR_MS, p);
+  return map;
+};
+
+const buildFeatures = (ts, weather, lag24, scale) => {
+  const d = new Date(ts);
+  const hour = d.getHours();
+  const dow = d.getDay();
+  const weekend = dow === 0 || dow === 6;
+  const x = [1];
+  for (let h = 1; h < 24; h++) x.push(hour === h ? 1 : 0);
+  for (let k = 1; k < 7; k++) x.push(dow === k ? 1 : 0);
+  for (let h = 0; h < 24; h++) x.push(weekend && hour === h ? 1 : 0);
+  x.push(
+    (weather.temp - scale.temp[0]) / scale.temp[1],
+    (weather.wetBulb - scale.wetBulb[0]) / scale.wetBulb[1],
+    (lag24 - scale.demand[0]) / scale.demand[1],
+  );
+  return x;
+};
+
+const scaleOf = (values) => [mean(values), std(values) || 1];
+
+// 只使用 origin (含) 之前的数据训练
+const train = (index, origin) => {
+  const rows = [...index.values()].filter(p => p.ts <= origin && index.has(p.ts - DAY_HOURS * HOUR_MS));
+  if (rows.length < MIN_TRAIN_DAYS * DAY_HOURS) return null;
+  const scale = {
+    temp: scaleOf(rows.map(p => p.temp)),
+    wetBulb: scaleOf(rows.map(p => p.wetBulb)),
+    demand: scaleOf(rows.map(p => p.demand)),
+  };
+  const X = rows.map(p => buildFeatures(p.ts, p, index.get(p.ts - DAY_HOURS * HOUR_MS).demand, scale));
+  const coef = fitRidge(X, rows.map(p => p.demand), RIDGE_LAMBDA);
+  const residuals = rows.map((p, i) => (p.demand - predictRidge(coef, X[i])) / predictRidge(coef, X[i]));
+  return { coef, scale, residuals };
+};
+
+const projectWeather = (index, origin, target) => {
+  const sameHour = (ts, key) => {
+    const values = [];
+    for (let d = 1; d <= WEATHER_LOOKBACK_DAYS; d++) {
+      const p = index.get(ts - d * DAY_HOURS * HOUR_MS);
+      if (p && p.ts <= origin) values.push(p[key]);
+    }
+    return values.length ? mean(values) : null;
+  };
+  const now = index.get(origin);
+  const lead = (target - origin) / HOUR_MS;
+  const result = {};
+  for (const key of ['temp', 'wetBulb']) {
+    const base = sameHour(target, key) ?? now[key];
+    const anomaly = now[key] - (sameHour(origin, key) ?? now[key]);
+    result[key] = base + anomaly * Math.exp(-lead / ANOMALY_DECAY_HOURS);
+  }
+  return result;
+};
+
+const forecastFrom = (index, model, origin) => {
+  const points = [];
+  for (let h = 1; h <= FORECAST_HORIZON; h++) {
+    const ts = origin + h * HOUR_MS;
+    const lag = index.get(ts - DAY_HOURS * HOUR_MS);
+    if (!lag) return null;
+    const weather = projectWeather(index, origin, ts);
+    points.push({ ts, weather, forecast: predictRidge(model.coef, buildFeatures(ts, weather, lag.demand, model.scale)) });
+  }
+  return points;
+};
+
+// 滚动起点回测：从最近一个完整 24h 窗口往前取 BACKTEST_FOLDS 个起点
+export const backtest = (history, folds = BACKTEST_FOLDS) => {
+  const index = indexByHour(history);
+  const last = Math.max(...index.keys());
+  const errors = [];
+  let usedFolds = 0;
+  for (let k = 1; k <= folds; k++) {
+    const origin = last - k * DAY_HOURS * HOUR_MS;
+    if (!index.has(origin)) continue;
+    const model = train(index, origin);
+    if (!model) continue;
+    const points = forecastFrom(index, model, origin);
+    if (!points) continue;
+    for (const p of points) {
+      const actual = index.get(p.ts)?.demand;
+      if (actual !== undefined) errors.push({ ts: p.ts, actual, forecast: p.forecast });
+    }
+    usedFolds++;
+  }
+  const mape = errors.length ? mean(errors.map(e => Math.abs(e.actual - e.forecast) / e.actual)) : NaN;
+  return { errors, folds: usedFolds, mape };
+};
+
+/**
+ * history: [{ ts, demand, temp, wetBulb }] 按小时采样
+ * 返回 { points: [{ ts, time, forecast, lower, upper }], mape, folds, bandLevel, bandSource }
+ * 或 { error } (数据不足，error 为 noHistory / tooShort / gap，tooShort 附带 required 与 days 天数)
+ */
+export const forecastLoad = (history) => {
+  const clean = history.filter(p => Number.isFinite(p.demand) && Number.isFinite(p.temp) && Number.isFinite(p.wetBulb));
+  if (clean.length === 0) return { error: 'noHistory' };
+  const index = indexByHour(clean);
+  const origin = Math.max(...index.keys());
+  const model = train(index, origin);
+  if (!model) return { error: 'tooShort', required: MIN_TRAIN_DAYS + 1, days: Math.floor(clean.length / DAY_HOURS) };
+  const points = forecastFrom(index, model, origin);
+  if (!points) return { error: 'gap' };
+
+  // 置信带取回测相对误差的经验分位数；回测不足时退回训练残差 (会偏窄，界面上注明)
+  const bt = backtest(clean);
+  const relErrors = bt.errors.length >= DAY_HOURS * 2
+    ? bt.errors.map(e => (e.actual - e.forecast) / e.forecast)
+    : model.residuals;
+  const tail = (1 - BAND_LEVEL) / 2;
+  const lowQ = quantile(relErrors, tail);
+  const highQ = quantile(relErrors, 1 - tail);
+
+  return {
+    origin,
+    points: points.map(p => ({
+      ts: p.ts,
+      time: `${new Date(p.ts).getHours()}:00`,
+      forecast: Math.round(p.forecast),
+      lower: Math.round(p.forecast * (1 + lowQ)),
+      upper: Math.round(p.forecast * (1 + highQ)),
+      temp: Math.round(p.weather.temp * 10) / 10,
+    })),
+    mape: bt.mape,
+    folds: bt.folds,
+    bandLevel: BAND_LEVEL,
+    bandSource: relErrors === model.residuals ? 'training' : 'backtest',
+  };
+};
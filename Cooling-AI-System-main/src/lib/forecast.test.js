@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { forecastLoad, backtest, FORECAST_HORIZON, BACKTEST_FOLDS } from './forecast';
+import { fitRidge, predictRidge } from './regression';
+
+const HOUR_MS = 3600000;
+
+// 负荷由时段与气温决定的逐时历史：白天高、夜间低，周末打八折
+const history = (days, end = new Date(2026, 6, 20).getTime()) => Array.from({ length: days * 24 }, (_, i) => {
+  const ts = end - (days * 24 - i) * HOUR_MS;
+  const d = new Date(ts);
+  const hour = d.getHours();
+  const temp = 30 + 4 * Math.sin(((hour - 9) / 24) * 2 * Math.PI) + ((i / 24) % 3) * 0.5;
+  const weekend = d.getDay() === 0 || d.getDay() === 6 ? 0.8 : 1;
+  return { ts, temp, wetBulb: temp - 6, demand: (1000 + (hour >= 8 && hour <= 20 ? 500 : 0) + 40 * (temp - 30)) * weekend };
+});
+
+describe('fitRidge', () => {
+  it('正则化很小时还原线性关系的系数', () => {
+    const X = Array.from({ length: 50 }, (_, i) => [1, i / 10, Math.sin(i)]);
+    const y = X.map(x => 3 + 2 * x[1] - 5 * x[2]);
+    const coef = fitRidge(X, y, 1e-6);
+    expect(coef.map(c => Math.round(c * 100) / 100)).toEqual([3, 2, -5]);
+    expect(predictRidge(coef, [1, 1, 0])).toBeCloseTo(5, 3);
+  });
+});
+
+describe('forecastLoad', () => {
+  it('数据不足时返回原因', () => {
+    expect(forecastLoad([])).toEqual({ error: 'noHistory' });
+    expect(forecastLoad(history(5))).toMatchObject({ error: 'tooShort', required: 8, days: 5 });
+  });
+
+  it('规律明显的历史回测误差小，置信带包住预测值', () => {
+    const data = history(21);
+    const bt = backtest(data);
+    expect(bt.folds).toBe(BACKTEST_FOLDS);
+    expect(bt.errors.length).toBe(BACKTEST_FOLDS * FORECAST_HORIZON);
+    expect(bt.mape).toBeLessThan(0.03);
+
+    const result = forecastLoad(data);
+    expect(result.points).toHaveLength(FORECAST_HORIZON);
+    expect(result.bandSource).toBe('backtest');
+    expect(result.mape).toBe(bt.mape);
+    expect(result.points[0].ts).toBe(data[data.length - 1].ts + HOUR_MS);
+    for (const p of result.points) expect(p.lower <= p.forecast && p.forecast <= p.upper).toBe(true);
+  });
+});
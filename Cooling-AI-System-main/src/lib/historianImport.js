@@ -0,0 +1,250 @@
+import { estimatePlantPower, wetBulbTemperature, DEFAULT_OPERATING_SETPOINTS } from './plantModel';
+import { optimizeSetpoints } from './optimizer';
+import { hourOf, mergeAggregates } from './timeseries';
+
+// --- 历史库 (BMS historian) 导出文件导入 ---
+// 列映射到 realtimeData 字段路径，换算单位后按与实时数据相同的口径得到时序字段，
+// 再按小时汇总成 hourly 记录。优化功率在确认导入时按每小时平均工况补算。
+
+const HOUR_MS = 3600000;
+const KW_PER_RT = 3.517;
+
+// 每类物理量的可选单位，第一个为系统内部单位
+export const QUANTITIES = {
+  temperature: { '°C': v => v, '°F': v => (v - 32) / 1.8, K: v => v - 273.15 },
+  power: { kW: v => v, W: v => v / 1000, MW: v => v * 1000 },
+  cooling: { kW: v => v, RT: v => v * KW_PER_RT, MW: v => v * 1000 },
+  efficiency: { COP: v => v, 'kW/RT': v => KW_PER_RT / v },
+  percent: { '%': v => v, '0~1': v => v * 100 },
+  frequency: { Hz: v => v },
+};
+
+// 顺序即自动匹配优先级：更具体的表头规则在前；显示名在语言目录 import.fields 下
+export const IMPORT_FIELDS = {
+  'plant.power': { quantity: 'power', pattern: /总功率|总电耗|plant.*(power|kw)|total.*(power|kw)/i },
+  'compressor.power': { quantity: 'power', pattern: /压缩机|主机.*功率|chiller.*(power|kw)|compressor/i },
+  'compressor.cop': { quantity: 'efficiency', pattern: /cop|能效|kw\s*\/\s*(rt|ton)/i },
+  'compressor.outTemp': { quantity: 'temperature', pattern: /冷冻水.*(出水|供水)|chw.*(supply|leaving|lwt)|chws/i },
+  'coolingTower.outTemp': { quantity: 'temperature', pattern: /冷却水.*(供水|出水)|cw.*supply|cws|tower.*(leaving|outlet)/i },
+  'coolingTower.fanSpeed': { quantity: 'percent', pattern: /风机|fan/i },
+  'pump.frequency': { quantity: 'frequency', pattern: /泵.*频率|pump.*(hz|freq|speed)|vfd/i },
+  'userSide.load': { quantity: 'cooling', pattern: /负荷|cooling.*load|tonnage|load/i },
+  'environment.wetBulb': { quantity: 'temperature', pattern: /湿球|wet.?bulb|wbt/i },
+  'environment.humidity': { quantity: 'percent', pattern: /湿度|humidity|\brh\b/i },
+  'environment.temp': { quantity: 'temperature', pattern: /干球|室外温度|气温|outdoor|outside|\boat\b|dry.?bulb/i },
+};
+
+const TIME_HEADER = /时间|日期|time|date|timestamp/i;
+
+// 表头里的单位标注
+const UNIT_HINTS = [
+  [/°\s*F|℉|deg\s*F|\(F\)/i, '°F'],
+  [/kw\s*\/\s*(rt|ton)/i, 'kW/RT'],
+  [/\bRT\b|\btons?\b|冷吨/i, 'RT'],
+  [/\bMW\b/, 'MW'],
+  [/\bW\b/, 'W'],
+  [/\bK\b/, 'K'],
+];
+
+export const guessUnit = (header, quantity) => {
+  const units = QUANTITIES[quantity];
+  const hit = UNIT_HINTS.find(([pattern, unit]) => units[unit] && pattern.test(header));
+  return hit ? hit[1] : Object.keys(units)[0];
+};
+
+/**
+ * 按表头猜测时间列与字段映射。
+ * 返回 { timeColumn, mapping: [{ column, path, unit }] }，未识别的列 path 为 ''。
+ */
+export const guessMapping = (headers) => {
+  const timeColumn = Math.max(0, headers.findIndex(h => TIME_HEADER.test(String(h))));
+  const used = new Set();
+  const mapping = headers.map((header, column) => {
+    const text = String(header);
+    const path = column === timeColumn ? '' : Object.keys(IMPORT_FIELDS).find(p => !used.has(p) && IMPORT_FIELDS[p].pattern.test(text)) ?? '';
+    if (path) used.add(path);
+    return { column, path, unit: path ? guessUnit(text, IMPORT_FIELDS[path].quantity) : '' };
+  });
+  return { timeColumn, mapping };
+};
+
+// --- 时间戳 ---
+
+export const TIME_FORMATS = ['auto', 'ymd', 'mdy', 'dmy', 'epochS', 'epochMs', 'excel'];
+
+const DATE_TIME = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*([AaPp][Mm])?)?\s*(Z|[+-]\d{2}:?\d{2})?$/;
+
+const fromParts = (utc, y, mo, d, h = 0, mi = 0, s = 0) => (
+  utc ? Date.UTC(y, mo - 1, d, h, mi, s) : new Date(y, mo - 1, d, h, mi, s).getTime()
+);
+
+// Excel 序列号以 1899-12-30 为零点，且不带时区
+const fromExcelSerial = (n, utc) => {
+  const naive = new Date(Math.round((n - 25569) * 86400000));
+  return fromParts(utc, naive.getUTCFullYear(), naive.getUTCMonth() + 1, naive.getUTCDate(), naive.getUTCHours(), naive.getUTCMinutes(), naive.getUTCSeconds());
+};
+
+const fromNumber = (n, format, utc) => {
+  if (format === 'epochMs') return n;
+  if (format === 'epochS') return n * 1000;
+  if (format === 'excel') return fromExcelSerial(n, utc);
+  if (n > 1e11) return n;
+  if (n > 1e8) return n * 1000;
+  if (n > 1 && n < 2958466) return fromExcelSerial(n, utc);
+  return NaN;
+};
+
+/**
+ * 解析单元格中的时间戳 → 毫秒 (失败为 NaN)。
+ * 不带时区的时间按 utc 参数解释为 UTC 或浏览器本地时间。
+ */
+export const parseTimestamp = (value, { format = 'auto', utc = false } = {}) => {
+  if (typeof value === 'number') return fromNumber(value, format, utc);
+  const text = String(value ?? '').trim();
+  if (text === '') return NaN;
+  if (/^\d+(\.\d+)?$/.test(text)) return fromNumber(Number(text), format, utc);
+
+  const m = text.match(DATE_TIME);
+  if (!m) return format === 'auto' ? Date.parse(text) : NaN;
+  const [, a, b, c, hh = 0, mm = 0, ss = 0, ampm, zone] = m;
+  let order = format;
+  if (order === 'auto' || order === 'epochS' || order === 'epochMs' || order === 'excel') {
+    if (a.length === 4) order = 'ymd';
+    else order = Number(a) > 12 ? 'dmy' : 'mdy';
+  }
+  const [y, mo, d] = order === 'ymd' ? [a, b, c] : order === 'dmy' ? [c, b, a] : [c, a, b];
+  const year = Number(y) < 100 ? 2000 + Number(y) : Number(y);
+  let hour = Number(hh) % (ampm ? 12 : 24);
+  if (ampm && /p/i.test(ampm)) hour += 12;
+  if (zone) {
+    const iso = `${year}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}T${String(hour).padStart(2, '0')}:${mm}:${String(ss).padStart(2, '0')}${zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone}`;
+    return Date.parse(iso);
+  }
+  if (Number(mo) < 1 || Number(mo) > 12 || Number(d) < 1 || Number(d) > 31) return NaN;
+  return fromParts(utc, year, Number(mo), Number(d), hour, Number(mm), Number(ss));
+};
+
+// --- 数值与字段 ---
+
+// 空值、坏质量标记 (Bad / NaN / #N/A 等) 返回 NaN；"7,2" 视为小数逗号，"1,234.5" 视为千分位
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  if (!/^[-+]?[\d.,]/.test(text)) return NaN;
+  const normalized = /^[-+]?\d+,\d+$/.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+  return parseFloat(normalized);
+};
+
+const round = (v) => Math.round(v * 100) / 100;
+
+// 部分 realtimeData (只含映射到的字段) → 时序字段；缺项不输出
+const readingsToValues = (r) => {
+  const temp = r.environment?.temp;
+  const humidity = r.environment?.humidity;
+  const wetBulb = r.environment?.wetBulb ?? (temp !== undefined && humidity !== undefined ? wetBulbTemperature(temp, humidity) : undefined);
+  const cwSupply = r.coolingTower?.outTemp;
+  // 未映射的泵/风机在估算总功率时按 0 计
+  const power = r.plant?.power ?? (r.compressor?.power !== undefined ? estimatePlantPower(r) : undefined);
+  const values = {
+    power,
+    demand: r.userSide?.load,
+    efficiency: r.compressor?.cop,
+    chwSupply: r.compressor?.outTemp,
+    cwSupply,
+    approach: cwSupply !== undefined && wetBulb !== undefined ? cwSupply - wetBulb : undefined,
+    fanSpeed: r.coolingTower?.fanSpeed,
+    pumpFrequency: r.pump?.frequency,
+    temp,
+    wetBulb,
+  };
+  return Object.fromEntries(Object.entries(values).filter(([, v]) => Number.isFinite(v)).map(([k, v]) => [k, round(v)]));
+};
+
+// --- 汇总与缺口 ---
+
+const interpolateHours = (prev, next, hours) => Array.from({ length: hours }, (_, i) => {
+  const t = (i + 1) / (hours + 1);
+  const avg = {};
+  for (const key of Object.keys(prev.avg)) {
+    if (next.avg[key] !== undefined) avg[key] = round(prev.avg[key] + (next.avg[key] - prev.avg[key]) * t);
+  }
+  return { ts: prev.ts + (i + 1) * HOUR_MS, count: 1, avg, min: avg, max: avg, filled: true };
+});
+
+/**
+ * 把表格数据 (首行为表头) 转换为逐时记录。
+ * options: { timeColumn, timeFormat, utc, mapping: [{ column, path, unit }], gapFill: 'none' | 'linear', maxGapHours }
+ * 返回 { records, samples, stats }:
+ *   samples 前若干条逐行转换结果，用于预览
+ *   stats   { rows, badTime, emptyCells, from, to, hours, filled, gaps: [{ from, to, hours }] }
+ */
+export const buildImport = (rows, { timeColumn = 0, timeFormat = 'auto', utc = false, mapping = [], gapFill = 'none', maxGapHours = 3 } = {}) => {
+  const active = mapping.filter(m => m.path && IMPORT_FIELDS[m.path]);
+  const stats = { rows: Math.max(0, rows.length - 1), badTime: 0, emptyCells: 0, filled: 0, gaps: [] };
+  const samples = [];
+  const byHour = new Map();
+
+  for (const row of rows.slice(1)) {
+    const ts = parseTimestamp(row[timeColumn], { format: timeFormat, utc });
+    if (!Number.isFinite(ts)) {
+      stats.badTime++;
+      continue;
+    }
+    const readings = {};
+    for (const m of active) {
+      const raw = parseNumber(row[m.column]);
+      if (!Number.isFinite(raw)) {
+        stats.emptyCells++;
+        continue;
+      }
+      const [group, field] = m.path.split('.');
+      const convert = QUANTITIES[IMPORT_FIELDS[m.path].quantity][m.unit] ?? (v => v);
+      readings[group] = { ...readings[group], [field]: convert(raw) };
+    }
+    const values = readingsToValues(readings);
+    if (Object.keys(values).length === 0) continue;
+    if (samples.length < 200) samples.push({ ts, values });
+    const h = hourOf(ts);
+    if (!byHour.has(h)) byHour.set(h, []);
+    byHour.get(h).push({ ts, values });
+  }
+
+  const hourly = [...byHour.entries()].sort((a, b) => a[0] - b[0]).map(([h, rs]) => mergeAggregates(h, rs));
+  const records = [];
+  hourly.forEach((record, i) => {
+    const prev = hourly[i - 1];
+    const missing = prev ? (record.ts - prev.ts) / HOUR_MS - 1 : 0;
+    if (missing > 0) {
+      if (gapFill === 'linear' && missing <= maxGapHours) {
+        records.push(...interpolateHours(prev, record, missing));
+        stats.filled += missing;
+      } else {
+        stats.gaps.push({ from: prev.ts + HOUR_MS, to: record.ts - HOUR_MS, hours: missing });
+      }
+    }
+    records.push(record);
+  });
+
+  stats.hours = records.length;
+  stats.from = records[0]?.ts ?? null;
+  stats.to = records[records.length - 1]?.ts ?? null;
+  return { records, samples, stats };
+};
+
+// 确认导入时补算优化功率：模型在每小时平均负荷与湿球温度下寻优，
+// 把相对默认运行设定的节能比例折算到实测功率上 (实测站与仿真模型的绝对功率不一定一致)；没有可行设定的小时不补算
+// units 为导入目标站点的机组配置 (见 availableUnits)，与实时采样按同样的加机规则计算
+export const withOptimizedPower = (records, { units } = {}) => records.map(r => {
+  const { power, demand, wetBulb, temp } = r.avg;
+  if (![power, demand, wetBulb].every(Number.isFinite)) return r;
+  const { baseline, optimized, feasible } = optimizeSetpoints({ load: demand, weather: { temp: temp ?? wetBulb, wetBulb }, units }, DEFAULT_OPERATING_SETPOINTS);
+  if (!feasible) return r;
+  const ratio = Math.min(1, optimized.power.total / baseline.power.total);
+  const scaled = (v) => round(v * ratio);
+  return {
+    ...r,
+    avg: { ...r.avg, optimizedPower: scaled(power) },
+    min: { ...r.min, optimizedPower: scaled(r.min.power) },
+    max: { ...r.max, optimizedPower: scaled(r.max.power) },
+  };
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { guessMapping, guessUnit, parseTimestamp, parseNumber, buildImport, withOptimizedPower } from './historianImport';
+import { parseCsv } from './csv';
+
+const record = (avg) => ({ ts: Date.UTC(2026, 6, 1, 6), count: 12, avg, min: avg, max: avg });
+
+describe('表头识别', () => {
+  it('按表头匹配字段与单位', () => {
+    const headers = ['Timestamp', 'CHWS Temp (°F)', 'Chiller kW', 'Efficiency kW/ton', 'Cooling Load (tons)', 'OAT', 'RH %', 'Notes'];
+    expect(guessMapping(headers)).toEqual({
+      timeColumn: 0,
+      mapping: [
+        { column: 0, path: '', unit: '' },
+        { column: 1, path: 'compressor.outTemp', unit: '°F' },
+        { column: 2, path: 'compressor.power', unit: 'kW' },
+        { column: 3, path: 'compressor.cop', unit: 'kW/RT' },
+        { column: 4, path: 'userSide.load', unit: 'RT' },
+        { column: 5, path: 'environment.temp', unit: '°C' },
+        { column: 6, path: 'environment.humidity', unit: '%' },
+        { column: 7, path: '', unit: '' },
+      ],
+    });
+    expect(guessMapping(['冷冻水出水温度', '采集时间', '总功率']).timeColumn).toBe(1);
+    expect(guessUnit('Supply Temp K', 'temperature')).toBe('K');
+  });
+});
+
+describe('单元格解析', () => {
+  it('时间戳按格式、时区与 Excel 序列号解释', () => {
+    expect(parseTimestamp('2026-07-01 08:30', { utc: true })).toBe(Date.UTC(2026, 6, 1, 8, 30));
+    expect(parseTimestamp('07/01/2026 2:00 PM', { utc: true })).toBe(Date.UTC(2026, 6, 1, 14));
+    expect(parseTimestamp('01/07/2026 14:00', { format: 'dmy', utc: true })).toBe(Date.UTC(2026, 6, 1, 14));
+    expect(parseTimestamp('2026-07-01T08:00+08:00')).toBe(Date.UTC(2026, 6, 1, 0));
+    expect(parseTimestamp('46204.5', { utc: true })).toBe(Date.UTC(2026, 6, 1, 12));
+    expect(parseTimestamp('1782864000')).toBe(1782864000000);
+    expect(parseTimestamp('2026-13-01')).toBeNaN();
+  });
+
+  it('数值识别小数逗号、千分位与坏质量标记', () => {
+    expect([parseNumber('7,2'), parseNumber('1,234.5'), parseNumber(' -3 '), parseNumber('Bad'), parseNumber('#N/A'), parseNumber('')])
+      .toEqual([7.2, 1234.5, -3, NaN, NaN, NaN]);
+  });
+});
+
+describe('buildImport', () => {
+  it('换算单位后按小时汇总，短缺口线性补齐', () => {
+    const rows = parseCsv([
+      'time,CHWS (°F),Load (tons),Chiller kW',
+      '2026-07-01 08:00,44.6,100,150',
+      '2026-07-01 08:30,46.4,200,250',
+      'bad time,1,1,1',
+      '2026-07-01 11:00,44.6,Bad,210',
+    ].join('\n'));
+    const { records, stats } = buildImport(rows, { ...guessMapping(rows[0]), utc: true, gapFill: 'linear', maxGapHours: 2 });
+
+    expect(stats).toMatchObject({ rows: 4, badTime: 1, emptyCells: 1, filled: 2, hours: 4, gaps: [] });
+    expect(records.map(r => r.ts)).toEqual([8, 9, 10, 11].map(h => Date.UTC(2026, 6, 1, h)));
+    expect(records[0].count).toBe(2);
+    expect(records[0].avg.chwSupply).toBeCloseTo(7.5, 2);
+    expect(records[0].avg.demand).toBeCloseTo(150 * 3.517, 1);
+    expect(records[0].max.demand).toBeCloseTo(200 * 3.517, 1);
+    expect(records[1]).toMatchObject({ filled: true, count: 1 });
+    expect(records[3].avg.demand).toBeUndefined();
+
+    const strict = buildImport(rows, { ...guessMapping(rows[0]), utc: true, gapFill: 'linear', maxGapHours: 1 });
+    expect(strict.stats.gaps).toEqual([{ from: Date.UTC(2026, 6, 1, 9), to: Date.UTC(2026, 6, 1, 10), hours: 2 }]);
+  });
+});
+
+describe('withOptimizedPower', () => {
+  it('按目标站点的机组配置寻优，没有可用机组时不补算', () => {
+    const avg = { power: 900, demand: 2600, temp: 32, wetBulb: 26 };
+    const units = [{ id: 'CH-1', name: '1#', capacity: 1500 }, { id: 'CH-2', name: '2#', capacity: 1500 }];
+
+    const [single] = withOptimizedPower([record(avg)]);
+    expect(single.avg.optimizedPower).toBeUndefined();
+
+    const [multi] = withOptimizedPower([record(avg)], { units });
+    expect(multi.avg.optimizedPower).toBeGreaterThan(0);
+    expect(multi.avg.optimizedPower).toBeLessThanOrEqual(avg.power);
+
+    const [none] = withOptimizedPower([record(avg)], { units: units.map(u => ({ ...u, available: false })) });
+    expect(none.avg.optimizedPower).toBeUndefined();
+  });
+});
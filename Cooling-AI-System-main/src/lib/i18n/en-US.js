@@ -0,0 +1,959 @@
+// English
+export default {
+  common: {
+    cancel: 'Cancel',
+    close: 'Close',
+    save: 'Save',
+    delete: 'Delete',
+    listSeparator: '; ',
+    nameSeparator: ', ',
+  },
+  roles: {
+    viewer: 'Viewer',
+    operator: 'Operator',
+    engineer: 'Engineer',
+  },
+  auth: {
+    requires: 'Requires {role} role or above',
+  },
+  login: {
+    subtitle: 'Sign in to continue',
+    expired: 'Your session has expired. Please sign in again.',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Sign in',
+    devAccounts: 'Development test accounts',
+    setupTitle: 'Create administrator account',
+    setupHint: 'No users have been set up yet. Create the first engineer account; you will be signed in right away.',
+    displayName: 'Display name (optional)',
+    confirmPassword: 'Confirm password',
+    usernameRule: 'Usernames are 2–32 letters, digits, dots, underscores or hyphens',
+    passwordRule: 'Passwords need at least {min} characters',
+    passwordMismatch: 'The passwords do not match',
+    setupSubmit: 'Create and sign in',
+    setupToken: 'Setup token',
+    setupTokenRequired: 'Enter the setup token from the sign-in service startup log',
+  },
+  // Shown by error code (see errorText): AI service, sign-in and setpoint writes
+  errors: {
+    network: 'The AI service is unavailable. Please try again later. ({detail})',
+    unauthorized: 'Your session has expired or is invalid. Please sign in again.',
+    forbidden: 'Your role is not allowed to do this',
+    rate_limited: 'Too many requests. Please try again later.',
+    http: 'The AI service returned an error (HTTP {status}): {detail}',
+    tool_rounds: 'The AI made too many tool calls without giving an answer',
+    unknown_provider: 'Unknown LLM provider: {provider} (options: {options})',
+    invalid: 'Incorrect username or password',
+    rejected: 'The username or password does not meet the requirements',
+    setup_done: 'Users already exist; setup can only run once',
+    setup_token: 'Invalid setup token. Check the sign-in service startup log (restarting the service issues a new token)',
+    bad_session: 'The sign-in service returned an invalid user',
+    unavailable: 'Sign-in service unavailable: {detail}',
+    gateway_not_connected: 'Not connected to the gateway',
+    gateway_disconnected: 'The gateway connection dropped. Check whether the change took effect.',
+    gateway_timeout: 'The gateway did not respond in time. Check whether the change took effect.',
+    setpoints_invalid: 'The setpoints failed validation',
+    setpoints_forbidden: 'Not signed in or not allowed to change setpoints',
+    plc_offline: 'The PLC is offline, so the current setpoints cannot be confirmed',
+    no_change: 'No setpoints changed',
+    gateway_error: 'Gateway error: {detail}',
+  },
+  severity: {
+    critical: 'Critical',
+    warning: 'Warning',
+    info: 'Info',
+  },
+  setpoint: {
+    chwSetPoint: 'Chilled water supply setpoint',
+    cwSetPoint: 'Condenser water supply setpoint',
+    pumpFrequency: 'Pump frequency',
+    copMin: 'Efficiency alarm threshold',
+    supplyTempOffset: 'Supply temperature above setpoint',
+    deltaTMin: 'Minimum supply/return ΔT',
+    condenserInletMax: 'Condenser inlet temperature limit',
+    pumpPressureMin: 'Pump pressure low limit',
+    pumpPressureMax: 'Pump pressure high limit',
+  },
+  setpointErrors: {
+    required: 'Enter a value',
+    range: 'Allowed range {min} – {max}',
+    band: 'Operator range {min} – {max}',
+    step: 'Single change limited to ±{max}',
+    hourly: 'Total change within 1 hour limited to {max} (already moved {moved})',
+    pressureOrder: 'High limit must be above low limit',
+  },
+  control: {
+    title: 'Plant strategy',
+    groups: {
+      plant: 'Operating setpoints',
+      alarm: 'Alarm limits',
+    },
+    plcCurrent: 'PLC now {value}',
+    rangeHint: 'Range {min} – {max}{unit}',
+    bandHint: 'Operator range {min} – {max}{unit}',
+    stepHint: 'step ±{max}',
+    applied: 'Applied {count} change(s)',
+    failed: 'Write failed: {error}',
+    discard: 'Discard edits',
+    save: 'Save and sync',
+    auditTitle: 'Change log',
+    auditEmpty: 'No changes yet',
+    status: {
+      applied: 'Applied',
+      failed: 'Failed',
+    },
+    rollback: 'Roll back',
+    rollbackTitle: 'Restore the configuration from before this change',
+    rollbackReason: 'Roll back change made at {time}',
+    reasonLine: 'Reason: {reason}',
+    confirmApply: 'Confirm configuration',
+    confirmRollback: 'Confirm rollback',
+    parameter: 'Parameter',
+    from: 'Current',
+    to: 'New',
+    change: 'Change',
+    writesPlc: 'writes to PLC',
+    operator: 'Operator',
+    reason: 'Reason',
+    apply: 'Apply',
+  },
+  alarms: {
+    rules: {
+      low_cop: 'Chiller efficiency low',
+      high_supply_temp: 'Chilled water supply temperature high',
+      low_delta_t: 'Supply/return ΔT low',
+      high_condenser_inlet: 'Condenser inlet temperature high',
+      pump_pressure_low: 'Pump pressure low',
+      pump_pressure_high: 'Pump pressure high',
+    },
+    activeTitle: 'Active alarms',
+    firingCount: '{count} active',
+    ackAll: 'Acknowledge all',
+    allClear: 'All monitored values are within limits',
+    current: 'Now {value}',
+    limit: 'Limit {sign} {value}',
+    status: {
+      pending: 'Delay running',
+      active: 'Active',
+      cleared: 'Cleared · unacknowledged',
+      acked: 'Acknowledged',
+    },
+    ack: 'Acknowledge',
+    createWorkOrder: 'Work order',
+    openWorkOrder: 'Open the linked work order',
+    historyTitle: 'Alarm history',
+    clearHistory: 'Clear history',
+    columns: {
+      time: 'Time',
+      alarm: 'Alarm',
+      severity: 'Severity',
+      event: 'Event',
+      value: 'Value',
+    },
+    events: {
+      raised: 'Raised',
+      cleared: 'Cleared',
+      acknowledged: 'Acknowledged',
+    },
+    historyEmpty: 'No alarm events',
+    limitsTitle: 'Alarm limits',
+    editLimits: 'Edit on the Control tab',
+  },
+  fdd: {
+    title: 'Fault diagnostics',
+    windowNote: 'Based on the last {days} days of hourly data and the last {hours} hours of raw samples, re-evaluated every 5 minutes',
+    lastEvaluated: 'last evaluated {time}',
+    faultCount: 'Open faults',
+    loading: 'Reading history…',
+    since: 'since {time}',
+    confidenceBadge: 'Confidence {level} · {percent}%',
+    causes: 'Possible causes',
+    checks: 'Recommended checks',
+    ask: 'Ask the assistant to explain',
+    createWorkOrder: 'Create work order',
+    openWorkOrder: 'Open the linked work order',
+    status: {
+      fault: 'Fault',
+      ok: 'Normal',
+      insufficient: 'Insufficient data',
+    },
+    confidence: {
+      high: 'high',
+      medium: 'medium',
+      low: 'low',
+    },
+    insufficient: {
+      loadedHours: 'Fewer than {hours} valid hours with loading ≥{loading}',
+      condenser: 'Condensing temperature missing or too few valid hours to compute condenser approach',
+      tower: 'Fan speed, wet-bulb temperature or compressor power missing; too few valid hours',
+      pump: 'Pump frequency, flow or head data missing',
+      raw: 'Less than 1 hour of recent raw samples',
+      units: 'No chiller run data',
+      failed: 'Rule evaluation failed: {error}',
+    },
+    low_delta_t: {
+      ok: 'Over {hours} hours with loading ≥{loading}, median supply/return ΔT is {ratio} of the design-flow value',
+      fault: 'Over {hours} hours with loading ≥{loading}, median supply/return ΔT is {ratio} of the design-flow value, below {threshold}',
+    },
+    condenser_fouling: {
+      summary: 'Median condenser approach over the last 24 valid hours is {recent} (design {design}); linear change of {sign}{creep} over {days} days',
+    },
+    tower_approach: {
+      ok: 'Over {hours} valid hours, median approach is {ratio} of the expected value',
+      fault: 'Over {hours} valid hours, median approach is {ratio} of the expected value, above {threshold}',
+    },
+    pump_off_curve: {
+      ok: 'Flow is {flow} of the affinity-law prediction, head is {head}',
+      fault: 'Flow is {flow} of the affinity-law prediction, head is {head}: {pattern}',
+      patterns: {
+        resistanceHigh: 'low flow with high head, system resistance has increased',
+        pumpWeak: 'flow and head both low, pump output has dropped',
+        resistanceLow: 'high flow with low head, system resistance is low',
+        flowLow: 'flow low',
+        flowHigh: 'flow high',
+        headLow: 'head low',
+        headHigh: 'head high',
+      },
+    },
+    short_cycling: {
+      fault: 'In the last {hours} hours: {units}',
+      unitStarts: '{unit} started {starts} times (up to {maxPerHour} within 1 hour)',
+      ok: 'In the last {hours} hours the most starts were on {unit} ({starts}); no short cycling',
+    },
+    metrics: {
+      medianDeltaT: 'Median ΔT',
+      deltaTRatio: 'Measured / expected ΔT',
+      designDeltaT: 'Design ΔT',
+      condApproach: 'Current approach',
+      condApproachCreep: 'Rise over window',
+      trendR2: 'Trend R²',
+      medianApproach: 'Median approach',
+      approachRatio: 'Measured / expected',
+      fanSpeed: 'Average fan speed',
+      flowRatio: 'Flow / predicted',
+      headRatio: 'Head / predicted',
+      pumpFrequency: 'Average frequency',
+      starts: '{unit} starts',
+      startsUnit: '',
+    },
+    series: {
+      deltaT: 'Measured ΔT',
+      expectedDeltaT: 'Expected ΔT at design flow',
+      condApproach: 'Condenser approach',
+      trend: 'Linear trend',
+      approachLimit: 'Approach limit',
+      approach: 'Measured approach',
+      expectedApproach: 'Expected approach',
+      lowLimit: 'Low limit',
+      highLimit: 'High limit',
+      plantChiller: 'Chiller',
+    },
+    rules: {
+      low_delta_t: {
+        label: 'Low ΔT syndrome',
+        description: 'Chilled water supply/return ΔT stays below what design flow would give, meaning flow is too high (over-pumping). Chillers cannot load fully and more units have to run.',
+        causes: ['Terminal two-way valves failed or bypassed, so chilled water is not fully used', 'Secondary or chilled water pumps running too fast, or bypass open', 'Fouled coils or low airflow on the air side'],
+        checks: ['Compare the chilled water flow meter with design flow', 'Check the bypass valve and differential-pressure bypass control', 'Spot-check the branches with the lowest return temperature'],
+      },
+      condenser_fouling: {
+        label: 'Condenser approach rising (fouling)',
+        description: 'The difference between condensing temperature and condenser water leaving temperature (condenser approach) is above design or keeps rising. Tube fouling or non-condensables raise compressor lift and power.',
+        causes: ['Scale, algae or silt on condenser tubes', 'Non-condensable gas in the refrigerant circuit', 'Inadequate condenser water treatment (dosing, blowdown)'],
+        checks: ['Compare saturation temperature at condensing pressure with condenser water leaving temperature', 'Schedule tube brushing or inspect the online tube-cleaning system', 'Check condenser water conductivity and dosing records'],
+      },
+      tower_approach: {
+        label: 'Cooling tower approach too high',
+        description: 'Condenser water supply temperature is well above wet-bulb compared with what the current heat rejection and fan speed should give. Tower capacity has dropped.',
+        causes: ['Fill fouled, damaged or unevenly wetted', 'Fan belt slipping or blade pitch wrong', 'Air inlet blocked or warm moist air recirculating', 'Wet-bulb sensor error'],
+        checks: ['Inspect distribution basins and nozzles; check the fill is evenly wetted', 'Measure fan current and airflow', 'Calibrate the outdoor temperature/humidity sensor'],
+      },
+      pump_off_curve: {
+        label: 'Pump off its performance curve',
+        description: 'By the affinity laws flow scales with frequency and head with frequency squared. Persistent deviation means the pump or system curve has changed.',
+        causes: ['Valves not fully open or strainer clogged (higher resistance)', 'Impeller wear, cavitation or worn wear rings (lower output)', 'Bypass open or check valve failed on a parallel pump (lower resistance)', 'Flow meter or pressure transmitter error'],
+        checks: ['Check valve positions and clean strainers', 'Measure pump suction/discharge pressure and current against the manufacturer curve', 'Calibrate the flow meter and pressure transmitters'],
+      },
+      short_cycling: {
+        label: 'Chiller short cycling',
+        description: 'Chillers start and stop repeatedly in a short time (short cycling), adding compressor wear and start-up stress, usually with lower efficiency.',
+        causes: ['Staging thresholds with too little hysteresis or too short delays', 'Load swings large relative to unit size', 'Leaving-water setpoint too close to the stop differential', 'Safety trips (low pressure, oil pressure) followed by auto restart'],
+        checks: ['Review staging thresholds, hysteresis and delays', 'Check stop-reason logs to rule out safety trips', 'Consider a smaller unit or more chilled water system inertia'],
+      },
+    },
+  },
+  metrics: {
+    power: 'Plant power',
+    optimizedPower: 'Optimized power',
+    demand: 'Cooling load',
+    efficiency: 'Chiller efficiency',
+    chwSupply: 'Chilled water supply temperature',
+    cwSupply: 'Condenser water supply temperature',
+    approach: 'Cooling tower approach',
+    condApproach: 'Condenser approach',
+    fanSpeed: 'Tower fan speed',
+    pumpFrequency: 'Pump frequency',
+    temp: 'Outdoor dry-bulb temperature',
+    wetBulb: 'Outdoor wet-bulb temperature',
+    humidity: 'Outdoor relative humidity',
+    compressorPower: 'Compressor power',
+    chwReturn: 'Chilled water return temperature',
+    cwReturn: 'Condenser water return temperature',
+    deltaT: 'Chilled water ΔT',
+    pumpFlow: 'Condenser water flow',
+    pumpPressure: 'Pump head',
+  },
+  equipment: {
+    compressor: 'Chiller',
+    coolingTower: 'Cooling tower',
+    pump: 'Condenser water pump',
+    userSide: 'Load side',
+    environment: 'Outdoor conditions',
+    units: 'Chiller details (multi-chiller sites)',
+  },
+  tools: {
+    get_current_readings: 'Read the live operating values of one piece of equipment',
+    get_metric_history: 'Read the hourly history of a metric over a time range (evenly sampled above 48 points)',
+    compute_statistics: 'Compute min/max/mean/standard deviation of a metric over a time range, with when they occurred',
+    show_chart: 'Choose the chart attached to this reply; if not called, the last queried metric is charted',
+    get_energy_cost: 'Compute energy, cost under the time-of-use tariff, carbon, cost per kWh of cooling and optimization savings potential for a time window; call it once per window to compare before and after a setpoint change',
+    simulate_scenario: 'Use the plant physics model to predict compressor, condenser pump, tower fan and total plant power and chiller COP for a what-if scenario (changed chilled-water setpoint, condenser water setpoint, tower fan speed, load or outdoor wet-bulb) against the current baseline; omitted parameters come from the scenario the user sent, or the baseline if none; call it repeatedly to try other combinations',
+    get_diagnostics: 'Read the latest fault diagnostic findings (low ΔT, condenser fouling, tower approach, pump off curve, short cycling) with evidence metrics, confidence, possible causes and recommended checks',
+    params: {
+      hours: 'Hours to look back, 1 – {max}, default 24',
+      end: 'End of the time range (ISO 8601); defaults to the latest data',
+      includeOk: 'Also return rules with no fault; by default only open faults are returned',
+      scenarioInput: '{name} ({unit})',
+      fanSpeed: 'Cooling tower fan speed (%); pass 0 to let the fan track the condenser water setpoint',
+    },
+    errors: {
+      unknownMetric: 'Unknown metric {metric}',
+      unknownEquipment: 'Unknown equipment {equipment}',
+      noEquipmentData: 'The data source has no {equipment} data',
+      noDiagnostics: 'Diagnostics not finished yet or not enough history',
+      noScenario: 'No scenario baseline is available',
+      unknownTool: 'Unknown tool {name}',
+    },
+  },
+  chart: {
+    tooltipTitle: '{label}',
+    recentHours: 'last {hours}h',
+    time: 'Time',
+  },
+  mock: {
+    readings: '{equipment} live readings',
+    stat: 'Statistic',
+    value: 'Value',
+    at: 'At',
+    min: 'Min',
+    max: 'Max',
+    mean: 'Mean',
+    latest: 'Latest',
+    noData: 'No data in the selected time range.',
+    noFaults: 'As of {time}, no diagnostic rule found a fault.',
+    confidence: 'confidence {confidence}',
+    disclaimer: 'Offline demo mode: this reply was generated by rules; the question "{question}" was not interpreted by a language model.',
+    costPerCooling: 'Cost per kWh of cooling ({currency})',
+    savingsPotential: 'Optimization savings potential ({currency})',
+    scenarioColumn: 'Scenario',
+    change: 'Change',
+    scenarioSaves: 'The model predicts this scenario uses {power} kW less than the current baseline ({percent}).',
+    scenarioCosts: 'The model predicts this scenario uses {power} kW more than the current baseline ({percent}).',
+    received: 'Offline demo mode: received "{question}".',
+  },
+  threads: {
+    greeting: 'Hello! I am your plant assistant. The supply temperature is fluctuating slightly.\n\n## Current overview\nThe supply temperature setpoint is {setpoint} and the actual temperature is {actual}.\n\n| Key metric | Reading | Status |\n|---|---|---|\n| Supply temperature | {actual} | 🟡 Watch |\n| Ambient wet-bulb | {wetBulb} | 🟢 Good |\n\n### AI insight\n- Consider monitoring the **leaving chilled water temperature** more often to keep fluctuation within {band}.',
+    untitled: 'New chat',
+    new: 'New chat',
+    search: 'Search all chats',
+    noMatch: 'No matching chats',
+    rename: 'Rename',
+    exportMarkdown: 'Export Markdown',
+    confirmDelete: 'Delete chat "{title}"? This cannot be undone.',
+    questions: '{count} questions',
+    hitQuestion: 'Q: ',
+    hitAnswer: 'A: ',
+    export: {
+      site: 'Site: {site}',
+      created: 'Created: {time}',
+      updated: 'Updated: {time}',
+      question: 'Question',
+      answer: 'Answer',
+      snapshot: 'Live data at the time of the question',
+      empty: '(empty)',
+      chart: 'Chart: {metric} · {range}',
+    },
+  },
+  equipmentPoints: {
+    coolingTower: { title: 'Cooling tower', fanSpeed: 'Fan speed', outTemp: 'Condenser water supply temp', inTemp: 'Condenser water return temp', setPoint: 'Supply temp setpoint', humidity: 'Tower humidity' },
+    pump: { title: 'Condenser pump', frequency: 'Frequency', setPoint: 'Frequency setpoint', flow: 'Flow', pressure: 'Head' },
+    compressor: { title: 'Chiller', power: 'Compressor power', cop: 'Chiller efficiency', outTemp: 'Chilled water leaving temp', inTemp: 'Chilled water return temp', condTemp: 'Condensing temp', evapTemp: 'Evaporating temp' },
+    userSide: { title: 'Building load', load: 'Cooling load', setPoint: 'Leaving temp setpoint', returnTemp: 'Return temp', deltaT: 'Supply/return ΔT' },
+    environment: { title: 'Outdoor conditions', temp: 'Dry-bulb temp', humidity: 'Relative humidity', wetBulb: 'Wet-bulb temp' },
+    units: 'Chillers',
+    range: 'Interval min–max',
+  },
+  unitStatus: {
+    Running: 'Running',
+    Stopped: 'Stopped',
+    Fault: 'Fault',
+  },
+  schematic: {
+    title: 'Process flow',
+    hint: 'Click a unit for details',
+    legend: {
+      cwSupply: 'Condenser water supply',
+      cwReturn: 'Condenser water return',
+      chwSupply: 'Chilled water supply',
+      chwReturn: 'Chilled water return',
+    },
+    supply: 'Supply',
+    return: 'Return',
+    fan: 'Fan',
+    setpoint: 'Setpoint',
+    head: 'Head',
+    condenser: 'Condenser',
+    compressor: 'Compressor',
+    evaporator: 'Evaporator',
+    running: '{running}/{total} running',
+    userSide: 'Building',
+    load: 'Load',
+    dryBulb: 'Dry bulb',
+    humidity: 'Humidity',
+    wetBulb: 'Wet bulb',
+  },
+  sequencing: {
+    title: 'Chiller sequencing',
+    noUnits: 'The data source does not provide per-chiller points. {site} has {count} chillers configured.',
+    kpi: {
+      running: 'Running',
+      loading: 'Average loading',
+      chillerEfficiency: 'Chiller {unit}',
+      plantEfficiency: 'Plant efficiency ({unit})',
+    },
+    advice: {
+      up: 'Running chillers average {loading} loading, above the stage-up threshold of {threshold}. Start {unit}.',
+      max: 'Running chillers average {loading} loading and no standby chiller is left. Cooling margin is insufficient.',
+      down: 'With {unit} stopped the others would run at {loading}, at or below the stage-down threshold of {threshold}. Stage down.',
+      hold: 'Running chillers average {loading} loading. Keep the current number of chillers.',
+      unavailable: 'No chillers available. The plant is stopped.',
+    },
+    columns: {
+      unit: 'Chiller',
+      status: 'Status',
+      load: 'Load',
+      loading: 'Loading',
+      power: 'Power',
+    },
+    lagging: 'Noticeably less efficient than the other running chillers',
+    loadSplit: 'Load split ({unit})',
+  },
+  optimizer: {
+    title: 'Setpoint optimization',
+    baseline: 'Current total power',
+    optimized: 'Optimized',
+    saving: 'Saving',
+    infeasible: 'The load exceeds chiller capacity or condenser water temperatures are out of limits. No setpoint combination satisfies the constraints.',
+    noUnits: 'No chillers available. The plant is stopped, so there is nothing to optimize.',
+    optimal: 'The current setpoints are already close to the model optimum. No adjustment suggested.',
+    limited: '{fields} limited by the maximum step per change. Optimize again after applying.',
+    adopt: 'Apply suggestion',
+    adoptReason: 'Applied optimization suggestion, estimated saving {saving} kW',
+    items: {
+      chwUp: 'Raise chilled water setpoint by {change} ({from} → {to})',
+      chwDown: 'Lower chilled water setpoint by {change} ({from} → {to})',
+      chwUpDetail: 'Higher evaporating temperature lowers the compressor pressure ratio',
+      chwDownDetail: 'Leaving water is too warm and must be lowered to meet the load',
+      cwUp: 'Raise condenser water setpoint to {to} (fan {fanFrom}% → {fanTo}%)',
+      cwDown: 'Lower condenser water setpoint to {to} (fan {fanFrom}% → {fanTo}%)',
+      cwDetail: 'Fan power {fan} kW, compressor power {compressor} kW',
+      pump: 'Condenser pump {from} → {to} Hz',
+      pumpDetail: 'Pump power {pump} kW, condenser water range {from} → {to}',
+    },
+  },
+  forecast: {
+    title: '24h load forecast',
+    actual: 'Actual load',
+    forecast: 'Forecast load',
+    lower: 'Lower bound',
+    upper: 'Upper bound',
+    band: '{level}% confidence band',
+    now: 'Now',
+    mape: 'Backtest MAPE ({folds} × 24h)',
+    peak: 'Forecast peak',
+    peakRange: 'Peak range',
+    bandSource: 'Band source',
+    sources: {
+      backtest: 'Rolling backtest error quantiles',
+      training: 'Training residuals (too little backtest data, may be narrow)',
+    },
+    errors: {
+      noHistory: 'No load history available',
+      tooShort: 'At least {required} days of hourly load and weather history are needed ({days} days available)',
+      gap: 'The last 24h of history has gaps, so lag features cannot be built',
+    },
+  },
+  reports: {
+    periods: { daily: 'Daily report', weekly: 'Weekly report', monthly: 'Monthly report' },
+    titles: {
+      daily: 'Daily report {date}',
+      weekly: 'Weekly report {date} – {to}',
+      monthly: 'Monthly report {year}-{month}',
+    },
+    previousHint: {
+      daily: 'Leave the date empty to report on the last complete day.',
+      weekly: 'Leave the date empty to report on the last complete week.',
+      monthly: 'Leave the date empty to report on the last complete month.',
+    },
+    subsystems: {
+      compressor: 'Chillers',
+      pump: 'Condenser pumps',
+      fan: 'Tower fans',
+      aux: 'Lighting & auxiliary',
+    },
+    kpi: {
+      energy: 'Total energy',
+      chillerEfficiency: 'Avg chiller {unit}',
+      plantEfficiency: 'Plant efficiency',
+      cooling: 'Cooling delivered',
+      peak: 'Peak load',
+      saving: 'Saving potential',
+    },
+    sources: { ai: 'Written by AI', template: 'Rule-based' },
+    meta: 'Data coverage {coverage} · generated {generated}',
+    scheduledTag: 'scheduled',
+    print: 'Print / PDF',
+    summary: 'Summary',
+    writing: 'Writing summary...',
+    narrativeFailed: 'AI summary failed ({error}); using the rule-based summary',
+    incomplete: 'History for this period is incomplete ({hours} hours), so totals such as energy are understated.',
+    trend: 'Chiller {unit} trend',
+    shares: 'Energy by subsystem',
+    generateTitle: 'Generate report',
+    dateHint: 'A date inside the report period; leave empty for the last complete period',
+    generate: 'Generate',
+    scheduleTitle: 'Schedule',
+    weekdays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    dayOfMonth: 'Day {day}',
+    scheduleHint: 'Reports for the previous period are generated on time while the page is open. The latest missed one is generated the next time it opens.',
+    archive: 'Archive ({count})',
+    empty: 'No reports yet',
+    scheduled: 'Scheduled',
+    manual: 'Manual',
+    select: 'Select or generate a report',
+    narrative: {
+      system: 'You are an energy management engineer for an industrial chiller plant, writing the summary of a periodic energy report. Use only the data given and never invent numbers.',
+      prompt: 'Using the chiller plant {period} data below, write a summary in English of at most 100 words: describe energy use and efficiency, point out the peak load and saving potential, and end with 1-2 actionable operating recommendations. Keep the units used in the data. Output only the body text, without headings or tables.',
+      empty: 'No history is available for this period.',
+      summary: 'The plant used {energy} kWh and delivered {cooling} kWh of cooling; average chiller {unit} was {efficiency} and {direction}.',
+      rising: 'rising',
+      falling: 'falling',
+      flat: 'broadly stable',
+      noData: 'has too little data for a trend',
+      top: '{subsystem} accounted for {ratio} of energy.',
+      peak: 'Peak load was {peak} at {time}.',
+      saving: 'Running at optimized setpoints could save about {saving} kWh ({ratio}); consider applying the setpoint optimization on the forecast page.',
+      coverage: 'Note: data coverage is only {coverage}, so totals are understated.',
+      separator: ' ',
+    },
+    html: {
+      meta: 'Period {from} – {to} · data coverage {coverage} · generated {generated}',
+      kpis: 'Key figures',
+      noTrend: 'Not enough data to draw a trend.',
+      subsystem: 'Subsystem',
+      energy: 'Energy (kWh)',
+      ratio: 'Share',
+      note: 'Pump and fan energy are estimated from frequency/speed using the affinity laws, auxiliary load is constant and the remainder is attributed to the chillers. Saving potential is the difference between measured energy and the modelled energy at optimized setpoints under the same conditions.',
+    },
+  },
+  import: {
+    title: 'Import history',
+    choose: 'Choose a CSV / XLSX file exported from the BMS historian (first row is the header)',
+    rows: '{count} rows',
+    browse: 'Browse',
+    reading: 'Reading...',
+    noRows: 'The file has no data rows',
+    readFailed: 'Could not read the file: {error}',
+    failed: 'Import failed: {error}',
+    done: 'Imported {hours} hours of data',
+    timeColumn: 'Time column',
+    column: 'Column {n}',
+    timeFormat: 'Time format',
+    timeFormats: {
+      auto: 'Auto-detect',
+      ymd: 'Year-month-day',
+      mdy: 'Month/day/year',
+      dmy: 'Day/month/year',
+      epochS: 'Unix seconds',
+      epochMs: 'Unix milliseconds',
+      excel: 'Excel serial number',
+    },
+    timezone: 'Time zone',
+    localTime: 'Local time',
+    gaps: 'Gaps',
+    gapNone: 'Keep gaps',
+    gapLinear: 'Linear fill',
+    maxGap: 'Maximum consecutive hours to fill',
+    columns: { source: 'Source column', sample: 'Sample', target: 'Maps to', unit: 'Unit' },
+    ignore: 'Ignore',
+    fields: {
+      plant: { power: 'Plant total power' },
+      compressor: { power: 'Compressor power', cop: 'Chiller COP', outTemp: 'Chilled water leaving temp' },
+      coolingTower: { outTemp: 'Condenser water supply temp', fanSpeed: 'Tower fan speed' },
+      pump: { frequency: 'Condenser pump frequency' },
+      userSide: { load: 'Cooling load' },
+      environment: { wetBulb: 'Outdoor wet-bulb temp', humidity: 'Outdoor relative humidity', temp: 'Outdoor dry-bulb temp' },
+    },
+    stats: {
+      range: 'Time range',
+      hours: 'Hours aggregated',
+      hoursValue: '{hours} ({filled} filled)',
+      skipped: 'Skipped rows / empty cells',
+      gaps: 'Unfilled gaps',
+      gapsValue: '{count} gaps, {hours} h in total',
+      none: 'None',
+    },
+    badTime: '{count} rows have timestamps that could not be parsed. Check the time column and format.',
+    confirm: 'Import {hours} hours',
+  },
+  range: {
+    custom: 'Custom',
+    to: 'to',
+  },
+  export: {
+    csv: 'Export CSV',
+    png: 'Export PNG',
+  },
+  markdown: {
+    copy: 'Copy',
+    image: 'Image',
+  },
+  connection: {
+    simulated: 'Simulated',
+    connecting: 'Connecting',
+    live: 'Live',
+    plc_offline: 'PLC offline',
+    offline: 'Offline',
+  },
+  nav: {
+    dashboard: 'Overview',
+    schematic: 'Process flow',
+    forecast: 'Forecast & optimization',
+    scenarios: 'What-if scenarios',
+    assistant: 'AI assistant',
+    reports: 'Energy reports',
+    diagnostics: 'Fault diagnostics',
+    alarms: 'Alarms',
+    maintenance: 'Maintenance',
+    control: 'Setpoints',
+  },
+  header: {
+    lastUpdate: 'Last update {time}',
+    switchSite: 'Switch site',
+    siteUnits: '{count} chillers',
+    alarms: 'Alarms',
+    efficiency: 'System efficiency {unit}',
+    session: 'Session valid until {deadline} (ends earlier after inactivity)',
+    logout: 'Sign out',
+    denied: 'Account {name} ({role}) cannot access this page',
+    gatewayDisconnected: 'Gateway not connected',
+    noGateway: 'No gateway address configured for {site}',
+  },
+  dashboard: {
+    savingTitle: 'Optimization potential',
+    originalPower: 'Actual power',
+    optimizedPower: 'Optimized power',
+    widgets: {
+      types: {
+        stat: 'Stat card',
+        trend: 'Trend chart',
+        energyPie: 'Energy breakdown',
+        alarms: 'Alarm summary',
+        forecast: 'Load forecast',
+        sequencing: 'Chiller sequencing',
+        cost: 'Cost & carbon',
+      },
+      sizes: {
+        sm: 'narrow',
+        md: 'half width',
+        lg: 'wide',
+        full: 'full row',
+      },
+      seriesHint: 'Pick up to {max} history metrics; series with different units use the left and right axes',
+      openAlarms: 'Open alarm center',
+      firing: 'Active',
+      unacked: 'Unacknowledged',
+      moreAlarms: '{count} more alarms',
+      openForecast: 'Open load forecast',
+      nextHour: 'Next hour',
+    },
+    layout: {
+      edit: 'Edit dashboard',
+      done: 'Done',
+      add: 'Add widget…',
+      export: 'Export layout (JSON)',
+      import: 'Import layout (JSON)',
+      reset: 'Restore default layout',
+      confirmReset: 'Restore the default layout? The layout saved for this account will be deleted.',
+      moveEarlier: 'Move earlier',
+      moveLater: 'Move later',
+      resize: 'Resize (current: {size})',
+      configure: 'Configure',
+      empty: 'The dashboard is empty. Click "Edit dashboard" to add widgets.',
+      imported: 'Imported {count} widgets',
+      skipped: ', skipped {count} unrecognized widgets',
+      errors: {
+        invalidJson: 'The file is not valid JSON',
+        invalidFormat: 'No dashboard layout found in the file (missing widgets list)',
+        unsupportedVersion: 'The layout file is from a newer version; upgrade before importing',
+        empty: 'The layout contains no recognized widgets',
+      },
+    },
+  },
+  assistant: {
+    system: 'You are an expert AI assistant for industrial chiller plants. The current time is {now}.\nThe current site is {site} with {count} chillers ({units}){running}. Live readings are plant-wide totals; query units for per-chiller details.\nWhen answering about operating data, call the tools for live readings, history or statistics first instead of estimating; call show_chart when a specific chart is needed.\nFor equipment faults, performance degradation or when asked to explain a diagnosis, call get_diagnostics for evidence and confidence, and explain the reasoning, likely causes and checks.\n{cost}\nTool values are metric (°C, kW, COP, m³/h); convert them to the user\'s units in your answer: {displayUnits}.\nAnswer in English using Markdown:\n1. Wrap units, scientific notation and temperature symbols in $, for example {example}.\n2. Decide from context whether to bold specific equipment names (such as **chilled water leaving temperature**).\n3. Never use Markdown in chart or table keys; keep data labels plain.',
+    systemCost: 'Tariff ({currency}/kWh): {prices}{weekend}; demand charge {demandCharge} {currency}/kW·month; grid emission factor {factor} kgCO₂/kWh.\nMonth to date: energy {energy} kWh, cost {cost} {currency} (including demand charge {demand}), carbon {carbon} kg, optimization savings potential {savings} {currency} / {savingsCarbon} kgCO₂.\nSetpoint changes in the last 48 hours: {changes}.\nFor questions about cost, carbon or how much a change saved, call get_energy_cost for comparable windows before and after the change, compare cost per kWh of cooling and explain how load and weather differences affect the result.',
+    systemWeekend: '; weekends are off-peak all day',
+    systemChange: '{time} {user} changed {name} from {from}{unit} to {to}{unit}',
+    systemNoChanges: 'none',
+    systemRunning: ', {running} running',
+    error: 'Communication error: {error}',
+    explainDiagnosis: 'Please explain the fault diagnosis "{label}": {summary}. What is the evidence, what are the likely causes and what should be checked next?',
+    title: 'Seeing Assistant',
+    exportMarkdown: 'Export Markdown',
+    stopped: 'Generation stopped',
+    snapshot: 'live data snapshot',
+    snapshotHint: 'The live data at the time of the question is saved with the conversation',
+    edit: 'Edit',
+    regenerate: 'Regenerate',
+    thinking: 'Analyzing...',
+    placeholder: 'Ask about leaving temperature, COP or the load forecast...',
+    stop: 'Stop generating',
+  },
+  preferences: {
+    title: 'Language & units',
+    language: 'Language',
+    units: 'Unit system',
+    systems: { metric: 'Metric', imperial: 'Imperial' },
+    dimensions: { temperature: 'Temperature', cooling: 'Cooling', efficiency: 'Efficiency', flow: 'Flow' },
+    hint: 'Data is still stored and written to the PLC in metric units and only converted for display and input. Electrical power is always shown in kW.',
+  },
+  tariff: {
+    title: 'Tariff and emission factor',
+    hint: 'Costs use time-of-use energy prices plus a demand charge on the monthly peak; carbon uses the grid emission factor. Changes apply to the dashboard and the AI assistant immediately.',
+    price: '{period} price ({currency}/kWh)',
+    currency: 'Currency',
+    schedule: 'Time-of-use periods (pick a period, then click hours)',
+    weekendOffPeak: 'Bill Saturdays and Sundays at the off-peak price all day',
+    demandCharge: 'Demand charge ({currency}/kW·month)',
+    emissionFactor: 'Grid emission factor (kgCO₂/kWh)',
+    save: 'Save tariff',
+    saved: 'Tariff saved',
+    errors: {
+      required: 'Enter a value',
+      range: 'Allowed range {min} – {max}',
+    },
+    periods: {
+      peak: 'Peak',
+      shoulder: 'Shoulder',
+      offPeak: 'Off-peak',
+    },
+    cardTitle: 'Energy cost and carbon',
+    monthToDate: 'Month to date from {from} · {hours} h',
+    kpi: {
+      total: 'Cost this month',
+      energyCost: 'Energy charge {cost}',
+      demand: 'Demand charge',
+      demandPeak: 'Peak demand {power} kW @ {time}',
+      energy: 'Energy this month',
+      carbon: 'Carbon this month',
+      factor: 'Emission factor {factor} kgCO₂/kWh',
+      savings: 'Optimization savings potential',
+    },
+    views: {
+      cost: 'Cost',
+      carbon: 'Carbon',
+    },
+    series: {
+      cost: 'Actual cost',
+      optimizedCost: 'Optimized cost',
+      cumulativeSavings: 'Savings potential, month to date',
+      carbon: 'Actual carbon',
+      optimizedCarbon: 'Optimized carbon',
+      cumulativeCarbonSavings: 'Carbon reduction potential, month to date',
+    },
+    bySubsystem: 'Cost this month by subsystem',
+    byPeriod: 'Cost this month by period',
+    export: {
+      date: 'Date',
+      energy: 'Energy (kWh)',
+      cost: 'Cost ({currency})',
+      optimizedCost: 'Optimized cost ({currency})',
+      carbon: 'Carbon (kg)',
+      optimizedCarbon: 'Optimized carbon (kg)',
+    },
+    carbonTons: '{value} tCO₂',
+    carbonKg: '{value} kgCO₂',
+  },
+  scenarios: {
+    title: 'What-if scenario simulator',
+    hint: 'Starting from the measured load, weather and active setpoints, drag the sliders to predict plant power and chiller COP after a change. Baseline and scenario use the same physics model; the condenser pump stays at its active setpoint of {pump} Hz.',
+    baseline: 'Current baseline',
+    current: 'Current scenario',
+    change: 'Total power change',
+    was: 'baseline {value}',
+    auto: 'Auto',
+    fanAuto: 'Track the condenser water setpoint automatically (now {speed}%)',
+    reset: 'Reset to baseline',
+    powerChart: 'Power by subsystem (kW)',
+    copChart: 'Chiller efficiency ({unit})',
+    namePlaceholder: 'Scenario name (optional)',
+    defaultName: 'Scenario {n}',
+    save: 'Save scenario',
+    ask: 'Ask the assistant to evaluate',
+    adopt: 'Take to setpoints',
+    adoptHint: 'Only the chilled-water and condenser water setpoints are carried over; they still need confirmation on the setpoints tab',
+    adoptReason: 'Scenario simulation predicts total power {change}',
+    savedTitle: 'Saved scenarios',
+    compareHint: 'Tick up to {max} scenarios to compare with the baseline',
+    compare: 'Compare',
+    name: 'Name',
+    load: 'Load into sliders',
+    rename: 'Rename',
+    confirmDelete: 'Delete scenario "{name}"?',
+    empty: 'No saved scenarios yet. Adjust the sliders and click "Save scenario".',
+    inputs: {
+      setPoint: 'Chilled-water supply',
+      cwSetPoint: 'Condenser water supply',
+      fanSpeed: 'Tower fan speed',
+      load: 'Cooling load',
+      wetBulb: 'Outdoor wet-bulb',
+    },
+    outputs: {
+      compressor: 'Compressor',
+      pump: 'Pump',
+      fan: 'Fan',
+      aux: 'Auxiliary',
+      total: 'Total',
+      chwSupply: 'Chilled-water supply',
+      cwSupply: 'Condenser water supply',
+      cwReturn: 'Condenser water return',
+      fanSpeed: 'Fan speed',
+    },
+    warnings: {
+      overCapacity: 'Load exceeds the available chiller capacity; the chilled-water supply temperature cannot be held',
+      noUnits: 'No chillers available; the plant is stopped',
+      cwSetPointMissed: 'The condenser water setpoint cannot be reached even at full fan speed',
+      cwSupplyLow: 'Condenser water supply is below the chiller minimum',
+      cwReturnHigh: 'Condenser water return is above the chiller maximum',
+    },
+    prompt: {
+      request: 'Please evaluate the what-if scenario "{name}". Compared with the current baseline: {changes}.\nModel prediction: total plant power {total}; {parts}; chiller efficiency {cop}.{warnings}\nExplain the energy effect and why, the impact and risks for the chillers, cooling towers and space dehumidification, and whether to make the change on the setpoints tab. You may call simulate_scenario to try other combinations.',
+      change: '{name} {from} → {to}',
+      noChanges: 'all inputs match the current baseline',
+      part: '{name} {from} → {to} kW',
+      warnings: '\nOperating constraints: {warnings}.',
+    },
+  },
+  maintenance: {
+    title: 'Equipment runtime and maintenance',
+    hint: 'Run hours and starts are accumulated from live data while the page is open; gaps longer than 5 minutes are not counted, and engineers can calibrate against the site hour meters. Preventive work orders are raised automatically when a task falls due by run hours, starts or calendar days; closing the work order records the service.',
+    columns: {
+      asset: 'Equipment',
+      status: 'Status',
+      runHours: 'Run hours',
+      starts: 'Starts',
+      plans: 'Maintenance progress',
+      number: 'No.',
+      title: 'Title',
+      assignee: 'Assignee',
+      updated: 'Updated',
+    },
+    assets: {
+      compressor: 'Chiller',
+      pump: 'Condenser water pump',
+      coolingTower: 'Cooling tower fan',
+    },
+    plans: {
+      chillerOil: 'Compressor oil and filter change',
+      chillerAnnual: 'Chiller annual service',
+      chillerStarter: 'Starter and contactor inspection',
+      pumpBearing: 'Pump bearing lubrication',
+      pumpSeal: 'Pump mechanical seal inspection',
+      fanBelt: 'Fan belt inspection and tensioning',
+      fanGearbox: 'Fan gearbox oil change',
+    },
+    progress: {
+      hours: '{used} / {limit} h',
+      starts: '{used} / {limit} starts',
+      days: '{used} / {limit} days',
+    },
+    countingSince: 'Counting since {date}',
+    running: 'Running',
+    stopped: 'Stopped',
+    waiting: 'Waiting for live data',
+    calibrate: 'Calibrate against site hour meter',
+    lastService: 'Last serviced {date}',
+    neverServiced: 'No service recorded yet; counted from the start of tracking',
+    ordersTitle: 'Work orders',
+    filters: {
+      active: 'Not closed',
+      open: 'Open',
+      inProgress: 'In progress',
+      closed: 'Closed',
+      all: 'All',
+    },
+    statuses: {
+      open: 'Open',
+      inProgress: 'In progress',
+      closed: 'Closed',
+    },
+    kinds: {
+      preventive: 'Preventive maintenance',
+      corrective: 'Corrective repair',
+    },
+    linkTypes: {
+      alarm: 'Alarm',
+      fdd: 'Diagnosis',
+    },
+    newOrder: 'New work order',
+    form: {
+      title: 'Title',
+      titlePlaceholder: 'Symptom or work to be done',
+      asset: 'Equipment',
+      noAsset: 'No equipment',
+      assignee: 'Assignee',
+      note: 'Note',
+      links: 'Linked events',
+      submit: 'Create work order',
+    },
+    noEvents: 'No open alarms or diagnoses',
+    noOrders: 'No matching work orders',
+    unassigned: 'Unassigned',
+    selectHint: 'Select a work order to see its details',
+    assign: 'Assign',
+    assignPlaceholder: 'Assignee name',
+    noLinks: 'No linked events',
+    eventOpen: 'Open',
+    eventResolved: 'Resolved',
+    addLink: 'Link an open alarm or diagnosis…',
+    unlink: 'Unlink',
+    notePlaceholder: 'Work notes; recorded as the resolution when closing',
+    addNote: 'Add note',
+    start: 'Start work',
+    close: 'Close work order',
+    closePreventiveHint: 'Closing restarts the interval for this maintenance task from the current counts',
+    reopen: 'Reopen',
+    log: 'Activity',
+    system: 'System',
+    events: {
+      created: 'Created',
+      assigned: 'Assigned to {assignee}',
+      start: 'Started work',
+      note: 'Added a note',
+      close: 'Closed',
+      reopen: 'Reopened',
+      link: 'Linked {event}',
+      unlink: 'Unlinked {event}',
+    },
+  },
+};
@@ -0,0 +1,45 @@
+import zhCN from './zh-CN';
+import enUS from './en-US';
+
+// --- 界面文字国际化 ---
+// 文案按命名空间写在各语言目录中，键用点号分隔 (如 'control.title')；值中的 {name} 由参数替换。
+// 目录中也可以放数组 (如诊断的可能原因列表)，t() 原样返回。
+// 缺失的键回退到默认语言，再缺失时返回键名本身，便于发现遗漏。
+
+export const LOCALES = {
+  'zh-CN': { label: '简体中文', catalog: zhCN },
+  'en-US': { label: 'English', catalog: enUS },
+};
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+
+export const translate = (locale, key, params) => {
+  const value = lookup(LOCALES[locale]?.catalog, key) ?? lookup(LOCALES[DEFAULT_LOCALE].catalog, key);
+  if (value === undefined) return key;
+  return typeof value === 'string' && params ? interpolate(value, params) : value;
+};
+
+// 绑定语言的翻译函数，t.locale 为当前语言
+export const createTranslator = (locale) => {
+  const t = (key, params) => translate(locale, key, params);
+  t.locale = locale;
+  return t;
+};
+
+// 带 code 的错误 (LlmError、AuthError、设定值下发) 显示语言目录 errors 下的文案，params 为插值参数；
+// 没有 code 或目录中没有对应文案时显示错误原文
+export const errorText = (t, err) => {
+  const key = `errors.${err?.code}`;
+  const text = err?.code ? t(key, err.params) : key;
+  return text === key ? err?.message ?? String(err) : text;
+};
+
+// 浏览器语言为中文时默认中文，其余默认英文
+export const detectLocale = () => {
+  const language = typeof navigator === 'undefined' ? '' : navigator.language || '';
+  return language.toLowerCase().startsWith('zh') ? 'zh-CN' : 'en-US';
+};
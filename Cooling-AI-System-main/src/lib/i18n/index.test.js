@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { createTranslator, errorText } from './index';
+import { LlmError } from '../llm/common';
+import { AuthError } from '../auth';
+
+describe('errorText', () => {
+  it('按 code 显示当前语言的文案并替换参数', () => {
+    const t = createTranslator('en-US');
+    expect(errorText(t, new AuthError('用户名或密码错误', 'invalid'))).toBe('Incorrect username or password');
+    expect(errorText(t, new LlmError('bad request', 'http', 400, { status: 400, detail: 'bad request' })))
+      .toBe('The AI service returned an error (HTTP 400): bad request');
+    expect(errorText(createTranslator('zh-CN'), new LlmError('x', 'rate_limited', 429))).toBe('请求过于频繁，请稍后再试');
+  });
+
+  it('没有 code 或目录中没有文案时显示错误原文', () => {
+    const t = createTranslator('en-US');
+    expect(errorText(t, new Error('boom'))).toBe('boom');
+    expect(errorText(t, Object.assign(new Error('boom'), { code: 'unknown' }))).toBe('boom');
+  });
+});
@@ -0,0 +1,959 @@
+// 简体中文 (默认语言，其他语言缺失的键回退到这里)
+export default {
+  common: {
+    cancel: '取消',
+    close: '关闭',
+    save: '保存',
+    delete: '删除',
+    listSeparator: '；',
+    nameSeparator: '、',
+  },
+  roles: {
+    viewer: '查看者',
+    operator: '操作员',
+    engineer: '工程师',
+  },
+  auth: {
+    requires: '需要{role}及以上权限',
+  },
+  login: {
+    subtitle: '登录后访问',
+    expired: '会话已过期，请重新登录',
+    username: '用户名',
+    password: '密码',
+    submit: '登录',
+    devAccounts: '开发环境测试账号',
+    setupTitle: '初始化管理员账号',
+    setupHint: '系统中还没有任何用户，请创建第一个工程师账号，创建后直接登录。',
+    displayName: '显示名 (可选)',
+    confirmPassword: '确认密码',
+    usernameRule: '用户名为 2~32 位字母、数字、点、下划线或连字符',
+    passwordRule: '密码至少 {min} 位',
+    passwordMismatch: '两次输入的密码不一致',
+    setupSubmit: '创建并登录',
+    setupToken: '初始化令牌',
+    setupTokenRequired: '请填写认证服务启动日志中的初始化令牌',
+  },
+  // 按错误的 code 显示 (见 errorText)：AI 服务、登录与设定值下发
+  errors: {
+    network: 'AI 服务不可用，请稍后再试 ({detail})',
+    unauthorized: '登录已过期或无效，请重新登录',
+    forbidden: '当前角色无权执行该操作',
+    rate_limited: '请求过于频繁，请稍后再试',
+    http: 'AI 服务出错 (HTTP {status})：{detail}',
+    tool_rounds: 'AI 工具调用轮数过多，未能给出回答',
+    unknown_provider: '未知的 LLM 提供方：{provider} (可选 {options})',
+    invalid: '用户名或密码错误',
+    rejected: '用户名或密码不符合要求',
+    setup_done: '已存在用户，不能重复初始化',
+    setup_token: '初始化令牌无效，请核对认证服务启动日志 (重启服务会生成新令牌)',
+    bad_session: '认证服务返回的用户无效',
+    unavailable: '认证服务不可用：{detail}',
+    gateway_not_connected: '网关未连接',
+    gateway_disconnected: '网关连接已断开，请确认修改是否生效',
+    gateway_timeout: '网关响应超时，请确认修改是否生效',
+    setpoints_invalid: '设定值校验未通过',
+    setpoints_forbidden: '未登录或无权修改设定值',
+    plc_offline: 'PLC 离线，无法确认当前设定值',
+    no_change: '设定值没有变化',
+    gateway_error: '网关出错：{detail}',
+  },
+  severity: {
+    critical: '严重',
+    warning: '警告',
+    info: '提示',
+  },
+  setpoint: {
+    chwSetPoint: '目标出水温度',
+    cwSetPoint: '冷却水供水温度',
+    pumpFrequency: '冷却泵频率',
+    copMin: '能效告警阈值',
+    supplyTempOffset: '出水温度高于设定值',
+    deltaTMin: '供回水温差下限',
+    condenserInletMax: '冷凝器进水温度上限',
+    pumpPressureMin: '冷却泵压力下限',
+    pumpPressureMax: '冷却泵压力上限',
+  },
+  setpointErrors: {
+    required: '请输入数值',
+    range: '允许范围 {min} ~ {max}',
+    band: '操作员可调范围 {min} ~ {max}',
+    step: '单次调整不超过 ±{max}',
+    hourly: '1 小时内累计调整不超过 {max} (已调整 {moved})',
+    pressureOrder: '压力上限需大于下限',
+  },
+  control: {
+    title: '系统全局策略',
+    groups: {
+      plant: '运行设定值',
+      alarm: '告警限值',
+    },
+    plcCurrent: 'PLC 当前 {value}',
+    rangeHint: '范围 {min} ~ {max}{unit}',
+    bandHint: '操作员可调 {min} ~ {max}{unit}',
+    stepHint: '单次 ±{max}',
+    applied: '已下发 {count} 项修改',
+    failed: '下发失败: {error}',
+    discard: '撤销编辑',
+    save: '保存并同步配置',
+    auditTitle: '修改记录',
+    auditEmpty: '暂无修改记录',
+    status: {
+      applied: '已生效',
+      failed: '失败',
+    },
+    rollback: '回滚',
+    rollbackTitle: '恢复为这次修改之前的配置',
+    rollbackReason: '回滚 {time} 的修改',
+    reasonLine: '原因: {reason}',
+    confirmApply: '确认下发配置',
+    confirmRollback: '确认回滚配置',
+    parameter: '参数',
+    from: '原值',
+    to: '新值',
+    change: '变化',
+    writesPlc: '写回 PLC',
+    operator: '操作人',
+    reason: '修改原因',
+    apply: '确认下发',
+  },
+  alarms: {
+    rules: {
+      low_cop: '主机能效过低',
+      high_supply_temp: '冷冻水出水温度偏高',
+      low_delta_t: '供回水温差过低',
+      high_condenser_inlet: '冷凝器进水温度过高',
+      pump_pressure_low: '冷却泵压力过低',
+      pump_pressure_high: '冷却泵压力过高',
+    },
+    activeTitle: '当前告警',
+    firingCount: '{count} 条告警中',
+    ackAll: '全部确认',
+    allClear: '所有监测量均在限值内',
+    current: '当前 {value}',
+    limit: '限值 {sign} {value}',
+    status: {
+      pending: '延时确认中',
+      active: '告警中',
+      cleared: '已恢复 · 待确认',
+      acked: '已确认',
+    },
+    ack: '确认',
+    createWorkOrder: '建工单',
+    openWorkOrder: '查看关联工单',
+    historyTitle: '告警历史',
+    clearHistory: '清空历史',
+    columns: {
+      time: '时间',
+      alarm: '告警',
+      severity: '等级',
+      event: '事件',
+      value: '数值',
+    },
+    events: {
+      raised: '触发',
+      cleared: '恢复',
+      acknowledged: '确认',
+    },
+    historyEmpty: '暂无告警记录',
+    limitsTitle: '告警限值',
+    editLimits: '在控制页修改',
+  },
+  fdd: {
+    title: '故障诊断',
+    windowNote: '基于最近 {days} 天逐时数据与最近 {hours} 小时原始采样，每 5 分钟重新评估',
+    lastEvaluated: '最近评估 {time}',
+    faultCount: '当前故障',
+    loading: '正在读取历史数据…',
+    since: '自 {time} 起',
+    confidenceBadge: '置信度 {level} · {percent}%',
+    causes: '可能原因',
+    checks: '建议检查',
+    ask: '让 AI 助手解释',
+    createWorkOrder: '创建维修工单',
+    openWorkOrder: '查看关联工单',
+    status: {
+      fault: '故障',
+      ok: '正常',
+      insufficient: '数据不足',
+    },
+    confidence: {
+      high: '高',
+      medium: '中',
+      low: '低',
+    },
+    insufficient: {
+      loadedHours: '负载率 ≥{loading} 的有效小时不足 {hours} 小时',
+      condenser: '缺少冷凝温度数据或有效小时不足，无法计算冷凝器端差',
+      tower: '缺少风机转速、湿球温度或压缩机功率数据，有效小时不足',
+      pump: '缺少冷却泵频率、流量或扬程数据',
+      raw: '最近原始采样不足 1 小时',
+      units: '缺少机组运行数据',
+      failed: '规则计算失败：{error}',
+    },
+    low_delta_t: {
+      ok: '负载率 ≥{loading} 的 {hours} 小时中，供回水温差中位数为设计流量下应有值的 {ratio}',
+      fault: '负载率 ≥{loading} 的 {hours} 小时中，供回水温差中位数为设计流量下应有值的 {ratio}，低于 {threshold}',
+    },
+    condenser_fouling: {
+      summary: '近 24 个有效小时冷凝器端差中位数 {recent} (设计 {design})，{days} 天内线性变化 {sign}{creep}',
+    },
+    tower_approach: {
+      ok: '{hours} 个有效小时中，逼近度中位数为应有值的 {ratio}',
+      fault: '{hours} 个有效小时中，逼近度中位数为应有值的 {ratio}，超过 {threshold}',
+    },
+    pump_off_curve: {
+      ok: '流量为相似定律预测值的 {flow}，扬程为 {head}',
+      fault: '流量为相似定律预测值的 {flow}，扬程为 {head}：{pattern}',
+      patterns: {
+        resistanceHigh: '流量偏低而扬程偏高，管路阻力增大',
+        pumpWeak: '流量与扬程同时偏低，水泵出力下降',
+        resistanceLow: '流量偏高而扬程偏低，管路阻力偏小',
+        flowLow: '流量偏低',
+        flowHigh: '流量偏高',
+        headLow: '扬程偏低',
+        headHigh: '扬程偏高',
+      },
+    },
+    short_cycling: {
+      fault: '最近 {hours} 小时内 {units}',
+      unitStarts: '{unit} 启动 {starts} 次 (1 小时内最多 {maxPerHour} 次)',
+      ok: '最近 {hours} 小时内启动最多的是 {unit} ({starts} 次)，未见短周期运行',
+    },
+    metrics: {
+      medianDeltaT: '温差中位数',
+      deltaTRatio: '实测 / 应有温差',
+      designDeltaT: '设计温差',
+      condApproach: '当前端差',
+      condApproachCreep: '窗口内上升',
+      trendR2: '趋势 R²',
+      medianApproach: '逼近度中位数',
+      approachRatio: '实测 / 应有',
+      fanSpeed: '风机平均转速',
+      flowRatio: '流量 / 预测',
+      headRatio: '扬程 / 预测',
+      pumpFrequency: '平均频率',
+      starts: '{unit} 启动次数',
+      startsUnit: '次',
+    },
+    series: {
+      deltaT: '实测温差',
+      expectedDeltaT: '设计流量下应有温差',
+      condApproach: '冷凝器端差',
+      trend: '线性趋势',
+      approachLimit: '端差上限',
+      approach: '实测逼近度',
+      expectedApproach: '应有逼近度',
+      lowLimit: '下限',
+      highLimit: '上限',
+      plantChiller: '冷水主机',
+    },
+    rules: {
+      low_delta_t: {
+        label: '低温差综合征',
+        description: '冷冻水供回水温差长期低于设计流量下应有的温差，说明实际流量偏大 (过量输送)，主机无法满载、需要多开机组。',
+        causes: ['末端盘管两通阀失效或被旁通，冷冻水未充分换热', '二次泵或冷冻泵转速过高、旁通管开启', '末端盘管脏堵或风侧风量不足'],
+        checks: ['核对冷冻水流量计读数与设计流量', '检查旁通阀与压差旁通控制的开度', '抽查回水温度最低的末端支路'],
+      },
+      condenser_fouling: {
+        label: '冷凝器端差上升 (结垢)',
+        description: '冷凝温度与冷却水出水温度之差 (冷凝器端差) 高于设计值或持续上升，换热管结垢或不凝气会使压缩机压比和功耗增加。',
+        causes: ['冷凝器换热管结垢、藻类或泥沙沉积', '制冷剂系统混入不凝性气体', '冷却水水质处理 (加药、排污) 不到位'],
+        checks: ['对比冷凝压力对应的饱和温度与冷却水出水温度', '安排冷凝器通炮清洗或在线清洗球装置检查', '检查冷却水电导率与加药记录'],
+      },
+      tower_approach: {
+        label: '冷却塔逼近度过大',
+        description: '冷却水供水温度与室外湿球温度之差明显大于当前排热量和风机转速下应有的值，冷却塔散热能力下降。',
+        causes: ['填料结垢、破损或布水不均', '风机皮带打滑、叶片角度不当', '进风口受阻或湿热空气回流', '湿球温度传感器偏差'],
+        checks: ['巡检布水盘与喷头，观察填料表面水膜是否均匀', '测量风机电流与风量', '校验室外温湿度传感器'],
+      },
+      pump_off_curve: {
+        label: '冷却泵偏离性能曲线',
+        description: '按相似定律，流量应与频率成正比、扬程与频率平方成正比；实测流量或扬程持续偏离，说明水泵或管路特性改变。',
+        causes: ['阀门未全开、Y 型过滤器堵塞 (阻力增大)', '叶轮磨损、汽蚀或口环间隙过大 (出力下降)', '旁通阀误开或并联泵止回阀失效 (阻力偏小)', '流量计或压力变送器偏差'],
+        checks: ['核对各阀门开度并清洗过滤器', '测量水泵进出口压力与电流，对照厂家曲线', '校验流量计与压力变送器'],
+      },
+      short_cycling: {
+        label: '机组频繁启停',
+        description: '机组在短时间内反复启停 (短周期运行)，增加压缩机磨损与启动冲击，通常伴随能效下降。',
+        causes: ['加减机阈值回差过小或延时过短', '负荷波动大而单机容量过大', '出水温度设定与停机温差过近', '保护动作 (低压、油压) 引起的跳机后自动重启'],
+        checks: ['检查群控加减机阈值、回差与延时设置', '查看停机原因记录，排除保护跳机', '评估增开小容量机组或加大冷冻水系统惯性'],
+      },
+    },
+  },
+  metrics: {
+    power: '冷站总功率',
+    optimizedPower: '寻优后功率',
+    demand: '冷负荷',
+    efficiency: '主机能效',
+    chwSupply: '冷冻水出水温度',
+    cwSupply: '冷却水供水温度',
+    approach: '冷却塔逼近度',
+    condApproach: '冷凝器端差',
+    fanSpeed: '冷却塔风机转速',
+    pumpFrequency: '冷却泵频率',
+    temp: '室外干球温度',
+    wetBulb: '室外湿球温度',
+    humidity: '室外相对湿度',
+    compressorPower: '压缩机功率',
+    chwReturn: '冷冻水回水温度',
+    cwReturn: '冷却水回水温度',
+    deltaT: '冷冻水供回水温差',
+    pumpFlow: '冷却水流量',
+    pumpPressure: '冷却泵扬程',
+  },
+  equipment: {
+    compressor: '冷水主机',
+    coolingTower: '冷却塔',
+    pump: '冷却泵',
+    userSide: '用户侧',
+    environment: '室外环境',
+    units: '冷水机组明细 (多机组站)',
+  },
+  tools: {
+    get_current_readings: '读取某台设备的实时运行参数',
+    get_metric_history: '读取某个指标在一段时间内的逐时历史 (超过 48 点时等间隔抽样)',
+    compute_statistics: '计算某个指标在一段时间内的最小/最大/平均/标准差及出现时刻',
+    show_chart: '指定本次回复附带的图表；不调用时按最后一次查询的指标自动配图',
+    get_energy_cost: '按分时电价核算时间窗口内的电量、电费、碳排放、冷量电费比与寻优节省潜力，比较设定值修改前后的两个窗口时分别调用',
+    simulate_scenario: '用冷站物理模型预测一个假设情景 (改变冷冻水出水温度、冷却水供水温度、冷却塔风机转速、负荷或室外湿球温度) 的压缩机、冷却泵、风机与总功率和主机 COP，并与当前基准对比；未给出的参数取用户发来的情景，没有时取当前基准，可多次调用试算其他组合',
+    get_diagnostics: '读取故障诊断规则的最新结论 (低温差、冷凝器结垢、冷却塔逼近度、冷却泵偏离曲线、频繁启停)，含证据指标、置信度、可能原因与建议检查项',
+    params: {
+      hours: '回看小时数，1 ~ {max}，默认 24',
+      end: '时间范围终点 (ISO 8601)，缺省为最新数据',
+      includeOk: '是否同时返回未发现故障的规则，默认只返回当前故障',
+      scenarioInput: '{name} ({unit})',
+      fanSpeed: '冷却塔风机转速 (%)，传 0 表示自动追踪冷却水供水设定',
+    },
+    errors: {
+      unknownMetric: '未知指标 {metric}',
+      unknownEquipment: '未知设备 {equipment}',
+      noEquipmentData: '当前数据源没有 {equipment} 数据',
+      noDiagnostics: '诊断尚未完成或历史数据不足',
+      noScenario: '当前没有可用的情景基准',
+      unknownTool: '未知工具 {name}',
+    },
+  },
+  chart: {
+    tooltipTitle: '{label} 运行记录',
+    recentHours: '近 {hours}h',
+    time: '时间',
+  },
+  mock: {
+    readings: '{equipment}实时读数',
+    stat: '统计',
+    value: '数值',
+    at: '时刻',
+    min: '最小',
+    max: '最大',
+    mean: '平均',
+    latest: '最新',
+    noData: '所选时间范围内没有数据。',
+    noFaults: '截至 {time}，各诊断规则均未发现故障。',
+    confidence: '置信度 {confidence}',
+    disclaimer: '离线演示模式：回复由规则生成，问题「{question}」未经语言模型理解。',
+    costPerCooling: '冷量电费比 ({currency}/kWh 冷量)',
+    savingsPotential: '寻优节省潜力 ({currency})',
+    scenarioColumn: '情景',
+    change: '变化',
+    scenarioSaves: '按模型预测，该情景比当前基准节省 {power} kW ({percent})。',
+    scenarioCosts: '按模型预测，该情景比当前基准多耗 {power} kW ({percent})。',
+    received: '离线演示模式：收到「{question}」。',
+  },
+  threads: {
+    greeting: '你好！我是您的智控助手。检测到系统出口温度略有波动。\n\n## 当前运行概览\n系统出口温度设定值为 {setpoint}，实际温度为 {actual}。\n\n| 关键指标 | 读数 | 状态 |\n|---|---|---|\n| 出口温度 | {actual} | 🟡 观察 |\n| 环境湿球温度 | {wetBulb} | 🟢 优 |\n\n### AI 洞察\n- 建议提高 **被冷却介质出口温度** 的监控频率，确保波动范围在 {band} 以内。',
+    untitled: '新对话',
+    new: '新对话',
+    search: '搜索全部对话',
+    noMatch: '没有匹配的对话',
+    rename: '重命名',
+    exportMarkdown: '导出 Markdown',
+    confirmDelete: '删除对话「{title}」？此操作不可恢复。',
+    questions: '{count} 问',
+    hitQuestion: '问：',
+    hitAnswer: '答：',
+    export: {
+      site: '站点：{site}',
+      created: '创建：{time}',
+      updated: '更新：{time}',
+      question: '提问',
+      answer: '回复',
+      snapshot: '提问时的实时数据',
+      empty: '(无内容)',
+      chart: '附图：{metric} · {range}',
+    },
+  },
+  equipmentPoints: {
+    coolingTower: { title: '冷却塔', fanSpeed: '风机转速', outTemp: '冷却水供水温度', inTemp: '冷却水回水温度', setPoint: '供水温度设定', humidity: '塔内湿度' },
+    pump: { title: '冷却泵', frequency: '运行频率', setPoint: '频率设定', flow: '流量', pressure: '扬程' },
+    compressor: { title: '冷水主机', power: '压缩机功率', cop: '主机能效', outTemp: '冷冻水出水温度', inTemp: '冷冻水回水温度', condTemp: '冷凝温度', evapTemp: '蒸发温度' },
+    userSide: { title: '用户侧负荷', load: '冷负荷', setPoint: '出水温度设定', returnTemp: '回水温度', deltaT: '供回水温差' },
+    environment: { title: '室外环境', temp: '干球温度', humidity: '相对湿度', wetBulb: '湿球温度' },
+    units: '各机组',
+    range: '区间最小~最大',
+  },
+  unitStatus: {
+    Running: '运行',
+    Stopped: '停机',
+    Fault: '故障',
+  },
+  schematic: {
+    title: '工艺流程',
+    hint: '点击设备查看详情',
+    legend: {
+      cwSupply: '冷却水供水',
+      cwReturn: '冷却水回水',
+      chwSupply: '冷冻水供水',
+      chwReturn: '冷冻水回水',
+    },
+    supply: '供水',
+    return: '回水',
+    fan: '风机',
+    setpoint: '设定',
+    head: '扬程',
+    condenser: '冷凝器',
+    compressor: '压缩机',
+    evaporator: '蒸发器',
+    running: '{running}/{total} 台运行',
+    userSide: '用户侧',
+    load: '负荷',
+    dryBulb: '干球',
+    humidity: '湿度',
+    wetBulb: '湿球',
+  },
+  sequencing: {
+    title: '机组群控',
+    noUnits: '当前数据源未提供分机组点位，{site} 共配置 {count} 台机组。',
+    kpi: {
+      running: '运行台数',
+      loading: '平均负载率',
+      chillerEfficiency: '主机 {unit}',
+      plantEfficiency: '冷站综合能效 ({unit})',
+    },
+    advice: {
+      up: '运行机组平均负载率 {loading}，超过加机阈值 {threshold}，建议启动 {unit}',
+      max: '运行机组平均负载率 {loading}，已无备用机组，冷量余量不足',
+      down: '停运 {unit} 后其余机组负载率 {loading}，不高于减机阈值 {threshold}，建议减机',
+      hold: '运行机组平均负载率 {loading}，维持当前台数',
+      unavailable: '没有可用的冷水机组，冷站已停机',
+    },
+    columns: {
+      unit: '机组',
+      status: '状态',
+      load: '负荷',
+      loading: '负载率',
+      power: '功率',
+    },
+    lagging: '效率明显低于其他运行机组',
+    loadSplit: '负荷分配 ({unit})',
+  },
+  optimizer: {
+    title: '设定值寻优建议',
+    baseline: '当前总功率',
+    optimized: '寻优后',
+    saving: '可节省',
+    infeasible: '当前负荷超出机组能力或冷却水温度越限，没有满足约束的设定组合',
+    noUnits: '没有可用的冷水机组，冷站已停机，无法寻优',
+    optimal: '当前设定已接近模型最优，暂无调整建议',
+    limited: '{fields}受单次调整幅度限制，执行后可再次寻优',
+    adopt: '采纳建议',
+    adoptReason: '采纳寻优建议，预计节省 {saving} kW',
+    items: {
+      chwUp: '提高冷冻水出水设定 {change} ({from} → {to})',
+      chwDown: '降低冷冻水出水设定 {change} ({from} → {to})',
+      chwUpDetail: '蒸发温度升高，压缩机压比下降',
+      chwDownDetail: '当前出水温度偏高，需降低以满足末端负荷',
+      cwUp: '冷却水供水设定升至 {to} (风机 {fanFrom}% → {fanTo}%)',
+      cwDown: '冷却水供水设定降至 {to} (风机 {fanFrom}% → {fanTo}%)',
+      cwDetail: '风机功率 {fan} kW，压缩机功率 {compressor} kW',
+      pump: '冷却泵频率 {from} → {to} Hz',
+      pumpDetail: '泵功率 {pump} kW，冷却水温差 {from} → {to}',
+    },
+  },
+  forecast: {
+    title: '24h 负荷预测',
+    actual: '实测负荷',
+    forecast: '预测负荷',
+    lower: '置信下限',
+    upper: '置信上限',
+    band: '{level}% 置信带',
+    now: '现在',
+    mape: '回测 MAPE ({folds} × 24h)',
+    peak: '预测峰值',
+    peakRange: '峰值区间',
+    bandSource: '置信带来源',
+    sources: {
+      backtest: '滚动回测误差分位数',
+      training: '训练残差 (回测不足，可能偏窄)',
+    },
+    errors: {
+      noHistory: '没有可用的负荷历史',
+      tooShort: '至少需要 {required} 天的逐时负荷与气象历史 (当前 {days} 天)',
+      gap: '最近 24h 历史不连续，无法构造滞后特征',
+    },
+  },
+  reports: {
+    periods: { daily: '日报', weekly: '周报', monthly: '月报' },
+    titles: {
+      daily: '{date} 日报',
+      weekly: '{date} ~ {to} 周报',
+      monthly: '{year} 年 {month} 月月报',
+    },
+    previousHint: {
+      daily: '留空日期时生成上一完整日的报告。',
+      weekly: '留空日期时生成上一完整周的报告。',
+      monthly: '留空日期时生成上一完整月的报告。',
+    },
+    subsystems: {
+      compressor: '压缩机组',
+      pump: '冷却泵',
+      fan: '冷却塔风机',
+      aux: '照明与辅助',
+    },
+    kpi: {
+      energy: '总电耗',
+      chillerEfficiency: '主机平均 {unit}',
+      plantEfficiency: '冷站综合能效',
+      cooling: '供冷量',
+      peak: '峰值负荷',
+      saving: '节能潜力',
+    },
+    sources: { ai: 'AI 撰写', template: '规则生成' },
+    meta: '数据覆盖率 {coverage} · 生成于 {generated}',
+    scheduledTag: '定时生成',
+    print: '打印 / PDF',
+    summary: '摘要',
+    writing: '正在撰写摘要...',
+    narrativeFailed: 'AI 摘要失败 ({error})，已使用规则摘要',
+    incomplete: '本期历史数据不完整 ({hours} 小时)，电耗等累计值偏低。',
+    trend: '主机 {unit} 趋势',
+    shares: '子系统能耗占比',
+    generateTitle: '生成报告',
+    dateHint: '报告所在日期，留空为上一完整周期',
+    generate: '生成',
+    scheduleTitle: '定时生成',
+    weekdays: ['周一', '周二', '周三', '周四', '周五', '周六', '周日'],
+    dayOfMonth: '{day} 日',
+    scheduleHint: '在页面打开期间按时生成上一周期报告；错过的最近一期会在下次打开时补生成。',
+    archive: '报告存档 ({count})',
+    empty: '暂无报告',
+    scheduled: '定时',
+    manual: '手动',
+    select: '选择或生成一份报告',
+    narrative: {
+      system: '你是工业冷站的能源管理工程师，负责撰写定期能耗报告的摘要。只依据给出的数据，不编造数值。',
+      prompt: '请根据以下冷站{period}数据，用中文写一段 150 字以内的摘要：概括能耗与能效水平，指出峰值负荷和节能潜力，最后给出 1~2 条可执行的运行建议。数值沿用数据中的单位。只输出正文，不要标题和表格。',
+      empty: '本期没有可用的历史数据。',
+      summary: '本期冷站总电耗 {energy} kWh，供冷量 {cooling} kWh，主机平均 {unit} {efficiency}，{direction}。',
+      rising: '呈上升趋势',
+      falling: '呈下降趋势',
+      flat: '基本平稳',
+      noData: '数据不足',
+      top: '{subsystem}占总电耗 {ratio}。',
+      peak: '峰值负荷 {peak}，出现在 {time}。',
+      saving: '按寻优设定运行可节电约 {saving} kWh ({ratio})，建议在预测页采纳设定值寻优建议。',
+      coverage: '注意：本期数据覆盖率仅 {coverage}，统计值偏低。',
+      separator: '',
+    },
+    html: {
+      meta: '统计区间 {from} ~ {to} · 数据覆盖率 {coverage} · 生成于 {generated}',
+      kpis: '关键指标',
+      noTrend: '数据不足，无法绘制趋势。',
+      subsystem: '子系统',
+      energy: '电耗 (kWh)',
+      ratio: '占比',
+      note: '泵与风机能耗按相似定律由频率/转速估算，辅助为定值，其余计入压缩机组；节能潜力为同工况下寻优设定的计算能耗与实测能耗之差。',
+    },
+  },
+  import: {
+    title: '导入历史数据',
+    choose: '选择 BMS 历史库导出的 CSV / XLSX 文件 (首行为表头)',
+    rows: '{count} 行',
+    browse: '浏览',
+    reading: '正在读取...',
+    noRows: '文件中没有数据行',
+    readFailed: '读取失败：{error}',
+    failed: '导入失败：{error}',
+    done: '已导入 {hours} 小时数据',
+    timeColumn: '时间列',
+    column: '列 {n}',
+    timeFormat: '时间格式',
+    timeFormats: {
+      auto: '自动识别',
+      ymd: '年-月-日',
+      mdy: '月/日/年',
+      dmy: '日/月/年',
+      epochS: 'Unix 秒',
+      epochMs: 'Unix 毫秒',
+      excel: 'Excel 序列号',
+    },
+    timezone: '时区',
+    localTime: '本地时间',
+    gaps: '缺口处理',
+    gapNone: '保留缺口',
+    gapLinear: '线性插补',
+    maxGap: '最多插补的连续小时数',
+    columns: { source: '源列', sample: '示例值', target: '映射到', unit: '单位' },
+    ignore: '忽略',
+    fields: {
+      plant: { power: '冷站总功率' },
+      compressor: { power: '压缩机功率', cop: '主机 COP', outTemp: '冷冻水出水温度' },
+      coolingTower: { outTemp: '冷却水供水温度', fanSpeed: '冷却塔风机转速' },
+      pump: { frequency: '冷却泵频率' },
+      userSide: { load: '冷负荷' },
+      environment: { wetBulb: '室外湿球温度', humidity: '室外相对湿度', temp: '室外干球温度' },
+    },
+    stats: {
+      range: '时间范围',
+      hours: '汇总小时数',
+      hoursValue: '{hours} (插补 {filled})',
+      skipped: '跳过行 / 空值',
+      gaps: '未插补缺口',
+      gapsValue: '{count} 段，共 {hours} h',
+      none: '无',
+    },
+    badTime: '{count} 行时间无法解析，请检查时间列与时间格式。',
+    confirm: '导入 {hours} 小时',
+  },
+  range: {
+    custom: '自定义',
+    to: '至',
+  },
+  export: {
+    csv: '导出 CSV',
+    png: '导出 PNG',
+  },
+  markdown: {
+    copy: '复制',
+    image: '图片',
+  },
+  connection: {
+    simulated: 'Simulated',
+    connecting: 'Connecting',
+    live: 'Live',
+    plc_offline: 'PLC_Offline',
+    offline: 'Offline',
+  },
+  nav: {
+    dashboard: '运行总览',
+    schematic: '工艺流程',
+    forecast: '预测与寻优',
+    scenarios: '情景模拟',
+    assistant: 'AI 助手',
+    reports: '能耗报告',
+    diagnostics: '故障诊断',
+    alarms: '告警中心',
+    maintenance: '设备维保',
+    control: '设定值管理',
+  },
+  header: {
+    lastUpdate: '最近更新 {time}',
+    switchSite: '切换站点',
+    siteUnits: '{count} 台机组',
+    alarms: '告警中心',
+    efficiency: '系统能效 {unit}',
+    session: '会话有效至 {deadline} (无操作将提前退出)',
+    logout: '退出登录',
+    denied: '当前账号 {name} ({role}) 无法访问此页面',
+    gatewayDisconnected: '网关未连接',
+    noGateway: '{site} 未配置网关地址',
+  },
+  dashboard: {
+    savingTitle: '优化增效空间',
+    originalPower: '原始能耗',
+    optimizedPower: '优化能耗',
+    widgets: {
+      types: {
+        stat: '数值卡片',
+        trend: '趋势图',
+        energyPie: '能耗分项',
+        alarms: '告警摘要',
+        forecast: '负荷预测',
+        sequencing: '机组群控',
+        cost: '电费与碳排',
+      },
+      sizes: {
+        sm: '窄',
+        md: '半宽',
+        lg: '宽',
+        full: '整行',
+      },
+      seriesHint: '勾选要显示的历史指标，最多 {max} 条；单位不同的曲线分左右两条纵轴',
+      openAlarms: '打开告警中心',
+      firing: '告警中',
+      unacked: '待确认',
+      moreAlarms: '另有 {count} 条告警',
+      openForecast: '打开负荷预测',
+      nextHour: '下一小时',
+    },
+    layout: {
+      edit: '编辑看板',
+      done: '完成',
+      add: '添加组件…',
+      export: '导出布局 (JSON)',
+      import: '导入布局 (JSON)',
+      reset: '恢复默认布局',
+      confirmReset: '恢复默认布局？当前账号保存的看板布局将被删除。',
+      moveEarlier: '前移',
+      moveLater: '后移',
+      resize: '调整尺寸 (当前：{size})',
+      configure: '配置',
+      empty: '看板为空，点击“编辑看板”添加组件。',
+      imported: '已导入 {count} 个组件',
+      skipped: '，跳过 {count} 个无法识别的组件',
+      errors: {
+        invalidJson: '文件不是有效的 JSON',
+        invalidFormat: '文件中没有看板布局 (缺少 widgets 列表)',
+        unsupportedVersion: '布局文件版本高于当前程序，请升级后再导入',
+        empty: '布局中没有可识别的组件',
+      },
+    },
+  },
+  assistant: {
+    system: '你是一个专业的工业制冷系统AI管家，当前时间 {now}。\n当前站点为{site}，共 {count} 台冷水机组 ({units}){running}。实时读数为全站汇总值，各机组明细查询 units。\n回答涉及运行数据时，先调用工具查询实时读数、历史或统计结果，不要凭空估计；需要特定图表时调用 show_chart。\n涉及设备故障、性能劣化或用户要求解释诊断结论时，调用 get_diagnostics 获取证据与置信度，说明判断依据、可能原因和检查步骤。\n{cost}\n工具返回的数值均为公制 (°C、kW、COP、m³/h)，回答时请换算为用户使用的单位：{displayUnits}。\n请使用中文和 Markdown 格式回答：\n1. 数学单位、科学计数法、温度符号必须包裹在 $ 符号中，例如 {example}。\n2. 如果提到具体的设备名称（如 **被冷却介质出口温度**），请根据上下文判断是否需要加粗。\n3. 严禁在图表或表格的 Key 中使用 Markdown 格式，确保数据标签纯净。',
+    systemCost: '电价 ({currency}/kWh)：{prices}{weekend}；需量电价 {demandCharge} {currency}/kW·月；电网排放因子 {factor} kgCO₂/kWh。\n本月至今：电量 {energy} kWh，电费 {cost} {currency} (含需量电费 {demand})，碳排放 {carbon} kg，寻优节省潜力 {savings} {currency} / {savingsCarbon} kgCO₂。\n近 48 小时设定值修改：{changes}。\n回答电费、碳排放或某次调整节省多少时，调用 get_energy_cost 分别查询调整前后负荷相近的时间窗口，按冷量电费比比较并说明负荷与天气差异的影响。',
+    systemWeekend: '，周末全天按谷段',
+    systemChange: '{time} {user} 将{name}由 {from}{unit} 改为 {to}{unit}',
+    systemNoChanges: '无',
+    systemRunning: '，其中 {running} 台运行',
+    error: '通讯异常: {error}',
+    explainDiagnosis: '请解释故障诊断「{label}」：{summary}。判断依据是什么，可能的原因和下一步检查？',
+    title: '智能运维助手',
+    exportMarkdown: '导出 Markdown',
+    stopped: '已停止生成',
+    snapshot: '实时数据快照',
+    snapshotHint: '提问时的实时数据已随对话保存',
+    edit: '编辑',
+    regenerate: '重新生成',
+    thinking: '深度分析中...',
+    placeholder: '输入关于出口温度、COP或负荷预测的问题...',
+    stop: '停止生成',
+  },
+  preferences: {
+    title: '语言与单位',
+    language: '语言',
+    units: '单位制',
+    systems: { metric: '公制', imperial: '英制' },
+    dimensions: { temperature: '温度', cooling: '冷量', efficiency: '能效', flow: '流量' },
+    hint: '数据仍按公制存储与写入 PLC，仅显示与输入时换算；电功率始终以 kW 显示。',
+  },
+  tariff: {
+    title: '电价与碳排放因子',
+    hint: '电费按分时电价与当月最大需量核算，碳排放按电网排放因子折算；修改后看板与 AI 助手立即按新电价计算。',
+    price: '{period}电价 ({currency}/kWh)',
+    currency: '货币',
+    schedule: '分时时段 (选择时段后点击小时设置)',
+    weekendOffPeak: '周六、周日全天按谷段计价',
+    demandCharge: '需量电价 ({currency}/kW·月)',
+    emissionFactor: '电网排放因子 (kgCO₂/kWh)',
+    save: '保存电价',
+    saved: '电价已保存',
+    errors: {
+      required: '请填写数值',
+      range: '取值范围 {min} ~ {max}',
+    },
+    periods: {
+      peak: '峰段',
+      shoulder: '平段',
+      offPeak: '谷段',
+    },
+    cardTitle: '电费与碳排放',
+    monthToDate: '本月 {from} 起 · {hours} 小时',
+    kpi: {
+      total: '本月电费',
+      energyCost: '电量电费 {cost}',
+      demand: '需量电费',
+      demandPeak: '最大需量 {power} kW @ {time}',
+      energy: '本月电量',
+      carbon: '本月碳排放',
+      factor: '排放因子 {factor} kgCO₂/kWh',
+      savings: '寻优节省潜力',
+    },
+    views: {
+      cost: '电费',
+      carbon: '碳排放',
+    },
+    series: {
+      cost: '实际电费',
+      optimizedCost: '寻优电费',
+      cumulativeSavings: '本月累计节省潜力',
+      carbon: '实际碳排放',
+      optimizedCarbon: '寻优碳排放',
+      cumulativeCarbonSavings: '本月累计减排潜力',
+    },
+    bySubsystem: '本月电费构成 (子系统)',
+    byPeriod: '本月电费构成 (时段)',
+    export: {
+      date: '日期',
+      energy: '电量 (kWh)',
+      cost: '电费 ({currency})',
+      optimizedCost: '寻优电费 ({currency})',
+      carbon: '碳排放 (kg)',
+      optimizedCarbon: '寻优碳排放 (kg)',
+    },
+    carbonTons: '{value} tCO₂',
+    carbonKg: '{value} kgCO₂',
+  },
+  scenarios: {
+    title: '假设情景模拟',
+    hint: '以当前实测负荷、气象与在用设定为基准，拖动滑块预测调整后的冷站功率与主机 COP；基准与情景都由同一物理模型计算，冷却泵频率保持在用设定 {pump} Hz。',
+    baseline: '当前基准',
+    current: '当前情景',
+    change: '总功率变化',
+    was: '基准 {value}',
+    auto: '自动',
+    fanAuto: '自动追踪冷却水供水设定 (当前 {speed}%)',
+    reset: '恢复基准',
+    powerChart: '功率分项 (kW)',
+    copChart: '主机能效 ({unit})',
+    namePlaceholder: '情景名称 (可选)',
+    defaultName: '情景 {n}',
+    save: '保存情景',
+    ask: '请 AI 助手评估',
+    adopt: '带到设定值管理',
+    adoptHint: '只带入冷冻水出水与冷却水供水设定，仍需在设定值管理页确认',
+    adoptReason: '情景模拟预测总功率 {change}',
+    savedTitle: '已保存情景',
+    compareHint: '勾选最多 {max} 个情景与基准一起对比',
+    compare: '对比',
+    name: '名称',
+    load: '载入到滑块',
+    rename: '重命名',
+    confirmDelete: '删除情景「{name}」？',
+    empty: '还没有保存的情景。调整滑块后点击 "保存情景"。',
+    inputs: {
+      setPoint: '冷冻水出水温度',
+      cwSetPoint: '冷却水供水温度',
+      fanSpeed: '冷却塔风机转速',
+      load: '冷负荷',
+      wetBulb: '室外湿球温度',
+    },
+    outputs: {
+      compressor: '压缩机',
+      pump: '冷却泵',
+      fan: '风机',
+      aux: '辅助',
+      total: '总功率',
+      chwSupply: '冷冻水出水',
+      cwSupply: '冷却水供水',
+      cwReturn: '冷却水回水',
+      fanSpeed: '风机转速',
+    },
+    warnings: {
+      overCapacity: '负荷超过可用机组冷量，冷冻水出水温度无法维持',
+      noUnits: '没有可用的冷水机组，冷站停机',
+      cwSetPointMissed: '风机满速仍达不到冷却水供水设定',
+      cwSupplyLow: '冷却水供水温度低于主机允许下限',
+      cwReturnHigh: '冷却水回水温度高于主机允许上限',
+    },
+    prompt: {
+      request: '请评估以下假设情景「{name}」。与当前基准相比：{changes}。\n模型预测：冷站总功率 {total}；{parts}；主机能效 {cop}。{warnings}\n请说明节能效果和原因、对主机、冷却塔与末端除湿的影响及风险，并给出是否在设定值管理页调整的建议。可调用 simulate_scenario 试算其他组合。',
+      change: '{name} {from} → {to}',
+      noChanges: '各输入与当前基准相同',
+      part: '{name} {from} → {to} kW',
+      warnings: '\n运行约束提示：{warnings}。',
+    },
+  },
+  maintenance: {
+    title: '设备运行时间与保养',
+    hint: '页面打开期间按实时数据累计各设备运行小时与启动次数，数据中断超过 5 分钟的时段不计入，可由工程师按现场计时表校准。保养项目按运行小时、启动次数或日历天数到期后自动生成预防性工单，关闭工单即记为完成一次保养。',
+    columns: {
+      asset: '设备',
+      status: '状态',
+      runHours: '运行小时',
+      starts: '启动次数',
+      plans: '保养进度',
+      number: '编号',
+      title: '标题',
+      assignee: '负责人',
+      updated: '更新时间',
+    },
+    assets: {
+      compressor: '冷水主机',
+      pump: '冷却水泵',
+      coolingTower: '冷却塔风机',
+    },
+    plans: {
+      chillerOil: '压缩机换油与滤芯',
+      chillerAnnual: '主机年度保养',
+      chillerStarter: '启动柜与接触器检查',
+      pumpBearing: '水泵轴承润滑',
+      pumpSeal: '水泵机械密封检查',
+      fanBelt: '风机皮带检查与张紧',
+      fanGearbox: '风机减速箱换油',
+    },
+    progress: {
+      hours: '{used} / {limit} h',
+      starts: '{used} / {limit} 次',
+      days: '{used} / {limit} 天',
+    },
+    countingSince: '{date} 起计',
+    running: '运行',
+    stopped: '停机',
+    waiting: '等待实时数据',
+    calibrate: '按现场计时表校准',
+    lastService: '上次保养 {date}',
+    neverServiced: '尚无保养记录，从开始计数时算起',
+    ordersTitle: '维保工单',
+    filters: {
+      active: '未关闭',
+      open: '待处理',
+      inProgress: '处理中',
+      closed: '已关闭',
+      all: '全部',
+    },
+    statuses: {
+      open: '待处理',
+      inProgress: '处理中',
+      closed: '已关闭',
+    },
+    kinds: {
+      preventive: '预防性保养',
+      corrective: '故障维修',
+    },
+    linkTypes: {
+      alarm: '告警',
+      fdd: '诊断',
+    },
+    newOrder: '新建工单',
+    form: {
+      title: '标题',
+      titlePlaceholder: '故障现象或工作内容',
+      asset: '设备',
+      noAsset: '未指定设备',
+      assignee: '负责人',
+      note: '备注',
+      links: '关联事件',
+      submit: '创建工单',
+    },
+    noEvents: '当前没有未关闭的告警或诊断',
+    noOrders: '没有符合条件的工单',
+    unassigned: '未指派',
+    selectHint: '选择一张工单查看详情',
+    assign: '指派',
+    assignPlaceholder: '负责人姓名',
+    noLinks: '未关联事件',
+    eventOpen: '未关闭',
+    eventResolved: '已恢复',
+    addLink: '关联未关闭的告警或诊断…',
+    unlink: '取消关联',
+    notePlaceholder: '处理记录；关闭工单时作为处理结果',
+    addNote: '添加备注',
+    start: '开始处理',
+    close: '关闭工单',
+    closePreventiveHint: '关闭后该保养项目从当前计数重新开始计周期',
+    reopen: '重新打开',
+    log: '处理记录',
+    system: '系统',
+    events: {
+      created: '创建工单',
+      assigned: '指派给 {assignee}',
+      start: '开始处理',
+      note: '添加备注',
+      close: '关闭工单',
+      reopen: '重新打开',
+      link: '关联 {event}',
+      unlink: '取消关联 {event}',
+    },
+  },
+};
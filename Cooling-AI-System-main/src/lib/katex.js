@@ -0,0 +1,18 @@
+// --- KaTeX 按需加载 ---
+// 首次渲染公式时才加载 KaTeX 脚本与样式 (随应用打包，离线站点同样可用)；加载失败时公式以 TeX 源码显示。
+
+let loading = null;
+
+export const loadKatex = () => {
+  // 加载失败时清空缓存，下次渲染公式时重新加载
+  loading ??= Promise.all([import('katex'), import('katex/dist/katex.min.css')])
+    .then(([mod]) => mod.default)
+    .catch((err) => {
+      loading = null;
+      throw err;
+    });
+  return loading;
+};
+
+// trust: false 禁用 \href、\includegraphics 等可能引入外部资源的命令
+export const KATEX_OPTIONS = { throwOnError: false, trust: false, strict: 'ignore', maxExpand: 1000 };
@@ -0,0 +1,90 @@
+// --- LLM 提供方共用部分: 错误类型、重试策略、SSE 解析 ---
+
+export const DEFAULT_RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000];
+// 单次提问最多允许的工具调用轮数，防止模型反复调用
+export const MAX_TOOL_ROUNDS = 5;
+
+// code: network 网络或服务端错误 / unauthorized 未登录 (401) / forbidden 无权限 (403) / rate_limited 限流 (429) /
+// http 其他 HTTP 错误 / tool_rounds 工具调用轮数超限 / unknown_provider 提供方配置错误。
+// message 供日志与 AI 代理的响应使用，界面按 code 显示语言目录 errors 下的文案，params 为插值参数
+export class LlmError extends Error {
+  constructor(message, code, status, params) {
+    super(message);
+    this.name = 'LlmError';
+    this.code = code;
+    this.status = status;
+    this.params = params;
+  }
+}
+
+const HTTP_ERROR_CODES = { 401: 'unauthorized', 403: 'forbidden', 429: 'rate_limited' };
+
+export const isAbort = (error) => error?.name === 'AbortError';
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// 优先使用服务端返回的错误说明 ({ error: { message } } 或 { error: '...' })
+const errorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    return body.error?.message ?? (typeof body.error === 'string' ? body.error : `API Error: ${response.status}`);
+  } catch {
+    return `API Error: ${response.status}`;
+  }
+};
+
+// 4xx (429 除外) 是请求本身的问题，重试没有意义
+const retryable = (error) => !(error instanceof LlmError) || error.status === undefined || error.status === 429 || error.status >= 500;
+
+/**
+ * 只在建立连接阶段重试；开始输出后再失败直接抛出，避免重复内容。
+ * 返回 ok 的 Response。
+ */
+export const fetchWithRetry = async (url, init, { delays = DEFAULT_RETRY_DELAYS, signal, label = 'AI服务' } = {}) => {
+  for (let i = 0; i <= delays.length; i++) {
+    try {
+      const response = await fetch(url, { ...init, signal });
+      if (!response.ok) {
+        const message = await errorMessage(response);
+        throw new LlmError(message, HTTP_ERROR_CODES[response.status] ?? 'http', response.status, { status: response.status, detail: message });
+      }
+      return response;
+    } catch (error) {
+      if (isAbort(error)) throw error;
+      if (i === delays.length || !retryable(error)) {
+        // 服务端给出的错误说明直接透传，网络层错误统一包装
+        if (error instanceof LlmError) throw error;
+        throw new LlmError(`${label}不可用，请稍后再试。(${error.message})`, 'network', undefined, { detail: error.message });
+      }
+      await sleep(delays[i], signal);
+    }
+  }
+};
+
+// 逐个产出 SSE 事件的 data 字段
+export async function* readSse(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r/g, '');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const data = buffer.slice(0, end).split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      buffer = buffer.slice(end + 2);
+      if (data) yield data;
+    }
+  }
+}
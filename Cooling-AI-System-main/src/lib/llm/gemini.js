@@ -0,0 +1,56 @@
+import { fetchWithRetry, readSse, LlmError, MAX_TOOL_ROUNDS } from './common';
+
+// --- Gemini 提供方 (经 AI 代理转发 streamGenerateContent，含函数调用) ---
+// API Key、模型和重试退避都在代理侧 (server/ai-proxy)，浏览器不再接触密钥。
+
+const DEFAULT_PROXY_URL = '/api/ai';
+
+const toContents = (history) => history.map(m => ({ role: m.role === 'user' ? 'user' : 'model', parts: [{ text: m.text }] }));
+
+export const createGeminiProvider = ({ proxyUrl = DEFAULT_PROXY_URL } = {}) => ({
+  id: 'gemini',
+  label: 'Gemini · via proxy',
+
+  chat: async ({ history, system, tools, onToolCall, onText, signal, token }) => {
+    const url = `${proxyUrl}/chat`;
+    // 代理按令牌识别用户并限流
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const turns = toContents(history);
+    const base = { systemInstruction: { parts: [{ text: system }] } };
+    if (tools?.length) base.tools = [{ functionDeclarations: tools }];
+
+    let text = '';
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      // 代理已做重试，这里不再重复
+      const response = await fetchWithRetry(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...base, contents: turns }),
+      }, { delays: [], signal });
+
+      const parts = [];
+      for await (const data of readSse(response)) {
+        for (const part of JSON.parse(data).candidates?.[0]?.content?.parts ?? []) {
+          parts.push(part);
+          if (part.text) {
+            text += part.text;
+            onText?.(text);
+          }
+        }
+      }
+      const calls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+      if (calls.length === 0 || !onToolCall) return text;
+
+      // 把模型的调用请求和工具结果一起追加到对话，再请求一轮
+      turns.push({ role: 'model', parts });
+      turns.push({
+        role: 'user',
+        parts: calls.map(call => ({ functionResponse: { name: call.name, response: onToolCall(call.name, call.args ?? {}) } })),
+      });
+      // 最后一轮禁止再调用工具，强制模型给出文字回答
+      if (round === MAX_TOOL_ROUNDS - 1) base.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+    }
+    throw new LlmError('AI 工具调用轮数过多，未能给出回答', 'tool_rounds');
+  },
+});
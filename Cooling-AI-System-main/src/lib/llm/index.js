@@ -0,0 +1,41 @@
+import { createGeminiProvider } from './gemini';
+import { createOpenAIProvider } from './openai';
+import { createMockProvider } from './mock';
+
+// --- LLM 提供方选择 ---
+// 统一接口: provider.chat({ history, system, tools, onToolCall, onText, signal, locale, token }) → 完整回复文本
+//   history: [{ role: 'user' | 'assistant', text }]，以本次提问结尾
+//   tools:   [{ name, description, parameters }] (JSON Schema)，各提供方自行转换为线上格式
+//   locale:  界面语言，只有离线演示提供方使用 (真实模型的回复语言由系统提示约定)
+//   token:   登录令牌，经 AI 代理的提供方放在 Authorization 头
+// 出错时抛出 LlmError，中止时抛出 AbortError。
+
+import { LlmError } from './common';
+
+export { LlmError };
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+export const LLM_CONFIG = {
+  provider: import.meta.env.VITE_LLM_PROVIDER || 'gemini',
+  gemini: { proxyUrl: import.meta.env.VITE_AI_PROXY_URL || undefined },
+  openai: {
+    baseUrl: import.meta.env.VITE_LLM_BASE_URL || undefined,
+    model: import.meta.env.VITE_LLM_MODEL || undefined,
+    apiKey: import.meta.env.VITE_LLM_API_KEY || '',
+  },
+  mock: {},
+};
+
+export const createProvider = (config = LLM_CONFIG) => {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    const params = { provider: config.provider, options: Object.keys(PROVIDERS).join(' / ') };
+    throw new LlmError(`未知的 LLM 提供方: ${params.provider} (可选 ${params.options})`, 'unknown_provider', undefined, params);
+  }
+  return factory(config[config.provider]);
+};
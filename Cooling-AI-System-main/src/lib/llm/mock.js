@@ -0,0 +1,167 @@
+import { sleep } from './common';
+import { METRICS } from '../assistantTools';
+import { createTranslator } from '../i18n';
+
+// --- 离线演示提供方: 按关键词规则调用工具并拼出回复，输出完全确定，不访问网络 ---
+// 回复语言随 chat 的 locale 参数 (缺省中文)，关键词同时识别中英文提问。
+
+const KEYWORDS = [
+  { pattern: /冷却塔|逼近|tower|approach/i, metric: 'approach', equipment: 'coolingTower' },
+  { pattern: /风机|fan/i, metric: 'fanSpeed', equipment: 'coolingTower' },
+  { pattern: /cop|效率|主机|efficiency|chiller/i, metric: 'efficiency', equipment: 'compressor' },
+  { pattern: /泵|pump/i, metric: 'pumpFrequency', equipment: 'pump' },
+  { pattern: /负荷|load/i, metric: 'demand', equipment: 'userSide' },
+  { pattern: /湿球|天气|室外|气温|wet.?bulb|weather|outdoor/i, metric: 'wetBulb', equipment: 'environment' },
+  { pattern: /出水|冷冻水|supply|chilled/i, metric: 'chwSupply', equipment: 'compressor' },
+];
+
+const DIAGNOSIS_PATTERN = /故障|诊断|结垢|启停|fault|diagnos|fouling|cycling/i;
+const SCENARIO_PATTERN = /情景|假设|what.?if|scenario/i;
+const COST_PATTERN = /电费|费用|成本|省了|节省|碳|cost|sav(e|ing)|carbon|tariff/i;
+
+const parseHours = (text) => {
+  const days = text.match(/(\d+)\s*(天|日|d\b|days?\b)/i);
+  if (days) return Number(days[1]) * 24;
+  const hours = text.match(/(\d+)\s*(小时|h\b|hours?\b)/i);
+  return hours ? Number(hours[1]) : 24;
+};
+
+const parseChartType = (text) => (/柱|bar/i.test(text) ? 'bar' : /折线|曲线|line/i.test(text) ? 'line' : 'area');
+
+const formatReadings = (readings) => Object.entries(readings ?? {})
+  .map(([k, v]) => `- ${k}: ${v}`)
+  .join('\n');
+
+const compose = (t, question, { metric, hours, equipment }, results) => {
+  const m = METRICS[metric];
+  const unit = m.unit ? ` ${m.unit}` : '';
+  const lines = [`## ${t(`metrics.${metric}`)} · ${t('chart.recentHours', { hours })}`];
+  if (results.readings && !results.readings.error) {
+    lines.push('', `### ${t('mock.readings', { equipment: t(`equipment.${equipment}`) })}`, formatReadings(results.readings.readings));
+  }
+  const s = results.stats;
+  if (s && !s.error && s.count > 0) {
+    lines.push(
+      '',
+      `| ${t('mock.stat')} | ${t('mock.value')} | ${t('mock.at')} |`,
+      '|---|---|---|',
+      `| ${t('mock.min')} | ${s.min}${unit} | ${s.minAt} |`,
+      `| ${t('mock.max')} | ${s.max}${unit} | ${s.maxAt} |`,
+      `| ${t('mock.mean')} | ${s.mean}${unit} | - |`,
+      `| ${t('mock.latest')} | ${s.latest}${unit} | - |`,
+    );
+  } else if (s) {
+    lines.push('', t('mock.noData'));
+  }
+  lines.push('', `> ${t('mock.disclaimer', { question })}`);
+  return lines.join('\n');
+};
+
+const composeDiagnosis = (t, question, result) => {
+  const lines = [`## ${t('fdd.title')}`];
+  if (result.error) {
+    lines.push('', result.error);
+  } else if (result.diagnoses.length === 0) {
+    lines.push('', t('mock.noFaults', { time: result.evaluatedAt }));
+  } else {
+    for (const d of result.diagnoses) {
+      lines.push(
+        '',
+        `### ${d.fault} · ${t('mock.confidence', { confidence: d.confidence })}`,
+        d.finding,
+        '',
+        ...Object.entries(d.metrics).map(([k, v]) => `- ${k}: ${v}`),
+        '',
+        `**${t('fdd.causes')}**: ${d.possibleCauses.join(t('common.listSeparator'))}`,
+        '',
+        `**${t('fdd.checks')}**: ${d.recommendedChecks.join(t('common.listSeparator'))}`,
+      );
+    }
+  }
+  lines.push('', `> ${t('mock.disclaimer', { question })}`);
+  return lines.join('\n');
+};
+
+const composeCost = (t, question, hours, result) => {
+  const lines = [`## ${t('tariff.cardTitle')} · ${t('chart.recentHours', { hours })}`];
+  if (result.error || result.hours === 0) {
+    lines.push('', result.error ?? t('mock.noData'));
+  } else {
+    const { currency } = result;
+    lines.push(
+      '',
+      `| ${t('mock.stat')} | ${t('mock.value')} |`,
+      '|---|---|',
+      `| ${t('tariff.export.energy')} | ${result.energyKwh} |`,
+      `| ${t('tariff.export.cost', { currency })} | ${result.cost} |`,
+      `| ${t('tariff.export.carbon')} | ${result.carbonKg} |`,
+      `| ${t('mock.costPerCooling', { currency })} | ${result.costPerCoolingKwh ?? '-'} |`,
+      `| ${t('mock.savingsPotential', { currency })} | ${result.optimizationPotential.cost} |`,
+    );
+  }
+  lines.push('', `> ${t('mock.disclaimer', { question })}`);
+  return lines.join('\n');
+};
+
+const composeScenario = (t, question, result) => {
+  const lines = [`## ${t('scenarios.title')}`];
+  if (result.error) {
+    lines.push('', result.error);
+  } else {
+    const { baseline, scenario, change } = result;
+    const row = (label, key, unit = '') => `| ${label} | ${baseline[key]}${unit} | ${scenario[key]}${unit} | ${Math.round((scenario[key] - baseline[key]) * 100) / 100}${unit} |`;
+    lines.push(
+      '',
+      `| ${t('mock.stat')} | ${t('scenarios.baseline')} | ${t('mock.scenarioColumn')} | ${t('mock.change')} |`,
+      '|---|---|---|---|',
+      row(t('scenarios.outputs.total'), 'totalKw', ' kW'),
+      row(t('scenarios.outputs.compressor'), 'compressorKw', ' kW'),
+      row(t('scenarios.outputs.pump'), 'pumpKw', ' kW'),
+      row(t('scenarios.outputs.fan'), 'fanKw', ' kW'),
+      row('COP', 'cop'),
+      row(t('scenarios.outputs.fanSpeed'), 'fanSpeed', '%'),
+      row(t('scenarios.outputs.cwSupply'), 'cwSupply', ' °C'),
+      '',
+      t(change.totalKw <= 0 ? 'mock.scenarioSaves' : 'mock.scenarioCosts', { power: Math.abs(change.totalKw), percent: `${change.totalPercent}%` }),
+      ...result.warnings.map(w => `- ⚠️ ${w}`),
+    );
+  }
+  lines.push('', `> ${t('mock.disclaimer', { question })}`);
+  return lines.join('\n');
+};
+
+export const createMockProvider = ({ chunkSize = 12, chunkDelay = 30 } = {}) => ({
+  id: 'mock',
+  label: 'Mock · offline demo',
+
+  chat: async ({ history, tools, onToolCall, onText, signal, locale }) => {
+    const t = createTranslator(locale ?? 'zh-CN');
+    const question = [...history].reverse().find(m => m.role === 'user')?.text ?? '';
+    let text;
+    if (tools?.length && onToolCall && DIAGNOSIS_PATTERN.test(question)) {
+      text = composeDiagnosis(t, question, onToolCall('get_diagnostics', {}));
+    } else if (tools?.length && onToolCall && SCENARIO_PATTERN.test(question)) {
+      text = composeScenario(t, question, onToolCall('simulate_scenario', {}));
+    } else if (tools?.length && onToolCall && COST_PATTERN.test(question)) {
+      const hours = parseHours(question);
+      text = composeCost(t, question, hours, onToolCall('get_energy_cost', { hours }));
+    } else if (tools?.length && onToolCall) {
+      const match = KEYWORDS.find(k => k.pattern.test(question)) ?? { metric: 'power' };
+      const plan = { metric: match.metric, equipment: match.equipment, hours: parseHours(question) };
+      const results = {};
+      if (plan.equipment) results.readings = onToolCall('get_current_readings', { equipment: plan.equipment });
+      results.stats = onToolCall('compute_statistics', { metric: plan.metric, hours: plan.hours });
+      onToolCall('show_chart', { metric: plan.metric, hours: plan.hours, chartType: parseChartType(question) });
+      text = compose(t, question, plan, results);
+    } else {
+      text = t('mock.received', { question });
+    }
+
+    // 分段输出，模拟流式效果；中止信号在段间生效
+    for (let i = chunkSize; i < text.length + chunkSize; i += chunkSize) {
+      await sleep(chunkDelay, signal);
+      onText?.(text.slice(0, i));
+    }
+    return text;
+  },
+});
@@ -0,0 +1,77 @@
+import { fetchWithRetry, readSse, LlmError, MAX_TOOL_ROUNDS } from './common';
+
+// --- OpenAI 兼容提供方 (/chat/completions)，用于无外网站点的本地 Ollama / vLLM ---
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'qwen2.5:7b-instruct';
+
+const toMessages = (history, system) => [
+  { role: 'system', content: system },
+  ...history.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.text })),
+];
+
+// 流式返回的 tool_calls 按 index 分片到达，arguments 是逐段拼接的 JSON 字符串
+const mergeToolCall = (calls, delta) => {
+  const call = calls[delta.index] ?? (calls[delta.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+  if (delta.id) call.id = delta.id;
+  if (delta.function?.name) call.function.name += delta.function.name;
+  if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+};
+
+const parseArgs = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+};
+
+export const createOpenAIProvider = ({ baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, apiKey = '', retryDelays } = {}) => ({
+  id: 'openai',
+  label: `Local · ${model}`,
+
+  chat: async ({ history, system, tools, onToolCall, onText, signal }) => {
+    const messages = toMessages(history, system);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    let toolChoice = 'auto';
+
+    let text = '';
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const body = { model, messages, stream: true };
+      if (tools?.length) {
+        body.tools = tools.map(fn => ({ type: 'function', function: fn }));
+        body.tool_choice = toolChoice;
+      }
+      const response = await fetchWithRetry(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      }, { delays: retryDelays, signal, label: '本地模型服务' });
+
+      let content = '';
+      const calls = [];
+      for await (const data of readSse(response)) {
+        if (data === '[DONE]') break;
+        const delta = JSON.parse(data).choices?.[0]?.delta ?? {};
+        if (delta.content) {
+          content += delta.content;
+          text += delta.content;
+          onText?.(text);
+        }
+        for (const call of delta.tool_calls ?? []) mergeToolCall(calls, call);
+      }
+      const pending = calls.filter(Boolean);
+      if (pending.length === 0 || !onToolCall) return text;
+
+      messages.push({ role: 'assistant', content: content || null, tool_calls: pending });
+      for (const call of pending) {
+        const result = onToolCall(call.function.name, parseArgs(call.function.arguments));
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      }
+      // 最后一轮禁止再调用工具，强制模型给出文字回答
+      if (round === MAX_TOOL_ROUNDS - 1) toolChoice = 'none';
+    }
+    throw new LlmError('AI 工具调用轮数过多，未能给出回答', 'tool_rounds');
+  },
+});
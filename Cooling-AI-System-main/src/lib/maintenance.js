@@ -0,0 +1,239 @@
+// --- 设备运行时间与维保工单 ---
+// 按实时数据累计每台主机、冷却泵与冷却塔风机的运行小时与启动次数，达到保养周期时自动生成预防性维保工单；
+// 技术员可新建、指派、备注与关闭工单，并关联未关闭的告警与故障诊断。
+// 运行时间只在页面打开且实时数据刷新时累计，两次采样间隔过长 (页面关闭、数据中断) 的时段不计入，可由工程师按现场计时表校准。
+// 设备类型、保养项目、工单状态与事件的显示名在语言目录的 maintenance 下。
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const ASSET_TYPES = ['compressor', 'pump', 'coolingTower'];
+
+export const MAX_SAMPLE_GAP_MS = 5 * 60000;
+
+// 保养计划：运行小时 hours、启动次数 starts、日历天数 days 任一达到即到期
+export const MAINTENANCE_PLANS = [
+  { id: 'chillerOil', type: 'compressor', hours: 4000 },
+  { id: 'chillerAnnual', type: 'compressor', hours: 8000, days: 365 },
+  { id: 'chillerStarter', type: 'compressor', starts: 1000 },
+  { id: 'pumpBearing', type: 'pump', hours: 3000 },
+  { id: 'pumpSeal', type: 'pump', hours: 8000, days: 365 },
+  { id: 'fanBelt', type: 'coolingTower', hours: 2000 },
+  { id: 'fanGearbox', type: 'coolingTower', hours: 6000, days: 180 },
+];
+
+// 进度达到该比例时提示即将到期
+export const DUE_SOON_RATIO = 0.9;
+
+export const WORK_ORDER_STATUSES = ['open', 'inProgress', 'closed'];
+
+// 告警规则与诊断规则对应的设备类型 (新建工单时预选)，没有对应设备的为 null
+const LINK_ASSET_TYPES = {
+  alarm: { low_cop: 'compressor', high_supply_temp: 'compressor', low_delta_t: null, high_condenser_inlet: 'coolingTower', pump_pressure_low: 'pump', pump_pressure_high: 'pump' },
+  fdd: { low_delta_t: null, condenser_fouling: 'compressor', tower_approach: 'coolingTower', pump_off_curve: 'pump', short_cycling: 'compressor' },
+};
+
+export const linkAssetType = (link) => LINK_ASSET_TYPES[link.type]?.[link.id] ?? null;
+
+// 关联事件的显示名
+export const linkLabel = (link, t) => (link.type === 'alarm' ? t(`alarms.rules.${link.id}`) : t(`fdd.rules.${link.id}.label`));
+
+/**
+ * 从告警或诊断新建工单的预填内容 { title, assetId, links }：以事件名称为标题并关联该事件，
+ * 站点只有一台对应类型的设备时预选该设备。
+ */
+export const workOrderDraft = (link, assets, t) => {
+  const type = linkAssetType(link);
+  const candidates = assets.filter(a => a.type === type);
+  return { title: linkLabel(link, t), assetId: candidates.length === 1 ? candidates[0].id : '', links: [link] };
+};
+
+// --- 设备与运行时间 ---
+
+/**
+ * 站点的受控设备：实时数据带机组明细时，明细中的每台机组配一台冷却泵与一座冷却塔 (id 为 "机组编号.类型")；
+ * 没有机组明细时 (如网关只推送汇总点位) 按 compressor / pump / coolingTower 三个设备块，由汇总状态计时，
+ * 不按站点配置虚构各机组的运行状态。
+ */
+export const siteAssets = (site, snapshot) => {
+  const reported = site.units.filter(u => snapshot.units?.some(x => x.id === u.id));
+  return reported.length
+    ? reported.flatMap(u => ASSET_TYPES.map(type => ({ id: `${u.id}.${type}`, type, unitId: u.id, unitName: u.name })))
+    : ASSET_TYPES.map(type => ({ id: type, type }));
+};
+
+export const assetName = (asset, t) => (asset.unitName ? `${asset.unitName} · ${t(`maintenance.assets.${asset.type}`)}` : t(`maintenance.assets.${asset.type}`));
+
+// 冷却泵频率为 0 或风机转速为 0 视为停机
+export const isAssetRunning = (asset, snapshot) => {
+  const block = asset.unitId ? snapshot.units?.find(u => u.id === asset.unitId) : snapshot[asset.type];
+  if (block?.status !== 'Running') return false;
+  if (asset.type === 'pump') return (block.pumpFrequency ?? block.frequency ?? snapshot.pump?.frequency ?? 0) > 0;
+  if (asset.type === 'coolingTower') return (block.fanSpeed ?? snapshot.coolingTower?.fanSpeed ?? 0) > 0;
+  return true;
+};
+
+/**
+ * 用一次实时数据更新各设备计数 { [assetId]: { runMs, starts, running, lastTs, since } }。
+ * 前后两次都在运行时累加间隔 (超过 MAX_SAMPLE_GAP_MS 不计)；停机 → 运行计一次启动。since 为开始计数的时间。
+ */
+export const accumulateRuntime = (counters, assets, snapshot, now) => {
+  const next = { ...counters };
+  for (const asset of assets) {
+    const prev = counters[asset.id];
+    const running = isAssetRunning(asset, snapshot);
+    if (!prev) {
+      next[asset.id] = { runMs: 0, starts: 0, running, lastTs: now, since: now };
+      continue;
+    }
+    const gap = now - prev.lastTs;
+    next[asset.id] = {
+      ...prev,
+      runMs: prev.runMs + (prev.running && running && gap <= MAX_SAMPLE_GAP_MS ? gap : 0),
+      starts: prev.starts + (running && !prev.running ? 1 : 0),
+      running,
+      lastTs: now,
+    };
+  }
+  return next;
+};
+
+export const serviceKey = (assetId, planId) => `${assetId}/${planId}`;
+
+// 没有保养记录时从开始计数时算起
+const serviceBase = (counter, service) => service ?? { runMs: 0, starts: 0, ts: counter.since };
+
+/**
+ * 保养项目的进度：取 hours / starts / days 中最接近到期的一项。
+ * 返回 { by, used, limit, ratio, due, soon, lastService }，used 与 limit 的单位随 by (小时 / 次 / 天)
+ */
+export const planProgress = (counter, service, plan, now) => {
+  const base = serviceBase(counter, service);
+  const parts = [
+    plan.hours && { by: 'hours', used: (counter.runMs - base.runMs) / HOUR_MS, limit: plan.hours },
+    plan.starts && { by: 'starts', used: counter.starts - base.starts, limit: plan.starts },
+    plan.days && { by: 'days', used: (now - base.ts) / DAY_MS, limit: plan.days },
+  ].filter(Boolean);
+  const worst = parts.reduce((a, p) => (p.used / p.limit > a.used / a.limit ? p : a));
+  const ratio = worst.used / worst.limit;
+  return { ...worst, ratio, due: ratio >= 1, soon: ratio >= DUE_SOON_RATIO, lastService: service?.ts ?? null };
+};
+
+export const plansFor = (asset) => MAINTENANCE_PLANS.filter(p => p.type === asset.type);
+
+// 关闭预防性工单时记下当时的计数，作为下一周期的起点
+export const completeService = (siteRuntime, assetId, planId, now) => {
+  const counter = siteRuntime.assets[assetId];
+  if (!counter) return siteRuntime;
+  return { ...siteRuntime, services: { ...siteRuntime.services, [serviceKey(assetId, planId)]: { runMs: counter.runMs, starts: counter.starts, ts: now } } };
+};
+
+// 按现场计时表校准运行小时与启动次数；没有保养记录的项目以校准时刻为起点，避免校准后全部到期
+export const calibrateRuntime = (siteRuntime, asset, { runHours, starts }, now) => {
+  const counter = siteRuntime.assets[asset.id];
+  if (!counter) return siteRuntime;
+  const runMs = runHours * HOUR_MS;
+  const services = { ...siteRuntime.services };
+  for (const plan of plansFor(asset)) {
+    const key = serviceKey(asset.id, plan.id);
+    if (!services[key]) services[key] = { runMs, starts, ts: now };
+  }
+  return { assets: { ...siteRuntime.assets, [asset.id]: { ...counter, runMs, starts } }, services };
+};
+
+export const emptyRuntime = () => ({ assets: {}, services: {} });
+
+// --- 工单 ---
+// 工单 { id, number, siteId, kind: 'preventive' | 'corrective', title, assetId, planId, status, assignee,
+//        createdAt, createdBy, updatedAt, closedAt, links: [{ type: 'alarm' | 'fdd', id, at }], log: [{ ts, user, type, ... }] }
+// 预防性工单没有 title，显示保养项目名称；log 记录新建、指派、开始、备注、关联与关闭。
+
+export const isOpenOrder = (order) => order.status !== 'closed';
+
+const nextNumber = (orders) => orders.reduce((max, o) => Math.max(max, o.number), 0) + 1;
+
+export const workOrderTitle = (order, t) => (order.kind === 'preventive' ? t(`maintenance.plans.${order.planId}`) : order.title);
+
+export const formatOrderNumber = (order) => `WO-${String(order.number).padStart(4, '0')}`;
+
+const sameLink = (a, b) => a.type === b.type && a.id === b.id && a.at === b.at;
+
+export const createWorkOrder = (orders, { siteId, kind = 'corrective', title = '', assetId = null, planId = null, assignee = '', note = '', links = [] }, user, now) => {
+  const order = {
+    id: `wo-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    number: nextNumber(orders),
+    siteId,
+    kind,
+    title,
+    assetId,
+    planId,
+    status: 'open',
+    assignee,
+    createdAt: now,
+    createdBy: user,
+    updatedAt: now,
+    closedAt: null,
+    links,
+    log: [
+      { ts: now, user, type: 'created' },
+      ...(assignee ? [{ ts: now, user, type: 'assigned', assignee }] : []),
+      ...(note ? [{ ts: now, user, type: 'note', text: note }] : []),
+    ],
+  };
+  return [order, ...orders];
+};
+
+/**
+ * 工单操作 (纯函数)：action 为
+ * { type: 'assign', assignee } / { type: 'start' } / { type: 'note', text } / { type: 'close', text? } / { type: 'reopen' } /
+ * { type: 'link', link } / { type: 'unlink', link }
+ */
+export const applyWorkOrderAction = (order, action, user, now) => {
+  const entry = { ts: now, user, type: action.type };
+  switch (action.type) {
+    case 'assign':
+      return { ...order, assignee: action.assignee, updatedAt: now, log: [...order.log, { ...entry, assignee: action.assignee }] };
+    case 'start':
+      return { ...order, status: 'inProgress', updatedAt: now, log: [...order.log, entry] };
+    case 'note':
+      return { ...order, updatedAt: now, log: [...order.log, { ...entry, text: action.text }] };
+    case 'close':
+      return { ...order, status: 'closed', closedAt: now, updatedAt: now, log: [...order.log, { ...entry, text: action.text || undefined }] };
+    case 'reopen':
+      return { ...order, status: 'open', closedAt: null, updatedAt: now, log: [...order.log, entry] };
+    case 'link':
+      if (order.links.some(l => sameLink(l, action.link))) return order;
+      return { ...order, links: [...order.links, action.link], updatedAt: now, log: [...order.log, { ...entry, link: action.link }] };
+    case 'unlink':
+      return { ...order, links: order.links.filter(l => !sameLink(l, action.link)), updatedAt: now, log: [...order.log, { ...entry, link: action.link }] };
+    default:
+      return order;
+  }
+};
+
+// 到期且没有未关闭同项工单的保养项目生成预防性工单 (系统创建，未指派)
+export const raisePreventiveOrders = (orders, siteId, assets, siteRuntime, now) => {
+  let next = orders;
+  for (const asset of assets) {
+    const counter = siteRuntime.assets[asset.id];
+    if (!counter) continue;
+    for (const plan of plansFor(asset)) {
+      if (!planProgress(counter, siteRuntime.services[serviceKey(asset.id, plan.id)], plan, now).due) continue;
+      const pending = next.some(o => o.siteId === siteId && o.kind === 'preventive' && o.assetId === asset.id && o.planId === plan.id && isOpenOrder(o));
+      if (!pending) next = createWorkOrder(next, { siteId, kind: 'preventive', assetId: asset.id, planId: plan.id }, null, now);
+    }
+  }
+  return next;
+};
+
+// 关联到某个告警 / 诊断事件的未关闭工单
+export const ordersForLink = (orders, link) => orders.filter(o => isOpenOrder(o) && o.links.some(l => l.type === link.type && l.id === link.id && l.at === link.at));
+
+/**
+ * 当前可关联的事件：未恢复或未确认的告警 (at 为触发时间) 与未关闭的故障诊断 (at 为首次诊断时间)。
+ * alarms 为 useAlarms 的告警状态，openSince 为 useDiagnostics 的 openSince。
+ */
+export const openEvents = (alarms, openSince) => [
+  ...Object.values(alarms.active).filter(a => a.status !== 'pending').map(a => ({ type: 'alarm', id: a.ruleId, at: a.raisedAt ?? a.since })),
+  ...Object.entries(openSince).map(([id, at]) => ({ type: 'fdd', id, at })),
+];
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { siteAssets, accumulateRuntime, planProgress, MAINTENANCE_PLANS, MAX_SAMPLE_GAP_MS } from './maintenance';
+import { gatewayBaseline, mergeSnapshot } from './telemetry';
+import { simulateAt } from './plantModel';
+
+const SITE = { units: [{ id: 'CH-1', name: '1#', capacity: 1000 }, { id: 'CH-2', name: '2#', capacity: 1000 }] };
+
+describe('siteAssets', () => {
+  it('网关模式没有机组明细时按三个设备块计时，由汇总状态驱动', () => {
+    const { snapshot } = simulateAt(new Date(2026, 6, 1, 14), SITE);
+    expect(siteAssets(SITE, snapshot).map(a => a.id)).toContain('CH-2.pump');
+
+    const baseline = gatewayBaseline(snapshot);
+    const assets = siteAssets(SITE, baseline);
+    expect(assets.map(a => a.id)).toEqual(['compressor', 'pump', 'coolingTower']);
+
+    const t0 = Date.UTC(2026, 6, 1, 6);
+    const running = mergeSnapshot(baseline, { compressor: { status: 'Running' }, pump: { status: 'Running', frequency: 45 }, coolingTower: { status: 'Running', fanSpeed: 80 } });
+    const stopped = mergeSnapshot(baseline, { compressor: { status: 'Stopped' }, pump: { status: 'Stopped', frequency: 0 }, coolingTower: { status: 'Stopped', fanSpeed: 0 } });
+    let counters = accumulateRuntime({}, assets, stopped, t0);
+    counters = accumulateRuntime(counters, assets, running, t0 + 60000);
+    counters = accumulateRuntime(counters, assets, running, t0 + 120000);
+    expect(counters.compressor).toMatchObject({ runMs: 60000, starts: 1, running: true });
+    expect(counters.pump.runMs).toBe(60000);
+  });
+
+  it('只为实时明细中出现的机组建设备', () => {
+    const snapshot = { units: [{ id: 'CH-1', status: 'Running' }] };
+    expect(siteAssets(SITE, snapshot).map(a => a.id)).toEqual(['CH-1.compressor', 'CH-1.pump', 'CH-1.coolingTower']);
+  });
+});
+
+describe('accumulateRuntime', () => {
+  it('采样间隔超过上限的时段不计入运行时间', () => {
+    const assets = [{ id: 'compressor', type: 'compressor' }];
+    const snapshot = { compressor: { status: 'Running' } };
+    let counters = accumulateRuntime({}, assets, snapshot, 0);
+    counters = accumulateRuntime(counters, assets, snapshot, MAX_SAMPLE_GAP_MS + 1);
+    expect(counters.compressor).toMatchObject({ runMs: 0, starts: 0 });
+  });
+});
+
+describe('planProgress', () => {
+  it('取最接近到期的一项并按比例标记即将到期', () => {
+    const plan = MAINTENANCE_PLANS.find(p => p.id === 'chillerAnnual');
+    const counter = { runMs: 7300 * 3600000, starts: 0, since: 0 };
+    const progress = planProgress(counter, null, plan, 30 * 86400000);
+    expect(progress).toMatchObject({ by: 'hours', due: false, soon: true, lastService: null });
+  });
+});
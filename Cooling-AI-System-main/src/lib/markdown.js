@@ -0,0 +1,513 @@
+import { stripMarkup } from './exportData';
+
+// --- Markdown 解析 ---
+// 把助手回复解析为语法树，由 components/Markdown.jsx 渲染成 React 元素 (不经 innerHTML)。
+// 覆盖 CommonMark 常用语法 (标题、段落、有序/无序/嵌套列表、引用、代码块、分隔线、强调、行内代码、链接、图片)，
+// GFM 表格 (含列对齐)、任务列表、删除线、自动链接，以及 $...$、$$...$$、\(...\)、\[...\] 数学公式。
+// 面向模型输出的几处有意偏离 CommonMark：
+// - 段内单个换行按换行显示 (同 GitHub 评论)
+// - 嵌套列表只要求比上级标记多缩进 2 格，不要求对齐到上级内容列
+// - 强调的左右边界只看空白，不看标点，避免中文引号、括号旁的 ** 失效
+// - 原始 HTML 只识别 <br>，其余按普通文本显示；链接只保留 http(s)、mailto 与站内相对地址
+// 不支持：引用式链接定义、HTML 块、脚注。
+//
+// 块节点: heading { level, children } / paragraph { children } / code { lang, text } / math { tex }
+//         list { ordered, start, loose, items: [{ checked, children }] } / blockquote { children }
+//         table { align, header, rows } / hr
+// 行内节点: text { value } / strong / em / del { children } / code { value } / math { tex, display }
+//           link { href, title, children } / image { src, alt, title } / br
+
+// --- 块级 ---
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const ATX = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const HR = /^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const ITEM = /^( *)([-+*]|(\d{1,9})([.)]))(?:( +)(.*))?$/;
+const TASK = /^\[([ xX])\](?:[ \t]+|$)(.*)$/;
+const MATH_OPEN = /^ {0,3}(\$\$|\\\[)(.*)$/;
+const DELIMITER_CELL = /^:?-+:?$/;
+
+const isBlank = (line) => line.trim() === '';
+const indentOf = (line) => line.match(/^ */)[0].length;
+const stripIndent = (line, n) => line.slice(Math.min(n, indentOf(line)));
+// 行首制表符按 4 格展开
+const expandTabs = (line) => line.replace(/^[ \t]+/, ws => ws.replace(/\t/g, '    '));
+
+const matchItem = (line) => {
+  const m = line.match(ITEM);
+  if (!m) return null;
+  const spaces = m[5]?.length ?? 0;
+  const content = m[6] ?? '';
+  // 标记后没有空格时只有空项才算列表 ("-" 单独一行)，"-5°C" 之类不是
+  if (!spaces && content) return null;
+  return {
+    indent: m[1].length,
+    ordered: m[3] !== undefined,
+    kind: m[4] ?? m[2],
+    start: m[3] !== undefined ? Number(m[3]) : null,
+    content: spaces > 4 ? `${' '.repeat(spaces - 1)}${content}` : content,
+    contentIndent: m[1].length + m[2].length + (spaces >= 1 && spaces <= 4 ? spaces : 1),
+  };
+};
+
+// 按未转义、不在行内代码或公式中的 | 拆分表格行 (公式与代码的边界规则同行内解析)
+export const splitTableRow = (line) => {
+  let s = line.trim();
+  if (s.startsWith('|')) s = s.slice(1);
+  if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+  const cells = [];
+  let cell = '';
+  let math;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === '\\' && i + 1 < s.length) {
+      cell += s[i + 1] === '|' ? '|' : c + s[i + 1];
+      i++;
+    } else if (c === '`') {
+      const n = runLength(s, i);
+      const close = s.indexOf('`'.repeat(n), i + n);
+      // 代码中的 \| 同样表示 |
+      const end = close >= 0 ? close + n : i + n;
+      cell += s.slice(i, end).replace(/\\\|/g, '|');
+      i = end - 1;
+    } else if (c === '$' && (math = parseDollarMath(s, i))) {
+      cell += s.slice(i, math.next);
+      i = math.next - 1;
+    } else if (c === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const tableAlign = (cell) => {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+};
+
+// 表头行 + 分隔行，列数一致才是表格
+const tableStart = (lines, i) => {
+  if (i + 1 >= lines.length || !lines[i].includes('|')) return null;
+  const delimiter = lines[i + 1].trim();
+  if (!delimiter.includes('-') || !/^[|:\-\s]+$/.test(delimiter)) return null;
+  const cells = splitTableRow(delimiter);
+  if (!cells.every(c => DELIMITER_CELL.test(c))) return null;
+  const header = splitTableRow(lines[i]);
+  if (header.length !== cells.length) return null;
+  return { header, align: cells.map(tableAlign) };
+};
+
+// 能打断段落的块起始
+const interruptsParagraph = (lines, i) => {
+  const line = lines[i];
+  if (FENCE.test(line) || ATX.test(line) || HR.test(line) || QUOTE.test(line) || MATH_OPEN.test(line)) return true;
+  const item = matchItem(line);
+  if (item && item.indent < 4 && item.content.trim() && (!item.ordered || item.start === 1)) return true;
+  return Boolean(tableStart(lines, i));
+};
+
+const parseFence = (lines, i, m) => {
+  const [, indent, fence, info] = m;
+  const body = [];
+  let j = i + 1;
+  const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+  while (j < lines.length && !closing.test(lines[j])) {
+    body.push(stripIndent(lines[j], indent.length));
+    j++;
+  }
+  return { node: { type: 'code', lang: info.trim().split(/\s+/)[0] || '', text: body.join('\n') }, next: j + 1 };
+};
+
+// $$ 或 \[ 开始的公式块；没有闭合时 (如流式输出未结束) 返回 null，按段落处理
+const parseMathBlock = (lines, i, m) => {
+  const close = m[1] === '$$' ? '$$' : '\\]';
+  const first = m[2];
+  const sameLine = first.indexOf(close);
+  if (sameLine >= 0) {
+    if (first.slice(sameLine + close.length).trim()) return null;
+    return { node: { type: 'math', tex: first.slice(0, sameLine).trim() }, next: i + 1 };
+  }
+  const body = [first];
+  for (let j = i + 1; j < lines.length; j++) {
+    const end = lines[j].indexOf(close);
+    if (end >= 0) {
+      if (lines[j].slice(end + close.length).trim()) return null;
+      body.push(lines[j].slice(0, end));
+      return { node: { type: 'math', tex: body.join('\n').trim() }, next: j + 1 };
+    }
+    body.push(lines[j]);
+  }
+  return null;
+};
+
+const parseQuote = (lines, i) => {
+  const body = [];
+  let j = i;
+  while (j < lines.length) {
+    const m = lines[j].match(QUOTE);
+    if (m) body.push(m[1]);
+    // 惰性续行：上一行是段落文字时，不带 > 的普通文字行仍属引用
+    else if (!isBlank(lines[j]) && body.length && !isBlank(body[body.length - 1]) && !interruptsParagraph(lines, j)) body.push(lines[j]);
+    else break;
+    j++;
+  }
+  return { node: { type: 'blockquote', children: parseBlocks(body) }, next: j };
+};
+
+const parseTable = (lines, i, start) => {
+  const rows = [];
+  let j = i + 2;
+  while (j < lines.length && !isBlank(lines[j]) && lines[j].includes('|') && !interruptsParagraph(lines, j)) {
+    const cells = splitTableRow(lines[j]);
+    // 多的列截掉，少的列补空
+    rows.push(start.header.map((_, k) => parseInline(cells[k] ?? '')));
+    j++;
+  }
+  return {
+    node: { type: 'table', align: start.align, header: start.header.map(parseInline), rows },
+    next: j,
+  };
+};
+
+const parseList = (lines, i, first) => {
+  const items = [];
+  let loose = false;
+  let j = i;
+  while (j < lines.length) {
+    const m = matchItem(lines[j]);
+    if (!m || m.ordered !== first.ordered || m.kind !== first.kind || m.indent >= first.indent + 2) break;
+    const body = [m.content];
+    j++;
+    while (j < lines.length) {
+      const line = lines[j];
+      if (isBlank(line)) {
+        body.push('');
+        j++;
+        continue;
+      }
+      const indent = indentOf(line);
+      const afterBlank = isBlank(body[body.length - 1]);
+      if (indent > m.indent) {
+        body.push(stripIndent(line, m.contentIndent));
+      } else if (!afterBlank && !matchItem(line) && !interruptsParagraph(lines, j)) {
+        body.push(line.trim());
+      } else {
+        break;
+      }
+      j++;
+    }
+    // 项末尾的空行：后面还有同级项时列表为松散列表
+    let trailing = 0;
+    while (body.length > 1 && isBlank(body[body.length - 1])) {
+      body.pop();
+      trailing++;
+    }
+    const next = j < lines.length ? matchItem(lines[j]) : null;
+    if (trailing && next && next.ordered === first.ordered && next.kind === first.kind && next.indent < first.indent + 2) loose = true;
+    if (body.some((line, k) => isBlank(line) && k > 0 && indentOf(body[k + 1] ?? '') === 0 && !isBlank(body[k + 1] ?? ''))) loose = true;
+
+    const task = body[0].match(TASK);
+    items.push({
+      checked: task ? task[1] !== ' ' : null,
+      children: parseBlocks(task ? [task[2], ...body.slice(1)] : body),
+    });
+  }
+  return { node: { type: 'list', ordered: first.ordered, start: first.start ?? 1, loose, items }, next: j };
+};
+
+const parseParagraph = (lines, i) => {
+  const body = [lines[i].trim()];
+  let j = i + 1;
+  while (j < lines.length && !isBlank(lines[j])) {
+    const setext = lines[j].match(SETEXT);
+    if (setext) {
+      return { node: { type: 'heading', level: setext[1][0] === '=' ? 1 : 2, children: parseInline(body.join('\n')) }, next: j + 1 };
+    }
+    if (interruptsParagraph(lines, j)) break;
+    // 保留行尾两个空格 (硬换行)，去掉行首缩进
+    body.push(lines[j].replace(/^\s+/, ''));
+    j++;
+  }
+  return { node: { type: 'paragraph', children: parseInline(body.join('\n')) }, next: j };
+};
+
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+    let result = null;
+    let m;
+    if ((m = line.match(FENCE)) && !(m[2][0] === '`' && m[3].includes('`'))) {
+      result = parseFence(lines, i, m);
+    } else if ((m = line.match(MATH_OPEN))) {
+      result = parseMathBlock(lines, i, m);
+    } else if ((m = line.match(ATX))) {
+      const text = m[2].trim().replace(/(^|[ \t]+)#+$/, '').trim();
+      result = { node: { type: 'heading', level: m[1].length, children: parseInline(text) }, next: i + 1 };
+    } else if (HR.test(line)) {
+      result = { node: { type: 'hr' }, next: i + 1 };
+    } else if (QUOTE.test(line)) {
+      result = parseQuote(lines, i);
+    } else if (indentOf(line) >= 4) {
+      const body = [];
+      let j = i;
+      while (j < lines.length && (isBlank(lines[j]) || indentOf(lines[j]) >= 4)) body.push(stripIndent(lines[j++], 4));
+      while (isBlank(body[body.length - 1])) body.pop();
+      result = { node: { type: 'code', lang: '', text: body.join('\n') }, next: i + body.length };
+    } else if ((m = matchItem(line))) {
+      result = parseList(lines, i, m);
+    } else {
+      const table = tableStart(lines, i);
+      if (table) result = parseTable(lines, i, table);
+    }
+    result ??= parseParagraph(lines, i);
+    blocks.push(result.node);
+    i = result.next;
+  }
+  return blocks;
+};
+
+export const parseMarkdown = (text) => parseBlocks(String(text ?? '').replace(/\r\n?/g, '\n').split('\n').map(expandTabs));
+
+// --- 行内 ---
+
+const PUNCTUATION = /[!-/:-@[-`{-~]/;
+const WORD = /[\p{L}\p{N}]/u;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+// 裸链接在空白、< 和全角标点处结束
+const BARE_URL = /^(?:https?:\/\/|www\.)[^\s<\u3000-\u303f\uff00-\uffef]*/i;
+
+const decodeEntity = (name) => {
+  if (ENTITIES[name]) return ENTITIES[name];
+  const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : name[0] === '#' ? parseInt(name.slice(1), 10) : NaN;
+  return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null;
+};
+
+/**
+ * 链接地址白名单：http(s)、mailto 与不带协议的相对地址；其余 (javascript:、data: 等) 返回 null。
+ * 先去掉空白和控制字符，防止 "java\nscript:" 之类绕过。
+ */
+export const safeUrl = (url) => {
+  // eslint-disable-next-line no-control-regex
+  const u = String(url ?? '').replace(/[\u0000-\u0020\u007f]/g, '');
+  if (!u) return null;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(u)) return /^(https?|mailto):/i.test(u) ? u : null;
+  return u;
+};
+
+// 跳过行内代码，找下一个满足 test 的位置
+const findCloser = (src, from, test) => {
+  for (let j = from; j < src.length; j++) {
+    const c = src[j];
+    if (c === '\\') {
+      j++;
+    } else if (c === '`') {
+      let n = 1;
+      while (src[j + n] === '`') n++;
+      const end = src.indexOf('`'.repeat(n), j + n);
+      if (end >= 0) j = end + n - 1;
+      else j += n - 1;
+    } else if (test(j)) {
+      return j;
+    }
+  }
+  return -1;
+};
+
+const runLength = (src, i) => {
+  let n = 1;
+  while (src[i + n] === src[i]) n++;
+  return n;
+};
+
+// 强调：* / _ 单个为斜体，两个为加粗，三个为加粗斜体；~~ 为删除线
+const parseEmphasis = (src, i) => {
+  const c = src[i];
+  const n = runLength(src, i);
+  const prev = src[i - 1];
+  const after = src[i + n];
+  if (after === undefined || /\s/.test(after)) return null;
+  if (c === '_' && prev && WORD.test(prev)) return null;
+  if (c === '~') {
+    if (n !== 2) return null;
+    const end = findCloser(src, i + 2, j => src[j] === '~' && runLength(src, j) === 2 && src[j - 1] !== '~' && !/\s/.test(src[j - 1]));
+    return end > i + 2 ? { node: { type: 'del', children: parseInline(src.slice(i + 2, end)) }, next: end + 2 } : null;
+  }
+  const size = Math.min(n, 2);
+  const start = i + size;
+  const end = findCloser(src, start + (n > 2 ? 1 : 0), (j) => {
+    if (src[j] !== c || src[j - 1] === c) return false;
+    const m = runLength(src, j);
+    if (/\s/.test(src[j - 1]) || j === start) return false;
+    if (c === '_' && src[j + m] && WORD.test(src[j + m])) return false;
+    return size === 1 ? m !== 2 : m >= 2;
+  });
+  if (end < 0) return null;
+  // 闭合标记为 *** 时，加粗取后两个 (内层斜体取第一个)
+  const close = size === 2 ? end + runLength(src, end) - 2 : end;
+  const inner = src.slice(start, close);
+  return { node: { type: size === 2 ? 'strong' : 'em', children: parseInline(inner) }, next: close + size };
+};
+
+// 行内公式 $...$：$ 后不能是空白，结尾 $ 前不能是空白、后不能紧跟数字 (避免把 "$5 和 $10" 当公式)
+const parseDollarMath = (src, i) => {
+  if (src[i + 1] === '$') {
+    const end = src.indexOf('$$', i + 2);
+    if (end < 0 || !src.slice(i + 2, end).trim()) return null;
+    return { node: { type: 'math', tex: src.slice(i + 2, end).trim(), display: true }, next: end + 2 };
+  }
+  if (!src[i + 1] || /\s/.test(src[i + 1])) return null;
+  for (let j = i + 1; j < src.length; j++) {
+    if (src[j] === '\\') {
+      j++;
+    } else if (src[j] === '\n' && src[j + 1] === '\n') {
+      return null;
+    } else if (src[j] === '$') {
+      if (/\s/.test(src[j - 1]) || /\d/.test(src[j + 1] ?? '')) continue;
+      return { node: { type: 'math', tex: src.slice(i + 1, j), display: false }, next: j + 1 };
+    }
+  }
+  return null;
+};
+
+// [文字](地址 "标题")，括号允许一层嵌套
+const parseLink = (src, i, image) => {
+  const open = i + (image ? 1 : 0);
+  let depth = 0;
+  let close = -1;
+  for (let j = open; j < src.length; j++) {
+    if (src[j] === '\\') j++;
+    else if (src[j] === '[') depth++;
+    else if (src[j] === ']' && --depth === 0) {
+      close = j;
+      break;
+    }
+  }
+  if (close < 0 || src[close + 1] !== '(') return null;
+  const rest = src.slice(close + 2);
+  const m = rest.match(/^[ \t]*(<[^>\n]*>|(?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*)(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*\)/);
+  if (!m) return null;
+  const dest = m[1].startsWith('<') ? m[1].slice(1, -1) : m[1].replace(/\\(.)/g, '$1');
+  const title = m[2] ? m[2].slice(1, -1) : undefined;
+  const label = src.slice(open + 1, close);
+  const next = close + 2 + m[0].length;
+  if (image) return { node: { type: 'image', src: safeUrl(dest), alt: inlineText(parseInline(label)), title }, next };
+  return { node: { type: 'link', href: safeUrl(dest), title, children: parseInline(label) }, next };
+};
+
+// 裸链接末尾的标点不计入，右括号只在配对时计入
+const trimUrl = (url) => {
+  let u = url.replace(/[?!.,:;*_~'"]+$/, '');
+  while (u.endsWith(')') && (u.match(/\(/g) ?? []).length < (u.match(/\)/g) ?? []).length) u = u.slice(0, -1).replace(/[?!.,:;*_~'"]+$/, '');
+  return u;
+};
+
+export const parseInline = (src) => {
+  const nodes = [];
+  let text = '';
+  const push = (node) => {
+    if (text) nodes.push({ type: 'text', value: text });
+    text = '';
+    nodes.push(node);
+  };
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    let result = null;
+    if (c === '\\') {
+      const next = src[i + 1];
+      if (next === '(' || next === '[') {
+        const close = src.indexOf(next === '(' ? '\\)' : '\\]', i + 2);
+        if (close > i + 2) result = { node: { type: 'math', tex: src.slice(i + 2, close).trim(), display: next === '[' }, next: close + 2 };
+      } else if (next === '\n') {
+        result = { node: { type: 'br' }, next: i + 2 };
+      }
+      if (!result && next && PUNCTUATION.test(next)) {
+        text += next;
+        i += 2;
+        continue;
+      }
+    } else if (c === '`') {
+      const n = runLength(src, i);
+      const fence = '`'.repeat(n);
+      let end = src.indexOf(fence, i + n);
+      while (end >= 0 && src[end + n] === '`') end = src.indexOf(fence, end + runLength(src, end));
+      if (end >= 0) {
+        let value = src.slice(i + n, end).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(value)) value = value.slice(1, -1);
+        result = { node: { type: 'code', value }, next: end + n };
+      } else {
+        text += fence;
+        i += n;
+        continue;
+      }
+    } else if (c === '$') {
+      result = parseDollarMath(src, i);
+    } else if (c === '*' || c === '_' || c === '~') {
+      result = parseEmphasis(src, i);
+      if (!result) {
+        // 整段标记原样保留，避免下一个字符被当作新的开始
+        const n = runLength(src, i);
+        text += src.slice(i, i + n);
+        i += n;
+        continue;
+      }
+    } else if (c === '!' && src[i + 1] === '[') {
+      result = parseLink(src, i, true);
+    } else if (c === '[') {
+      result = parseLink(src, i, false);
+    } else if (c === '<') {
+      const auto = src.slice(i).match(/^<((?:https?|mailto):[^\s<>]*)>/i);
+      const br = src.slice(i).match(/^<br\s*\/?>/i);
+      if (auto) result = { node: { type: 'link', href: safeUrl(auto[1]), children: [{ type: 'text', value: auto[1] }] }, next: i + auto[0].length };
+      else if (br) result = { node: { type: 'br' }, next: i + br[0].length };
+    } else if (c === '&') {
+      const m = src.slice(i).match(/^&(#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z]+\d*);/);
+      const decoded = m && decodeEntity(m[1]);
+      if (decoded) {
+        text += decoded;
+        i += m[0].length;
+        continue;
+      }
+    } else if (c === '\n') {
+      text = text.replace(/ +$/, '');
+      result = { node: { type: 'br' }, next: i + 1 };
+    } else if ((c === 'h' || c === 'w') && !/[A-Za-z0-9]/.test(src[i - 1] ?? ' ')) {
+      const m = src.slice(i).match(BARE_URL);
+      const url = m && trimUrl(m[0]);
+      if (url && url.length > (url.startsWith('www.') ? 4 : url.indexOf('//') + 2)) {
+        result = { node: { type: 'link', href: safeUrl(url.startsWith('www.') ? `https://${url}` : url), children: [{ type: 'text', value: url }] }, next: i + url.length };
+      }
+    }
+    if (result) {
+      push(result.node);
+      i = result.next;
+    } else {
+      text += c;
+      i++;
+    }
+  }
+  if (text) nodes.push({ type: 'text', value: text });
+  return nodes;
+};
+
+// 行内节点的纯文本 (表格导出、图片替代文字用)，公式转成可读写法
+export const inlineText = (nodes) => nodes.map(n => {
+  if (n.type === 'text' || n.type === 'code') return n.value;
+  if (n.type === 'math') return stripMarkup(n.tex);
+  if (n.type === 'br') return ' ';
+  if (n.type === 'image') return n.alt;
+  return n.children ? inlineText(n.children) : '';
+}).join('');
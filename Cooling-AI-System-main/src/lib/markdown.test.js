@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown, parseInline, safeUrl, splitTableRow } from './markdown';
+
+// --- 以助手实际回复为样本的解析测试 ---
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const item = (children, checked = null) => ({ checked, children });
+
+// 深度优先收集指定类型的节点
+const collect = (nodes, type, out = []) => {
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+    if (node.type === type) out.push(node);
+    for (const value of Object.values(node)) {
+      if (Array.isArray(value)) collect(value.flat(2), type, out);
+    }
+  }
+  return out;
+};
+
+describe('列表', () => {
+  it('解析巡检步骤中的嵌套列表', () => {
+    const reply = [
+      '建议按以下顺序排查：',
+      '',
+      '1. 检查冷却塔',
+      '   - 风机转速是否达到设定',
+      '   - 填料是否结垢',
+      '2. 检查冷却水泵',
+    ].join('\n');
+    const [intro, list] = parseMarkdown(reply);
+    expect(intro).toEqual(paragraph(text('建议按以下顺序排查：')));
+    expect(list).toMatchObject({ type: 'list', ordered: true, start: 1, loose: false });
+    expect(list.items).toHaveLength(2);
+    expect(list.items[0].children).toEqual([
+      paragraph(text('检查冷却塔')),
+      {
+        type: 'list', ordered: false, start: 1, loose: false, items: [
+          item([paragraph(text('风机转速是否达到设定'))]),
+          item([paragraph(text('填料是否结垢'))]),
+        ],
+      },
+    ]);
+  });
+
+  it('嵌套只要求比上级多缩进 2 格', () => {
+    const [list] = parseMarkdown('- 冷站\n  - 1# 主机\n    - 压缩机');
+    const level2 = list.items[0].children[1];
+    const level3 = level2.items[0].children[1];
+    expect(level3).toMatchObject({ type: 'list', items: [item([paragraph(text('压缩机'))])] });
+  });
+
+  it('解析任务列表的勾选状态', () => {
+    const [list] = parseMarkdown('- [x] 已确认冷冻水出水温度\n- [ ] 待核对冷却塔风机\n- 普通项');
+    expect(list.items.map(i => i.checked)).toEqual([true, false, null]);
+    expect(list.items[1].children).toEqual([paragraph(text('待核对冷却塔风机'))]);
+  });
+
+  it('负温度不当作列表', () => {
+    expect(parseMarkdown('-5°C 以下需防冻')[0].type).toBe('paragraph');
+  });
+});
+
+describe('表格', () => {
+  const reply = [
+    '| 参数 | 公式 | 命令 |',
+    '|:--|:-:|--:|',
+    '| 偏差 | $|T_s - T_{set}|$ | `grep a|b` |',
+    '| 转义 | a \\| b | -- |',
+  ].join('\n');
+
+  it('行内公式与代码中的 | 不拆分单元格', () => {
+    const [table] = parseMarkdown(reply);
+    expect(table.type).toBe('table');
+    expect(table.align).toEqual(['left', 'center', 'right']);
+    expect(table.header).toEqual([[text('参数')], [text('公式')], [text('命令')]]);
+    expect(table.rows[0]).toEqual([
+      [text('偏差')],
+      [{ type: 'math', tex: '|T_s - T_{set}|', display: false }],
+      [{ type: 'code', value: 'grep a|b' }],
+    ]);
+    expect(table.rows[1]).toHaveLength(3);
+  });
+
+  it('splitTableRow 保留转义的 |', () => {
+    expect(splitTableRow('| a \\| b | $x|y$ | c |')).toHaveLength(3);
+  });
+});
+
+describe('代码块', () => {
+  it('保留语言与原文，不解析其中的 Markdown', () => {
+    const reply = '示例脚本：\n\n```python\nfor u in units:\n    print(u["cop"])  # *不是强调*\n```';
+    const [, code] = parseMarkdown(reply);
+    expect(code).toEqual({ type: 'code', lang: 'python', text: 'for u in units:\n    print(u["cop"])  # *不是强调*' });
+  });
+
+  it('代码块中的表格与公式按原文显示', () => {
+    expect(parseMarkdown('```\n| a | b |\n|---|---|\n$x$\n```')).toEqual([{ type: 'code', lang: '', text: '| a | b |\n|---|---|\n$x$' }]);
+  });
+
+  it('未闭合的代码块延续到回复末尾', () => {
+    expect(parseMarkdown('```json\n{"cop": 5.2}')).toEqual([{ type: 'code', lang: 'json', text: '{"cop": 5.2}' }]);
+  });
+});
+
+describe('数学公式', () => {
+  it('解析 $$…$$ 与 \\[…\\] 块级公式', () => {
+    const reply = '冷站综合能效：\n\n$$\nCOP_{plant} = \\frac{Q}{P_{comp} + P_{pump} + P_{fan}}\n$$\n\n其中\n\n\\[ Q = c \\dot{m} \\Delta T \\]';
+    const math = parseMarkdown(reply).filter(b => b.type === 'math');
+    expect(math).toEqual([
+      { type: 'math', tex: 'COP_{plant} = \\frac{Q}{P_{comp} + P_{pump} + P_{fan}}' },
+      { type: 'math', tex: 'Q = c \\dot{m} \\Delta T' },
+    ]);
+  });
+
+  it('解析行内公式', () => {
+    expect(parseInline('当前 $COP = 5.2$，温度 \\(T_{chw}\\) 与 $$E=mc^2$$')).toEqual([
+      text('当前 '),
+      { type: 'math', tex: 'COP = 5.2', display: false },
+      text('，温度 '),
+      { type: 'math', tex: 'T_{chw}', display: false },
+      text(' 与 '),
+      { type: 'math', tex: 'E=mc^2', display: true },
+    ]);
+  });
+
+  it('金额中的 $ 不当作公式', () => {
+    expect(collect(parseMarkdown('电费约 $120 到 $150 之间'), 'math')).toEqual([]);
+  });
+});
+
+describe('链接与图片', () => {
+  it('丢弃 javascript: 等非白名单地址', () => {
+    const nodes = parseMarkdown('[点我](javascript:alert(1)) [大小写](JaVaScRiPt:alert(1)) ![图](javascript:x) ![内联](data:image/png;base64,AA)');
+    expect(collect(nodes, 'link').map(l => l.href)).toEqual([null, null]);
+    expect(collect(nodes, 'image').map(i => i.src)).toEqual([null, null]);
+  });
+
+  it('保留 http(s)、mailto 与站内相对地址', () => {
+    const nodes = parseMarkdown('详见 [报告](/reports?id=1 "月报")、[手册](https://example.com/manual) 或 [联系](mailto:ops@example.com)');
+    expect(collect(nodes, 'link').map(({ href, title }) => ({ href, title }))).toEqual([
+      { href: '/reports?id=1', title: '月报' },
+      { href: 'https://example.com/manual', title: undefined },
+      { href: 'mailto:ops@example.com', title: undefined },
+    ]);
+  });
+
+  it('safeUrl 去掉控制字符后再判断协议', () => {
+    expect(safeUrl('java\nscript:alert(1)')).toBeNull();
+    expect(safeUrl(' javascript:alert(1)')).toBeNull();
+    expect(safeUrl('vbscript:x')).toBeNull();
+    expect(safeUrl('https://example.com')).toBe('https://example.com');
+  });
+
+  it('原始 HTML 按文本显示，只识别 <br>', () => {
+    expect(parseInline('a<br>b <script>alert(1)</script>')).toEqual([
+      text('a'),
+      { type: 'br' },
+      text('b <script>alert(1)</script>'),
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+import { simulateConditions, PLANT_DESIGN } from './plantModel';
+
+// --- 设定值寻优 ---
+// 在冷冻水出水温度、冷却水供水温度 (决定冷却塔风机转速)、冷却泵频率三维空间里
+// 以冷站总功率 (压缩机 + 冷却泵 + 风机 + 辅助) 为目标做由粗到细的网格搜索。
+// 基准与优化结果都用同一个物理模型计算，节省量是模型内的同口径比较。
+
+export const OPTIMIZER_VARIABLES = [
+  { key: 'setPoint', unit: '°C', min: 5, max: 10, resolution: 0.1 },
+  { key: 'cwSetPoint', unit: '°C', min: 18, max: 32, resolution: 0.5 },
+  { key: 'pumpFrequency', unit: 'Hz', min: PLANT_DESIGN.minPumpFrequency, max: PLANT_DESIGN.maxPumpFrequency, resolution: 1 },
+];
+
+// 物理约束：冷冻水出水上限保证除湿，冷却水温度受主机最小压差和冷凝器回水上限约束
+export const PLANT_CONSTRAINTS = {
+  cwSupplyMin: 18,
+  cwReturnMax: 37,
+};
+
+const roundTo = (v, step) => Number((Math.round(v / step) * step).toFixed(3));
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+const evaluate = (conditions, candidate) => {
+  const result = simulateConditions({ ...conditions, ...candidate });
+  const { coolingTower, userSide } = result.snapshot;
+  const feasible = coolingTower.outTemp >= PLANT_CONSTRAINTS.cwSupplyMin
+    && coolingTower.inTemp <= PLANT_CONSTRAINTS.cwReturnMax
+    && userSide.load <= result.capacity;
+  return { ...result, candidate, cost: feasible ? result.power.total : Infinity };
+};
+
+/**
+ * conditions: { load, weather, units } units 可选，为多机组站的机组配置 (见 simulateUnits)
+ * current:    { setPoint, cwSetPoint, pumpFrequency } 当前运行设定，作为基准
+ * maxSteps:   { setPoint: 1, ... } 可选，限制相对当前值的单次调整幅度
+ * 没有满足约束的设定 (feasible 为 false) 时 optimized 即 baseline，调用方不应把它当作寻优结果
+ */
+export const optimizeSetpoints = (conditions, current, maxSteps = {}) => {
+  const bounds = OPTIMIZER_VARIABLES.map(v => {
+    const step = maxSteps[v.key];
+    const min = step === undefined ? v.min : Math.max(v.min, current[v.key] - step);
+    const max = step === undefined ? v.max : Math.min(v.max, current[v.key] + step);
+    return { ...v, min: Math.min(min, max), max, stepLimited: step !== undefined };
+  });
+
+  // 粗网格：每维 5 个点
+  let best = null;
+  const consider = (candidate) => {
+    const result = evaluate(conditions, candidate);
+    if (!best || result.cost < best.cost) best = result;
+  };
+  const axes = bounds.map(b => [0, 1, 2, 3, 4].map(i => b.min + ((b.max - b.min) * i) / 4));
+  for (const a of axes[0]) for (const b of axes[1]) for (const c of axes[2]) {
+    consider({ setPoint: a, cwSetPoint: b, pumpFrequency: c });
+  }
+
+  // 逐步减半步长，在当前最优点周围 3×3×3 细化，直到各维达到分辨率
+  let steps = bounds.map(b => (b.max - b.min) / 4);
+  while (steps.some((s, i) => s > bounds[i].resolution)) {
+    steps = steps.map((s, i) => Math.max(bounds[i].resolution, s / 2));
+    const center = best.candidate;
+    const around = bounds.map((b, i) => [-1, 0, 1].map(k => clamp(center[b.key] + k * steps[i], b.min, b.max)));
+    for (const a of around[0]) for (const b of around[1]) for (const c of around[2]) {
+      consider({ setPoint: a, cwSetPoint: b, pumpFrequency: c });
+    }
+  }
+
+  const rounded = Object.fromEntries(bounds.map(b => [b.key, clamp(roundTo(best.candidate[b.key], b.resolution), b.min, b.max)]));
+  const optimized = evaluate(conditions, rounded);
+  const baseline = evaluate(conditions, current);
+  const chosen = optimized.cost <= baseline.cost ? optimized : baseline;
+  const feasible = Number.isFinite(chosen.cost);
+  return { baseline, optimized: feasible ? chosen : baseline, bounds, feasible };
+};
+
+// 把寻优结果整理成建议条目，附带每项调整对各分项功率的影响 (公制数值，由界面按语言与单位成文)
+// limitedBy 为受单次调整幅度限制的变量 key
+export const explainRecommendation = ({ baseline, optimized, bounds }) => {
+  const b = baseline.power;
+  const o = optimized.power;
+  const items = [];
+  const delta = (key) => optimized.candidate[key] - baseline.candidate[key];
+
+  if (Math.abs(delta('setPoint')) >= 0.1) {
+    items.push({
+      key: 'setPoint',
+      up: delta('setPoint') > 0,
+      change: Math.abs(delta('setPoint')),
+      from: baseline.candidate.setPoint,
+      to: optimized.candidate.setPoint,
+    });
+  }
+  if (Math.abs(delta('cwSetPoint')) >= 0.5) {
+    items.push({
+      key: 'cwSetPoint',
+      up: delta('cwSetPoint') > 0,
+      to: optimized.candidate.cwSetPoint,
+      fanFrom: baseline.snapshot.coolingTower.fanSpeed,
+      fanTo: optimized.snapshot.coolingTower.fanSpeed,
+      fanPower: o.fan - b.fan,
+      compressorPower: o.compressor - b.compressor,
+    });
+  }
+  if (Math.abs(delta('pumpFrequency')) >= 1) {
+    items.push({
+      key: 'pumpFrequency',
+      from: baseline.candidate.pumpFrequency,
+      to: optimized.candidate.pumpFrequency,
+      pumpPower: o.pump - b.pump,
+      rangeFrom: baseline.snapshot.coolingTower.inTemp - baseline.snapshot.coolingTower.outTemp,
+      rangeTo: optimized.snapshot.coolingTower.inTemp - optimized.snapshot.coolingTower.outTemp,
+    });
+  }
+
+  // 最优点落在调整幅度边界上时提示，下一轮还有继续调整的空间
+  const limited = bounds
+    .filter(v => v.stepLimited && optimized !== baseline)
+    .filter(v => {
+      const full = OPTIMIZER_VARIABLES.find(o2 => o2.key === v.key);
+      const value = optimized.candidate[v.key];
+      return (Math.abs(value - v.min) < 1e-6 && v.min > full.min) || (Math.abs(value - v.max) < 1e-6 && v.max < full.max);
+    })
+    .map(v => v.key);
+
+  return {
+    items,
+    saving: b.total - o.total,
+    savingRatio: (b.total - o.total) / b.total,
+    limitedBy: limited,
+  };
+};
@@ -0,0 +1,360 @@
+// --- 冷站物理仿真模型 ---
+// 压缩机、冷却塔、冷却泵与用户侧环路联立求解，由室外气象和冷冻水设定值驱动。
+// 纯函数、无浏览器依赖，前端演示与 Modbus 仿真从站共用；传入相同 seed 得到相同数据。
+
+export const CP_WATER = 4.186; // kJ/(kg·K)
+const KELVIN = 273.15;
+
+export const PLANT_DESIGN = {
+  chillerCapacity: 2000, // kW 制冷量
+  chwFlow: 300,          // m³/h 冷冻水定流量
+  cwFlow: 380,           // m³/h 冷却水流量 @50Hz
+  pumpHead: 0.42,        // MPa @50Hz
+  pumpPower: 45,         // kW @50Hz
+  fanPower: 37,          // kW 风机满速功率
+  towerApproach: 4.0,    // K 设计排热量、风机满速时的逼近度
+  heatRejection: 2400,   // kW 设计排热量
+  evapApproach: 1.5,     // K 蒸发器端差
+  condApproach: 1.5,     // K 冷凝器端差
+  carnotEfficiency: 0.45,
+  auxPower: 25,          // kW 照明与辅助
+  minFanSpeed: 20,       // %
+  minPumpFrequency: 30,  // Hz
+  maxPumpFrequency: 50,  // Hz
+};
+
+// 站内默认运行设定：冷冻水出水温度、冷却水供水温度 (风机追踪该温度)、冷却泵频率
+export const DEFAULT_OPERATING_SETPOINTS = { setPoint: 7, cwSetPoint: 28, pumpFrequency: 45 };
+
+export const WEATHER_PROFILES = {
+  summer: { tMean: 29, tAmp: 4.5, rhMean: 62, rhAmp: 15 },
+  transition: { tMean: 21, tAmp: 5, rhMean: 58, rhAmp: 12 },
+  winter: { tMean: 8, tAmp: 4, rhMean: 50, rhAmp: 10 },
+};
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const round = (v, precision = 1) => {
+  const f = 10 ** precision;
+  return Math.round(v * f) / f;
+};
+
+// mulberry32: 轻量可复现的伪随机数
+export const createRng = (seed = 1) => {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // 近似正态噪声 (三个均匀分布求和)
+  next.normal = (sigma = 1) => (next() + next() + next() - 1.5) * 2 * sigma;
+  return next;
+};
+
+// Stull (2011) 经验公式，由干球温度和相对湿度估算湿球温度
+export const wetBulbTemperature = (t, rh) => (
+  t * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+  + Math.atan(t + rh) - Math.atan(rh - 1.676331)
+  + 0.00391838 * rh ** 1.5 * Math.atan(0.023101 * rh)
+  - 4.686035
+);
+
+// 日变化按余弦曲线，15:00 气温最高、湿度最低
+export const weatherAt = (date, profile = WEATHER_PROFILES.summer, rng = createRng()) => {
+  const hour = date.getHours() + date.getMinutes() / 60;
+  const phase = Math.cos((2 * Math.PI * (hour - 15)) / 24);
+  const temp = profile.tMean + profile.tAmp * phase + rng.normal(0.3);
+  const humidity = clamp(profile.rhMean - profile.rhAmp * phase + rng.normal(1.5), 15, 98);
+  return { temp, humidity, wetBulb: wetBulbTemperature(temp, humidity) };
+};
+
+// 工作日 8-18 点满负荷作业，夜间和周末只保留基础工艺负荷；气温每升高 1°C 增加围护结构负荷
+const occupancyAt = (date) => {
+  const hour = date.getHours() + date.getMinutes() / 60;
+  const weekend = date.getDay() === 0 || date.getDay() === 6;
+  const ramp = clamp(Math.min(hour - 7, 19 - hour), 0, 1);
+  return weekend ? 0.3 * ramp : ramp;
+};
+
+// capacity 为站内装机冷量，负荷曲线按装机冷量等比例缩放
+export const loadAt = (date, weather, rng = createRng(), capacity = PLANT_DESIGN.chillerCapacity) => {
+  const scale = capacity / PLANT_DESIGN.chillerCapacity;
+  const base = capacity * (0.35 + 0.3 * occupancyAt(date));
+  const envelope = 30 * scale * (weather.temp - 24);
+  return Math.max(150 * scale, (base + envelope) * (1 + rng.normal(0.02)));
+};
+
+// 部分负荷下的热力完善度，约 80% 负荷时最高
+const partLoadEfficiency = (plr, d) => d.carnotEfficiency * (1 - 0.7 * (plr - 0.8) ** 2);
+
+const towerApproach = (heatRejection, fanSpeed, d) => (
+  d.towerApproach
+  * (heatRejection / d.heatRejection) ** 0.7
+  * (fanSpeed / 100) ** -0.6
+);
+
+// 单台机组 (一机一泵一塔) 的设计参数：流量、泵与风机功率、排热量按制冷量缩放，
+// efficiency 为相对设计热力完善度的系数 (机型差异与老化)；辅助功率按站计，不计入机组
+export const scaleDesign = (capacity, efficiency = 1) => {
+  const r = capacity / PLANT_DESIGN.chillerCapacity;
+  return {
+    ...PLANT_DESIGN,
+    chillerCapacity: capacity,
+    chwFlow: PLANT_DESIGN.chwFlow * r,
+    cwFlow: PLANT_DESIGN.cwFlow * r,
+    pumpPower: PLANT_DESIGN.pumpPower * r,
+    fanPower: PLANT_DESIGN.fanPower * r,
+    heatRejection: PLANT_DESIGN.heatRejection * r,
+    carnotEfficiency: PLANT_DESIGN.carnotEfficiency * efficiency,
+    auxPower: 0,
+  };
+};
+
+// 辅助功率随装机规模缩放
+export const auxPowerFor = (capacity) => PLANT_DESIGN.auxPower * capacity / PLANT_DESIGN.chillerCapacity;
+
+/**
+ * 求解一个稳态工况。
+ * 风机转速缺省时追踪冷却水供水设定 cwSetPoint (再缺省则追踪 "湿球 + 3.5K")，
+ * 冷却泵频率缺省时随负荷率线性变化。
+ */
+export const simulatePlant = ({ load, weather, setPoint = 7, cwSetPoint, fanSpeed, pumpFrequency, design = PLANT_DESIGN }) => {
+  const d = design;
+  const delivered = Math.min(load, d.chillerCapacity);
+  const plr = delivered / d.chillerCapacity;
+
+  const chwMass = d.chwFlow / 3.6;
+  const chwSupply = setPoint + (load - delivered) / (chwMass * CP_WATER);
+  const chwReturn = chwSupply + load / (chwMass * CP_WATER);
+
+  const frequency = pumpFrequency ?? clamp(d.minPumpFrequency + 20 * plr, d.minPumpFrequency, d.maxPumpFrequency);
+  const speedRatio = frequency / 50;
+  const cwFlow = d.cwFlow * speedRatio;
+  const cwMass = cwFlow / 3.6;
+
+  const targetApproach = cwSetPoint === undefined
+    ? Math.max(3.5, 20 - weather.wetBulb)
+    : Math.max(0.1, cwSetPoint - weather.wetBulb);
+  let fan = fanSpeed ?? 100;
+  let cwSupply = weather.wetBulb + 4;
+  let cop = 5;
+  let compressorPower = delivered / cop;
+  let heatRejection = delivered + compressorPower;
+
+  // 冷凝温度、压缩机功率和排热量相互耦合，做阻尼不动点迭代
+  for (let i = 0; i < 30; i++) {
+    const cwReturn = cwSupply + heatRejection / (cwMass * CP_WATER);
+    const tEvap = chwSupply - d.evapApproach + KELVIN;
+    const tCond = cwReturn + d.condApproach + KELVIN;
+    cop = partLoadEfficiency(plr, d) * tEvap / Math.max(5, tCond - tEvap);
+    compressorPower = delivered / cop;
+    heatRejection = delivered + compressorPower;
+
+    if (fanSpeed === undefined) {
+      const needed = 100 * (towerApproach(heatRejection, 100, d) / targetApproach) ** (1 / 0.6);
+      fan = clamp(needed, d.minFanSpeed, 100);
+    }
+    const nextSupply = weather.wetBulb + towerApproach(heatRejection, Math.max(fan, 1), d);
+    cwSupply += 0.5 * (nextSupply - cwSupply);
+  }
+  const cwReturn = cwSupply + heatRejection / (cwMass * CP_WATER);
+  // 冷凝/蒸发饱和温度 (现场点表一般可读)，诊断冷凝器结垢用
+  const condTemp = cwReturn + d.condApproach;
+  const evapTemp = chwSupply - d.evapApproach;
+
+  const power = {
+    compressor: compressorPower,
+    pump: d.pumpPower * speedRatio ** 3,
+    fan: d.fanPower * (fan / 100) ** 3,
+    aux: d.auxPower,
+  };
+  power.total = power.compressor + power.pump + power.fan + power.aux;
+
+  const snapshot = {
+    compressor: { status: 'Running', power: round(power.compressor), cop: round(cop, 2), inTemp: round(chwReturn), outTemp: round(chwSupply), condTemp: round(condTemp), evapTemp: round(evapTemp) },
+    coolingTower: { status: 'Running', setPoint: round(weather.wetBulb + targetApproach), fanSpeed: round(fan, 0), inTemp: round(cwReturn), outTemp: round(cwSupply), humidity: round(clamp(weather.humidity + (100 - weather.humidity) * 0.25, 0, 98), 0) },
+    pump: { status: 'Running', setPoint: round(frequency), frequency: round(frequency), flow: round(cwFlow, 0), pressure: round(d.pumpHead * speedRatio ** 2, 2) },
+    userSide: { load: round(load, 0), setPoint: round(setPoint), returnTemp: round(chwReturn), deltaT: round(chwReturn - chwSupply) },
+    environment: { temp: round(weather.temp), humidity: round(weather.humidity, 0), wetBulb: round(weather.wetBulb) },
+  };
+  return { snapshot, power, cooling: delivered, capacity: d.chillerCapacity };
+};
+
+// --- 多机组 ---
+
+// 加减机阈值：运行机组平均负载率超过 upLoading 时加机；
+// 减一台后负载率仍不高于 downLoading 才减机，两者之间留出回差避免频繁启停
+export const STAGING = { upLoading: 0.9, downLoading: 0.8 };
+
+const sumOf = (items, fn) => items.reduce((sum, item) => sum + fn(item), 0);
+
+// 按 units 数组顺序 (即开机优先级) 加机，减机从优先级最低的运行机组开始；available 为 false 的机组 (故障/检修) 跳过。
+// current 为当前运行的机组编号，给出时在其基础上按阈值加减 (有回差)，否则直接取满足负荷的最少台数
+export const stageUnits = (load, units, current) => {
+  const available = units.filter(u => u.available !== false);
+  const running = current ? available.filter(u => current.includes(u.id)) : [];
+  for (const unit of available) {
+    if (running.length > 0 && sumOf(running, u => u.capacity) * STAGING.upLoading >= load) break;
+    if (!running.includes(unit)) running.push(unit);
+  }
+  running.sort((a, b) => available.indexOf(a) - available.indexOf(b));
+  while (running.length > 1 && load / (sumOf(running, u => u.capacity) - running[running.length - 1].capacity) <= STAGING.downLoading) {
+    running.pop();
+  }
+  return new Set(running.map(u => u.id));
+};
+
+const weighted = (items, weight, fn) => sumOf(items, i => weight(i) * fn(i)) / sumOf(items, weight);
+
+const idleUnit = (unit) => ({ id: unit.id, name: unit.name, capacity: unit.capacity, status: unit.available === false ? 'Fault' : 'Stopped', load: 0, power: 0, cop: null });
+
+// 没有可用机组 (全部故障或检修) 时冷站停机：不制冷，泵与风机停转，只计辅助功率；
+// 冷冻水温度回升到室外气温，冷却塔集水盘水温取湿球温度，主机 COP 为 null
+const stoppedUnits = ({ units, load, weather, setPoint, cwSetPoint, pumpFrequency }) => {
+  const chw = round(weather.temp);
+  const cw = round(weather.wetBulb);
+  const aux = auxPowerFor(sumOf(units, u => u.capacity));
+  const snapshot = {
+    compressor: { status: 'Stopped', power: 0, cop: null, inTemp: chw, outTemp: chw, condTemp: cw, evapTemp: chw },
+    coolingTower: { status: 'Stopped', setPoint: round(cwSetPoint ?? Math.max(20, weather.wetBulb + 3.5)), fanSpeed: 0, inTemp: cw, outTemp: cw, humidity: round(weather.humidity, 0) },
+    pump: { status: 'Stopped', setPoint: round(pumpFrequency ?? PLANT_DESIGN.minPumpFrequency), frequency: 0, flow: 0, pressure: 0 },
+    userSide: { load: round(load, 0), setPoint: round(setPoint), returnTemp: chw, deltaT: 0 },
+    environment: { temp: round(weather.temp), humidity: round(weather.humidity, 0), wetBulb: round(weather.wetBulb) },
+    units: units.map(idleUnit),
+  };
+  return { snapshot, power: { compressor: 0, pump: 0, fan: 0, aux, total: aux }, cooling: 0, capacity: 0 };
+};
+
+/**
+ * 多台冷水机组并联的冷站稳态工况。每台机组配套冷却泵与冷却塔，运行机组按制冷量比例均分负荷，
+ * 共用冷冻水出水、冷却水供水与冷却泵频率设定。
+ * units: [{ id, name, capacity, efficiency, available }]；running 为上一时刻运行的机组编号 (见 stageUnits)
+ * fanSpeed 给出时各运行机组的冷却塔风机固定该转速，否则追踪 cwSetPoint (同 simulatePlant)
+ * 汇总快照与单机快照字段一致：温度按流量加权混合，功率与流量求和，
+ * 主机 COP 为总制冷量 / 总压缩机功率 (而非各机 COP 的平均)；units 为各机组明细。
+ * 没有可用机组时返回停机工况 (capacity 为 0，见 stoppedUnits)。
+ */
+export const simulateUnits = ({ units, load, weather, setPoint = 7, cwSetPoint, fanSpeed, pumpFrequency, running: current }) => {
+  const running = stageUnits(load, units, current);
+  const runningUnits = units.filter(u => running.has(u.id));
+  if (runningUnits.length === 0) return stoppedUnits({ units, load, weather, setPoint, cwSetPoint, pumpFrequency });
+  const runningCapacity = sumOf(runningUnits, u => u.capacity);
+  const results = runningUnits.map(unit => ({
+    unit,
+    ...simulatePlant({ load: load * unit.capacity / runningCapacity, weather, setPoint, cwSetPoint, fanSpeed, pumpFrequency, design: scaleDesign(unit.capacity, unit.efficiency) }),
+  }));
+  const capacity = sumOf(units.filter(u => u.available !== false), u => u.capacity);
+
+  const power = {
+    compressor: sumOf(results, r => r.power.compressor),
+    pump: sumOf(results, r => r.power.pump),
+    fan: sumOf(results, r => r.power.fan),
+    aux: auxPowerFor(sumOf(units, u => u.capacity)),
+  };
+  power.total = power.compressor + power.pump + power.fan + power.aux;
+  const cooling = sumOf(results, r => r.cooling);
+
+  const byCapacity = (r) => r.unit.capacity;
+  const byCwFlow = (r) => r.snapshot.pump.flow;
+  const [first] = results;
+  const snapshot = {
+    compressor: {
+      status: 'Running',
+      power: round(power.compressor),
+      cop: round(cooling / power.compressor, 2),
+      inTemp: round(weighted(results, byCapacity, r => r.snapshot.compressor.inTemp)),
+      outTemp: round(weighted(results, byCapacity, r => r.snapshot.compressor.outTemp)),
+      condTemp: round(weighted(results, byCapacity, r => r.snapshot.compressor.condTemp)),
+      evapTemp: round(weighted(results, byCapacity, r => r.snapshot.compressor.evapTemp)),
+    },
+    coolingTower: {
+      ...first.snapshot.coolingTower,
+      fanSpeed: round(weighted(results, byCapacity, r => r.snapshot.coolingTower.fanSpeed), 0),
+      inTemp: round(weighted(results, byCwFlow, r => r.snapshot.coolingTower.inTemp)),
+      outTemp: round(weighted(results, byCwFlow, r => r.snapshot.coolingTower.outTemp)),
+    },
+    pump: { ...first.snapshot.pump, flow: round(sumOf(results, byCwFlow), 0) },
+    userSide: { ...first.snapshot.userSide, load: round(load, 0) },
+    environment: first.snapshot.environment,
+    units: units.map(unit => {
+      const r = results.find(x => x.unit === unit);
+      if (!r) return idleUnit(unit);
+      return {
+        id: unit.id,
+        name: unit.name,
+        capacity: unit.capacity,
+        status: 'Running',
+        load: round(r.cooling, 0),
+        power: r.snapshot.compressor.power,
+        cop: r.snapshot.compressor.cop,
+        chwSupply: r.snapshot.compressor.outTemp,
+        chwReturn: r.snapshot.compressor.inTemp,
+        cwSupply: r.snapshot.coolingTower.outTemp,
+        cwReturn: r.snapshot.coolingTower.inTemp,
+        fanSpeed: r.snapshot.coolingTower.fanSpeed,
+        pumpFrequency: r.snapshot.pump.frequency,
+      };
+    }),
+  };
+  const { userSide, compressor } = snapshot;
+  userSide.returnTemp = compressor.inTemp;
+  userSide.deltaT = round(compressor.inTemp - compressor.outTemp);
+  return { snapshot, power, cooling, capacity };
+};
+
+// 泵与风机按相似定律由频率/转速估算功率；scale 为相对设计机组的规模
+const pumpPowerAt = (frequency, scale = 1) => PLANT_DESIGN.pumpPower * scale * (frequency / 50) ** 3;
+const fanPowerAt = (fanSpeed, scale = 1) => PLANT_DESIGN.fanPower * scale * (fanSpeed / 100) ** 3;
+
+// 现场点表只有压缩机功率，加上估算的泵、风机与辅助功率得到冷站各分项功率；
+// 有机组明细时逐台估算运行机组配套的泵与风机
+export const estimatePowerSplit = (snapshot) => {
+  const compressor = snapshot.compressor?.power ?? 0;
+  let pump = pumpPowerAt(snapshot.pump?.frequency ?? 0);
+  let fan = fanPowerAt(snapshot.coolingTower?.fanSpeed ?? 0);
+  let aux = PLANT_DESIGN.auxPower;
+  if (snapshot.units?.length) {
+    const running = snapshot.units.filter(u => u.status === 'Running');
+    const scale = (u) => u.capacity / PLANT_DESIGN.chillerCapacity;
+    pump = sumOf(running, u => pumpPowerAt(u.pumpFrequency ?? snapshot.pump?.frequency ?? 0, scale(u)));
+    fan = sumOf(running, u => fanPowerAt(u.fanSpeed ?? snapshot.coolingTower?.fanSpeed ?? 0, scale(u)));
+    aux = auxPowerFor(sumOf(snapshot.units, u => u.capacity));
+  }
+  return { compressor, pump, fan, aux, total: compressor + pump + fan + aux };
+};
+
+export const estimatePlantPower = (snapshot) => estimatePowerSplit(snapshot).total;
+
+// 时序记录有总功率与压缩机功率时，泵、风机取记录值或按频率/转速估算，余下为辅助功率；
+// 只有总功率时按设计辅助功率拆分，余下归压缩机
+export const splitPlantPower = ({ power, compressorPower, pumpPower, fanPower, pumpFrequency = 0, fanSpeed = 0 }) => {
+  const pump = pumpPower ?? pumpPowerAt(pumpFrequency);
+  const fan = fanPower ?? fanPowerAt(fanSpeed);
+  if (compressorPower !== undefined) {
+    return { compressor: compressorPower, pump, fan, aux: Math.max(0, power - compressorPower - pump - fan) };
+  }
+  const aux = PLANT_DESIGN.auxPower;
+  return { compressor: Math.max(0, power - pump - fan - aux), pump, fan, aux };
+};
+
+// 同一时刻、同一 seed 总得到同一组气象与负荷
+const rngFor = (date, seed) => createRng((seed * 2654435761) ^ Math.floor(date.getTime() / 60000));
+
+export const sampleConditions = (date, { profile = WEATHER_PROFILES.summer, seed = 1, capacity } = {}) => {
+  const rng = rngFor(date, seed);
+  const weather = weatherAt(date, profile, rng);
+  return { weather, load: loadAt(date, weather, rng, capacity) };
+};
+
+const definedOnly = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+// 给出 units 时按 simulateUnits 求解，否则为单台设计机组
+export const simulateConditions = (params) => (params.units ? simulateUnits(params) : simulatePlant(params));
+
+// 未给出的设定值取站内默认运行设定；多机组站负荷按总装机冷量缩放
+export const simulateAt = (date, { profile, seed, units, ...setpoints } = {}) => {
+  const capacity = units ? sumOf(units, u => u.capacity) : undefined;
+  return simulateConditions({ ...sampleConditions(date, { profile, seed, capacity }), units, ...DEFAULT_OPERATING_SETPOINTS, ...definedOnly(setpoints) });
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { simulateUnits, simulateAt } from './plantModel';
+import { optimizeSetpoints } from './optimizer';
+import { evaluateScenario, scenarioConditions, clampInputs } from './scenarios';
+import { snapshotToValues } from './timeseries';
+import { summarizeCost, DEFAULT_TARIFF } from './tariff';
+
+const WEATHER = { temp: 30, humidity: 60, wetBulb: 24 };
+const UNITS = [
+  { id: 'CH-1', name: '1#', capacity: 1000, available: false },
+  { id: 'CH-2', name: '2#', capacity: 1000, available: false },
+];
+
+describe('没有可用机组', () => {
+  it('simulateUnits 返回零出力的停机工况', () => {
+    const { snapshot, power, cooling, capacity } = simulateUnits({ units: UNITS, load: 800, weather: WEATHER, setPoint: 7, cwSetPoint: 28, pumpFrequency: 45 });
+    expect({ cooling, capacity }).toEqual({ cooling: 0, capacity: 0 });
+    expect(power).toMatchObject({ compressor: 0, pump: 0, fan: 0 });
+    expect(power.total).toBe(power.aux);
+    expect(snapshot.compressor).toMatchObject({ status: 'Stopped', power: 0, cop: null });
+    expect(snapshot.pump).toMatchObject({ status: 'Stopped', frequency: 0, flow: 0, setPoint: 45 });
+    expect(snapshot.userSide).toMatchObject({ load: 800, setPoint: 7, deltaT: 0 });
+    expect(snapshot.units.map(u => [u.status, u.load, u.power])).toEqual([['Fault', 0, 0], ['Fault', 0, 0]]);
+  });
+
+  it('仿真推进、寻优、情景与时序采样都不抛错', () => {
+    const { snapshot } = simulateAt(new Date(2026, 6, 1, 14), { units: UNITS });
+    expect(snapshot.compressor.status).toBe('Stopped');
+
+    const { feasible, baseline, optimized } = optimizeSetpoints({ load: 800, weather: WEATHER, units: UNITS }, { setPoint: 7, cwSetPoint: 28, pumpFrequency: 45 });
+    expect(feasible).toBe(false);
+    expect(baseline.capacity).toBe(0);
+    expect(optimized).toBe(baseline);
+
+    const conditions = scenarioConditions(snapshot, { chwSetPoint: 7, cwSetPoint: 28, pumpFrequency: 45 }, UNITS);
+    const evaluation = evaluateScenario(conditions, clampInputs(conditions, {}));
+    expect(evaluation.warnings).toEqual(['noUnits']);
+    expect(evaluation.cop).toBeNull();
+
+    const values = snapshotToValues(snapshot, { units: UNITS });
+    expect(values.efficiency).toBeNull();
+    expect(values.power).toBeGreaterThan(0);
+    expect(values.optimizedPower).toBeUndefined();
+
+    const { savings } = summarizeCost([{ ts: new Date(2026, 6, 1, 14).getTime(), ...values }], DEFAULT_TARIFF);
+    expect(savings).toMatchObject({ hours: 0, energy: 0, cost: 0 });
+  });
+});
@@ -0,0 +1,54 @@
+// --- 岭回归 (正规方程 + 高斯消元)，特征数在百以内时足够快 ---
+
+const solve = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    if (Math.abs(M[pivot][col]) < 1e-12) throw new Error('回归矩阵奇异，请检查特征是否完全共线');
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col] / M[col][col];
+      if (f === 0) continue;
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+};
+
+// X 的第一列约定为截距项，不参与惩罚
+export const fitRidge = (X, y, lambda = 1) => {
+  const p = X[0].length;
+  const XtX = Array.from({ length: p }, () => new Array(p).fill(0));
+  const Xty = new Array(p).fill(0);
+  for (let i = 0; i < X.length; i++) {
+    const row = X[i];
+    for (let a = 0; a < p; a++) {
+      if (row[a] === 0) continue;
+      Xty[a] += row[a] * y[i];
+      for (let b = 0; b < p; b++) XtX[a][b] += row[a] * row[b];
+    }
+  }
+  for (let a = 1; a < p; a++) XtX[a][a] += lambda;
+  return solve(XtX, Xty);
+};
+
+export const predictRidge = (coef, x) => x.reduce((sum, v, i) => sum + v * coef[i], 0);
+
+export const quantile = (values, q) => {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+export const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+
+export const std = (values) => {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / Math.max(1, values.length - 1));
+};
@@ -0,0 +1,315 @@
+import { splitPlantPower } from './plantModel';
+import { createUnits } from './units';
+
+// --- 能耗报告 ---
+// 由逐时历史 (hourly 记录) 汇总出日/周/月报告：总电耗、COP 趋势、子系统能耗占比、峰值负荷
+// 与相对寻优能耗的节能潜力。报告是普通 JSON，存档、导出与 AI 摘要都基于它。
+// 报告只存公制数值，标题、子系统名称等文字在显示时按语言生成 (见语言目录 reports)；
+// 摘要正文在撰写时按当时的语言与单位生成后随报告存档。
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const SUBSYSTEMS = [
+  { key: 'compressor', color: '#3b82f6' },
+  { key: 'pump', color: '#6366f1' },
+  { key: 'fan', color: '#10b981' },
+  { key: 'aux', color: '#f59e0b' },
+];
+
+export const REPORT_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// 周期起点：本地时间零点 / 周一零点 / 每月 1 日零点
+export const periodStart = (period, ts) => {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (period === 'weekly') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (period === 'monthly') d.setDate(1);
+  return d.getTime();
+};
+
+// 包含 ts 的那个周期的终点 (下一周期起点)
+const periodEnd = (period, ts) => {
+  const d = new Date(periodStart(period, ts));
+  if (period === 'daily') d.setDate(d.getDate() + 1);
+  if (period === 'weekly') d.setDate(d.getDate() + 7);
+  if (period === 'monthly') d.setMonth(d.getMonth() + 1);
+  return d.getTime();
+};
+
+// ts 之前最近一个完整周期
+export const previousPeriod = (period, ts) => {
+  const to = periodStart(period, ts);
+  return { from: periodStart(period, to - 1), to };
+};
+
+export const periodContaining = (period, ts) => ({ from: periodStart(period, ts), to: periodEnd(period, ts) });
+
+// 多站点时报告编号带站点前缀
+export const reportId = (period, from, siteId) => (siteId ? `${siteId}-${period}-${from}` : `${period}-${from}`);
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateLabel = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const periodTitle = (period, from, to, t) => t(`reports.titles.${period}`, {
+  date: dateLabel(from),
+  to: dateLabel(to - 1),
+  year: new Date(from).getFullYear(),
+  month: new Date(from).getMonth() + 1,
+});
+
+// 报告标题，多站点时带站点名
+export const reportTitle = (report, t) => {
+  const title = periodTitle(report.period, report.from, report.to, t);
+  return report.site ? `${report.site.name} ${title}` : title;
+};
+
+const round = (v, precision = 1) => {
+  const f = 10 ** precision;
+  return Math.round(v * f) / f;
+};
+
+/**
+ * 汇总一个周期的报告。records 为 hourly 聚合记录 ([{ ts, avg, min, max }])，每条代表 1 小时。
+ * 日报的 COP 趋势按小时，周报/月报按天；COP 按负荷加权平均。site ({ id, name }) 可选，写入报告与编号。
+ */
+export const buildReport = (records, { period, from, to, now = Date.now(), site = null }) => {
+  const inRange = records.filter(r => r.ts >= from && r.ts < to && Number.isFinite(r.avg.power));
+  const expectedHours = Math.round((Math.min(to, now) - from) / HOUR_MS);
+
+  const shares = Object.fromEntries(SUBSYSTEMS.map(s => [s.key, 0]));
+  let energy = 0;
+  let cooling = 0;
+  let comparable = 0;
+  let optimized = 0;
+  let peak = null;
+  const buckets = new Map();
+
+  for (const r of inRange) {
+    const { avg } = r;
+    energy += avg.power;
+    const split = splitPlantPower(avg);
+    for (const s of SUBSYSTEMS) shares[s.key] += split[s.key];
+    if (Number.isFinite(avg.demand)) cooling += avg.demand;
+    if (Number.isFinite(avg.optimizedPower)) {
+      comparable += avg.power;
+      optimized += avg.optimizedPower;
+    }
+    const peakDemand = r.max?.demand ?? avg.demand;
+    if (Number.isFinite(peakDemand) && (!peak || peakDemand > peak.demand)) peak = { demand: peakDemand, ts: r.ts };
+
+    const key = period === 'daily' ? r.ts : periodStart('daily', r.ts);
+    const b = buckets.get(key) ?? { ts: key, energy: 0, copWeighted: 0, weight: 0 };
+    b.energy += avg.power;
+    if (Number.isFinite(avg.efficiency) && Number.isFinite(avg.demand)) {
+      b.copWeighted += avg.efficiency * avg.demand;
+      b.weight += avg.demand;
+    }
+    buckets.set(key, b);
+  }
+
+  const trend = [...buckets.values()].sort((a, b) => a.ts - b.ts).map(b => ({
+    ts: b.ts,
+    label: period === 'daily' ? `${new Date(b.ts).getHours()}:00` : `${new Date(b.ts).getMonth() + 1}/${new Date(b.ts).getDate()}`,
+    cop: b.weight > 0 ? round(b.copWeighted / b.weight, 2) : null,
+    energy: round(b.energy),
+  }));
+  const copWeight = [...buckets.values()].reduce((a, b) => a + b.weight, 0);
+  const saving = comparable - optimized;
+
+  return {
+    id: reportId(period, from, site?.id),
+    site: site ? { id: site.id, name: site.name } : null,
+    period,
+    from,
+    to,
+    generatedAt: now,
+    coverage: expectedHours > 0 ? round(inRange.length / expectedHours, 3) : 0,
+    hours: inRange.length,
+    energyKwh: round(energy),
+    coolingKwh: round(cooling),
+    avgCop: copWeight > 0 ? round([...buckets.values()].reduce((a, b) => a + b.copWeighted, 0) / copWeight, 2) : null,
+    plantCop: energy > 0 ? round(cooling / energy, 2) : null,
+    shares: SUBSYSTEMS.map(s => ({ ...s, kwh: round(shares[s.key]), ratio: energy > 0 ? round(shares[s.key] / energy, 3) : 0 })),
+    peak: peak && { demand: round(peak.demand), ts: peak.ts },
+    savingKwh: round(Math.max(0, saving)),
+    savingRatio: comparable > 0 ? round(Math.max(0, saving) / comparable, 3) : 0,
+    trend,
+    narrative: null,
+  };
+};
+
+// --- 排程 ---
+
+export const DEFAULT_REPORT_SCHEDULE = {
+  daily: { enabled: true, hour: 8 },
+  weekly: { enabled: true, weekday: 1, hour: 8 },
+  monthly: { enabled: false, day: 1, hour: 8 },
+};
+
+// 周期结束后多久生成：日报为当日 hour 点，周报为周 weekday (1=周一) 的 hour 点，月报为 day 日的 hour 点
+const runOffset = (period, cfg) => {
+  if (period === 'weekly') return (cfg.weekday - 1) * DAY_MS + cfg.hour * HOUR_MS;
+  if (period === 'monthly') return (cfg.day - 1) * DAY_MS + cfg.hour * HOUR_MS;
+  return cfg.hour * HOUR_MS;
+};
+
+/**
+ * 到期但尚未存档的报告周期 ([{ period, from, to }])。
+ * 每种周期只补最近一期，不回溯补齐更早的缺失报告。
+ */
+export const dueReports = (schedule, archive, now, siteId) => {
+  const archived = new Set(archive.map(r => r.id));
+  const due = [];
+  for (const period of REPORT_PERIODS) {
+    const cfg = schedule[period];
+    if (!cfg?.enabled) continue;
+    let range = previousPeriod(period, now);
+    if (range.to + runOffset(period, cfg) > now) range = previousPeriod(period, range.from);
+    if (!archived.has(reportId(period, range.from, siteId))) due.push({ period, ...range });
+  }
+  return due;
+};
+
+// --- AI 摘要 ---
+
+const percent = (v) => `${round(v * 100)}%`;
+
+// 报告数值按用户单位成文 (prefs 为 usePreferences() 的 { t, unitSystem })
+const reportText = (report, { t, unitSystem = createUnits() }) => {
+  const efficiency = (v) => (v === null ? '--' : unitSystem.format('efficiency', v, '', 2));
+  return {
+    efficiency,
+    efficiencyUnit: unitSystem.unit('efficiency') || 'COP',
+    peak: report.peak && unitSystem.format('cooling', report.peak.demand, 'kW', 1),
+    time: (ts) => new Date(ts).toLocaleString(t.locale),
+    subsystem: (s) => t(`reports.subsystems.${s.key}`),
+  };
+};
+
+// 提供给模型的要点 (不含趋势明细，控制 token)；数值已换算为用户单位
+export const narrativePrompt = (report, prefs) => {
+  const { t, unitSystem = createUnits() } = prefs;
+  const text = reportText(report, prefs);
+  return [
+    t('reports.narrative.prompt', { period: t(`reports.periods.${report.period}`) }),
+    JSON.stringify({
+      title: reportTitle(report, t),
+      dataCoverage: percent(report.coverage),
+      energyKwh: report.energyKwh,
+      coolingKwh: report.coolingKwh,
+      avgChillerEfficiency: text.efficiency(report.avgCop),
+      plantEfficiency: text.efficiency(report.plantCop),
+      energyShare: Object.fromEntries(report.shares.map(s => [text.subsystem(s), percent(s.ratio)])),
+      peakLoad: text.peak,
+      peakAt: report.peak && text.time(report.peak.ts),
+      savingPotentialKwh: report.savingKwh,
+      savingPotential: percent(report.savingRatio),
+      efficiencyTrend: report.trend.map(p => (p.cop === null ? null : unitSystem.display('efficiency', p.cop, 2))),
+    }),
+  ].join('\n\n');
+};
+
+export const narrativeSystem = (t) => t('reports.narrative.system');
+
+// 模型不可用 (或离线演示模式) 时的规则摘要
+export const templateNarrative = (report, prefs) => {
+  const { t } = prefs;
+  if (report.hours === 0) return t('reports.narrative.empty');
+  const text = reportText(report, prefs);
+  const top = [...report.shares].sort((a, b) => b.ratio - a.ratio)[0];
+  const copTrend = report.trend.filter(p => p.cop !== null);
+  const first = copTrend[0]?.cop;
+  const last = copTrend[copTrend.length - 1]?.cop;
+  const direction = first && last ? (last > first * 1.02 ? 'rising' : last < first * 0.98 ? 'falling' : 'flat') : 'noData';
+  const parts = [
+    t('reports.narrative.summary', {
+      energy: report.energyKwh,
+      cooling: report.coolingKwh,
+      unit: text.efficiencyUnit,
+      efficiency: text.efficiency(report.avgCop),
+      direction: t(`reports.narrative.${direction}`),
+    }),
+    t('reports.narrative.top', { subsystem: text.subsystem(top), ratio: percent(top.ratio) }),
+    report.peak ? t('reports.narrative.peak', { peak: text.peak, time: text.time(report.peak.ts) }) : '',
+    report.savingKwh > 0 ? t('reports.narrative.saving', { saving: report.savingKwh, ratio: percent(report.savingRatio) }) : '',
+    report.coverage < 0.9 ? t('reports.narrative.coverage', { coverage: percent(report.coverage) }) : '',
+  ];
+  return parts.filter(Boolean).join(t('reports.narrative.separator'));
+};
+
+// --- 可打印 HTML ---
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+const copTrendSvg = (trend, { t, unitSystem = createUnits() }) => {
+  const points = trend.filter(p => p.cop !== null).map(p => ({ ...p, cop: unitSystem.to('efficiency', p.cop) }));
+  if (points.length < 2) return `<p class="muted">${escapeHtml(t('reports.html.noTrend'))}</p>`;
+  const w = 640;
+  const h = 180;
+  const pad = 28;
+  const values = points.map(p => p.cop);
+  const min = Math.min(...values) * 0.95;
+  const max = Math.max(...values) * 1.05;
+  const x = (i) => pad + (i * (w - 2 * pad)) / (points.length - 1);
+  const y = (v) => h - pad - ((v - min) / (max - min || 1)) * (h - 2 * pad);
+  const line = points.map((p, i) => `${x(i).toFixed(1)},${y(p.cop).toFixed(1)}`).join(' ');
+  const labelEvery = Math.ceil(points.length / 12);
+  const labels = points.map((p, i) => (i % labelEvery === 0 ? `<text x="${x(i)}" y="${h - 8}" text-anchor="middle">${escapeHtml(p.label)}</text>` : '')).join('');
+  return `<svg viewBox="0 0 ${w} ${h}" width="100%" class="chart">
+    <text x="4" y="${y(max) + 10}">${max.toFixed(2)}</text><text x="4" y="${y(min)}">${min.toFixed(2)}</text>
+    <polyline points="${line}" fill="none" stroke="#2563eb" stroke-width="2" />${labels}
+  </svg>`;
+};
+
+/**
+ * 生成独立的可打印 HTML 页面 (浏览器 "打印 → 另存为 PDF" 即得 PDF)。
+ * prefs 为 usePreferences() 的 { t, unitSystem }，决定页面语言与单位。
+ */
+export const reportToHtml = (report, prefs) => {
+  const { t } = prefs;
+  const text = reportText(report, prefs);
+  const title = reportTitle(report, t);
+  const kpis = [
+    [t('reports.kpi.energy'), `${report.energyKwh} kWh`],
+    [t('reports.kpi.cooling'), `${report.coolingKwh} kWh`],
+    [t('reports.kpi.chillerEfficiency', { unit: text.efficiencyUnit }), text.efficiency(report.avgCop)],
+    [t('reports.kpi.plantEfficiency'), text.efficiency(report.plantCop)],
+    [t('reports.kpi.peak'), text.peak ?? '--'],
+    [t('reports.kpi.saving'), `${report.savingKwh} kWh (${percent(report.savingRatio)})`],
+  ];
+  const shareRows = report.shares.map(s => `
+    <tr><td><span class="dot" style="background:${s.color}"></span>${escapeHtml(text.subsystem(s))}</td><td>${s.kwh}</td><td>${percent(s.ratio)}</td>
+    <td><div class="bar"><div style="width:${s.ratio * 100}%;background:${s.color}"></div></div></td></tr>`).join('');
+
+  return `<!doctype html>
+<html lang="${escapeHtml(t.locale)}"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #0f172a; margin: 32px auto; max-width: 760px; }
+  h1 { font-size: 22px; margin-bottom: 4px; } h2 { font-size: 15px; margin-top: 28px; border-bottom: 1px solid #e2e8f0; padding-bottom: 6px; }
+  .muted { color: #64748b; font-size: 12px; }
+  .kpis { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+  .kpi { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px 12px; } .kpi b { display: block; font-size: 18px; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; } td, th { padding: 6px 4px; border-bottom: 1px solid #f1f5f9; text-align: left; }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 6px; }
+  .bar { background: #f1f5f9; height: 8px; border-radius: 4px; width: 200px; } .bar div { height: 8px; border-radius: 4px; }
+  .chart text { font-size: 10px; fill: #64748b; }
+  .narrative { background: #f8fafc; border-left: 3px solid #2563eb; padding: 12px 16px; line-height: 1.7; font-size: 14px; }
+  @media print { body { margin: 0; } }
+</style></head><body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="muted">${escapeHtml(t('reports.html.meta', { from: text.time(report.from), to: text.time(report.to), coverage: percent(report.coverage), generated: text.time(report.generatedAt) }))}</div>
+  <h2>${escapeHtml(t('reports.summary'))}</h2>
+  <div class="narrative">${escapeHtml(report.narrative?.text ?? templateNarrative(report, prefs))}</div>
+  <h2>${escapeHtml(t('reports.html.kpis'))}</h2>
+  <div class="kpis">${kpis.map(([k, v]) => `<div class="kpi"><span class="muted">${escapeHtml(k)}</span><b>${escapeHtml(v)}</b></div>`).join('')}</div>
+  <h2>${escapeHtml(t('reports.trend', { unit: text.efficiencyUnit }))}</h2>
+  ${copTrendSvg(report.trend, prefs)}
+  <h2>${escapeHtml(t('reports.shares'))}</h2>
+  <table><thead><tr><th>${escapeHtml(t('reports.html.subsystem'))}</th><th>${escapeHtml(t('reports.html.energy'))}</th><th>${escapeHtml(t('reports.html.ratio'))}</th><th></th></tr></thead><tbody>${shareRows}</tbody></table>
+  <p class="muted">${escapeHtml(t('reports.html.note'))}</p>
+</body></html>`;
+};
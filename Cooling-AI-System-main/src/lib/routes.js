@@ -0,0 +1,74 @@
+import { RANGE_PRESETS } from './timeseries';
+import { EQUIPMENT_POINTS } from './equipment';
+
+// --- 前端路由 ---
+// 页面对应 URL 路径，站点、时间范围、设备与对话线程放在查询参数中，便于分享链接与大屏直接打开指定视图：
+//   /forecast?site=east&from=2026-10-13T00:00&to=2026-10-14T00:00
+//   /schematic?equipment=pump&range=7d
+//   /assistant?thread=<线程 id>
+// 时间范围作用于当前页的主图表 (看板负荷趋势、预测页节能对比、流程图的设备趋势)。
+
+export const ROUTE_TABS = ['dashboard', 'schematic', 'forecast', 'scenarios', 'assistant', 'reports', 'diagnostics', 'alarms', 'maintenance', 'control'];
+export const DEFAULT_TAB = 'dashboard';
+export const DEFAULT_RANGE = { preset: '24h' };
+
+// 应用部署在子路径下时 (vite base) 路径带前缀
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+// 链接中的自定义起止时间用本地时间 "YYYY-MM-DDTHH:mm"，便于阅读与手工修改
+const pad = (n) => String(n).padStart(2, '0');
+const formatTime = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const parseTime = (text) => (text ? new Date(text).getTime() : NaN);
+
+const parseRange = (params) => {
+  const from = parseTime(params.get('from'));
+  const to = parseTime(params.get('to'));
+  if (Number.isFinite(from) && Number.isFinite(to) && from < to) return { preset: 'custom', from, to };
+  const preset = params.get('range');
+  return RANGE_PRESETS[preset] ? { preset } : null;
+};
+
+/**
+ * 解析地址为路由：{ tab, site, range, equipment, thread }，缺省或无法识别的参数为 null。
+ * 站点与线程是否存在由调用方判断。
+ */
+export const parseRoute = ({ pathname, search }) => {
+  const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname;
+  const tab = path.split('/').filter(Boolean)[0];
+  const params = new URLSearchParams(search);
+  const equipment = params.get('equipment');
+  return {
+    tab: ROUTE_TABS.includes(tab) ? tab : DEFAULT_TAB,
+    site: params.get('site'),
+    range: parseRange(params),
+    equipment: EQUIPMENT_POINTS[equipment] ? equipment : null,
+    thread: params.get('thread'),
+  };
+};
+
+// 路由 → 地址 (路径 + 查询参数)；默认时间范围不写入链接
+export const routeUrl = ({ tab, site, range, equipment, thread }) => {
+  const params = new URLSearchParams();
+  if (site) params.set('site', site);
+  if (equipment) params.set('equipment', equipment);
+  if (range?.preset === 'custom') {
+    params.set('from', formatTime(range.from));
+    params.set('to', formatTime(range.to));
+  } else if (range && range.preset !== DEFAULT_RANGE.preset) {
+    params.set('range', range.preset);
+  }
+  if (thread) params.set('thread', thread);
+  // 冒号在查询参数中合法，保留原样便于阅读
+  const query = params.toString().replace(/%3A/gi, ':');
+  return `${BASE}/${tab}${query ? `?${query}` : ''}`;
+};
+
+// 只是在调整自定义起止时间时替换当前历史记录，避免每次输入都产生一条后退记录
+export const isRefinement = (prev, next) => (
+  prev.tab === next.tab && prev.site === next.site && prev.equipment === next.equipment && prev.thread === next.thread
+  && prev.range?.preset === 'custom' && next.range?.preset === 'custom'
+);
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, routeUrl, isRefinement, DEFAULT_TAB } from './routes';
+
+const parse = (url) => {
+  const { pathname, search } = new URL(url, 'http://localhost');
+  return parseRoute({ pathname, search });
+};
+
+describe('路由', () => {
+  it('生成的地址解析回同一路由', () => {
+    const from = new Date(2026, 9, 13, 0, 0).getTime();
+    const to = new Date(2026, 9, 14, 12, 30).getTime();
+    const routes = [
+      { tab: 'forecast', site: 'east', range: { preset: 'custom', from, to }, equipment: null, thread: null },
+      { tab: 'schematic', site: null, range: { preset: '7d' }, equipment: 'pump', thread: null },
+      { tab: 'assistant', site: 'default', range: null, equipment: null, thread: 'abc-123' },
+    ];
+    for (const route of routes) expect(parse(routeUrl(route))).toEqual(route);
+    expect(routeUrl(routes[0])).toBe('/forecast?site=east&from=2026-10-13T00:00&to=2026-10-14T12:30');
+  });
+
+  it('默认时间范围不写入链接，无法识别的参数为 null', () => {
+    expect(routeUrl({ tab: 'dashboard', range: { preset: '24h' } })).toBe('/dashboard');
+    expect(parse('/unknown?range=2y&equipment=boiler&from=2026-10-14T00:00&to=2026-10-13T00:00'))
+      .toEqual({ tab: DEFAULT_TAB, site: null, range: null, equipment: null, thread: null });
+  });
+
+  it('只有调整自定义起止时间算作细化', () => {
+    const base = { tab: 'forecast', site: 'east', equipment: null, thread: null, range: { preset: 'custom', from: 0, to: 1 } };
+    expect(isRefinement(base, { ...base, range: { preset: 'custom', from: 0, to: 2 } })).toBe(true);
+    expect(isRefinement(base, { ...base, range: { preset: '7d' } })).toBe(false);
+    expect(isRefinement(base, { ...base, tab: 'dashboard' })).toBe(false);
+  });
+});
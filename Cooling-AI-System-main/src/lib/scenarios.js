@@ -0,0 +1,176 @@
+import { simulateConditions, PLANT_DESIGN } from './plantModel';
+import { PLANT_CONSTRAINTS } from './optimizer';
+import { SETPOINT_FIELDS } from './setpoints';
+
+// --- 假设情景模拟 ---
+// 以当前实测负荷、气象与 PLC 在用设定为基准，改变冷冻水出水温度、冷却水供水温度、冷却塔风机转速、
+// 负荷与室外湿球温度，用同一个物理模型预测压缩机、冷却泵、风机与冷站总功率。
+// 基准与情景都由模型计算，差值是模型内的同口径比较；冷却泵频率保持在用设定。
+// 输入以公制保存；fanSpeed 为 null 表示风机自动追踪冷却水供水设定。输入名称在语言目录的 scenarios.inputs 下。
+
+const setpointField = (key) => SETPOINT_FIELDS.find(f => f.key === key);
+
+// min / max 缺省时由 inputBounds 按站点装机冷量给出
+export const SCENARIO_INPUTS = [
+  { key: 'setPoint', quantity: 'temperature', unit: '°C', min: setpointField('chwSetPoint').min, max: setpointField('chwSetPoint').max, step: 0.1 },
+  { key: 'cwSetPoint', quantity: 'temperature', unit: '°C', min: setpointField('cwSetPoint').min, max: setpointField('cwSetPoint').max, step: 0.5 },
+  { key: 'fanSpeed', unit: '%', min: PLANT_DESIGN.minFanSpeed, max: 100, step: 1, auto: true },
+  { key: 'load', quantity: 'cooling', unit: 'kW', step: 10 },
+  { key: 'wetBulb', quantity: 'temperature', unit: '°C', min: 5, max: 32, step: 0.5 },
+];
+
+// 可比较的输出：功率分项 (kW) 与主机 COP
+export const SCENARIO_OUTPUTS = ['compressor', 'pump', 'fan', 'aux', 'total'];
+
+const round = (v, digits = 1) => Math.round(v * 10 ** digits) / 10 ** digits;
+// 停机 (没有可用机组) 时 COP 为 null
+const roundCop = (v) => (v === null ? null : round(v, 2));
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const sumOf = (items, fn) => items.reduce((sum, item) => sum + fn(item), 0);
+
+// 负荷可在装机冷量的 10%–110% 之间调整，超出可用冷量的部分会被判为不可行
+export const inputBounds = (input, capacity) => (
+  input.key === 'load' ? { min: round(capacity * 0.1, 0), max: round(capacity * 1.1, 0) } : { min: input.min, max: input.max }
+);
+
+/**
+ * 情景基准：units 为多机组站的机组配置 (见 availableUnits)，缺省为单台设计机组；config 为设定值配置，
+ * 实时数据缺少设定值时取配置值。返回 { units, capacity, weather, pumpFrequency, baseline }，baseline 为基准输入。
+ */
+export const scenarioConditions = (realtimeData, config, units) => {
+  const { userSide, environment, coolingTower, pump } = realtimeData;
+  return {
+    units,
+    capacity: units ? sumOf(units.filter(u => u.available !== false), u => u.capacity) : PLANT_DESIGN.chillerCapacity,
+    weather: { temp: environment.temp, humidity: environment.humidity },
+    pumpFrequency: pump.setPoint ?? config.pumpFrequency,
+    baseline: {
+      setPoint: userSide.setPoint ?? config.chwSetPoint,
+      cwSetPoint: coolingTower.setPoint ?? config.cwSetPoint,
+      fanSpeed: null,
+      load: userSide.load,
+      wetBulb: environment.wetBulb,
+    },
+  };
+};
+
+// 输入限制在可调范围内；未给出的字段取 base
+export const clampInputs = (conditions, inputs, base = conditions.baseline) => Object.fromEntries(SCENARIO_INPUTS.map(input => {
+  const value = inputs[input.key] === undefined ? base[input.key] : inputs[input.key];
+  if (input.auto && value === null) return [input.key, null];
+  const { min, max } = inputBounds(input, conditions.capacity);
+  return [input.key, clamp(Number(value), min, max)];
+}));
+
+/**
+ * 求解一个情景。返回 { inputs, power, cop, fanSpeed, chwSupply, cwSupply, cwReturn, cooling, warnings }，
+ * warnings 为不满足的运行约束：overCapacity 负荷超过可用冷量、cwSetPointMissed 风机满速仍达不到冷却水设定、
+ * cwSupplyLow / cwReturnHigh 冷却水温度超出主机允许范围 (见 PLANT_CONSTRAINTS)，noUnits 没有可用机组 (停机，cop 为 null)。
+ */
+export const evaluateScenario = (conditions, inputs) => {
+  // 湿球温度不高于干球温度
+  const weather = { ...conditions.weather, temp: Math.max(conditions.weather.temp, inputs.wetBulb), wetBulb: inputs.wetBulb };
+  const result = simulateConditions({
+    units: conditions.units,
+    load: inputs.load,
+    weather,
+    setPoint: inputs.setPoint,
+    cwSetPoint: inputs.cwSetPoint,
+    fanSpeed: inputs.fanSpeed ?? undefined,
+    pumpFrequency: conditions.pumpFrequency,
+  });
+  const { compressor, coolingTower } = result.snapshot;
+  const warnings = [];
+  // 没有可用机组时冷站停机，其余约束不再适用
+  if (result.capacity === 0) {
+    warnings.push('noUnits');
+  } else {
+    if (inputs.load > result.capacity) warnings.push('overCapacity');
+    if (inputs.fanSpeed === null && coolingTower.outTemp > inputs.cwSetPoint + 0.5) warnings.push('cwSetPointMissed');
+    if (coolingTower.outTemp < PLANT_CONSTRAINTS.cwSupplyMin) warnings.push('cwSupplyLow');
+    if (coolingTower.inTemp > PLANT_CONSTRAINTS.cwReturnMax) warnings.push('cwReturnHigh');
+  }
+  return {
+    inputs,
+    power: result.power,
+    cop: result.power.compressor > 0 ? result.cooling / result.power.compressor : null,
+    fanSpeed: coolingTower.fanSpeed,
+    chwSupply: compressor.outTemp,
+    cwSupply: coolingTower.outTemp,
+    cwReturn: coolingTower.inTemp,
+    cooling: result.cooling,
+    warnings,
+  };
+};
+
+// 情景相对基准的变化：功率分项差值 (kW)、总功率变化率与 COP 差值
+export const compareScenario = (baseline, scenario) => ({
+  power: Object.fromEntries(SCENARIO_OUTPUTS.map(k => [k, scenario.power[k] - baseline.power[k]])),
+  totalRatio: (scenario.power.total - baseline.power.total) / baseline.power.total,
+  cop: scenario.cop === null || baseline.cop === null ? null : scenario.cop - baseline.cop,
+});
+
+export const changedInputs = (baseline, inputs) => SCENARIO_INPUTS.filter(i => inputs[i.key] !== baseline[i.key]
+  && !(Number.isFinite(inputs[i.key]) && Number.isFinite(baseline[i.key]) && Math.abs(inputs[i.key] - baseline[i.key]) < 1e-6));
+
+const signed = (v, digits = 1) => `${v > 0 ? '+' : ''}${v.toFixed(digits)}`;
+
+// 输入值按用户单位显示；风机自动时显示 "自动"
+export const formatInput = (input, value, { t, unitSystem }) => {
+  if (input.auto && value === null) return t('scenarios.auto');
+  return input.quantity ? unitSystem.format(input.quantity, value, input.unit, input.key === 'load' ? 0 : 1) : `${round(value, 0)}${input.unit}`;
+};
+
+// 助手工具结果 (公制)
+const summarize = (evaluation) => ({
+  ...Object.fromEntries(SCENARIO_OUTPUTS.map(k => [`${k}Kw`, round(evaluation.power[k])])),
+  cop: roundCop(evaluation.cop),
+  fanSpeed: evaluation.fanSpeed,
+  chwSupply: evaluation.chwSupply,
+  cwSupply: evaluation.cwSupply,
+  cwReturn: evaluation.cwReturn,
+});
+
+export const scenarioToolResult = (conditions, inputs, t) => {
+  const baseline = evaluateScenario(conditions, conditions.baseline);
+  const scenario = evaluateScenario(conditions, inputs);
+  const change = compareScenario(baseline, scenario);
+  return {
+    pumpFrequency: conditions.pumpFrequency,
+    baselineInputs: conditions.baseline,
+    scenarioInputs: inputs,
+    baseline: summarize(baseline),
+    scenario: summarize(scenario),
+    change: { totalKw: round(change.power.total), totalPercent: round(change.totalRatio * 100), cop: roundCop(change.cop) },
+    warnings: scenario.warnings.map(w => t(`scenarios.warnings.${w}`)),
+  };
+};
+
+/**
+ * 发给助手的评估请求 (按用户单位与界面语言)，模型可再用 simulate_scenario 试算其他组合。
+ * prefs 为 usePreferences() 的返回值。
+ */
+export const scenarioPrompt = (name, baseline, scenario, prefs) => {
+  const { t, unitSystem } = prefs;
+  const changes = changedInputs(baseline.inputs, scenario.inputs).map(i => t('scenarios.prompt.change', {
+    name: t(`scenarios.inputs.${i.key}`),
+    from: formatInput(i, baseline.inputs[i.key], prefs),
+    to: formatInput(i, scenario.inputs[i.key], prefs),
+  }));
+  const change = compareScenario(baseline, scenario);
+  const cop = (v) => unitSystem.format('efficiency', v, '');
+  return t('scenarios.prompt.request', {
+    name,
+    changes: changes.length ? changes.join(t('common.listSeparator')) : t('scenarios.prompt.noChanges'),
+    total: `${baseline.power.total.toFixed(1)} → ${scenario.power.total.toFixed(1)} kW (${signed(change.totalRatio * 100)}%)`,
+    parts: ['compressor', 'pump', 'fan'].map(k => t('scenarios.prompt.part', {
+      name: t(`scenarios.outputs.${k}`),
+      from: baseline.power[k].toFixed(1),
+      to: scenario.power[k].toFixed(1),
+    })).join(t('common.listSeparator')),
+    cop: `${cop(baseline.cop)} → ${cop(scenario.cop)}`,
+    warnings: scenario.warnings.length ? t('scenarios.prompt.warnings', { warnings: scenario.warnings.map(w => t(`scenarios.warnings.${w}`)).join(t('common.listSeparator')) }) : '',
+  });
+};
+
+export const scenarioId = (now = Date.now()) => `s-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
@@ -0,0 +1,64 @@
+import { STAGING, estimatePowerSplit } from './plantModel';
+
+// --- 机组群控分析 ---
+// 由带机组明细 (snapshot.units) 的实时快照汇总台数、负载率与能效，并按加减机阈值给出建议。
+// 冷站综合能效 = 总制冷量 / 冷站总功率 (含泵、风机与辅助)，主机 COP = 总制冷量 / 总压缩机功率。
+// 建议文字按 action 取自语言目录 sequencing.advice，params 为其中的占位参数。
+
+// 运行机组中 COP 低于最高值该比例的标记为效率偏低
+const LAGGING_RATIO = 0.92;
+
+const sumOf = (items, fn) => items.reduce((sum, item) => sum + fn(item), 0);
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+const stagingAdvice = (units, load, runningCapacity) => {
+  const running = units.filter(u => u.status === 'Running');
+  // 全部机组故障或检修时冷站停机
+  if (units.every(u => u.status === 'Fault')) return { action: 'unavailable', params: {} };
+  if (running.length === 0) return null;
+  const loading = load / runningCapacity;
+  if (loading > STAGING.upLoading) {
+    const next = units.find(u => u.status === 'Stopped');
+    return next
+      ? { action: 'up', unitId: next.id, params: { loading: percent(loading), threshold: percent(STAGING.upLoading), unit: next.name } }
+      : { action: 'max', params: { loading: percent(loading) } };
+  }
+  // 减机按开机优先级从后往前
+  const last = running[running.length - 1];
+  const remaining = runningCapacity - last.capacity;
+  if (running.length > 1 && load / remaining <= STAGING.downLoading) {
+    return { action: 'down', unitId: last.id, params: { loading: percent(load / remaining), threshold: percent(STAGING.downLoading), unit: last.name } };
+  }
+  return { action: 'hold', params: { loading: percent(loading) } };
+};
+
+/**
+ * 返回 null (数据源没有机组明细) 或
+ * { units, running, total, runningCapacity, capacity, loading, chillerCop, plantCop, power, advice }
+ * units 附加 loading (负载率) 与 lagging (效率偏低)。
+ */
+export const summarizeUnits = (snapshot) => {
+  if (!snapshot.units?.length) return null;
+  const running = snapshot.units.filter(u => u.status === 'Running');
+  const runningCapacity = sumOf(running, u => u.capacity);
+  const cooling = sumOf(running, u => u.load);
+  const chillerPower = sumOf(running, u => u.power);
+  const bestCop = Math.max(0, ...running.map(u => u.cop ?? 0));
+  const power = estimatePowerSplit(snapshot);
+  return {
+    units: snapshot.units.map(u => ({
+      ...u,
+      loading: u.status === 'Running' ? u.load / u.capacity : 0,
+      lagging: u.status === 'Running' && u.cop < bestCop * LAGGING_RATIO,
+    })),
+    running: running.length,
+    total: snapshot.units.length,
+    runningCapacity,
+    capacity: sumOf(snapshot.units.filter(u => u.status !== 'Fault'), u => u.capacity),
+    loading: runningCapacity > 0 ? snapshot.userSide.load / runningCapacity : 0,
+    chillerCop: chillerPower > 0 ? cooling / chillerPower : null,
+    plantCop: power.total > 0 ? cooling / power.total : null,
+    power,
+    advice: stagingAdvice(snapshot.units, snapshot.userSide.load, runningCapacity),
+  };
+};
@@ -0,0 +1,163 @@
+// 网关在 Node 中直接复用本模块做服务端校验，导入须带扩展名
+import { DEFAULT_ALARM_LIMITS, ALARM_LIMIT_FIELDS } from './alarms.js';
+import { can, denyReason } from './auth.js';
+import { deltaQuantity } from './units.js';
+
+// --- 设定值管理: 字段定义、校验、差异比对与审计记录 ---
+// 带 point 的字段需要写回数据源 (网关/仿真器)，其余字段只在本地生效。
+// permission 为修改该字段所需的权限；operatorBand 为没有配置权限的操作员可调整的窄幅范围。
+// 配置一律以公制保存，表单按用户单位显示与输入 (见 toDraft / parseDraft)；字段显示名在语言目录的 setpoint 下。
+
+export const SETPOINT_FIELDS = [
+  { key: 'chwSetPoint', group: 'plant', unit: '°C', quantity: 'temperature', step: 0.1, min: 5, max: 12, maxStep: 1, maxHourly: 2, point: 'userSide.setPoint', permission: 'setpoints.adjust', operatorBand: [6.5, 8.5] },
+  { key: 'cwSetPoint', group: 'plant', unit: '°C', quantity: 'temperature', step: 0.5, min: 18, max: 32, maxStep: 3, point: 'coolingTower.setPoint', permission: 'setpoints.adjust', operatorBand: [26, 30] },
+  { key: 'pumpFrequency', group: 'plant', unit: 'Hz', step: 1, min: 30, max: 50, maxStep: 10, point: 'pump.setPoint', permission: 'setpoints.adjust', operatorBand: [40, 50] },
+  ...ALARM_LIMIT_FIELDS.map(f => ({ ...f, group: 'alarm', permission: 'setpoints.configure' })),
+];
+
+// 按角色给出字段的可调范围
+export const fieldRange = (field, role) => (
+  field.operatorBand && !can(role, 'setpoints.configure')
+    ? { min: field.operatorBand[0], max: field.operatorBand[1], band: true }
+    : { min: field.min, max: field.max, band: false }
+);
+
+export const SETPOINT_GROUPS = ['plant', 'alarm'];
+
+export const DEFAULT_SETPOINT_CONFIG = { chwSetPoint: 7, cwSetPoint: 28, pumpFrequency: 45, ...DEFAULT_ALARM_LIMITS };
+
+// 修改记录最多保留的条数
+export const SETPOINT_AUDIT_LIMIT = 500;
+
+const HOUR_MS = 3600000;
+const EPSILON = 1e-9;
+
+export const pickAlarmLimits = (config) => Object.fromEntries(ALARM_LIMIT_FIELDS.map(f => [f.key, config[f.key]]));
+
+const fieldOf = (key) => SETPOINT_FIELDS.find(f => f.key === key);
+
+// 表单里保存的是按用户单位显示的输入框字符串
+export const toDraft = (config, unitSystem) => Object.fromEntries(Object.entries(config).map(([k, v]) => {
+  const q = fieldOf(k)?.quantity;
+  return [k, String(unitSystem && q ? unitSystem.display(q, v) : v)];
+}));
+
+// 换回公制；空串视为未填写，未改动的输入保留原配置值，避免单位换算的舍入被当成修改
+export const parseDraft = (draft, config, unitSystem) => {
+  const shown = toDraft(config, unitSystem);
+  return Object.fromEntries(Object.entries(draft).map(([k, v]) => {
+    if (v === shown[k]) return [k, config[k]];
+    if (v === '' || v === null) return [k, NaN];
+    const q = fieldOf(k)?.quantity;
+    return [k, unitSystem && q ? unitSystem.from(q, Number(v)) : Number(v)];
+  }));
+};
+
+export const diffConfig = (current, next) => SETPOINT_FIELDS
+  .filter(f => Math.abs(next[f.key] - current[f.key]) > EPSILON)
+  .map(f => ({ key: f.key, from: current[f.key], to: next[f.key] }));
+
+// 近 1 小时内已成功执行的累计调整量
+const movedWithinHour = (audit, key, now) => audit
+  .filter(e => now - e.ts < HOUR_MS)
+  .flatMap(e => e.changes.filter(c => c.key === key && c.ok))
+  .reduce((sum, c) => sum + Math.abs(c.to - c.from), 0);
+
+/**
+ * 校验结果为 { 字段: { code, ...参数 } }，参数均为公制，显示时用 describeSetpointError 换算与翻译。
+ * role 缺省按工程师校验；角色范围只约束本次修改的字段，其他人设在窄幅范围外的值不影响操作员提交
+ */
+export const validateSetpoints = (next, current, audit, now, role = 'engineer') => {
+  const errors = {};
+  for (const f of SETPOINT_FIELDS) {
+    const value = next[f.key];
+    const delta = Math.abs(value - current[f.key]);
+    const range = fieldRange(f, role);
+    if (!Number.isFinite(value)) {
+      errors[f.key] = { code: 'required' };
+    } else if (delta > EPSILON && !can(role, f.permission)) {
+      errors[f.key] = { code: 'forbidden', permission: f.permission };
+    } else if (value < f.min || value > f.max) {
+      errors[f.key] = { code: 'range', min: f.min, max: f.max };
+    } else if (delta > EPSILON && range.band && (value < range.min || value > range.max)) {
+      errors[f.key] = { code: 'band', min: range.min, max: range.max };
+    } else if (f.maxStep && delta > f.maxStep + EPSILON) {
+      errors[f.key] = { code: 'step', max: f.maxStep };
+    } else if (f.maxHourly && delta > EPSILON) {
+      const moved = movedWithinHour(audit, f.key, now);
+      if (moved + delta > f.maxHourly + EPSILON) {
+        errors[f.key] = { code: 'hourly', max: f.maxHourly, moved };
+      }
+    }
+  }
+  if (!errors.pumpPressureMin && !errors.pumpPressureMax && next.pumpPressureMin >= next.pumpPressureMax) {
+    errors.pumpPressureMax = { code: 'pressureOrder' };
+  }
+  return errors;
+};
+
+// 校验错误的提示文字，数值按用户单位显示；kW/RT 等反向单位的区间交换上下限
+export const describeSetpointError = (error, field, { t, unitSystem }, role) => {
+  const value = (v) => unitSystem.format(field.quantity, v, field.unit);
+  const delta = (v) => unitSystem.format(deltaQuantity(field.quantity), v, field.unit, 1);
+  const [min, max] = unitSystem.inverted(field.quantity) ? [error.max, error.min] : [error.min, error.max];
+  switch (error.code) {
+    case 'forbidden': return denyReason(role, error.permission, t);
+    case 'range': return t('setpointErrors.range', { min: value(min), max: value(max) });
+    case 'band': return t('setpointErrors.band', { min: value(min), max: value(max) });
+    case 'step': return t('setpointErrors.step', { max: delta(error.max) });
+    case 'hourly': return t('setpointErrors.hourly', { max: delta(error.max), moved: delta(error.moved) });
+    case 'pressureOrder': return t('setpointErrors.pressureOrder');
+    default: return t('setpointErrors.required');
+  }
+};
+
+/**
+ * 执行一次修改: 先逐个写回带点位的字段，任一失败即停止；已写入成功的字段与本地字段照常生效，
+ * 每项变更的 ok 如实记入审计。writePoint(point, value) 失败时抛错。
+ * 返回 { changes, after, error, errorField }，交给 createAuditEntry 记录
+ */
+export const applyChanges = async (current, next, writePoint) => {
+  const changes = diffConfig(current, next);
+  const after = { ...current };
+  let error = null;
+  let errorField = null;
+
+  const ordered = [...changes].sort((a, b) => Number(!!fieldOf(b.key).point) - Number(!!fieldOf(a.key).point));
+  for (const change of ordered) {
+    const field = fieldOf(change.key);
+    if (error) {
+      change.ok = false;
+      continue;
+    }
+    if (field.point) {
+      try {
+        await writePoint(field.point, change.to);
+      } catch (err) {
+        error = err.message;
+        errorField = field.key;
+        change.ok = false;
+        continue;
+      }
+    }
+    change.ok = true;
+    after[change.key] = change.to;
+  }
+  return { changes: ordered, after, error, errorField };
+};
+
+// errorField: 写回失败的字段，提示时与 error 拼接显示
+export const createAuditEntry = ({ ts, user, role, reason, changes, before, after, error, errorField, rollbackOf }) => ({
+  id: `sp-${ts}`,
+  ts,
+  user,
+  role: role || null,
+  reason: reason || '',
+  changes,
+  before,
+  after,
+  status: error ? 'failed' : 'applied',
+  error: error || null,
+  errorField: errorField || null,
+  rollbackOf: rollbackOf || null,
+});
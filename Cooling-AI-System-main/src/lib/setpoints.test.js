@@ -0,0 +1,26 @@
+import { describe, it, expect, vi } from 'vitest';
+import { DEFAULT_SETPOINT_CONFIG, applyChanges, validateSetpoints } from './setpoints';
+
+describe('applyChanges', () => {
+  it('先写带点位的字段，写入失败后其余字段不再生效', async () => {
+    const next = { ...DEFAULT_SETPOINT_CONFIG, copMin: 4, chwSetPoint: 7.5, cwSetPoint: 29 };
+    const writePoint = vi.fn(async (point) => {
+      if (point === 'coolingTower.setPoint') throw new Error('PLC 无响应');
+    });
+    const { changes, after, error, errorField } = await applyChanges(DEFAULT_SETPOINT_CONFIG, next, writePoint);
+
+    expect(writePoint.mock.calls.map(c => c[0])).toEqual(['userSide.setPoint', 'coolingTower.setPoint']);
+    expect(changes.map(c => [c.key, c.ok])).toEqual([['chwSetPoint', true], ['cwSetPoint', false], ['copMin', false]]);
+    expect(after).toMatchObject({ chwSetPoint: 7.5, cwSetPoint: 28, copMin: DEFAULT_SETPOINT_CONFIG.copMin });
+    expect({ error, errorField }).toEqual({ error: 'PLC 无响应', errorField: 'cwSetPoint' });
+  });
+});
+
+describe('validateSetpoints', () => {
+  it('以回读值为基准限制单次调整幅度', () => {
+    const readback = { ...DEFAULT_SETPOINT_CONFIG, chwSetPoint: 6 };
+    const next = { ...DEFAULT_SETPOINT_CONFIG, chwSetPoint: 7.5 };
+    expect(validateSetpoints(next, DEFAULT_SETPOINT_CONFIG, [], 0)).toEqual({});
+    expect(validateSetpoints(next, readback, [], 0).chwSetPoint).toEqual({ code: 'step', max: 1 });
+  });
+});
@@ -0,0 +1,68 @@
+import { WEATHER_PROFILES } from './plantModel';
+import { TELEMETRY_URL } from './telemetry';
+
+// --- 站点与机组配置 ---
+// 每个站点有独立的网关地址、历史库与机组清单；units 的顺序即开机优先级。
+// 可用 VITE_SITES (JSON 数组，字段同下) 覆盖内置的演示配置。
+
+const DEMO_SITES = [
+  {
+    id: 'main',
+    name: '一号能源站',
+    profile: 'summer',
+    seed: 1,
+    telemetryUrl: TELEMETRY_URL,
+    units: [
+      { id: 'CH-1', name: '1# 离心机', capacity: 1400, efficiency: 1 },
+      { id: 'CH-2', name: '2# 离心机', capacity: 1400, efficiency: 0.97 },
+      { id: 'CH-3', name: '3# 离心机', capacity: 1400, efficiency: 1 },
+      { id: 'CH-4', name: '4# 螺杆机', capacity: 700, efficiency: 0.92 },
+    ],
+  },
+  {
+    id: 'east',
+    name: '东区能源站',
+    profile: 'transition',
+    seed: 7,
+    units: [
+      { id: 'CH-1', name: '1# 螺杆机', capacity: 1000, efficiency: 0.95 },
+      { id: 'CH-2', name: '2# 螺杆机', capacity: 1000, efficiency: 0.95 },
+      { id: 'CH-3', name: '3# 螺杆机', capacity: 1000, efficiency: 0.9 },
+    ],
+  },
+];
+
+const parseSites = (text) => {
+  try {
+    const sites = JSON.parse(text);
+    if (Array.isArray(sites) && sites.length > 0 && sites.every(s => s.id && Array.isArray(s.units) && s.units.length > 0)) return sites;
+  } catch {
+    // 配置无效时回退到演示配置
+  }
+  console.warn('VITE_SITES 配置无效，使用内置站点');
+  return DEMO_SITES;
+};
+
+export const SITES = import.meta.env.VITE_SITES ? parseSites(import.meta.env.VITE_SITES) : DEMO_SITES;
+
+export const DEFAULT_SITE_ID = SITES[0].id;
+
+export const siteById = (id) => SITES.find(s => s.id === id) ?? SITES[0];
+
+export const siteCapacity = (site) => site.units.reduce((sum, u) => sum + u.capacity, 0);
+
+// 仿真参数 (simulateAt 的 profile / seed / units)
+export const siteSimulation = (site) => ({
+  profile: WEATHER_PROFILES[site.profile] ?? WEATHER_PROFILES.summer,
+  seed: site.seed ?? 1,
+  units: site.units,
+});
+
+// 每站一个历史库；默认站沿用原库名，保留升级前记录的历史
+export const siteStoreName = (site) => (site.id === DEFAULT_SITE_ID ? 'chiller-intel' : `chiller-intel-${site.id}`);
+
+// 寻优用的机组配置：实时数据中报故障的机组视为不可用
+export const availableUnits = (site, snapshot) => site.units.map(u => ({
+  ...u,
+  available: u.available !== false && snapshot.units?.find(x => x.id === u.id)?.status !== 'Fault',
+}));
@@ -0,0 +1,20 @@
+// --- localStorage 读写 (解析失败或存储不可用时回退默认值) ---
+
+const PREFIX = 'chiller-intel:';
+
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`保存 ${key} 失败:`, err);
+  }
+};
@@ -0,0 +1,30 @@
+import { simulateAt, WEATHER_PROFILES } from './plantModel';
+import { snapshotToValues } from './timeseries';
+
+// --- 合成历史 ---
+// power 为按默认运行设定的模型功率；optimizedPower 为同一时刻气象与负荷下，
+// 设定值寻优 (不限单次调整幅度) 得到的最小总功率。units 给出时为多机组站 (见 simulateUnits)。
+
+const round = (v, precision = 1) => {
+  const f = 10 ** precision;
+  return Math.round(v * f) / f;
+};
+
+export const historyPointAt = (date, { profile = WEATHER_PROFILES.summer, seed = 1, units, ...setpoints } = {}) => {
+  const actual = simulateAt(date, { profile, seed, units, ...setpoints });
+  return {
+    ts: date.getTime(),
+    time: `${date.getHours()}:00`,
+    ...snapshotToValues(actual.snapshot, { units }),
+    power: round(actual.power.total),
+  };
+};
+
+export const generateHistory = ({ points = 24, end = new Date(), stepMs = 3600000, profile = WEATHER_PROFILES.summer, seed = 1, units, ...setpoints } = {}) => {
+  const data = [];
+  const last = Math.floor(end.getTime() / stepMs) * stepMs;
+  for (let i = points - 1; i >= 0; i--) {
+    data.push(historyPointAt(new Date(last - i * stepMs), { profile, seed, units, ...setpoints }));
+  }
+  return data;
+};
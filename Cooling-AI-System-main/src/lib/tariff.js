@@ -0,0 +1,191 @@
+import { splitPlantPower } from './plantModel';
+import { SUBSYSTEMS } from './reports';
+
+// --- 电价、电费与碳排放核算 ---
+// 分时电价按每天 24 个整点划分峰 / 平 / 谷时段，另按当月最大需量收取需量电费；碳排放按电网排放因子折算。
+// 逐时记录的平均功率 (kW) 乘 1 小时即该小时电量 (kWh)；寻优功率 optimizedPower 同样核算，两者之差为寻优节省潜力。
+// 时段名称在语言目录的 tariff.periods 下；电价与需量电价的货币由 currency 指定。
+
+export const TARIFF_PERIODS = ['peak', 'shoulder', 'offPeak'];
+
+export const TARIFF_PERIOD_COLORS = { peak: '#ef4444', shoulder: '#f59e0b', offPeak: '#10b981' };
+
+export const CURRENCIES = ['CNY', 'USD', 'EUR', 'GBP', 'JPY', 'HKD', 'SGD'];
+
+// 默认值参考国内一般工商业两部制电价：峰 8–11 时、18–21 时，谷 22–6 时，其余为平段；
+// 排放因子取全国电网平均 0.5703 kgCO₂/kWh
+export const DEFAULT_TARIFF = {
+  currency: 'CNY',
+  prices: { peak: 1.15, shoulder: 0.7, offPeak: 0.32 },
+  schedule: [
+    'offPeak', 'offPeak', 'offPeak', 'offPeak', 'offPeak', 'offPeak', 'shoulder', 'shoulder',
+    'peak', 'peak', 'peak', 'shoulder', 'shoulder', 'shoulder', 'shoulder', 'shoulder',
+    'shoulder', 'shoulder', 'peak', 'peak', 'peak', 'shoulder', 'offPeak', 'offPeak',
+  ],
+  weekendOffPeak: false,
+  demandCharge: 38,
+  emissionFactor: 0.5703,
+};
+
+// 可编辑的数值字段与取值范围 (电价按每 kWh，需量电价按每 kW·月，排放因子 kgCO₂/kWh)
+export const TARIFF_LIMITS = {
+  price: { min: 0, max: 100 },
+  demandCharge: { min: 0, max: 1000 },
+  emissionFactor: { min: 0, max: 2 },
+};
+
+export const periodAt = (tariff, ts) => {
+  const d = new Date(ts);
+  const weekend = d.getDay() === 0 || d.getDay() === 6;
+  return tariff.weekendOffPeak && weekend ? 'offPeak' : tariff.schedule[d.getHours()];
+};
+
+// 时段表 → 各时段的连续小时区间 { peak: [[8, 11], [18, 21]], ... }，区间右端不含
+export const periodRanges = (schedule) => {
+  const ranges = Object.fromEntries(TARIFF_PERIODS.map(p => [p, []]));
+  schedule.forEach((period, hour) => {
+    const list = ranges[period];
+    const last = list[list.length - 1];
+    if (last && last[1] === hour) last[1] = hour + 1;
+    else list.push([hour, hour + 1]);
+  });
+  return ranges;
+};
+
+export const priceAt = (tariff, ts) => tariff.prices[periodAt(tariff, ts)];
+
+export const monthStart = (ts) => {
+  const d = new Date(ts);
+  return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+};
+
+// 校验结果为 { 字段: code }，字段为 'prices.peak' / 'demandCharge' / 'emissionFactor' / 'currency'
+export const validateTariff = (tariff) => {
+  const errors = {};
+  const check = (key, value, { min, max }) => {
+    if (!Number.isFinite(value)) errors[key] = 'required';
+    else if (value < min || value > max) errors[key] = 'range';
+  };
+  for (const p of TARIFF_PERIODS) check(`prices.${p}`, tariff.prices[p], TARIFF_LIMITS.price);
+  check('demandCharge', tariff.demandCharge, TARIFF_LIMITS.demandCharge);
+  check('emissionFactor', tariff.emissionFactor, TARIFF_LIMITS.emissionFactor);
+  if (!CURRENCIES.includes(tariff.currency)) errors.currency = 'required';
+  return errors;
+};
+
+/**
+ * 逐时记录 ([{ ts, power, optimizedPower, ... }]，与 series.hourly 相同) 的电费与碳排放：
+ * 每行 { ts, period, price, energy, cost, carbon, optimizedEnergy?, optimizedCost?, optimizedCarbon? }，
+ * 电量 kWh、电费按 tariff.currency、碳排放 kg；没有寻优功率的小时不含 optimized 字段。
+ */
+export const costRows = (rows, tariff) => rows.filter(r => Number.isFinite(r.power)).map(r => {
+  const period = periodAt(tariff, r.ts);
+  const price = tariff.prices[period];
+  const row = { ts: r.ts, period, price, energy: r.power, cost: r.power * price, carbon: r.power * tariff.emissionFactor };
+  if (Number.isFinite(r.optimizedPower)) {
+    row.optimizedEnergy = r.optimizedPower;
+    row.optimizedCost = r.optimizedPower * price;
+    row.optimizedCarbon = r.optimizedPower * tariff.emissionFactor;
+  }
+  return row;
+});
+
+const peakOf = (rows, key) => rows.reduce((best, r) => (Number.isFinite(r[key]) && (!best || r[key] > best.power) ? { power: r[key], ts: r.ts } : best), null);
+
+/**
+ * 汇总一段逐时记录的电费、碳排放与寻优节省潜力。
+ * 需量电费按窗口内最大小时平均功率 × 需量电价计算，只在窗口为整月或月初至今时有意义 (options.demand)。
+ * 返回 { hours, energy, energyCost, demand, totalCost, carbon, byPeriod, bySubsystem, savings }：
+ *   byPeriod    { peak: { energy, cost }, ... }
+ *   bySubsystem { compressor: { energy, cost }, ... }，按 splitPlantPower 拆分
+ *   savings     与寻优功率相比的节省潜力 { hours, energy, cost, carbon, demandCost }，只统计有寻优功率的小时
+ */
+export const summarizeCost = (rows, tariff, { demand = false } = {}) => {
+  const valid = rows.filter(r => Number.isFinite(r.power));
+  const byPeriod = Object.fromEntries(TARIFF_PERIODS.map(p => [p, { energy: 0, cost: 0 }]));
+  const bySubsystem = Object.fromEntries(SUBSYSTEMS.map(s => [s.key, { energy: 0, cost: 0 }]));
+  const savings = { hours: 0, energy: 0, cost: 0, carbon: 0, demandCost: 0 };
+  let energy = 0;
+  let energyCost = 0;
+
+  for (const r of valid) {
+    const period = periodAt(tariff, r.ts);
+    const price = tariff.prices[period];
+    energy += r.power;
+    energyCost += r.power * price;
+    byPeriod[period].energy += r.power;
+    byPeriod[period].cost += r.power * price;
+    const split = splitPlantPower(r);
+    for (const s of SUBSYSTEMS) {
+      bySubsystem[s.key].energy += split[s.key];
+      bySubsystem[s.key].cost += split[s.key] * price;
+    }
+    if (Number.isFinite(r.optimizedPower)) {
+      const saved = r.power - r.optimizedPower;
+      savings.hours += 1;
+      savings.energy += saved;
+      savings.cost += saved * price;
+      savings.carbon += saved * tariff.emissionFactor;
+    }
+  }
+
+  const peak = peakOf(valid, 'power');
+  const optimizedPeak = peakOf(valid, 'optimizedPower');
+  const demandCost = demand && peak ? peak.power * tariff.demandCharge : 0;
+  if (demand && peak && optimizedPeak) {
+    savings.demandCost = (peak.power - optimizedPeak.power) * tariff.demandCharge;
+    savings.cost += savings.demandCost;
+  }
+
+  return {
+    hours: valid.length,
+    energy,
+    energyCost,
+    demand: { peak, optimizedPeak, cost: demandCost },
+    totalCost: energyCost + demandCost,
+    carbon: energy * tariff.emissionFactor,
+    byPeriod,
+    bySubsystem,
+    savings,
+  };
+};
+
+// 电费行按自然日汇总；cumulativeSavings / cumulativeCarbonSavings 为自 from 起累计的寻优节省潜力 (不含需量电费)，之前的日期为 null
+export const dailyCost = (rows, from) => {
+  const days = new Map();
+  for (const r of rows) {
+    const d = new Date(r.ts);
+    const key = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    const day = days.get(key) ?? { ts: key, energy: 0, cost: 0, carbon: 0, optimizedCost: 0, optimizedCarbon: 0, savings: 0, carbonSavings: 0 };
+    day.energy += r.energy;
+    day.cost += r.cost;
+    day.carbon += r.carbon;
+    if (r.optimizedCost !== undefined) {
+      day.optimizedCost += r.optimizedCost;
+      day.optimizedCarbon += r.optimizedCarbon;
+      day.savings += r.cost - r.optimizedCost;
+      day.carbonSavings += r.carbon - r.optimizedCarbon;
+    }
+    days.set(key, day);
+  }
+  let savings = 0;
+  let carbonSavings = 0;
+  return [...days.values()].sort((a, b) => a.ts - b.ts).map(day => {
+    if (day.ts < from) return { ...day, cumulativeSavings: null, cumulativeCarbonSavings: null };
+    savings += day.savings;
+    carbonSavings += day.carbonSavings;
+    return { ...day, cumulativeSavings: savings, cumulativeCarbonSavings: carbonSavings };
+  });
+};
+
+// 电费显示：按语言格式化货币，较大金额不保留小数
+export const formatMoney = (value, currency, locale, digits = Math.abs(value) >= 1000 ? 0 : 2) => (
+  Number.isFinite(value)
+    ? new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value)
+    : '--'
+);
+
+// 碳排放 kg → 超过 1 吨时以吨显示
+export const formatCarbon = (kg, t) => (
+  Math.abs(kg) >= 1000 ? t('tariff.carbonTons', { value: (kg / 1000).toFixed(2) }) : t('tariff.carbonKg', { value: Math.round(kg) })
+);
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_TARIFF, periodAt, periodRanges, validateTariff, summarizeCost, costRows, dailyCost } from './tariff';
+
+const at = (day, hour) => new Date(2026, 6, day, hour).getTime();
+// 2026-07-01 为周三，07-04 为周六
+const row = (day, hour, power, optimizedPower) => ({ ts: at(day, hour), power, optimizedPower, compressorPower: power * 0.8, pumpPower: power * 0.1, fanPower: power * 0.05 });
+
+describe('分时时段', () => {
+  it('按整点查表，周末可全天按谷段', () => {
+    expect([3, 7, 9, 12, 19, 23].map(h => periodAt(DEFAULT_TARIFF, at(1, h)))).toEqual(['offPeak', 'shoulder', 'peak', 'shoulder', 'peak', 'offPeak']);
+    expect(periodAt(DEFAULT_TARIFF, at(4, 9))).toBe('peak');
+    expect(periodAt({ ...DEFAULT_TARIFF, weekendOffPeak: true }, at(4, 9))).toBe('offPeak');
+    expect(periodRanges(DEFAULT_TARIFF.schedule).peak).toEqual([[8, 11], [18, 21]]);
+  });
+
+  it('校验电价、需量电价、排放因子与货币', () => {
+    expect(validateTariff(DEFAULT_TARIFF)).toEqual({});
+    expect(validateTariff({ ...DEFAULT_TARIFF, prices: { ...DEFAULT_TARIFF.prices, peak: -1 }, demandCharge: NaN, currency: 'XYZ' }))
+      .toEqual({ 'prices.peak': 'range', demandCharge: 'required', currency: 'required' });
+  });
+});
+
+describe('summarizeCost', () => {
+  const rows = [row(1, 9, 500, 400), row(1, 3, 200, 180), row(1, 12, 300), row(1, 13, NaN, 100)];
+
+  it('按时段计电费，节省潜力只统计有寻优功率的小时', () => {
+    const s = summarizeCost(rows, DEFAULT_TARIFF);
+    expect(s.hours).toBe(3);
+    expect(s.energy).toBe(1000);
+    expect(s.byPeriod.peak).toEqual({ energy: 500, cost: 500 * 1.15 });
+    expect(s.energyCost).toBeCloseTo(500 * 1.15 + 200 * 0.32 + 300 * 0.7, 6);
+    expect(s.bySubsystem.compressor.energy).toBeCloseTo(800, 6);
+    expect(s.savings).toMatchObject({ hours: 2, energy: 120, demandCost: 0 });
+    expect(s.savings.cost).toBeCloseTo(100 * 1.15 + 20 * 0.32, 6);
+    expect(s.demand.cost).toBe(0);
+  });
+
+  it('需量电费按窗口内最大小时功率，寻优后的峰值计入节省', () => {
+    const s = summarizeCost(rows, DEFAULT_TARIFF, { demand: true });
+    expect(s.demand).toMatchObject({ peak: { power: 500, ts: at(1, 9) }, cost: 500 * 38 });
+    expect(s.demand.optimizedPeak).toEqual({ power: 400, ts: at(1, 9) });
+    expect(s.savings.demandCost).toBe(100 * 38);
+    expect(s.totalCost).toBeCloseTo(s.energyCost + 500 * 38, 6);
+  });
+
+  it('按日汇总并从起始日累计节省', () => {
+    const days = dailyCost(costRows([...rows, row(2, 9, 500, 450)], DEFAULT_TARIFF), at(2, 0));
+    expect(days.map(d => d.cumulativeSavings)).toEqual([null, expect.any(Number)]);
+    expect(days[1].cumulativeSavings).toBeCloseTo(50 * 1.15, 6);
+    expect(days[0].savings).toBeCloseTo(100 * 1.15 + 20 * 0.32, 6);
+  });
+});
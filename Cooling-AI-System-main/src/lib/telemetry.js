@@ -0,0 +1,112 @@
+// --- 实时数据网关客户端 (WebSocket) ---
+
+export const TELEMETRY_URL = import.meta.env.VITE_TELEMETRY_URL || 'ws://localhost:8081';
+
+// 连接状态: connecting 连接中 / live 数据实时 / plc_offline 网关在线但 PLC 无响应 / offline 网关不可达
+// simulated 表示未连接网关、由前端仿真模型供数；显示名在语言目录 connection 下
+export const CONNECTION_STATES = {
+  simulated: { className: 'bg-blue-500/20 text-blue-400 border-blue-500/30' },
+  connecting: { className: 'bg-amber-500/20 text-amber-400 border-amber-500/30' },
+  live: { className: 'bg-green-500/20 text-green-400 border-green-500/30' },
+  plc_offline: { className: 'bg-amber-500/20 text-amber-400 border-amber-500/30' },
+  offline: { className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+};
+
+// 现场不一定提供的字段：机组明细与冷凝/蒸发温度。网关模式的初始工况去掉这些字段，
+// 否则页面加载时的仿真值会因下面的浅合并一直留在实时数据里；寄存器映射配置了对应点位时由网关推送补上
+const SIMULATION_ONLY = { compressor: ['condTemp', 'evapTemp'] };
+
+export const gatewayBaseline = (snapshot) => {
+  const { units: _units, ...rest } = snapshot;
+  const next = { ...rest };
+  for (const [group, fields] of Object.entries(SIMULATION_ONLY)) {
+    next[group] = Object.fromEntries(Object.entries(rest[group] ?? {}).filter(([k]) => !fields.includes(k)));
+  }
+  return next;
+};
+
+// 网关只推送寄存器映射中配置的点位，按设备分组浅合并以保留未映射的字段
+export const mergeSnapshot = (prev, snapshot) => {
+  const next = { ...prev };
+  for (const [group, fields] of Object.entries(snapshot)) {
+    next[group] = { ...prev[group], ...fields };
+  }
+  return next;
+};
+
+// 一次修改可能依次写入多个点位
+const APPLY_TIMEOUT_MS = 15000;
+
+// 设定值下发失败的错误：code 对应语言目录 errors 下的文案，detail 为网关给出的原因
+const applyError = (code, message, extra) => Object.assign(new Error(message), { code, params: { detail: message }, ...extra });
+
+// token: 登录令牌，连上后先提交给网关，修改设定值时网关据此识别操作人
+// onSetpoints({ config, audit }): 网关保存的设定值配置与修改记录
+export const connectTelemetry = ({ url = TELEMETRY_URL, token, onSnapshot, onStatus, onSetpoints }) => {
+  let ws = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let closed = false;
+  let nextApplyId = 1;
+  const pendingApplies = new Map();
+
+  // 网关拒绝时 code 与 error 为原因，校验不通过时 errors 为 validateSetpoints 格式的字段错误
+  const settleApply = (id, { ok, entry, code, error, errors }) => {
+    const pending = pendingApplies.get(id);
+    if (!pending) return;
+    pendingApplies.delete(id);
+    clearTimeout(pending.timer);
+    if (ok) pending.resolve(entry);
+    else pending.reject(applyError(code ?? (errors ? 'setpoints_invalid' : 'gateway_error'), error || '设定值校验未通过', { errors }));
+  };
+
+  const open = () => {
+    onStatus('connecting');
+    ws = new WebSocket(url);
+
+    ws.onopen = () => {
+      attempt = 0;
+      if (token) ws.send(JSON.stringify({ type: 'auth', token }));
+    };
+    ws.onmessage = (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (msg.type === 'status') onStatus(msg.plc === 'online' ? 'live' : 'plc_offline', msg.error);
+      if (msg.type === 'snapshot') onSnapshot(msg.data, msg.ts);
+      if (msg.type === 'setpoints') onSetpoints?.({ config: msg.config, audit: msg.audit });
+      if (msg.type === 'applyResult') settleApply(msg.id, msg);
+    };
+    // 指数退避重连，上限 30 秒
+    ws.onclose = () => {
+      for (const id of [...pendingApplies.keys()]) settleApply(id, { ok: false, code: 'gateway_disconnected', error: '网关连接已断开' });
+      if (closed) return;
+      onStatus('offline');
+      retryTimer = setTimeout(open, Math.min(30000, 1000 * 2 ** attempt++));
+    };
+  };
+
+  // 修改设定值 { next, reason, rollbackOf }，网关写入 PLC 并记录后 resolve 审计记录 (部分失败时 status 为 failed)
+  const applySetpoints = (request) => new Promise((resolve, reject) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      reject(applyError('gateway_not_connected', '网关未连接'));
+      return;
+    }
+    const id = nextApplyId++;
+    const timer = setTimeout(() => settleApply(id, { ok: false, code: 'gateway_timeout', error: '网关响应超时' }), APPLY_TIMEOUT_MS);
+    pendingApplies.set(id, { resolve, reject, timer });
+    ws.send(JSON.stringify({ type: 'applySetpoints', id, ...request }));
+  });
+
+  const close = () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    ws?.close();
+  };
+
+  open();
+  return { applySetpoints, close };
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { gatewayBaseline, mergeSnapshot } from './telemetry';
+import { simulateAt } from './plantModel';
+
+const UNITS = [{ id: 'CH-1', name: '1#', capacity: 1000 }, { id: 'CH-2', name: '2#', capacity: 1000 }];
+
+describe('gatewayBaseline', () => {
+  it('去掉机组明细与冷凝/蒸发温度，实时快照合并后不残留仿真值', () => {
+    const { snapshot } = simulateAt(new Date(2026, 6, 1, 14), { units: UNITS });
+    const baseline = gatewayBaseline(snapshot);
+    expect(baseline.units).toBeUndefined();
+    expect(baseline.compressor).not.toHaveProperty('condTemp');
+    expect(baseline.compressor).not.toHaveProperty('evapTemp');
+    expect(baseline.compressor.power).toBe(snapshot.compressor.power);
+
+    const live = mergeSnapshot(baseline, { compressor: { status: 'Stopped', power: 0 }, pump: { frequency: 0 } });
+    expect(live.units).toBeUndefined();
+    expect(live.compressor.condTemp).toBeUndefined();
+    expect(live.compressor).toMatchObject({ status: 'Stopped', power: 0, outTemp: snapshot.compressor.outTemp });
+    expect(live.pump).toMatchObject({ frequency: 0, flow: snapshot.pump.flow });
+  });
+});
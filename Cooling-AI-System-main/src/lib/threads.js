@@ -0,0 +1,131 @@
+import { METRICS } from './assistantTools';
+import { formatDateTime } from './exportData';
+
+// --- 助手对话线程 ---
+// 每个线程 { id, title, titled, siteId, createdAt, updatedAt, messages }，保存在本地。
+// 提问消息带 ts 与 snapshot (提问时的 realtimeData)，回复所附图表带 points (回复时的取数结果)，
+// 之后重新打开或导出时不依赖当时的实时数据与历史库，结论可复现。
+// 开场问候按新建线程时的语言与单位生成；未命名且还没有提问的线程标题为空，界面显示为"新对话"。
+
+export const THREAD_LIMIT = 50;
+const TITLE_LENGTH = 24;
+const EXCERPT_RADIUS = 24;
+const MAX_HITS = 3;
+
+// 温度写成 LaTeX，例如 $7.0^\circ\text{C}$
+const latexTemperature = (unitSystem, quantity, value, prefix = '') => (
+  `$${prefix}${unitSystem.display(quantity, value).toFixed(1)}^\\circ\\text{${unitSystem.unit(quantity).replace('°', '')}}$`
+);
+
+export const greeting = ({ t, unitSystem }) => ({
+  role: 'assistant',
+  text: t('threads.greeting', {
+    setpoint: latexTemperature(unitSystem, 'temperature', 7),
+    actual: latexTemperature(unitSystem, 'temperature', 7.2),
+    wetBulb: latexTemperature(unitSystem, 'temperature', 24.5),
+    band: latexTemperature(unitSystem, 'temperatureDelta', 0.1, '\\pm '),
+  }),
+  chart: { metric: 'power', hours: 15, chartType: 'area' },
+});
+
+// prefs: { t, unitSystem }，用于生成开场问候
+export const createThread = ({ siteId, now, prefs }) => ({
+  id: `t-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  title: '',
+  titled: false,
+  siteId,
+  createdAt: now,
+  updatedAt: now,
+  messages: [greeting(prefs)],
+});
+
+// 未手动命名的线程以第一条提问作标题
+export const titleFrom = (messages) => {
+  const first = messages.find(m => m.role === 'user')?.text.replace(/\s+/g, ' ').trim();
+  if (!first) return '';
+  return first.length > TITLE_LENGTH ? `${first.slice(0, TITLE_LENGTH)}…` : first;
+};
+
+// 超出上限时丢弃最久未更新的线程
+export const pruneThreads = (threads, limit = THREAD_LIMIT) => (
+  threads.length <= limit ? threads : [...threads].sort((a, b) => b.updatedAt - a.updatedAt).slice(0, limit)
+);
+
+const excerpt = (text, index, length) => {
+  const start = Math.max(0, index - EXCERPT_RADIUS);
+  const end = Math.min(text.length, index + length + EXCERPT_RADIUS);
+  return {
+    before: `${start > 0 ? '…' : ''}${text.slice(start, index)}`,
+    match: text.slice(index, index + length),
+    after: `${text.slice(index + length, end)}${end < text.length ? '…' : ''}`,
+  };
+};
+
+/**
+ * 全文搜索：按空白分词，标题与消息合起来包含全部关键词的线程命中 (不区分大小写)。
+ * 返回 [{ thread, hits: [{ index 消息序号, role, before, match, after }] }]，按更新时间倒序
+ */
+export const searchThreads = (threads, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+  return threads
+    .filter(t => {
+      const all = [t.title, ...t.messages.map(m => m.text)].join('\n').toLowerCase();
+      return terms.every(term => all.includes(term));
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(thread => {
+      const hits = [];
+      thread.messages.forEach((m, index) => {
+        if (hits.length >= MAX_HITS || !m.text) return;
+        const lower = m.text.toLowerCase();
+        const term = terms.find(x => lower.includes(x));
+        if (term) hits.push({ index, role: m.role, ...excerpt(m.text.replace(/\s+/g, ' '), lower.replace(/\s+/g, ' ').indexOf(term), term.length) });
+      });
+      return { thread, hits };
+    });
+};
+
+// 图表数据按用户单位换算
+const chartTable = (chart, { t, unitSystem }) => {
+  const metric = METRICS[chart.metric];
+  if (!metric || !chart.points?.length) return [];
+  const label = t(`metrics.${chart.metric}`);
+  const unit = unitSystem.unit(metric.quantity, metric.unit);
+  return [
+    '',
+    `**${t('threads.export.chart', { metric: label, range: t('chart.recentHours', { hours: chart.hours }) })}**`,
+    '',
+    `| ${t('chart.time')} | ${unit ? `${label} (${unit})` : label} |`,
+    '|---|---:|',
+    ...chart.points.map(p => `| ${formatDateTime(p.ts)} | ${unitSystem.display(metric.quantity, p.value) ?? ''} |`),
+  ];
+};
+
+// 导出为 Markdown：从第一条提问开始 (不含开场问候)，提问附提问时的实时数据 (折叠，原样为公制)，回复附图表数据表
+export const threadToMarkdown = (thread, siteName, prefs) => {
+  const { t } = prefs;
+  const first = thread.messages.findIndex(m => m.role === 'user');
+  const lines = [
+    `# ${thread.title || t('threads.untitled')}`,
+    '',
+    `- ${t('threads.export.site', { site: siteName ?? thread.siteId })}`,
+    `- ${t('threads.export.created', { time: formatDateTime(thread.createdAt) })}`,
+    `- ${t('threads.export.updated', { time: formatDateTime(thread.updatedAt) })}`,
+  ];
+  for (const m of first < 0 ? [] : thread.messages.slice(first)) {
+    if (m.role === 'user') {
+      lines.push('', '---', '', `## ${t('threads.export.question')}${m.ts ? ` · ${formatDateTime(m.ts)}` : ''}`, '', m.text);
+      if (m.snapshot) {
+        lines.push('', `<details><summary>${t('threads.export.snapshot')}</summary>`, '', '```json', JSON.stringify(m.snapshot, null, 2), '```', '', '</details>');
+      }
+    } else {
+      lines.push('', `## ${t('threads.export.answer')}`, '', m.text || t('threads.export.empty'));
+      if (m.stopped) lines.push('', `> ${t('assistant.stopped')}`);
+      if (m.chart) lines.push(...chartTable(m.chart, prefs));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+export const threadFilename = (thread) => `chat-${formatDateTime(thread.createdAt).replace(/[-: ]/g, '')}-${(thread.title || 'untitled').replace(/[\\/:*?"<>|\s…]+/g, '_').slice(0, 40)}`;
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { titleFrom, pruneThreads, searchThreads } from './threads';
+
+const thread = (id, updatedAt, messages, title = '') => ({ id, title, updatedAt, messages });
+
+describe('对话线程', () => {
+  it('以第一条提问作标题，过长时截断', () => {
+    expect(titleFrom([{ role: 'assistant', text: '您好' }, { role: 'user', text: '  冷机\n能效  ' }])).toBe('冷机 能效');
+    expect(titleFrom([{ role: 'assistant', text: '您好' }])).toBe('');
+    expect(titleFrom([{ role: 'user', text: '很'.repeat(100) }]).endsWith('…')).toBe(true);
+  });
+
+  it('超出上限时丢弃最久未更新的线程', () => {
+    const threads = [thread('a', 3, []), thread('b', 1, []), thread('c', 2, [])];
+    expect(pruneThreads(threads, 3)).toBe(threads);
+    expect(pruneThreads(threads, 2).map(t => t.id)).toEqual(['a', 'c']);
+  });
+
+  it('全部关键词命中才返回，附带命中片段', () => {
+    const threads = [
+      thread('a', 1, [{ role: 'user', text: '冷却塔 Approach 偏大' }, { role: 'assistant', text: '检查风机皮带' }]),
+      thread('b', 2, [{ role: 'user', text: '冷却塔风机频率' }], '风机'),
+    ];
+    expect(searchThreads(threads, '  ')).toEqual([]);
+    expect(searchThreads(threads, '冷却塔 风机').map(r => r.thread.id)).toEqual(['b', 'a']);
+    const [hit] = searchThreads(threads, 'approach');
+    expect(hit.hits).toEqual([{ index: 0, role: 'user', before: '冷却塔 ', match: 'Approach', after: ' 偏大' }]);
+  });
+});
@@ -0,0 +1,279 @@
+import { estimatePowerSplit } from './plantModel';
+import { optimizeSetpoints } from './optimizer';
+
+// --- 浏览器端时序库 (IndexedDB) ---
+// raw:    实时快照按 RAW_INTERVAL_MS 节流写入，保留 RAW_RETENTION_MS
+// hourly: 每个整点把上一小时的 raw 汇总为 { avg, min, max, count }，保留 HOURLY_RETENTION_MS
+// 查询时按时间桶降采样，桶内合并 min/max/加权平均；IndexedDB 不可用时退回内存实现。
+
+const HOUR_MS = 3600000;
+const DB_NAME = 'chiller-intel';
+const DB_VERSION = 1;
+
+export const RAW_INTERVAL_MS = 5000;
+export const RAW_RETENTION_MS = 48 * HOUR_MS;
+export const HOURLY_RETENTION_MS = 400 * 24 * HOUR_MS;
+export const DEFAULT_MAX_POINTS = 240;
+
+export const SERIES_FIELDS = [
+  'power', 'optimizedPower', 'demand', 'efficiency', 'chwSupply', 'cwSupply', 'approach', 'fanSpeed', 'pumpFrequency', 'temp', 'wetBulb',
+  'compressorPower', 'chwReturn', 'cwReturn', 'pumpFlow', 'pumpPressure', 'deltaT', 'humidity', 'pumpPower', 'fanPower', 'condApproach',
+];
+
+// 多机组站另按机组记录负荷与 COP，字段名为 "load@CH-1" 形式
+export const unitSeriesKey = (field, unitId) => `${field}@${unitId}`;
+const isSeriesKey = (key) => SERIES_FIELDS.includes(key) || key.includes('@');
+
+export const hourOf = (ts) => Math.floor(ts / HOUR_MS) * HOUR_MS;
+
+// 快照按约 RAW_INTERVAL_MS 推送，到达时间有抖动；留出余量，避免略早到达的一拍被跳过、采样间隔翻倍
+const RAW_JITTER_MS = 500;
+export const rawSampleDue = (now, previous) => now - previous >= RAW_INTERVAL_MS - RAW_JITTER_MS;
+
+const round = (v, precision = 2) => {
+  const f = 10 ** precision;
+  return Math.round(v * f) / f;
+};
+
+// 实时快照 → 时序采样值；优化功率为同一工况下不限调整幅度的寻优结果，没有可行设定时不记录
+// units 为多机组站的机组配置 (见 availableUnits)，寻优时按同样的加机规则计算
+export const snapshotToValues = (snapshot, { units } = {}) => {
+  const { compressor, coolingTower, pump, userSide, environment } = snapshot;
+  const { optimized, feasible } = optimizeSetpoints(
+    { load: userSide.load, weather: { temp: environment.temp, humidity: environment.humidity, wetBulb: environment.wetBulb }, units },
+    { setPoint: userSide.setPoint, cwSetPoint: coolingTower.setPoint ?? 28, pumpFrequency: pump.setPoint ?? pump.frequency },
+  );
+  const split = estimatePowerSplit(snapshot);
+  const perUnit = {};
+  for (const unit of snapshot.units ?? []) {
+    perUnit[unitSeriesKey('load', unit.id)] = unit.load;
+    if (unit.cop !== null && unit.cop !== undefined) perUnit[unitSeriesKey('cop', unit.id)] = unit.cop;
+  }
+  return {
+    power: round(split.total, 1),
+    optimizedPower: feasible ? round(optimized.power.total, 1) : undefined,
+    demand: userSide.load,
+    efficiency: compressor.cop,
+    chwSupply: compressor.outTemp,
+    cwSupply: coolingTower.outTemp,
+    approach: round(coolingTower.outTemp - environment.wetBulb, 1),
+    fanSpeed: coolingTower.fanSpeed,
+    pumpFrequency: pump.frequency,
+    temp: environment.temp,
+    wetBulb: environment.wetBulb,
+    compressorPower: compressor.power,
+    chwReturn: compressor.inTemp,
+    cwReturn: coolingTower.inTemp,
+    pumpFlow: pump.flow,
+    pumpPressure: pump.pressure,
+    deltaT: userSide.deltaT,
+    humidity: environment.humidity,
+    pumpPower: round(split.pump, 1),
+    fanPower: round(split.fan, 1),
+    condApproach: compressor.condTemp === undefined ? undefined : round(compressor.condTemp - coolingTower.inTemp, 1),
+    ...perUnit,
+  };
+};
+
+// 单点记录统一成聚合形式，便于和 hourly 记录一起降采样
+const asAggregate = (record) => (record.avg ? record : { ts: record.ts, count: 1, avg: record.values, min: record.values, max: record.values });
+
+// 把若干聚合记录合并为一个: min/max 取极值，平均按样本数加权
+export const mergeAggregates = (ts, records) => {
+  const out = { ts, count: 0, avg: {}, min: {}, max: {} };
+  const sums = {};
+  const counts = {};
+  for (const r of records.map(asAggregate)) {
+    out.count += r.count;
+    for (const [key, value] of Object.entries(r.avg)) {
+      if (!Number.isFinite(value)) continue;
+      sums[key] = (sums[key] ?? 0) + value * r.count;
+      counts[key] = (counts[key] ?? 0) + r.count;
+      out.min[key] = Math.min(out.min[key] ?? Infinity, r.min[key] ?? value);
+      out.max[key] = Math.max(out.max[key] ?? -Infinity, r.max[key] ?? value);
+    }
+  }
+  for (const key of Object.keys(sums)) out.avg[key] = round(sums[key] / counts[key]);
+  return out;
+};
+
+// 按固定桶宽降采样，桶的 ts 为桶起点
+export const downsample = (records, { from, to, maxPoints = DEFAULT_MAX_POINTS, minBucketMs = 0 }) => {
+  const bucketMs = Math.max(minBucketMs, Math.ceil((to - from) / maxPoints));
+  const buckets = new Map();
+  for (const r of records) {
+    if (r.ts < from || r.ts > to) continue;
+    const key = from + Math.floor((r.ts - from) / bucketMs) * bucketMs;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(r);
+  }
+  return {
+    bucketMs,
+    points: [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([ts, rs]) => mergeAggregates(ts, rs)),
+  };
+};
+
+// --- 存储后端 ---
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const openIndexedDb = async (name) => {
+  const open = indexedDB.open(name, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains('raw')) db.createObjectStore('raw', { keyPath: 'ts' });
+    if (!db.objectStoreNames.contains('hourly')) db.createObjectStore('hourly', { keyPath: 'ts' });
+  };
+  const db = await request(open);
+  const tx = (store, mode = 'readonly') => db.transaction(store, mode).objectStore(store);
+  const done = (t) => new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = () => reject(t.error);
+  });
+
+  return {
+    kind: 'indexeddb',
+    put: async (store, records) => {
+      const t = db.transaction(store, 'readwrite');
+      for (const r of records) t.objectStore(store).put(r);
+      await done(t);
+    },
+    range: (store, from, to) => request(tx(store).getAll(IDBKeyRange.bound(from, to))),
+    last: async (store) => {
+      const cursor = await request(tx(store).openCursor(null, 'prev'));
+      return cursor?.value ?? null;
+    },
+    first: async (store) => {
+      const cursor = await request(tx(store).openCursor());
+      return cursor?.value ?? null;
+    },
+    deleteBefore: async (store, ts) => {
+      const t = db.transaction(store, 'readwrite');
+      t.objectStore(store).delete(IDBKeyRange.upperBound(ts, true));
+      await done(t);
+    },
+    close: () => db.close(),
+  };
+};
+
+const createMemoryBackend = () => {
+  const stores = { raw: new Map(), hourly: new Map() };
+  const sorted = (store) => [...stores[store].values()].sort((a, b) => a.ts - b.ts);
+  return {
+    kind: 'memory',
+    put: async (store, records) => records.forEach(r => stores[store].set(r.ts, r)),
+    range: async (store, from, to) => sorted(store).filter(r => r.ts >= from && r.ts <= to),
+    last: async (store) => sorted(store).at(-1) ?? null,
+    first: async (store) => sorted(store)[0] ?? null,
+    deleteBefore: async (store, ts) => {
+      for (const key of stores[store].keys()) if (key < ts) stores[store].delete(key);
+    },
+    close: () => {},
+  };
+};
+
+/**
+ * 打开时序库。返回:
+ *   append(ts, values)          写入一条 raw 采样
+ *   rollup(now)                 把 now 之前所有已结束且未汇总的小时写入 hourly
+ *   seedHourly(build, now)      hourly 为空时才调用 build() 并导入其返回的历史 ([{ ts, values }])，
+ *                               只保留已结束的小时，当前小时留给实时采样汇总
+ *   importHourly(records)       写入外部导入的逐时聚合记录，覆盖同一小时的已有记录
+ *   query({ from, to, maxPoints }) 降采样后的 { bucketMs, points: [{ ts, avg, min, max, count }] }
+ *   hourly({ from, to })        逐时聚合记录
+ *   prune(now)                  按保留期清理
+ */
+export const openTimeSeriesStore = async ({ name = DB_NAME, memory = typeof indexedDB === 'undefined' } = {}) => {
+  let backend;
+  try {
+    backend = memory ? createMemoryBackend() : await openIndexedDb(name);
+  } catch (err) {
+    console.warn('IndexedDB 不可用，历史数据仅保存在内存中:', err);
+    backend = createMemoryBackend();
+  }
+
+  const rollup = async (now) => {
+    const lastHourly = await backend.last('hourly');
+    const firstRaw = await backend.first('raw');
+    if (!firstRaw) return 0;
+    const start = Math.max(hourOf(firstRaw.ts), lastHourly ? lastHourly.ts + HOUR_MS : 0);
+    const end = hourOf(now);
+    if (start >= end) return 0;
+    const raw = await backend.range('raw', start, end - 1);
+    const byHour = new Map();
+    for (const r of raw) {
+      const h = hourOf(r.ts);
+      if (!byHour.has(h)) byHour.set(h, []);
+      byHour.get(h).push(r);
+    }
+    const records = [...byHour.entries()].map(([h, rs]) => mergeAggregates(h, rs));
+    await backend.put('hourly', records);
+    return records.length;
+  };
+
+  const query = async ({ from, to, maxPoints = DEFAULT_MAX_POINTS }) => {
+    if (!(to > from)) return { bucketMs: 0, points: [] };
+    // 已汇总的小时用 hourly，尚未汇总或仍在 raw 保留期内的部分用 raw (更细)
+    const lastHourly = await backend.last('hourly');
+    const longRange = to - from > RAW_RETENTION_MS;
+    const rawFrom = longRange && lastHourly ? Math.max(from, lastHourly.ts + HOUR_MS) : from;
+    const raw = await backend.range('raw', rawFrom, to);
+    const rawHours = new Set(raw.map(r => hourOf(r.ts)));
+    const hourly = (await backend.range('hourly', hourOf(from), to)).filter(r => !rawHours.has(r.ts));
+    const records = [...hourly, ...raw].sort((a, b) => a.ts - b.ts);
+    return downsample(records, { from, to, maxPoints, minBucketMs: raw.length ? RAW_INTERVAL_MS : HOUR_MS });
+  };
+
+  return {
+    kind: backend.kind,
+    append: (ts, values) => backend.put('raw', [{ ts, values }]),
+    rollup,
+    seedHourly: async (build, now = Date.now()) => {
+      if (await backend.last('hourly')) return false;
+      const records = (await build()).filter(r => r.ts < hourOf(now));
+      await backend.put('hourly', records.map(r => mergeAggregates(r.ts, [r])));
+      return true;
+    },
+    importHourly: (records) => backend.put('hourly', records),
+    query,
+    hourly: ({ from, to }) => backend.range('hourly', from, to),
+    prune: async (now) => {
+      await backend.deleteBefore('raw', now - RAW_RETENTION_MS);
+      await backend.deleteBefore('hourly', now - HOURLY_RETENTION_MS);
+    },
+    close: backend.close,
+  };
+};
+
+export const RANGE_PRESETS = {
+  '1h': { label: '1h', ms: HOUR_MS },
+  '24h': { label: '24h', ms: 24 * HOUR_MS },
+  '7d': { label: '7d', ms: 7 * 24 * HOUR_MS },
+  '30d': { label: '30d', ms: 30 * 24 * HOUR_MS },
+};
+
+// range: { preset: '24h' } 或 { preset: 'custom', from, to }
+export const resolveRange = (range, now) => (
+  range.preset === 'custom' ? { from: range.from, to: range.to } : { from: now - RANGE_PRESETS[range.preset].ms, to: now }
+);
+
+// 降采样结果 → 图表数据: 平均值为主字段，{field}Range 为 [min, max] 区间
+export const toChartRows = (points, { from, to, bucketMs }) => points.map(p => {
+  const d = new Date(p.ts);
+  let time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (bucketMs >= 24 * HOUR_MS) time = `${d.getMonth() + 1}/${d.getDate()}`;
+  else if (to - from > 24 * HOUR_MS) time = `${d.getMonth() + 1}/${d.getDate()} ${time}`;
+  const row = { ts: p.ts, time };
+  for (const key of Object.keys(p.avg)) {
+    if (!isSeriesKey(key)) continue;
+    row[key] = p.avg[key];
+    row[`${key}Range`] = [p.min[key], p.max[key]];
+  }
+  return row;
+});
+
+// 逐时聚合记录 → 与合成历史相同的平铺格式 (负荷预测与 AI 工具使用)
+export const toHourlyRows = (records) => records.map(r => ({ ts: r.ts, time: `${new Date(r.ts).getHours()}:00`, ...r.avg }));
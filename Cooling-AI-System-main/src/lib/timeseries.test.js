@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { openTimeSeriesStore, rawSampleDue, RAW_INTERVAL_MS } from './timeseries';
+
+const HOUR_MS = 3600000;
+const T0 = Date.UTC(2026, 9, 19, 10, 0, 0);
+
+describe('seedHourly', () => {
+  it('逐时库不为空时不生成合成历史', async () => {
+    const store = await openTimeSeriesStore({ memory: true });
+    await store.importHourly([{ ts: T0 - HOUR_MS, count: 1, avg: { power: 100 }, min: { power: 100 }, max: { power: 100 } }]);
+    const build = vi.fn(() => []);
+    expect(await store.seedHourly(build, T0)).toBe(false);
+    expect(build).not.toHaveBeenCalled();
+  });
+
+  it('只导入已结束的小时，当前小时由实时采样汇总', async () => {
+    const now = T0 + 20 * 60000;
+    const store = await openTimeSeriesStore({ memory: true });
+    const seed = [T0 - 2 * HOUR_MS, T0 - HOUR_MS, T0].map(ts => ({ ts, values: { power: 100 } }));
+    expect(await store.seedHourly(() => seed, now)).toBe(true);
+    expect((await store.hourly({ from: 0, to: now })).map(r => r.ts)).toEqual([T0 - 2 * HOUR_MS, T0 - HOUR_MS]);
+
+    await store.append(T0 + 5 * 60000, { power: 300 });
+    await store.append(T0 + 15 * 60000, { power: 500 });
+    await store.rollup(T0 + HOUR_MS);
+    const hours = await store.hourly({ from: 0, to: T0 + HOUR_MS });
+    expect(hours.map(r => r.ts)).toEqual([T0 - 2 * HOUR_MS, T0 - HOUR_MS, T0]);
+    expect(hours[2]).toMatchObject({ count: 2, avg: { power: 400 }, min: { power: 300 }, max: { power: 500 } });
+  });
+});
+
+describe('rawSampleDue', () => {
+  it('按 5 秒推送但到达时间有抖动时每一拍都写入', () => {
+    const arrivals = [0, 4900, 10050, 14800, 19950, 25100].map(ms => T0 + ms);
+    let previous = 0;
+    const written = arrivals.filter(now => {
+      if (!rawSampleDue(now, previous)) return false;
+      previous = now;
+      return true;
+    });
+    expect(written).toEqual(arrivals);
+  });
+
+  it('同一拍内的重复快照不重复写入', () => {
+    expect(rawSampleDue(T0 + 1000, T0)).toBe(false);
+    expect(rawSampleDue(T0 + RAW_INTERVAL_MS, T0)).toBe(true);
+  });
+});
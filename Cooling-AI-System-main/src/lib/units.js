@@ -0,0 +1,112 @@
+// --- 工程单位制 ---
+// 数据源、时序库、设定值与告警限值一律以公制存储 (°C、kW、COP、m³/h)，只在显示与输入时换算。
+// 字段用 quantity 标明物理量：temperature 温度、temperatureDelta 温差 (只换算比例不加偏移)、
+// cooling 冷量 (冷负荷、机组容量)、efficiency 能效、flow 流量。电功率始终以 kW 显示。
+
+// 1 冷吨 (RT) = 3.51685 kW，1 m³/h = 4.402868 US GPM
+export const KW_PER_TON = 3.51685;
+export const GPM_PER_M3H = 4.402868;
+
+// 用户可分别选择的单位
+export const UNIT_CHOICES = {
+  temperature: ['C', 'F'],
+  cooling: ['kW', 'RT'],
+  efficiency: ['COP', 'kWPerTon'],
+  flow: ['m3h', 'gpm'],
+};
+
+export const UNIT_SYSTEMS = {
+  metric: { temperature: 'C', cooling: 'kW', efficiency: 'COP', flow: 'm3h' },
+  imperial: { temperature: 'F', cooling: 'RT', efficiency: 'kWPerTon', flow: 'gpm' },
+};
+
+const identity = (label, digits) => ({ label, digits, to: v => v, from: v => v });
+
+// inverted: 换算后大小关系反转 (kW/RT 越小越好)，上下限需要互换
+const CONVERSIONS = {
+  temperature: {
+    C: identity('°C', 1),
+    F: { label: '°F', digits: 1, to: v => v * 1.8 + 32, from: v => (v - 32) / 1.8 },
+  },
+  temperatureDelta: {
+    C: identity('°C', 1),
+    F: { label: '°F', digits: 1, to: v => v * 1.8, from: v => v / 1.8 },
+  },
+  cooling: {
+    kW: identity('kW', 1),
+    RT: { label: 'RT', digits: 1, to: v => v / KW_PER_TON, from: v => v * KW_PER_TON },
+  },
+  efficiency: {
+    COP: identity('', 2),
+    kWPerTon: { label: 'kW/RT', digits: 3, inverted: true, to: v => (v > 0 ? KW_PER_TON / v : NaN), from: v => (v > 0 ? KW_PER_TON / v : NaN) },
+  },
+  flow: {
+    m3h: identity('m³/h', 1),
+    gpm: { label: 'GPM', digits: 0, to: v => v * GPM_PER_M3H, from: v => v / GPM_PER_M3H },
+  },
+};
+
+// 温度的差值 (调整幅度、端差) 只换算比例
+export const deltaQuantity = (q) => (q === 'temperature' ? 'temperatureDelta' : q);
+
+// 物理量对应的用户选项
+const PREFERENCE_OF = { temperature: 'temperature', temperatureDelta: 'temperature', cooling: 'cooling', efficiency: 'efficiency', flow: 'flow' };
+
+// 单位选项的显示名 (设置菜单使用)
+export const choiceLabel = (dimension, choice) => CONVERSIONS[dimension][choice].label || choice;
+
+const round = (v, digits) => {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+};
+
+/**
+ * 按用户单位偏好生成换算器；quantity 缺省或不认识时原样返回 (如 %、Hz、MPa)。
+ * unit(q, fallback) 显示单位；to / from 公制 ↔ 显示值；display(q, v, digits) 按显示精度取整；
+ * format(q, v, fallbackUnit, digits) 取整并带单位的文字；
+ * range(q, min, max) 换算区间并保证 min ≤ max；inverted(q) 换算后大小关系是否反转；
+ * rows(rows, quantities) 换算图表数据行，quantities 为 { 字段: quantity }，同名的 `${字段}Range` 区间一并换算。
+ */
+export const createUnits = (preferences = UNIT_SYSTEMS.metric) => {
+  const prefs = { ...UNIT_SYSTEMS.metric, ...preferences };
+  const conversion = (q) => CONVERSIONS[q]?.[prefs[PREFERENCE_OF[q]]];
+  const to = (q, v) => (conversion(q) && Number.isFinite(v) ? conversion(q).to(v) : v);
+  const from = (q, v) => (conversion(q) && Number.isFinite(v) ? conversion(q).from(v) : v);
+  const digits = (q, fallback) => conversion(q)?.digits ?? fallback;
+  const range = (q, min, max) => {
+    const a = to(q, min);
+    const b = to(q, max);
+    return a <= b ? [a, b] : [b, a];
+  };
+  return {
+    prefs,
+    unit: (q, fallback = '') => conversion(q)?.label ?? fallback,
+    to,
+    from,
+    digits,
+    // 没有换算且未给出精度时保留原值
+    display: (q, v, fallbackDigits) => {
+      const d = digits(q, fallbackDigits);
+      return Number.isFinite(v) && d !== undefined ? round(to(q, v), d) : v;
+    },
+    format: (q, v, fallbackUnit = '', fallbackDigits) => {
+      const d = digits(q, fallbackDigits);
+      const value = Number.isFinite(v) && d !== undefined ? round(to(q, v), d) : v;
+      return `${value}${conversion(q)?.label ?? fallbackUnit}`;
+    },
+    range,
+    inverted: (q) => Boolean(conversion(q)?.inverted),
+    rows: (rows, quantities) => {
+      const keys = Object.keys(quantities).filter(k => conversion(quantities[k]));
+      if (keys.length === 0) return rows;
+      return rows.map(r => {
+        const next = { ...r };
+        for (const k of keys) {
+          next[k] = to(quantities[k], r[k]);
+          if (Array.isArray(r[`${k}Range`])) next[`${k}Range`] = range(quantities[k], ...r[`${k}Range`]);
+        }
+        return next;
+      });
+    },
+  };
+};
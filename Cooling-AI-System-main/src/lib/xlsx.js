@@ -0,0 +1,102 @@
+// --- 最小 XLSX 读取 ---
+// 只读第一个工作表的单元格值 (数字、共享字符串、内联字符串、布尔)，不处理公式与样式；
+// 日期单元格按 Excel 序列号 (数字) 返回，由导入流程识别。解压使用浏览器原生 DecompressionStream。
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// 读取 zip 中央目录，返回 name → () => Promise<string>
+const readZip = (buffer) => {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('不是有效的 XLSX 文件');
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let offset = view.getUint32(eocd + 16, true);
+  for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('XLSX 目录损坏');
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, async () => {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const bytes = new Uint8Array(buffer, dataStart, size);
+      if (method === 0) return decoder.decode(bytes);
+      if (method === 8) return decoder.decode(await inflateRaw(bytes));
+      throw new Error(`不支持的压缩方式 ${method}`);
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+};
+
+const decodeXml = (s) => s
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+  .replace(/&amp;/g, '&');
+
+// 富文本字符串由多个 <t> 拼成
+const textOf = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+
+const attr = (attrs, name) => attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`))?.[1];
+
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+// 第一个工作表的路径：workbook.xml 中第一个 <sheet> 经 rels 解析到文件
+const firstSheetPath = async (zip) => {
+  const workbook = await zip.get('xl/workbook.xml')?.();
+  const rels = await zip.get('xl/_rels/workbook.xml.rels')?.();
+  const rid = workbook?.match(/<sheet\s[^>]*r:id="([^"]+)"/)?.[1];
+  const target = rid && rels?.match(new RegExp(`<Relationship\\s[^>]*Id="${rid}"[^>]*>`))?.[0].match(/Target="([^"]+)"/)?.[1];
+  if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  return [...zip.keys()].filter(k => /^xl\/worksheets\/[^/]+\.xml$/.test(k)).sort()[0];
+};
+
+/**
+ * 读取 XLSX 第一个工作表为二维数组 (空单元格为 '')。
+ */
+export const readXlsx = async (buffer) => {
+  const zip = readZip(buffer);
+  const sheetPath = await firstSheetPath(zip);
+  if (!sheetPath || !zip.has(sheetPath)) throw new Error('XLSX 中没有工作表');
+  const sharedXml = await zip.get('xl/sharedStrings.xml')?.();
+  const shared = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1])) : [];
+  const sheet = await zip.get(sheetPath)();
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const [, attrs, body = ''] = cell;
+      const ref = attr(attrs, 'r');
+      const col = ref ? columnIndex(ref) : row.length;
+      const type = attr(attrs, 't');
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'str' || type === 'e') value = raw === undefined ? '' : decodeXml(raw);
+      else if (type === 'b') value = raw === '1';
+      else if (raw !== undefined) value = Number(raw);
+      while (row.length < col) row.push('');
+      row[col] = value;
+    }
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c !== ''));
+};
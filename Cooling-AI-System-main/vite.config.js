@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // 开发时把登录与 AI 请求转发到本地认证服务 (npm run auth) 与 AI 代理 (npm run ai-proxy)
+    proxy: {
+      '/api/auth': process.env.AUTH_TARGET || 'http://localhost:8083',
+      '/api/ai': process.env.AI_PROXY_TARGET || 'http://localhost:8082',
+    },
+  },
 })